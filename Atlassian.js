@@ -1,30 +1,68 @@
 /**
  * Atlassian integration connector for Lexicon
- * Handles interactions with Jira
+ * Handles interactions with Jira Cloud through REST API v2, or v3 with
+ * descriptions and comments in Atlassian Document Format (ADF), and with
+ * Jira Server and Data Center through REST API v2 and Personal Access Tokens
  */
 import fetch from 'node-fetch';
+import { randomBytes } from 'crypto';
 import ConnectorBase from './connectorBase.js';
 import serviceRegistry from './serviceRegistry.js';
+import { eventFormatter } from './konbini.js';
+
+/**
+ * Supported Jira REST API versions
+ */
+const JIRA_API_VERSIONS = ['2', '3'];
+
+/**
+ * Supported Jira deployment types, by `JIRA_DEPLOYMENT_TYPE`
+ * Server and Data Center share one REST API, so `server` is an alias
+ */
+const JIRA_DEPLOYMENT_TYPES = {
+  cloud: 'cloud',
+  datacenter: 'datacenter',
+  server: 'datacenter'
+};
 
 class AtlassianConnector extends ConnectorBase {
     constructor() {
       // Call parent constructor with the connector name
       super('Atlassian');
       
+      const deploymentType = String(this.getConfig('jira_deployment_type', 'cloud') || 'cloud').toLowerCase();
+      if (!JIRA_DEPLOYMENT_TYPES[deploymentType]) {
+        this.logger.warn(`Unknown Jira deployment type "${deploymentType}", using cloud`);
+      }
+      this.deploymentType = JIRA_DEPLOYMENT_TYPES[deploymentType] ?? 'cloud';
+
       // Use the ConnectorBase validation methods
-      this.jira_base_url = this.getConfig('jira_base_url', 'https://your-domain.atlassian.net');
+      // Server and Data Center may live under a context path such as /jira, so
+      // only the trailing slash is dropped from the base URL
+      this.jira_base_url = String(this.getConfig('jira_base_url', 'https://your-domain.atlassian.net')).replace(/\/+$/, '');
       this.jira_api_token = this.getConfig('jira_api_token');
-      this.jira_username = this.getConfig('jira_username');
+      // Personal Access Tokens identify the user on their own
+      this.jira_username = this.isCloud ? this.getConfig('jira_username') : this.getConfig('jira_username', null);
       this.jira_issue_type_id = this.getConfig('jira_issue_type_id');
 
+      // REST v3 takes rich text as ADF documents instead of wiki markup strings
+      const apiVersion = String(this.getConfig('jira_api_version', '2') || '2');
+      if (!JIRA_API_VERSIONS.includes(apiVersion)) {
+        this.logger.warn(`Unsupported Jira API version "${apiVersion}", using 2`);
+      } else if (!this.isCloud && apiVersion !== '2') {
+        this.logger.warn(`Jira ${this.deploymentType} only supports REST API v2, using 2`);
+      }
+      this.apiVersion = this.isCloud && JIRA_API_VERSIONS.includes(apiVersion) ? apiVersion : '2';
+      this.apiUrl = `${this.jira_base_url}/rest/api/${this.apiVersion}`;
+
       // Check if configuration is valid
       this.isConfigured = this.validator.checkIsConfigured();
 
       // Create auth header if credentials are available
       if (this.isConfigured) {
-        this.authHeader = `Basic ${Buffer.from(
-          `${this.jira_username}:${this.jira_api_token}`
-        ).toString('base64')}`;
+        this.authHeader = this.isCloud
+          ? `Basic ${Buffer.from(`${this.jira_username}:${this.jira_api_token}`).toString('base64')}`
+          : `Bearer ${this.jira_api_token}`;
       }
     }
 
@@ -36,10 +74,80 @@ class AtlassianConnector extends ConnectorBase {
   async _initializeConnector() {
     return {
       status: this.isConfigured ? 'configured' : 'not_configured',
-      jira_configured: this.isConfigured
+      jira_configured: this.isConfigured,
+      deploymentType: this.deploymentType,
+      apiVersion: this.apiVersion
     };
   }
 
+  /**
+   * Whether the connector talks to Jira Cloud
+   * @returns {boolean} False for Jira Server and Data Center
+   */
+  get isCloud() {
+    return this.deploymentType === 'cloud';
+  }
+
+  /**
+   * Whether descriptions and comments are sent as Atlassian Document Format
+   * @returns {boolean} True in REST v3 mode
+   */
+  get usesAdf() {
+    return this.apiVersion === '3';
+  }
+
+  /**
+   * Convert plain-text rich text to ADF in v3 mode, which rejects strings
+   * @param {string|Object} value - Text or an ADF document
+   * @returns {string|Object} - Value to send for the configured API version
+   * @private
+   */
+  _toRichText(value) {
+    return this.usesAdf && typeof value === 'string' ? eventFormatter.textToAdf(value) : value;
+  }
+
+  /**
+   * Prepare issue fields for the configured API version and deployment type
+   * Server and Data Center identify users by username instead of account ID,
+   * so an `{ accountId }` assignee or reporter is sent as `{ name }`
+   * @param {Object} [fields] - Issue fields
+   * @returns {Object} - Fields with the description and users in the expected format
+   * @private
+   */
+  _formatFields(fields) {
+    if (!fields) {
+      return fields;
+    }
+
+    const formatted = { ...fields };
+    if (formatted.description !== undefined) {
+      formatted.description = this._toRichText(formatted.description);
+    }
+    if (!this.isCloud) {
+      ['assignee', 'reporter']
+        .filter(field => formatted[field]?.accountId !== undefined)
+        .forEach(field => {
+          const { accountId, ...rest } = formatted[field];
+          formatted[field] = { ...rest, name: accountId };
+        });
+    }
+    return formatted;
+  }
+
+  /**
+   * Build an error for a non-2xx Jira response, keeping the status for the
+   * delivery queue's retry logic
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Error>} Error with `status`
+   * @private
+   */
+  async _createApiError(response) {
+    const errorData = await response.json();
+    const error = new Error(`Jira API error: ${response.status} ${JSON.stringify(errorData)}`);
+    error.status = response.status;
+    return error;
+  }
+
   /**
    * Create a Jira ticket
    * @param {Object} ticketData - The ticket data to be sent to Jira
@@ -51,27 +159,30 @@ class AtlassianConnector extends ConnectorBase {
     
     if (!this.isConfigured) {
       this.logger.warn('Jira createTicket called but client is not properly configured');
-      throw new Error('Jira client not properly configured');
+      const error = new Error('Jira client not properly configured');
+      error.retryable = false;
+      throw error;
     }
     
     if (!ticketData || !ticketData.fields) {
-      throw new Error('Invalid ticket data');
+      const error = new Error('Invalid ticket data');
+      error.status = 400;
+      throw error;
     }
 
     try {
-      const response = await fetch(`${this.jira_base_url}/rest/api/2/issue`, {
+      const response = await fetch(`${this.apiUrl}/issue`, {
         method: 'POST',
         headers: {
           'Authorization': this.authHeader,
           'Content-Type': 'application/json',
           'Accept': 'application/json'
         },
-        body: JSON.stringify(ticketData)
+        body: JSON.stringify({ ...ticketData, fields: this._formatFields(ticketData.fields) })
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Jira API error: ${response.status} ${JSON.stringify(errorData)}`);
+        throw await this._createApiError(response);
       }
 
       return await response.json();
@@ -93,7 +204,7 @@ class AtlassianConnector extends ConnectorBase {
         throw new Error('Jira client not properly configured');
       }
 
-      const response = await fetch(`${this.jira_base_url}/rest/api/2/issue/${ticketId}`, {
+      const response = await fetch(`${this.apiUrl}/issue/${ticketId}`, {
         method: 'GET',
         headers: {
           'Authorization': this.authHeader,
@@ -102,18 +213,56 @@ class AtlassianConnector extends ConnectorBase {
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Jira API error: ${response.status} ${JSON.stringify(errorData)}`);
+        throw await this._createApiError(response);
       }
 
       return await response.json();
     }, `getTicket(${ticketId})`, null);
   }
   
+  /**
+   * Search Jira issues with JQL
+   * @param {string} jql - The JQL query
+   * @param {Object} [options] - Search options
+   * @param {Array<string>} [options.fields=['summary', 'status']] - Issue fields to return
+   * @param {number} [options.maxResults=10] - Maximum number of issues to return
+   * @returns {Promise<Object>} - Search response with `issues`, or null if the search failed
+   */
+  async searchIssues(jql, { fields = ['summary', 'status'], maxResults = 10 } = {}) {
+    return this.safeExecute(async () => {
+      if (!this.isConfigured) {
+        this.logger.warn('Jira searchIssues called but client is not properly configured');
+        throw new Error('Jira client not properly configured');
+      }
+
+      // Jira Cloud replaced the search endpoint with search/jql, which Server
+      // and Data Center do not have
+      const response = await fetch(`${this.apiUrl}/${this.isCloud ? 'search/jql' : 'search'}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': this.authHeader,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          jql,
+          fields,
+          maxResults
+        })
+      });
+
+      if (!response.ok) {
+        throw await this._createApiError(response);
+      }
+
+      return await response.json();
+    }, 'searchIssues', null);
+  }
+
   /**
    * Add a comment to a Jira ticket
    * @param {string} ticketId - The Jira ticket ID
-   * @param {string} comment - The comment text (can be markdown)
+   * @param {string|Object} comment - The comment text, or an ADF document in v3 mode
    * @returns {Promise<Object>} - Comment response
    */
   async addComment(ticketId, comment) {
@@ -123,7 +272,7 @@ class AtlassianConnector extends ConnectorBase {
         throw new Error('Jira client not properly configured');
       }
 
-      const response = await fetch(`${this.jira_base_url}/rest/api/2/issue/${ticketId}/comment`, {
+      const response = await fetch(`${this.apiUrl}/issue/${ticketId}/comment`, {
         method: 'POST',
         headers: {
           'Authorization': this.authHeader,
@@ -131,19 +280,80 @@ class AtlassianConnector extends ConnectorBase {
           'Accept': 'application/json'
         },
         body: JSON.stringify({
-          body: comment
+          body: this._toRichText(comment)
         })
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Jira API error: ${response.status} ${JSON.stringify(errorData)}`);
+        throw await this._createApiError(response);
       }
 
       return await response.json();
     }, `addComment(${ticketId})`, null);
   }
 
+  /**
+   * Upload files as attachments of a Jira ticket
+   * Files are sent as one `multipart/form-data` request with a `file` part each
+   * @param {string} ticketId - The Jira ticket ID or key
+   * @param {Object|Array<Object>} attachments - `{ filename, content, contentType }`,
+   *   where `content` is a string or Buffer
+   * @returns {Promise<Array<Object>>} - Created attachments, or null if the upload failed
+   */
+  async addAttachment(ticketId, attachments) {
+    return this.safeExecute(async () => {
+      if (!this.isConfigured) {
+        this.logger.warn('Jira addAttachment called but client is not properly configured');
+        throw new Error('Jira client not properly configured');
+      }
+
+      const files = [attachments].flat();
+      if (files.length === 0 || files.some(file => !file?.filename || file.content === undefined)) {
+        throw new Error('Attachments must have a filename and content');
+      }
+
+      const { boundary, body } = this._buildMultipart(files);
+      const response = await fetch(`${this.apiUrl}/issue/${ticketId}/attachments`, {
+        method: 'POST',
+        headers: {
+          'Authorization': this.authHeader,
+          'Accept': 'application/json',
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          // Jira rejects attachment uploads without this XSRF opt-out
+          'X-Atlassian-Token': 'no-check'
+        },
+        body
+      });
+
+      if (!response.ok) {
+        throw await this._createApiError(response);
+      }
+
+      return await response.json();
+    }, `addAttachment(${ticketId})`, null);
+  }
+
+  /**
+   * Encode files as a multipart/form-data body
+   * @param {Array<Object>} files - `{ filename, content, contentType }`
+   * @returns {Object} - `{ boundary, body }` with the body as a Buffer
+   * @private
+   */
+  _buildMultipart(files) {
+    const boundary = `----LexiconBoundary${randomBytes(12).toString('hex')}`;
+    const parts = files.map(({ filename, content, contentType = 'application/octet-stream' }) => Buffer.concat([
+      Buffer.from(
+        `--${boundary}\r\n` +
+        `Content-Disposition: form-data; name="file"; filename="${String(filename).replace(/["\r\n]/g, '_')}"\r\n` +
+        `Content-Type: ${contentType}\r\n\r\n`
+      ),
+      Buffer.isBuffer(content) ? content : Buffer.from(String(content)),
+      Buffer.from('\r\n')
+    ]));
+
+    return { boundary, body: Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]) };
+  }
+
   /**
    * Update a Jira ticket
    * @param {string} ticketId - The Jira ticket ID
@@ -157,19 +367,18 @@ class AtlassianConnector extends ConnectorBase {
         throw new Error('Jira client not properly configured');
       }
 
-      const response = await fetch(`${this.jira_base_url}/rest/api/2/issue/${ticketId}`, {
+      const response = await fetch(`${this.apiUrl}/issue/${ticketId}`, {
         method: 'PUT',
         headers: {
           'Authorization': this.authHeader,
           'Content-Type': 'application/json',
           'Accept': 'application/json'
         },
-        body: JSON.stringify(updateData)
+        body: JSON.stringify(updateData?.fields ? { ...updateData, fields: this._formatFields(updateData.fields) } : updateData)
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Jira API error: ${response.status} ${JSON.stringify(errorData)}`);
+        throw await this._createApiError(response);
       }
 
       return { success: true, ticketId };
@@ -191,4 +400,4 @@ serviceRegistry.register('atlassian', atlassianConnector);
 
 // Export the connector
 export default { jira: atlassianConnector };
-export { atlassianConnector as jira };
\ No newline at end of file
+export { atlassianConnector as jira, AtlassianConnector };
\ No newline at end of file
@@ -6,6 +6,7 @@ import { BigQuery } from '@google-cloud/bigquery';
 import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import ConnectorBase from './connectorBase.js';
 import serviceRegistry from './serviceRegistry.js';
 
@@ -33,6 +34,116 @@ class GoogleCloudConnector extends ConnectorBase {
   }
 }
 
+/**
+ * Strings streamed as TIMESTAMP when a schema is inferred, e.g. `2026-10-19T14:30:00.000Z`
+ */
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * BigQuery column type of a value, for schema inference
+ * @param {*} value - Row value
+ * @returns {string|null} Column type, or null if the value says nothing about it
+ * @private
+ */
+function inferFieldType(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return 'BOOLEAN';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'INTEGER' : 'FLOAT';
+  }
+  if (value instanceof Date || (typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value))) {
+    return 'TIMESTAMP';
+  }
+  return typeof value === 'object' ? 'JSON' : 'STRING';
+}
+
+/**
+ * Infer a table schema from the rows to insert
+ * Columns take the type of their values; integers mixed with decimals become
+ * FLOAT, other mixes and columns without values become STRING. Arrays become
+ * REPEATED columns of their element type
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {Array<Object>} Schema fields `{ name, type, mode }`
+ * @private
+ */
+function inferSchema(rows) {
+  const types = new Map();
+  const repeated = new Set();
+
+  rows.forEach(row => Object.entries(row).forEach(([name, value]) => {
+    if (Array.isArray(value)) {
+      repeated.add(name);
+    }
+    const [sample] = Array.isArray(value) ? value : [value];
+    const type = inferFieldType(sample);
+    const known = types.get(name) ?? null;
+    if (!known || !type || known === type) {
+      types.set(name, known ?? type);
+    } else {
+      types.set(name, [known, type].every(entry => entry === 'INTEGER' || entry === 'FLOAT') ? 'FLOAT' : 'STRING');
+    }
+  }));
+
+  return [...types].map(([name, type]) => ({
+    name,
+    type: type ?? 'STRING',
+    mode: repeated.has(name) ? 'REPEATED' : 'NULLABLE'
+  }));
+}
+
+/**
+ * Normalize a schema given as BigQuery fields or as `{ column: 'TYPE' }`
+ * @param {Array<Object>|Object} schema - Schema fields or column types
+ * @returns {Array<Object>} Schema fields `{ name, type, mode }`
+ * @private
+ */
+function normalizeSchema(schema) {
+  const fields = Array.isArray(schema)
+    ? schema
+    : Object.entries(schema).map(([name, type]) => ({ name, type }));
+  return fields.map(({ name, type = 'STRING', mode = 'NULLABLE', ...rest }) => ({
+    ...rest,
+    name,
+    type: String(type).toUpperCase(),
+    mode: String(mode).toUpperCase()
+  }));
+}
+
+/**
+ * Convert a row to the JSON the streaming API accepts for a schema
+ * Dates become timestamps, and objects in JSON or STRING columns are serialized
+ * @param {Object} row - Row keyed by column name
+ * @param {Array<Object>} fields - Schema fields
+ * @returns {Object} Streaming row
+ * @private
+ */
+function toStreamingRow(row, fields) {
+  const types = new Map(fields.map(field => [field.name, field.type]));
+  return Object.fromEntries(Object.entries(row).map(([name, value]) => {
+    if (value instanceof Date) {
+      return [name, value.toISOString()];
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value) && ['JSON', 'STRING'].includes(types.get(name))) {
+      return [name, JSON.stringify(value)];
+    }
+    return [name, value];
+  }));
+}
+
+/**
+ * Deterministic insert ID of a row, so a redelivered row is deduplicated by BigQuery
+ * @param {Object} row - Row keyed by column name
+ * @returns {string} Insert ID
+ * @private
+ */
+function createInsertId(row) {
+  return crypto.createHash('sha256').update(JSON.stringify(row)).digest('hex');
+}
+
 /**
  * BigQuery service for data warehousing operations
  */
@@ -78,6 +189,9 @@ class BigQueryConnector extends GoogleCloudConnector {
       this.logger.error('Failed to initialize BigQuery client:', error);
       this.client = null;
     }
+    
+    // Tables known to exist, so streaming inserts only check a table once
+    this._knownTables = new Set();
   }
   
   async _initializeConnector() {
@@ -131,24 +245,39 @@ class BigQueryConnector extends GoogleCloudConnector {
         return [];
       }
       
-      // Ensure connection is established
-      const bigquery = this.createConnection();
+      return this.executeStatement(query, parameters, queryOptions);
+    }, 'createQueryJob', []);
+  }
 
-      const options = {
-        query: query,
-        params: parameters,
-        ...queryOptions
-      };
+  /**
+   * Run a query job and wait for its results, throwing when it fails
+   * Unlike `createQueryJob`, failures reach the caller, so deliveries can be retried
+   * @param {string} query - SQL statement to execute
+   * @param {Array} parameters - Array of parameters for positional binding
+   * @param {Object} queryOptions - Additional options for the query
+   * @returns {Promise<Array>} Query results
+   * @throws {Error} If BigQuery is not configured or the job failed
+   */
+  async executeStatement(query, parameters = [], queryOptions = {}) {
+    if (!this.isConfigured) throw new Error('BigQuery not properly configured');
+    
+    // Ensure connection is established
+    const bigquery = this.createConnection();
 
-      // Create and wait for the query to finish
-      const [job] = await bigquery.createQueryJob(options);
-      this.logger.info(`BigQuery job ${job.id} started.`);
+    const options = {
+      query: query,
+      params: parameters,
+      ...queryOptions
+    };
 
-      // Wait for the query to complete
-      const [rows] = await job.getQueryResults();
-      
-      return rows;
-    }, 'createQueryJob', []);
+    // Create and wait for the query to finish
+    const [job] = await bigquery.createQueryJob(options);
+    this.logger.info(`BigQuery job ${job.id} started.`);
+
+    // Wait for the query to complete
+    const [rows] = await job.getQueryResults();
+    
+    return rows;
   }
 
   /**
@@ -179,9 +308,18 @@ class BigQueryConnector extends GoogleCloudConnector {
           ...options
         };
         
-        const [newTable] = await dataset.createTable(tableId, tableOptions);
-        this.logger.info(`Table ${datasetId}.${tableId} created.`);
-        return newTable;
+        try {
+          const [newTable] = await dataset.createTable(tableId, tableOptions);
+          this.logger.info(`Table ${datasetId}.${tableId} created.`);
+          return newTable;
+        } catch (error) {
+          // Another instance created the table since the existence check
+          if (error.code !== 409) {
+            throw error;
+          }
+          this.logger.info(`Table ${datasetId}.${tableId} was created concurrently.`);
+          return table;
+        }
       } else {
         this.logger.info(`Table ${datasetId}.${tableId} already exists.`);
         return table;
@@ -209,6 +347,171 @@ class BigQueryConnector extends GoogleCloudConnector {
       return apiResponse;
     }, `insertRows(${datasetId}.${tableId})`, null);
   }
+
+  /**
+   * Stream rows into a table, creating the table if it is missing
+   * Each row carries an insert ID, so BigQuery drops a row it received in the
+   * last minute, e.g. when a failed delivery is retried. Rows BigQuery rejects
+   * are reported with their errors; unless `skipInvalidRows` is set, the other rows
+   * of the request are rejected too (reason `stopped`).
+   * @param {string} datasetId - Dataset ID
+   * @param {string} tableId - Table ID
+   * @param {Array<Object>} rows - Rows keyed by column name
+   * @param {Object} [options] - Insert options
+   * @param {Array<Object>|Object} [options.schema] - Schema for a new table, as fields or
+   *   `{ column: 'TYPE' }`; inferred from the rows when omitted
+   * @param {Array<string>} [options.insertIds] - Insert ID of each row; a hash of the row by default
+   * @param {string} [options.partitionField] - TIMESTAMP or DATE column to partition a new table by day
+   * @param {boolean} [options.skipInvalidRows] - Insert the valid rows of a request that has rejected rows
+   * @returns {Promise<Object>} `{ inserted, failed }` where `failed` lists
+   *   `{ index, insertId, errors: [{ reason, message, location }] }` for each rejected row
+   * @throws {Error} If the table could not be created or the request failed as a whole
+   */
+  async streamRows(datasetId, tableId, rows, { schema, insertIds = [], partitionField, skipInvalidRows = false } = {}) {
+    if (!this.isConfigured) throw new Error('BigQuery not properly configured');
+    if (!datasetId || !tableId) throw new Error('Dataset and table are required');
+    if (!Array.isArray(rows) || rows.length === 0) throw new Error('Rows must be provided as a non-empty array');
+    
+    const fields = schema ? normalizeSchema(schema) : inferSchema(rows);
+    const tableKey = `${datasetId}.${tableId}`;
+    
+    if (!this._knownTables.has(tableKey)) {
+      const created = await this.createTableIfNotExists(datasetId, tableId, fields, {
+        timePartitioning: partitionField ? { type: 'DAY', field: partitionField } : undefined
+      });
+      if (!created) {
+        throw new Error(`Failed to create BigQuery table ${tableKey}`);
+      }
+      this._knownTables.add(tableKey);
+    }
+    
+    const table = this.createConnection().dataset(datasetId).table(tableId);
+    const requestRows = rows.map((row, index) => ({
+      insertId: insertIds[index] ?? createInsertId(row),
+      json: toStreamingRow(row, fields)
+    }));
+    
+    try {
+      // Partial retries would resend rejected rows and renumber the errors
+      await table.insert(requestRows, { raw: true, partialRetries: 0, skipInvalidRows });
+    } catch (error) {
+      if (error.name !== 'PartialFailureError') {
+        if (error.code === 404) {
+          // The table was deleted, or is too new for streaming; check it again next time
+          this._knownTables.delete(tableKey);
+        }
+        throw error;
+      }
+      
+      const failed = (error.response?.insertErrors ?? []).map(({ index, errors = [] }) => ({
+        index,
+        insertId: requestRows[index]?.insertId,
+        errors: errors.map(({ reason, message, location }) => ({ reason, message, location }))
+      }));
+      this.logger.warn(`BigQuery rejected ${failed.length} of ${rows.length} rows streamed into ${tableKey}`, {
+        errors: failed.slice(0, 5)
+      });
+      return { inserted: rows.length - failed.length, failed };
+    }
+    
+    this.logger.info(`Streamed ${rows.length} rows into ${tableKey}`);
+    return { inserted: rows.length, failed: [] };
+  }
+}
+
+/**
+ * Match header names and record fields regardless of case, spaces and
+ * punctuation, so `display_name` fills a `Display Name` column
+ * @private
+ */
+function normalizeHeader(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Convert a zero-based column index to its A1 letter (0 → A, 26 → AA)
+ * @private
+ */
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Read the sheet name from an A1 range such as `Sheet1`, `Sheet1!A:J` or `'My Sheet'!A1`
+ * @private
+ */
+function sheetNameOf(range) {
+  const quoted = String(range).match(/^'((?:[^']|'')*)'/);
+  return quoted ? quoted[1].replace(/''/g, "'") : String(range).split('!')[0];
+}
+
+/**
+ * Quote a sheet name for use in an A1 range
+ * @private
+ */
+function quoteSheetName(sheet) {
+  return `'${sheet.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Convert a record value to a cell value
+ * @private
+ */
+function toCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Longest wait between quota retries; Sheets quotas refill every minute
+ */
+const SHEETS_MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Whether a Sheets API error means the per-minute quota is used up
+ * @param {Error} error - Error thrown by the Sheets API client
+ * @returns {boolean} True for 429 and RESOURCE_EXHAUSTED errors
+ */
+function isQuotaError(error) {
+  return httpStatusOf(error) === 429 || /RESOURCE_EXHAUSTED|quota exceeded|rate limit/i.test(error?.message ?? '');
+}
+
+/**
+ * HTTP status of an error thrown by the Sheets API client or by record validation
+ * @param {Error} error - Error to inspect
+ * @returns {number|undefined} Status, or undefined for network and other errors
+ */
+function httpStatusOf(error) {
+  const status = error?.response?.status ?? error?.status ?? Number(error?.code);
+  return Number.isInteger(status) ? status : undefined;
+}
+
+/**
+ * Delay a rate-limited response asks for in its Retry-After header
+ * @param {Error} error - Error thrown by the Sheets API client
+ * @returns {number|null} Delay in milliseconds, or null without a usable header
+ */
+function retryAfterMs(error) {
+  const headers = error?.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Sheet name and first row of an A1 range reported by the API, e.g. `'Sheet1'!A5:J7`
+ * @param {string} range - A1 range
+ * @returns {Object|null} `{ sheet, row }`, or null if the range has no row
+ */
+function firstRowOf(range) {
+  const match = /^(.*)!\$?[A-Z]+\$?(\d+)/.exec(range ?? '');
+  return match ? { sheet: sheetNameOf(range), row: Number(match[2]) } : null;
 }
 
 /**
@@ -222,6 +525,25 @@ class WorkspaceConnector extends GoogleCloudConnector {
     this.keyFile = this.getConfig('google_workspace_keyfile') || this.keyFilename;
     this._sheetsClient = null;
     
+    // Pending record writes per sheet, so concurrent upserts of one key do not both append
+    this._sheetLocks = new Map();
+    
+    // Sheet IDs by title for each spreadsheet, loaded when a tab is first provisioned
+    this._sheetIds = new Map();
+    
+    // Rows waiting for a batched write, by spreadsheet, range and write mode
+    this._writeBuffers = new Map();
+    // Writes wait until this time once the API reports the quota used up
+    this._quotaResumeAt = 0;
+    
+    // Batched write configuration
+    this.bufferConfig = {
+      maxRows: this.getConfigNumber('google_sheets_batch_max_rows', 100), // Writes a batch early once it holds this many rows
+      windowMs: this.getConfigNumber('google_sheets_batch_window_ms', 1000), // How long rows wait for others to join their batch
+      maxRetries: this.getConfigNumber('google_sheets_max_retries', 5),
+      retryDelayMs: this.getConfigNumber('google_sheets_retry_delay_ms', 1000) // Doubles with each quota retry
+    };
+    
     // Worksheet configurations
     this.config = {
       sheets_id: this.getConfig('google_sheets_id'),
@@ -424,6 +746,528 @@ class WorkspaceConnector extends GoogleCloudConnector {
       return response.data.values || [];
     }, `getSpreadsheetValues(${spreadsheetId}, ${range})`, []);
   }
+  
+  /**
+   * Read the header row of a sheet
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   * @param {string} range - Sheet name or a range on the sheet (e.g. 'Sheet1!A:J')
+   * @returns {Promise<Array<string>>} Trimmed header names, or null if the read failed
+   */
+  async getSheetHeaders(spreadsheetId, range) {
+    return this.safeExecute(async () => {
+      if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+      if (!range) throw new Error('Range is required');
+      
+      return this._readHeaders(await this.getSheetsClient(), spreadsheetId, sheetNameOf(range));
+    }, `getSheetHeaders(${spreadsheetId}, ${range})`, null);
+  }
+  
+  /**
+   * Write records to a sheet, mapping their fields to columns by header name
+   * Header names and field names match regardless of case, spaces and
+   * punctuation. Fields without a column are reported as `unmapped`, and
+   * columns without a field are left empty. An empty sheet gets the fields of
+   * the records as its header row.
+   * With `upsertKey`, a record whose key matches a row in that column updates
+   * only its mapped cells of the row; other records are appended.
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   * @param {string} range - Sheet name or a range on the sheet (e.g. 'Sheet1!A:J')
+   * @param {Array<Object>} records - Records keyed by header name
+   * @param {Object} [options] - Write options
+   * @param {string} [options.upsertKey] - Header of the column that identifies a row (e.g. 'UserID')
+   * @param {string} [options.valueInputOption='USER_ENTERED'] - How to interpret the data
+   * @returns {Promise<Object>} `{ sheet, appended, updated, updatedCells, unmapped, rows }`
+   *   with the number of rows appended and updated and, for each record, the
+   *   `{ action, row }` it was written to; or null if the write failed
+   */
+  async writeRecords(spreadsheetId, range, records, options = {}) {
+    return this.safeExecute(
+      () => this._writeRecords(spreadsheetId, range, records, options),
+      `writeRecords(${spreadsheetId}, ${range})`,
+      null
+    );
+  }
+  
+  /**
+   * Write records by header name, see `writeRecords`
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   * @param {string} range - Sheet name or a range on the sheet
+   * @param {Array<Object>} records - Records keyed by header name
+   * @param {Object} [options] - `{ upsertKey, valueInputOption }`
+   * @returns {Promise<Object>} Write result
+   * @throws {Error} If the records do not fit the sheet or the API rejects the write
+   * @private
+   */
+  async _writeRecords(spreadsheetId, range, records, { upsertKey, valueInputOption = 'USER_ENTERED' } = {}) {
+    if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+    if (!range) throw new Error('Range is required');
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new Error('Records must be provided as an array of objects');
+    }
+    
+    const sheet = sheetNameOf(range);
+    return this._withSheetLock(`${spreadsheetId}/${sheet}`, async () => {
+      const sheets = await this.getSheetsClient();
+      const quoted = quoteSheetName(sheet);
+      
+      let headers = await this._readHeaders(sheets, spreadsheetId, sheet);
+      if (headers.every(header => header === '')) {
+        headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+        await sheets.spreadsheets.values.update({
+          spreadsheetId,
+          range: `${quoted}!A1`,
+          valueInputOption: 'RAW',
+          resource: { values: [headers] }
+        });
+        this.logger.info(`Wrote header row to empty sheet ${sheet}`, { headers });
+      }
+      
+      // The first column with a name wins when headers repeat
+      const columns = new Map();
+      headers.forEach((header, index) => {
+        const name = normalizeHeader(header);
+        if (name && !columns.has(name)) {
+          columns.set(name, index);
+        }
+      });
+      
+      const unmapped = [...new Set(records.flatMap(record => Object.keys(record)))]
+        .filter(field => !columns.has(normalizeHeader(field)));
+      if (records.some(record => !Object.keys(record).some(field => columns.has(normalizeHeader(field))))) {
+        const error = new Error(`Record fields do not match any column of sheet ${sheet}: ${headers.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+      if (unmapped.length > 0) {
+        this.logger.warn(`Fields without a column in sheet ${sheet}`, { fields: unmapped });
+      }
+      
+      const keyColumn = upsertKey === undefined ? undefined : columns.get(normalizeHeader(upsertKey));
+      if (upsertKey !== undefined && keyColumn === undefined) {
+        const error = new Error(`Upsert key "${upsertKey}" is not a column of sheet ${sheet}`);
+        error.status = 400;
+        throw error;
+      }
+      
+      // Row numbers of existing keys, from the key column below the header
+      const rowsByKey = new Map();
+      if (keyColumn !== undefined) {
+        const letter = columnLetter(keyColumn);
+        const response = await sheets.spreadsheets.values.get({
+          spreadsheetId,
+          range: `${quoted}!${letter}2:${letter}`,
+          majorDimension: 'COLUMNS'
+        });
+        (response.data.values?.[0] ?? []).forEach((value, index) => {
+          const key = String(value).trim();
+          if (key !== '' && !rowsByKey.has(key)) {
+            rowsByKey.set(key, index + 2);
+          }
+        });
+      }
+      
+      const updates = [];
+      const appends = [];
+      const updatedRows = new Set();
+      const pendingByKey = new Map();
+      // Where each record goes: an existing row, or an index into the appended rows
+      const placements = [];
+      
+      for (const record of records) {
+        const cells = new Map();
+        Object.entries(record).forEach(([field, value]) => {
+          const index = columns.get(normalizeHeader(field));
+          if (index !== undefined) {
+            cells.set(index, toCell(value));
+          }
+        });
+        
+        const key = keyColumn === undefined ? '' : String(cells.get(keyColumn) ?? '').trim();
+        const rowNumber = key ? rowsByKey.get(key) : undefined;
+        
+        if (rowNumber) {
+          updatedRows.add(rowNumber);
+          placements.push({ action: 'updated', row: rowNumber });
+          // Write only the mapped cells, so formulas in other columns survive
+          cells.forEach((value, index) => {
+            updates.push({ range: `${quoted}!${columnLetter(index)}${rowNumber}`, values: [[value]] });
+          });
+        } else if (key && pendingByKey.has(key)) {
+          const pending = pendingByKey.get(key);
+          placements.push({ action: 'appended', index: pending.index });
+          cells.forEach((value, index) => {
+            pending.row[index] = value;
+          });
+        } else {
+          const row = headers.map((header, index) => cells.get(index) ?? '');
+          appends.push(row);
+          placements.push({ action: 'appended', index: appends.length - 1 });
+          if (key) {
+            pendingByKey.set(key, { row, index: appends.length - 1 });
+          }
+        }
+      }
+      
+      let updatedCells = 0;
+      let firstAppendedRow = null;
+      if (updates.length > 0) {
+        const response = await sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId,
+          resource: { valueInputOption, data: updates }
+        });
+        updatedCells += response.data.totalUpdatedCells ?? 0;
+      }
+      if (appends.length > 0) {
+        const response = await sheets.spreadsheets.values.append({
+          spreadsheetId,
+          range: `${quoted}!A1`,
+          valueInputOption,
+          resource: { values: appends }
+        });
+        updatedCells += response.data.updates?.updatedCells ?? 0;
+        firstAppendedRow = firstRowOf(response.data.updates?.updatedRange)?.row ?? null;
+      }
+      
+      const result = {
+        sheet,
+        appended: appends.length,
+        updated: updatedRows.size,
+        updatedCells,
+        unmapped
+      };
+      this.logger.info(`Wrote ${records.length} records to sheet ${sheet}`, result);
+      return {
+        ...result,
+        rows: placements.map(({ action, row, index }) => ({
+          action,
+          row: action === 'updated' ? row : firstAppendedRow && firstAppendedRow + index
+        }))
+      };
+    });
+  }
+  
+  /**
+   * Create a sheet (tab) if the spreadsheet does not have it yet
+   * New sheets get the given header row in bold, frozen, with the columns
+   * resized to fit. Known sheets are cached per spreadsheet, so only the first
+   * call for a sheet reads the spreadsheet.
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   * @param {string} range - Sheet name or a range on the sheet
+   * @param {Array<string>} [headers=[]] - Header row for a new sheet
+   * @returns {Promise<Object>} `{ title, sheetId, created }`, or null if the sheet
+   *   could not be read or created
+   */
+  async ensureSheet(spreadsheetId, range, headers = []) {
+    return this.safeExecute(async () => {
+      if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+      if (!range) throw new Error('Range is required');
+      
+      const title = sheetNameOf(range);
+      return this._withSheetLock(`${spreadsheetId}/${title}`, async () => {
+        const sheets = await this.getSheetsClient();
+        const known = this._sheetIds.get(spreadsheetId) ?? await this._loadSheetIds(sheets, spreadsheetId);
+        if (known.has(title)) {
+          return { title, sheetId: known.get(title), created: false };
+        }
+        
+        let sheetId;
+        try {
+          const response = await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+              requests: [{ addSheet: { properties: { title, gridProperties: { frozenRowCount: 1 } } } }]
+            }
+          });
+          sheetId = response.data.replies[0].addSheet.properties.sheetId;
+        } catch (error) {
+          // Another instance may have created the sheet since the cache was loaded
+          const reloaded = await this._loadSheetIds(sheets, spreadsheetId);
+          if (!reloaded.has(title)) {
+            throw error;
+          }
+          return { title, sheetId: reloaded.get(title), created: false };
+        }
+        known.set(title, sheetId);
+        
+        if (headers.length > 0) {
+          await sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range: `${quoteSheetName(title)}!A1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+          });
+          await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+              requests: [
+                {
+                  repeatCell: {
+                    range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+                    cell: { userEnteredFormat: { textFormat: { bold: true } } },
+                    fields: 'userEnteredFormat.textFormat.bold'
+                  }
+                },
+                {
+                  autoResizeDimensions: {
+                    dimensions: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: headers.length }
+                  }
+                }
+              ]
+            }
+          });
+        }
+        
+        this.logger.info(`Created sheet ${title}`, { sheetId, headers });
+        return { title, sheetId, created: true };
+      });
+    }, `ensureSheet(${spreadsheetId}, ${range})`, null);
+  }
+  
+  /**
+   * Forget the cached sheets of a spreadsheet, so the next `ensureSheet` reads
+   * them again, e.g. after a write to a sheet someone deleted failed
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   */
+  forgetSheets(spreadsheetId) {
+    this._sheetIds.delete(spreadsheetId);
+  }
+  
+  /**
+   * Queue rows for a batched write
+   * Writes to the same spreadsheet and range are sent as one request once
+   * `bufferConfig.maxRows` rows are waiting, or `bufferConfig.windowMs` after
+   * the first of them. Requests the Sheets API rejects for quota are retried
+   * with exponential backoff, and all batches wait out the backoff together.
+   * When a batch fails for another reason, each caller's rows are written on
+   * their own, so one bad row does not fail the others.
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   * @param {string} range - Sheet name or range to append to (e.g. 'Sheet1!A1')
+   * @param {Object} write - What to write
+   * @param {Array<Array<*>>} [write.values] - Rows in column order, appended as they are
+   * @param {Array<Object>} [write.records] - Records keyed by header name, written like `writeRecords`
+   * @param {string} [write.upsertKey] - Header of the key column for records
+   * @param {string} [write.valueInputOption='USER_ENTERED'] - How to interpret the data
+   * @returns {Promise<Array<Object>>} One outcome per row or record, in order:
+   *   `{ status: 'appended' | 'updated', sheet, row }`, or
+   *   `{ status: 'failed', error, retryable, httpStatus }` where `retryable` marks
+   *   quota errors and `httpStatus` is the status of the error, if any
+   * @throws {Error} If the spreadsheet, range or rows are missing
+   */
+  async bufferWrite(spreadsheetId, range, { values, records, upsertKey, valueInputOption = 'USER_ENTERED' } = {}) {
+    const rows = records ?? values;
+    if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+    if (!range) throw new Error('Range is required');
+    if (!Array.isArray(rows) || rows.length === 0) throw new Error('Values or records must be provided as a non-empty array');
+    
+    const mode = records ? 'records' : 'values';
+    // Records are matched by header, so every range on a sheet shares a batch
+    const key = [spreadsheetId, mode === 'records' ? sheetNameOf(range) : range, mode, upsertKey ?? '', valueInputOption].join('|');
+    
+    let buffer = this._writeBuffers.get(key);
+    if (!buffer) {
+      buffer = { spreadsheetId, range, mode, upsertKey, valueInputOption, entries: [], size: 0 };
+      buffer.timer = setTimeout(() => {
+        this._flushWriteBuffer(key);
+      }, this.bufferConfig.windowMs);
+      // Don't keep the process alive for a pending batch
+      buffer.timer.unref?.();
+      this._writeBuffers.set(key, buffer);
+    }
+    
+    const outcomes = new Promise(resolve => {
+      buffer.entries.push({ rows, resolve });
+    });
+    buffer.size += rows.length;
+    
+    if (buffer.size >= this.bufferConfig.maxRows) {
+      this._flushWriteBuffer(key);
+    }
+    return outcomes;
+  }
+  
+  /**
+   * Write every pending batch now, e.g. before shutting down
+   * @returns {Promise<void>} Resolves once every batch is written or has failed
+   */
+  async flushWriteBuffers() {
+    await Promise.all([...this._writeBuffers.keys()].map(key => this._flushWriteBuffer(key)));
+  }
+  
+  /**
+   * Number of rows waiting for a batched write
+   * @returns {number} Pending rows across all batches
+   */
+  pendingWrites() {
+    return [...this._writeBuffers.values()].reduce((total, buffer) => total + buffer.size, 0);
+  }
+  
+  /**
+   * Write a pending batch and settle its callers with their outcomes
+   * @param {string} key - Batch key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flushWriteBuffer(key) {
+    const buffer = this._writeBuffers.get(key);
+    if (!buffer) {
+      return;
+    }
+    
+    clearTimeout(buffer.timer);
+    this._writeBuffers.delete(key);
+    
+    const failed = error => ({
+      status: 'failed',
+      error: error.message,
+      retryable: isQuotaError(error),
+      httpStatus: httpStatusOf(error)
+    });
+    
+    try {
+      const outcomes = await this._writeBatch(buffer, buffer.entries);
+      buffer.entries.forEach((entry, index) => entry.resolve(outcomes[index]));
+      this.logger.info(`Wrote batch of ${buffer.size} rows to ${buffer.range}`, { callers: buffer.entries.length });
+    } catch (error) {
+      if (buffer.entries.length === 1 || isQuotaError(error)) {
+        this.logger.error(`Failed to write batch of ${buffer.size} rows to ${buffer.range}`, error);
+        buffer.entries.forEach(entry => entry.resolve(entry.rows.map(() => failed(error))));
+        return;
+      }
+      
+      // The API rejects a request as a whole, so find the rows at fault by writing each caller's alone
+      this.logger.warn(`Batch write to ${buffer.range} failed, writing ${buffer.entries.length} callers separately: ${error.message}`);
+      for (const entry of buffer.entries) {
+        try {
+          const [outcome] = await this._writeBatch(buffer, [entry]);
+          entry.resolve(outcome);
+        } catch (entryError) {
+          this.logger.error(`Failed to write ${entry.rows.length} rows to ${buffer.range}`, entryError);
+          entry.resolve(entry.rows.map(() => failed(entryError)));
+        }
+      }
+    }
+  }
+  
+  /**
+   * Write the rows of some batch callers in one request
+   * @param {Object} buffer - Batch being flushed
+   * @param {Array<Object>} entries - Callers whose rows are written
+   * @returns {Promise<Array<Array<Object>>>} Row outcomes of each caller
+   * @throws {Error} If the write failed after any quota retries
+   * @private
+   */
+  async _writeBatch(buffer, entries) {
+    const { spreadsheetId, range, mode, upsertKey, valueInputOption } = buffer;
+    const rows = entries.flatMap(entry => entry.rows);
+    
+    let placed;
+    if (mode === 'records') {
+      const result = await this._withQuotaRetry(range,
+        () => this._writeRecords(spreadsheetId, range, rows, { upsertKey, valueInputOption }));
+      placed = result.rows.map(({ action, row }) => ({ status: action, sheet: result.sheet, row }));
+    } else {
+      const response = await this._withQuotaRetry(range, async () => {
+        const sheets = await this.getSheetsClient();
+        if (!sheets) throw new Error('Google Sheets client is not available');
+        return sheets.spreadsheets.values.append({ spreadsheetId, range, valueInputOption, resource: { values: rows } });
+      });
+      const first = firstRowOf(response.data.updates?.updatedRange);
+      placed = rows.map((row, index) => ({
+        status: 'appended',
+        sheet: first?.sheet ?? sheetNameOf(range),
+        row: first ? first.row + index : null
+      }));
+    }
+    
+    let offset = 0;
+    return entries.map(entry => placed.slice(offset, offset += entry.rows.length));
+  }
+  
+  /**
+   * Run a Sheets write, retrying it with exponential backoff while the API
+   * reports the quota used up
+   * Honors Retry-After, and holds back every other write until the backoff ends
+   * @param {string} range - Range written, for logs
+   * @param {Function} operation - Async write
+   * @returns {Promise<*>} Result of the write
+   * @throws {Error} The last error once retries are used up, or any other error
+   * @private
+   */
+  async _withQuotaRetry(range, operation) {
+    for (let attempt = 0; ; attempt++) {
+      const wait = this._quotaResumeAt - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      
+      try {
+        return await operation();
+      } catch (error) {
+        if (!isQuotaError(error) || attempt >= this.bufferConfig.maxRetries) {
+          throw error;
+        }
+        
+        const delay = retryAfterMs(error) ??
+          Math.min(this.bufferConfig.retryDelayMs * Math.pow(2, attempt), SHEETS_MAX_RETRY_DELAY_MS);
+        this._quotaResumeAt = Math.max(this._quotaResumeAt, Date.now() + delay);
+        this.logger.warn(`Sheets quota exceeded writing ${range}, retrying in ${delay}ms (${attempt + 1}/${this.bufferConfig.maxRetries})`);
+      }
+    }
+  }
+  
+  /**
+   * Read the sheet IDs of a spreadsheet by title and cache them
+   * @param {Object} sheets - Google Sheets API client
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   * @returns {Promise<Map<string, number>>} Sheet IDs by title
+   * @private
+   */
+  async _loadSheetIds(sheets, spreadsheetId) {
+    const response = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(sheetId,title)'
+    });
+    const sheetIds = new Map((response.data.sheets ?? [])
+      .map(({ properties }) => [properties.title, properties.sheetId]));
+    this._sheetIds.set(spreadsheetId, sheetIds);
+    return sheetIds;
+  }
+  
+  /**
+   * Read the trimmed header row of a sheet
+   * @param {Object} sheets - Google Sheets API client
+   * @param {string} spreadsheetId - ID of the spreadsheet
+   * @param {string} sheet - Sheet name
+   * @returns {Promise<Array<string>>} Header names, empty for an empty sheet
+   * @private
+   */
+  async _readHeaders(sheets, spreadsheetId, sheet) {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${quoteSheetName(sheet)}!1:1`
+    });
+    return (response.data.values?.[0] ?? []).map(header => String(header).trim());
+  }
+  
+  /**
+   * Run record writes to one sheet one after another
+   * @param {string} key - Spreadsheet and sheet
+   * @param {Function} operation - Async write
+   * @returns {Promise<*>} Result of the write
+   * @private
+   */
+  _withSheetLock(key, operation) {
+    const previous = this._sheetLocks.get(key) ?? Promise.resolve();
+    const current = previous.then(operation);
+    const settled = current.catch(() => {});
+    this._sheetLocks.set(key, settled);
+    settled.then(() => {
+      if (this._sheetLocks.get(key) === settled) {
+        this._sheetLocks.delete(key);
+      }
+    });
+    return current;
+  }
 }
 
 // Create connector instances only once
@@ -6,6 +6,7 @@
 import { Logger } from '../../loggerFramework.js';
 import serviceRegistry from '../../serviceRegistry.js';
 import initialization from '../../initialization.js';
+import deliveryQueue from '../../deliveryQueue.js';
 import os from 'os';
 import fs from 'fs';
 import { promisify } from 'util';
@@ -88,6 +89,43 @@ const systemTools = [
     description: 'Service Registry',
     inputSchema: { type: 'object', properties: {}, required: [] },
   },
+  {
+    name: 'system_list_deliveries',
+    description: 'List Queued and Dead-Letter Deliveries',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['pending', 'in_flight', 'dead'], description: 'Only entries with this status' },
+        destination: { type: 'string', description: 'Only entries for this destination' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50, description: 'Maximum entries to return' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'system_replay_delivery',
+    description: 'Replay Queued Delivery',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Delivery ID' },
+      },
+      required: ['id'],
+    },
+  },
+  {
+    name: 'system_purge_deliveries',
+    description: 'Purge Queued Deliveries',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Delivery ID to purge; omit to purge by filter' },
+        status: { type: 'string', enum: ['pending', 'dead'], description: 'Only purge entries with this status' },
+        destination: { type: 'string', description: 'Only purge entries for this destination' },
+      },
+      required: [],
+    },
+  },
 
 
 ];
@@ -418,6 +456,62 @@ async function systemDispatcher(request) {
       }
     }
 
+    case 'system_list_deliveries': {
+      const { status, destination, limit = 50 } = sanitizedArgs || {};
+      try {
+        await deliveryQueue.ready;
+        const entries = await deliveryQueue.list({ status, destination });
+        const result = {
+          timestamp: new Date().toISOString(),
+          stats: await deliveryQueue.getStats(),
+          total: entries.length,
+          entries: entries.slice(0, limit)
+        };
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        logger.error('Error listing deliveries:', error);
+        return {
+          content: [{ type: 'text', text: `Delivery queue error: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+    case 'system_replay_delivery': {
+      const { id } = sanitizedArgs || {};
+      try {
+        await deliveryQueue.ready;
+        const result = await deliveryQueue.replay(id);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        logger.error('Error replaying delivery:', error);
+        return {
+          content: [{ type: 'text', text: `Delivery replay error: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+    case 'system_purge_deliveries': {
+      const { id, status, destination } = sanitizedArgs || {};
+      try {
+        await deliveryQueue.ready;
+        const purged = id
+          ? (await deliveryQueue.purge(id) ? 1 : 0)
+          : await deliveryQueue.purgeAll({ status, destination });
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ purged }, null, 2) }]
+        };
+      } catch (error) {
+        logger.error('Error purging deliveries:', error);
+        return {
+          content: [{ type: 'text', text: `Delivery purge error: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
 
     default:
       return {
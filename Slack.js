@@ -1,9 +1,66 @@
 /**
  * SlackConnector - Connector for Slack webhook notifications
- * Provides methods for sending notifications to different Slack channels
+ * Provides methods for sending notifications to different Slack channels,
+ * either through incoming webhooks or through the Web API with a bot token
  */
 import ConnectorBase from './connectorBase.js';
 import serviceRegistry from './serviceRegistry.js';
+import Fullstory from './Fullstory.js';
+import { IdempotencyCacheService } from './idempotencyCache.js';
+
+const SLACK_API_URL = 'https://slack.com/api';
+
+/**
+ * Block Kit text limits
+ * @see https://api.slack.com/reference/block-kit/blocks
+ */
+const BLOCK_LIMITS = {
+  header: 150,
+  sectionText: 3000,
+  fieldText: 2000
+};
+
+/**
+ * Action IDs of the follow-up buttons on signal messages, handled by the
+ * Slack interactions endpoint
+ */
+const SLACK_ACTIONS = {
+  createJiraTicket: 'create_jira_ticket',
+  getSessionSummary: 'get_session_summary',
+  muteUser: 'mute_user'
+};
+
+/**
+ * Web API errors that may succeed when retried; any other `ok: false` error is permanent
+ * @see https://api.slack.com/methods/chat.postMessage#errors
+ */
+const SLACK_TRANSIENT_ERRORS = ['internal_error', 'fatal_error', 'service_unavailable', 'request_timeout'];
+
+/**
+ * Failure result of a delivery method, keeping the HTTP status of the error
+ * so callers can tell permanent failures from transient ones
+ * @private
+ */
+function deliveryFailure(error) {
+  return { ok: false, error: 'Operation failed', status: error.status };
+}
+
+/**
+ * Cut text to a Block Kit limit
+ * @private
+ */
+function truncate(text, limit) {
+  const value = String(text);
+  return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+/**
+ * Whether a webhook value holds real data rather than an `extractCommonData` placeholder
+ * @private
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '' && value !== 'Undefined';
+}
 
 /**
  * Slack connector class
@@ -24,8 +81,30 @@ class SlackConnector extends ConnectorBase {
     this.webhookUrl = this.getConfig('slack_webhook_url');
     this.aiWebhookUrl = this.getConfig('slack_ai_webhook_url');
     
+    // 'blocks' renders webhook data as a Block Kit message, 'raw' posts it unchanged
+    this.messageFormat = this.getConfig('slack_message_format', 'blocks') || 'blocks';
+    
+    // Bot-token mode posts through the Web API so messages can target channels,
+    // threads and later updates
+    this.botToken = this.getConfig('slack_bot_token');
+    this.defaultChannel = this.getConfig('slack_default_channel');
+    
+    // Follow-up buttons are only useful when the interactions endpoint can verify Slack's requests
+    this.interactive = !!this.getConfig('slack_signing_secret');
+    this.muteDurationMs = this.getConfigNumber('slack_mute_duration_ms', 86400000); // 24 hours
+    // Mutes get their own store so they don't share keys, TTLs or Redis with webhook deduplication
+    this.muteStore = options.muteStore || new IdempotencyCacheService(undefined, {
+      name: 'SlackMuteStore',
+      config: {
+        enabled: true,
+        ttlMs: this.muteDurationMs,
+        useRedis: this.getConfigBoolean('slack_mute_use_redis', false),
+        redisUrl: this.getConfig('slack_mute_redis_url', 'redis://localhost:6379')
+      }
+    });
+    
     // Check if configuration is valid
-    this.isConfigured = this.webhookUrl ? true : false;
+    this.isConfigured = this.webhookUrl || this.botToken ? true : false;
     
     // Retry and rate limiting configuration
     this.maxRetries = options.maxRetries || 3;
@@ -44,12 +123,220 @@ class SlackConnector extends ConnectorBase {
    * @protected
    */
   async _initializeConnector() {
+    await this.muteStore.initialize();
+
     return {
       status: this.isConfigured ? 'configured' : 'not_configured',
-      hasAIWebhook: !!this.aiWebhookUrl
+      muteStorage: this.muteStore.config.useRedis ? 'redis' : 'memory',
+      hasAIWebhook: !!this.aiWebhookUrl,
+      hasBotToken: !!this.botToken,
+      interactive: this.interactive,
+      messageFormat: this.messageFormat
     };
   }
 
+  /**
+   * Build a Block Kit message for a Fullstory signal
+   * Renders a header, user and email fields, the session summary, a replay
+   * button and a context footer from `extractCommonData` output plus any
+   * `replay_url`, `session_link` or `session_summary` enrichment and the
+   * `prediction`, `bail_score` and `car_id` fields of AI signals. When the
+   * interactions endpoint is configured, buttons to create a Jira ticket, get
+   * an AI session summary and mute the user are added.
+   * @param {Object} data - Webhook data
+   * @returns {Object} Slack message payload with `text` fallback and `blocks`
+   */
+  buildSignalMessage(data) {
+    const eventName = hasValue(data.event_name) ? data.event_name : 'Fullstory signal';
+    const user = [data.display_name, data.uid].filter(hasValue);
+    const who = hasValue(data.email) ? data.email : user[0];
+
+    const blocks = [{
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(eventName, BLOCK_LIMITS.header), emoji: true }
+    }];
+
+    const fields = [
+      ['User', user.length === 2 ? `${user[0]} (${user[1]})` : user[0]],
+      ['Email', data.email],
+      ['Time', data.timestamp],
+      ['Prediction', data.prediction],
+      ['Bail score', data.bail_score],
+      ['Car ID', data.car_id]
+    ].filter(([, value]) => hasValue(value))
+      .map(([label, value]) => ({ type: 'mrkdwn', text: truncate(`*${label}*\n${value}`, BLOCK_LIMITS.fieldText) }));
+
+    if (fields.length > 0) {
+      blocks.push({ type: 'section', fields });
+    }
+
+    if (hasValue(data.session_summary)) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: truncate(`*Session summary*\n${data.session_summary}`, BLOCK_LIMITS.sectionText) }
+      });
+    }
+
+    const replayUrl = this._getReplayUrl(data);
+
+    const buttons = replayUrl
+      ? [{
+        type: 'button',
+        text: { type: 'plain_text', text: 'Watch session replay', emoji: true },
+        url: replayUrl,
+        style: 'primary',
+        action_id: 'open_session_replay'
+      }]
+      : [];
+
+    if (this.interactive && hasValue(data.uid)) {
+      buttons.push(...this._buildActionButtons(data));
+    }
+
+    if (buttons.length > 0) {
+      blocks.push({ type: 'actions', elements: buttons });
+    }
+
+    const footer = ['Sent by Lexicon', hasValue(data.session_id) && `Session ${data.session_id}`,
+      hasValue(data.signal_version) && `Signal v${data.signal_version}`].filter(Boolean);
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: footer.join(' • ') }]
+    });
+
+    return {
+      text: who ? `${eventName} by ${who}` : eventName,
+      blocks
+    };
+  }
+
+  /**
+   * Build a Block Kit summary of the signals buffered by a Slack digest
+   * Renders the signal count, counts per event name, the most affected users
+   * and replay links for the latest signals
+   * @param {Array<Object>} events - Buffered webhook data, oldest first
+   * @param {Object} [options] - Digest details
+   * @param {string} [options.route] - Route the signals came in on
+   * @param {number} [options.windowMs] - Digest window
+   * @param {number} [options.top=5] - Users and replay links to list
+   * @returns {Object} Slack message payload with `text` fallback and `blocks`
+   */
+  buildDigestMessage(events, { route, windowMs, top = 5 } = {}) {
+    const countBy = keyOf => {
+      const counts = new Map();
+      for (const event of events) {
+        const key = keyOf(event);
+        if (key) {
+          counts.set(key, (counts.get(key) ?? 0) + 1);
+        }
+      }
+      return [...counts].sort((a, b) => b[1] - a[1]);
+    };
+    const userLabel = event => [event.email, event.display_name, event.uid].find(hasValue);
+
+    const minutes = windowMs ? Math.max(Math.round(windowMs / 60000), 1) : null;
+    const title = `${events.length} ${events.length === 1 ? 'signal' : 'signals'}${minutes ? ` in the last ${minutes} min` : ''}`;
+
+    const eventLines = countBy(event => (hasValue(event.event_name) ? event.event_name : 'Fullstory signal'))
+      .map(([name, count]) => `• *${name}* × ${count}`);
+    const userLines = countBy(userLabel).slice(0, top)
+      .map(([user, count]) => `• ${user} (${count})`);
+    const replayLines = events.slice().reverse()
+      .map(event => ({ event, url: this._getReplayUrl(event) }))
+      .filter(({ url }) => url)
+      .slice(0, top)
+      .map(({ event, url }) => `• <${url}|${hasValue(event.event_name) ? event.event_name : 'Session'}${userLabel(event) ? ` by ${userLabel(event)}` : ''}>`);
+
+    const section = (heading, lines) => ({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`*${heading}*\n${lines.join('\n')}`, BLOCK_LIMITS.sectionText) }
+    });
+
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: truncate(`Digest: ${title}`, BLOCK_LIMITS.header), emoji: true } },
+      section('Events', eventLines)
+    ];
+    if (userLines.length > 0) {
+      blocks.push(section('Top affected users', userLines));
+    }
+    if (replayLines.length > 0) {
+      blocks.push(section('Latest replays', replayLines));
+    }
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: ['Sent by Lexicon', route && `Route ${route}`].filter(Boolean).join(' • ') }]
+    });
+
+    return { text: `Lexicon digest: ${title}`, blocks };
+  }
+
+  /**
+   * Session replay URL for a signal
+   * Prefers an enriched `replay_url` or `session_link` over building a link
+   * @param {Object} data - Webhook data
+   * @returns {string|null} Replay URL
+   * @private
+   */
+  _getReplayUrl(data) {
+    return [data.replay_url, data.session_link].find(url => hasValue(url) && /^https?:\/\//.test(url))
+      ?? (hasValue(data.uid) && hasValue(data.session_id) ? Fullstory.getSessionLink(data.uid, data.session_id) : null);
+  }
+
+  /**
+   * Build the follow-up action buttons for a signal
+   * Each button carries the signal's user, session and event in its value so
+   * the interactions endpoint can act without looking the alert up again
+   * @param {Object} data - Webhook data with a `uid`
+   * @returns {Array<Object>} Button elements
+   * @private
+   */
+  _buildActionButtons(data) {
+    const value = JSON.stringify(Object.fromEntries(
+      ['uid', 'session_id', 'event_name', 'email']
+        .filter(key => hasValue(data[key]))
+        .map(key => [key, truncate(data[key], 200)])
+    ));
+    const button = (text, actionId) => ({
+      type: 'button',
+      text: { type: 'plain_text', text, emoji: true },
+      action_id: actionId,
+      value
+    });
+
+    const hours = Math.max(Math.round(this.muteDurationMs / 3600000), 1);
+
+    return [
+      button('Create Jira ticket', SLACK_ACTIONS.createJiraTicket),
+      ...(hasValue(data.session_id) ? [button('Get AI session summary', SLACK_ACTIONS.getSessionSummary)] : []),
+      {
+        ...button(`Mute this user for ${hours}h`, SLACK_ACTIONS.muteUser),
+        confirm: {
+          title: { type: 'plain_text', text: 'Mute alerts?' },
+          text: { type: 'mrkdwn', text: `No Slack alerts will be sent for *${truncate(data.uid, 200)}* for the next ${hours} hours.` },
+          confirm: { type: 'plain_text', text: 'Mute' },
+          deny: { type: 'plain_text', text: 'Cancel' }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Prepare the body posted to the standard webhook
+   * Data that is already a Slack message (has `text`, `blocks` or `attachments`)
+   * is posted as is, anything else is rendered as Block Kit unless the
+   * message format is 'raw'
+   * @param {Object} data - Data to send to Slack
+   * @returns {Object} Message payload
+   * @private
+   */
+  _formatMessage(data) {
+    const isMessage = ['text', 'blocks', 'attachments'].some(key => data?.[key] !== undefined);
+    if (this.messageFormat === 'raw' || isMessage) {
+      return data;
+    }
+    return this.buildSignalMessage(data);
+  }
+
   /**
    * Send data to a Slack webhook URL with retry logic
    * @param {string} webhookUrl - Target webhook URL
@@ -58,10 +345,132 @@ class SlackConnector extends ConnectorBase {
    * @private
    */
   async _sendToWebhook(webhookUrl, data) {
+    return this._enqueue('webhook', async () => {
+      if (!webhookUrl) {
+        throw new Error('Slack webhook URL not configured');
+      }
+
+      this.logger.debug('Sending message to Slack', {
+        urlLength: webhookUrl.length,
+        dataKeys: Object.keys(data)
+      });
+
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(data)
+      });
+
+      if (!response.ok) {
+        throw await this._createHttpError(response);
+      }
+
+      // Slack webhooks return "ok" as text, not JSON
+      const responseText = await response.text();
+      return { ok: responseText === 'ok' };
+    });
+  }
+
+  /**
+   * Post a message to an interaction or slash command `response_url`
+   * @param {string} responseUrl - URL from the Slack request payload
+   * @param {Object} message - Message, optionally with `replace_original` or `response_type`
+   * @returns {Promise<Object>} `{ ok }`
+   * @private
+   */
+  async _sendToResponseUrl(responseUrl, message) {
+    return this._enqueue('response', async () => {
+      const response = await fetch(responseUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(message)
+      });
+
+      if (!response.ok) {
+        throw await this._createHttpError(response);
+      }
+      return { ok: true };
+    });
+  }
+
+  /**
+   * Call a Slack Web API method with the bot token
+   * @param {string} method - API method, e.g. 'chat.postMessage'
+   * @param {Object} body - JSON request body
+   * @returns {Promise<Object>} Parsed API response
+   * @throws {Error} When the request fails or Slack answers `ok: false`
+   * @private
+   */
+  async _callWebApi(method, body) {
+    return this._enqueue(method, async () => {
+      this.logger.debug(`Calling Slack ${method}`, { channel: body.channel });
+
+      const response = await fetch(`${SLACK_API_URL}/${method}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Authorization': `Bearer ${this.botToken}`
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw await this._createHttpError(response);
+      }
+
+      // The Web API reports failures in the body with HTTP 200
+      const result = await response.json();
+      if (!result.ok) {
+        const error = new Error(`Slack API error: ${method} - ${result.error}`);
+        error.slackError = result.error;
+        // Errors such as channel_not_found or invalid_auth fail the same way when retried
+        if (result.error === 'ratelimited') {
+          error.status = 429;
+        } else {
+          error.status = SLACK_TRANSIENT_ERRORS.includes(result.error) ? 503 : 400;
+        }
+        throw error;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Build an error for a non-2xx Slack response, keeping the status and any
+   * Retry-After delay for the queue's retry logic
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Error>} Error with `status` and optional `retryAfterMs`
+   * @private
+   */
+  async _createHttpError(response) {
+    const errorText = await response.text();
+    const error = new Error(`Slack API error: ${response.status} - ${errorText}`);
+    error.status = response.status;
+
+    const retryAfter = Number(response.headers?.get?.('retry-after'));
+    if (retryAfter > 0) {
+      error.retryAfterMs = retryAfter * 1000;
+    }
+    return error;
+  }
+
+  /**
+   * Queue a Slack request so webhook posts and Web API calls share rate
+   * limiting and retries
+   * @param {string} label - Request label for logging
+   * @param {Function} execute - Async function performing the request
+   * @returns {Promise<*>} Result of `execute`
+   * @private
+   */
+  _enqueue(label, execute) {
     return new Promise((resolve, reject) => {
       this.requestQueue.push({
-        webhookUrl,
-        data,
+        label,
+        execute,
         resolve,
         reject,
         retries: 0
@@ -96,48 +505,22 @@ class SlackConnector extends ConnectorBase {
       this.lastRequestTime = Date.now();
       
       try {
-        if (!request.webhookUrl) {
-          throw new Error('Slack webhook URL not configured');
-        }
-        
-        this.logger.debug('Sending message to Slack', { 
-          urlLength: request.webhookUrl.length,
-          dataKeys: Object.keys(request.data) 
-        });
-        
-        const response = await fetch(request.webhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(request.data)
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          const error = new Error(`Slack API error: ${response.status} - ${errorText}`);
-          error.status = response.status;
-          throw error;
-        }
-        
-        // Slack webhooks return "ok" as text, not JSON
-        const responseText = await response.text();
-        request.resolve({ ok: responseText === 'ok' });
+        request.resolve(await request.execute());
       } catch (error) {
         if (request.retries < this.maxRetries && 
             (error.status === 429 || error.status >= 500)) {
           // Retry on rate limiting (429) or server errors (5xx)
-          this.logger.warn(`Retrying Slack webhook (${request.retries + 1}/${this.maxRetries}): ${error.message}`);
+          this.logger.warn(`Retrying Slack ${request.label} (${request.retries + 1}/${this.maxRetries}): ${error.message}`);
           this.requestQueue.unshift({
             ...request,
             retries: request.retries + 1
           });
           
-          // Add exponential backoff for retries
-          const backoff = this.retryDelay * Math.pow(2, request.retries);
+          // Honor Retry-After when Slack sends it, otherwise back off exponentially
+          const backoff = error.retryAfterMs ?? this.retryDelay * Math.pow(2, request.retries);
           await new Promise(resolve => setTimeout(resolve, backoff));
         } else {
-          this.logger.error('Error sending to Slack webhook:', error);
+          this.logger.error(`Error sending Slack ${request.label}:`, error);
           request.reject(error);
         }
       }
@@ -154,45 +537,194 @@ class SlackConnector extends ConnectorBase {
    * @param {Object} data - Data to send to Slack
    * @param {Object} [options] - Optional parameters
    * @param {boolean} [options.ignoreErrors=false] - Whether to ignore errors
-   * @returns {Promise<Object>} Response from Slack API
+   * @param {string} [options.webhookUrl] - Webhook URL overriding the configured one, e.g. for another channel
+   * @param {string} [options.channel] - Channel to post to in bot-token mode
+   * @param {string} [options.threadTs] - Parent message timestamp to reply under in bot-token mode
+   * @returns {Promise<Object>} Response from Slack API, with `channel` and `ts` in bot-token mode
    */
   async sendWebHook(data, options = {}) {
+    if (this._usesWebApi(options)) {
+      return this.postMessage(data, options);
+    }
+
     return this.safeExecute(async () => {
-      if (!this.isConfigured) {
+      const url = options.webhookUrl || this.webhookUrl;
+
+      if (!url) {
         this.logger.warn('Slack message not sent - connector not configured');
-        return { ok: false, error: 'Connector not configured' };
+        return { ok: false, error: 'Connector not configured', retryable: false };
       }
       
       this.logger.info('Sending data to standard Slack webhook');
-      return await this._sendToWebhook(this.webhookUrl, data);
-    }, 'sendWebHook', { ok: false, error: 'Operation failed' });
+      return await this._sendToWebhook(url, this._formatMessage(data));
+    }, 'sendWebHook', deliveryFailure);
   }
   
   /**
    * Send notification to the AI-specific webhook
-   * The AI webhook expects different fields in the request body
+   * Formatted like the standard webhook, so AI signals are rendered as Block Kit
+   * unless the message format is 'raw'
    * @param {Object} data - Data to send to Slack
    * @param {Object} [options] - Optional parameters
    * @param {boolean} [options.ignoreErrors=false] - Whether to ignore errors
+   * @param {string} [options.webhookUrl] - Webhook URL overriding the configured one, e.g. for another channel
    * @returns {Promise<Object>} Response from Slack API
    */
   async sendAIWebHook(data, options = {}) {
     return this.safeExecute(async () => {
-      if (!this.isConfigured) {
+      if (!this.isConfigured && !options.webhookUrl) {
         this.logger.warn('AI Slack message not sent - connector not configured');
-        return { ok: false, error: 'Connector not configured' };
+        return { ok: false, error: 'Connector not configured', retryable: false };
       }
       
-      const url = this.aiWebhookUrl || this.webhookUrl;
+      const url = options.webhookUrl || this.aiWebhookUrl || this.webhookUrl;
       
       if (!url) {
         this.logger.error('No webhook URL provided for AI webhook');
-        return { ok: false, error: 'No webhook URL configured' };
+        return { ok: false, error: 'No webhook URL configured', retryable: false };
       }
       
       this.logger.info('Sending data to AI Slack webhook');
-      return await this._sendToWebhook(url, data);
-    }, 'sendAIWebHook', { ok: false, error: 'Operation failed' });
+      return await this._sendToWebhook(url, this._formatMessage(data));
+    }, 'sendAIWebHook', deliveryFailure);
+  }
+
+  /**
+   * Reply to a Slack interaction or slash command through its `response_url`
+   * Works for messages posted by webhooks as well as by the bot, and needs no token
+   * @param {string} responseUrl - URL from the Slack request payload
+   * @param {Object} message - Slack message; set `replace_original: true` to update
+   *   the message the action came from, or `response_type: 'ephemeral'` to only
+   *   show it to the user who acted
+   * @returns {Promise<Object>} `{ ok }`
+   */
+  async respond(responseUrl, message) {
+    return this.safeExecute(async () => {
+      if (!/^https:\/\/hooks\.slack\.com\//.test(responseUrl ?? '')) {
+        this.logger.warn('Slack response not sent - invalid response URL');
+        return { ok: false, error: 'Invalid response URL' };
+      }
+
+      return await this._sendToResponseUrl(responseUrl, message);
+    }, 'respond', { ok: false, error: 'Operation failed' });
+  }
+
+  /**
+   * Stop Slack alerts for a user for a while
+   * Re-muting restarts the window
+   * @param {string} uid - Fullstory user ID
+   * @param {number} [durationMs] - Mute duration, defaults to `slack_mute_duration_ms` (24 hours)
+   * @returns {Promise<Object>} `{ muted, until }`, with `muted: false` if the mute could not be stored
+   */
+  async muteUser(uid, durationMs = this.muteDurationMs) {
+    const until = new Date(Date.now() + durationMs).toISOString();
+
+    if (!(await this.muteStore.set(`slack-mute:${uid}`, { until }, durationMs))) {
+      this.logger.warn('Could not store Slack mute for user', { uid });
+      return { muted: false, until: null };
+    }
+
+    this.logger.info('Muted Slack alerts for user', { uid, until });
+    return { muted: true, until };
+  }
+
+  /**
+   * Check whether Slack alerts for a user are muted
+   * @param {string} uid - Fullstory user ID
+   * @returns {Promise<boolean>} True while the user is muted
+   */
+  async isUserMuted(uid) {
+    if (!hasValue(uid)) {
+      return false;
+    }
+    return !!(await this.muteStore.get(`slack-mute:${uid}`));
+  }
+
+  /**
+   * Whether a message should go through the Web API rather than a webhook
+   * Bot-token mode applies when a bot token and a channel are available and
+   * the caller did not ask for a specific webhook URL
+   * @param {Object} options - Send options
+   * @returns {boolean} True to use `chat.postMessage`
+   * @private
+   */
+  _usesWebApi(options = {}) {
+    return !!this.botToken && !options.webhookUrl && !!(options.channel || this.defaultChannel);
+  }
+
+  /**
+   * Post a message with `chat.postMessage` using the bot token
+   * @param {Object} data - Webhook data or a Slack message
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.channel] - Channel ID or name, defaults to `slack_default_channel`
+   * @param {string} [options.threadTs] - Parent message timestamp to reply in its thread
+   * @returns {Promise<Object>} `{ ok, channel, ts, threadTs }`, where `threadTs` is the thread later replies belong to
+   */
+  async postMessage(data, options = {}) {
+    return this.safeExecute(async () => {
+      const channel = options.channel || this.defaultChannel;
+
+      if (!this.botToken) {
+        this.logger.warn('Slack message not posted - bot token not configured');
+        return { ok: false, error: 'Bot token not configured', retryable: false };
+      }
+      if (!channel) {
+        this.logger.warn('Slack message not posted - no channel given');
+        return { ok: false, error: 'No channel configured', retryable: false };
+      }
+
+      this.logger.info(options.threadTs ? 'Replying in Slack thread' : 'Posting Slack message', { channel });
+      const result = await this._callWebApi('chat.postMessage', {
+        channel,
+        ...this._formatMessage(data),
+        ...(options.threadTs && { thread_ts: options.threadTs })
+      });
+
+      return {
+        ok: true,
+        channel: result.channel,
+        ts: result.ts,
+        threadTs: options.threadTs || result.ts
+      };
+    }, 'postMessage', deliveryFailure);
+  }
+
+  /**
+   * Reply in the thread of an earlier message
+   * @param {Object} data - Webhook data or a Slack message
+   * @param {Object} options - Reply target
+   * @param {string} options.channel - Channel of the parent message
+   * @param {string} options.threadTs - Parent message timestamp
+   * @returns {Promise<Object>} `{ ok, channel, ts, threadTs }`
+   */
+  async replyInThread(data, options) {
+    return this.postMessage(data, options);
+  }
+
+  /**
+   * Replace an earlier message with `chat.update`
+   * @param {Object} data - Webhook data or a Slack message
+   * @param {Object} options - Message to update
+   * @param {string} options.channel - Channel of the message
+   * @param {string} options.ts - Timestamp of the message
+   * @returns {Promise<Object>} `{ ok, channel, ts }`
+   */
+  async updateMessage(data, options) {
+    return this.safeExecute(async () => {
+      if (!this.botToken) {
+        this.logger.warn('Slack message not updated - bot token not configured');
+        return { ok: false, error: 'Bot token not configured', retryable: false };
+      }
+
+      this.logger.info('Updating Slack message', { channel: options.channel });
+      const result = await this._callWebApi('chat.update', {
+        channel: options.channel,
+        ts: options.ts,
+        ...this._formatMessage(data)
+      });
+
+      return { ok: true, channel: result.channel, ts: result.ts };
+    }, 'updateMessage', deliveryFailure);
   }
 }
 
@@ -212,9 +744,18 @@ serviceRegistry.register('slack', slackConnector);
 const slackExports = {
   sendWebHook: slackConnector.sendWebHook.bind(slackConnector),
   sendAIWebHook: slackConnector.sendAIWebHook.bind(slackConnector),
+  postMessage: slackConnector.postMessage.bind(slackConnector),
+  replyInThread: slackConnector.replyInThread.bind(slackConnector),
+  updateMessage: slackConnector.updateMessage.bind(slackConnector),
+  respond: slackConnector.respond.bind(slackConnector),
+  muteUser: slackConnector.muteUser.bind(slackConnector),
+  isUserMuted: slackConnector.isUserMuted.bind(slackConnector),
+  buildSignalMessage: slackConnector.buildSignalMessage.bind(slackConnector),
+  buildDigestMessage: slackConnector.buildDigestMessage.bind(slackConnector),
   client: slackConnector,
-  SlackConnector
+  SlackConnector,
+  SLACK_ACTIONS
 };
 
 export default slackExports;
-export { slackConnector as client, SlackConnector };
\ No newline at end of file
+export { slackConnector as client, SlackConnector, SLACK_ACTIONS };
\ No newline at end of file
@@ -200,36 +200,50 @@ class SnowflakeConnector extends ConnectorBase {
      * @returns {Promise<Array>} Query results
      */
     async executeQuery(sqlText, bindings = []) {
-        return this.safeExecute(async () => {
-            if (!this.isConfigured) {
-                throw new Error('Snowflake is not properly configured');
-            }
-            
-            if (!this.connection) {
-                throw new Error("Connection not established. Call connect() first.");
-            }
-            
-            this.logger.info('Executing query:', {
-                sqlText,
-                bindingsCount: Array.isArray(bindings) ? bindings.length : Object.keys(bindings).length
-            });
-            
-            return new Promise((resolve, reject) => {
-                this.connection.execute({
-                    sqlText: sqlText,
-                    binds: bindings,
-                    complete: function(err, stmt, rows) {
-                        if (err) {
-                            this.logger.error('Failed to execute statement:', err.message);
-                            reject(err);
-                        } else {
-                            this.logger.debug('Successfully executed statement, rows returned:', rows.length);
-                            resolve(rows);
-                        }
-                    }.bind(this)
-                });
+        return this.safeExecute(
+            () => this._executeQuery(sqlText, bindings),
+            `executeQuery(${sqlText.substring(0, 30)}...)`,
+            []
+        );
+    }
+
+    /**
+     * Execute a SQL query, throwing when it fails
+     * @param {string} sqlText - SQL query text
+     * @param {Array|Object} bindings - Parameter bindings
+     * @returns {Promise<Array>} Query results
+     * @throws {Error} If Snowflake is not configured, not connected or rejected the query
+     * @private
+     */
+    async _executeQuery(sqlText, bindings = []) {
+        if (!this.isConfigured) {
+            throw new Error('Snowflake is not properly configured');
+        }
+        
+        if (!this.connection) {
+            throw new Error("Connection not established. Call connect() first.");
+        }
+        
+        this.logger.info('Executing query:', {
+            sqlText,
+            bindingsCount: Array.isArray(bindings) ? bindings.length : Object.keys(bindings).length
+        });
+        
+        return new Promise((resolve, reject) => {
+            this.connection.execute({
+                sqlText: sqlText,
+                binds: bindings,
+                complete: function(err, stmt, rows) {
+                    if (err) {
+                        this.logger.error('Failed to execute statement:', err.message);
+                        reject(err);
+                    } else {
+                        this.logger.debug('Successfully executed statement, rows returned:', rows.length);
+                        resolve(rows);
+                    }
+                }.bind(this)
             });
-        }, `executeQuery(${sqlText.substring(0, 30)}...)`, []);
+        });
     }
 
     /**
@@ -268,22 +282,48 @@ class SnowflakeConnector extends ConnectorBase {
                 return [];
             }
 
-            try {
-                await this.createConnection();
-                await this.connect();
-
-                const isValid = await this.checkConnection();
-                if (!isValid) {
-                    throw new Error('Invalid connection');
-                }
+            return this._withConnection(operation);
+        }, 'withConnection', []);
+    }
 
-                const result = await operation(this);
-                return result;
+    /**
+     * Execute an operation on a new connection, throwing when it fails
+     * @param {Function} operation - Async function that takes connector as parameter
+     * @returns {Promise<*>} Result of the operation
+     * @throws {Error} If the connection could not be opened or the operation failed
+     * @private
+     */
+    async _withConnection(operation) {
+        try {
+            await this.createConnection();
+            await this.connect();
 
-            } finally {
-                await this.disconnect();
+            const isValid = await this.checkConnection();
+            if (!isValid) {
+                throw new Error('Invalid connection');
             }
-        }, 'withConnection', []);
+
+            return await operation(this);
+        } finally {
+            await this.disconnect();
+        }
+    }
+    
+    /**
+     * Execute a statement on its own connection, throwing when it fails
+     * Unlike `withConnection` and `executeQuery`, failures reach the caller,
+     * so deliveries can be retried
+     * @param {string} sqlText - SQL statement text
+     * @param {Array|Object} bindings - Parameter bindings
+     * @returns {Promise<Array>} Statement results
+     * @throws {Error} If Snowflake is not configured, the connection failed or the statement was rejected
+     */
+    async executeStatement(sqlText, bindings = []) {
+        if (!this.isConfigured) {
+            throw new Error('Snowflake is not properly configured');
+        }
+
+        return this._withConnection(connector => connector._executeQuery(sqlText, bindings));
     }
     
     /**
@@ -329,49 +369,35 @@ class SnowflakeConnector extends ConnectorBase {
     }
     
     /**
-     * Insert multiple rows into a table
+     * Insert multiple rows into a table with one multi-row INSERT on one connection
+     * Unlike `executeQuery`, failures are thrown so callers know the rows were not written
      * @param {string} table - Table name
-     * @param {Array<Object>} rows - Array of row objects
+     * @param {Array<Object>} rows - Array of row objects, with the columns of the first row
      * @returns {Promise<Array>} Insert results
+     * @throws {Error} If Snowflake is not configured or rejected the statement
      */
     async insertRows(table, rows) {
-        return this.safeExecute(async () => {
-            if (!this.isConfigured) {
-                this.logger.warn('Snowflake insertRows skipped: not configured');
-                return [];
-            }
-
-            if (!rows || rows.length === 0) {
-                return [];
-            }
-            
-            // Get column names from the first row
-            const columns = Object.keys(rows[0]);
-            
-            // Generate parameter placeholders for each row
-            const valuePlaceholders = rows.map((_, rowIndex) => {
-                const rowPlaceholders = columns.map((_, colIndex) => 
-                    `:${rowIndex + 1}_${colIndex + 1}`
-                ).join(', ');
-                
-                return `(${rowPlaceholders})`;
-            }).join(', ');
-            
-            // Construct SQL statement
-            const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${valuePlaceholders}`;
-            
-            // Create bindings object
-            const bindings = {};
-            rows.forEach((row, rowIndex) => {
-                columns.forEach((col, colIndex) => {
-                    bindings[`${rowIndex + 1}_${colIndex + 1}`] = row[col];
-                });
-            });
+        if (!rows || rows.length === 0) {
+            return [];
+        }
+        
+        // Get column names from the first row
+        const columns = Object.keys(rows[0]);
+        
+        // Snowflake binds positional placeholders (:1, :2, ...) from an array
+        const valuePlaceholders = rows.map((_, rowIndex) => {
+            const rowPlaceholders = columns.map((_, colIndex) => 
+                `:${rowIndex * columns.length + colIndex + 1}`
+            ).join(', ');
             
-            return this.withConnection(async (connector) => {
-                return await connector.executeQuery(sql, bindings);
-            });
-        }, `insertRows(${table})`, []);
+            return `(${rowPlaceholders})`;
+        }).join(', ');
+        
+        // Construct SQL statement
+        const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${valuePlaceholders}`;
+        const bindings = rows.flatMap(row => columns.map(col => row[col] ?? null));
+        
+        return this.executeStatement(sql, bindings);
     }
 }
 
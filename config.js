@@ -44,13 +44,31 @@ class Configuration {
       
       // API Keys and Authentication
       fs_org_api_key: process.env.ORG_API_KEY,
+      fs_org_api_key_previous: process.env.ORG_API_KEY_PREVIOUS,
       fullstory_token: process.env.FS_PROD_API_KEY,
       fullstory_org_id: process.env.FS_ORG_ID,
       fullstory_dc: process.env.FS_DC,
       
+      // Webhook Verification
+      webhook_timestamp_tolerance_ms: process.env.WEBHOOK_TIMESTAMP_TOLERANCE_MS,
+      webhook_replay_protection: process.env.WEBHOOK_REPLAY_PROTECTION || 'true',
+      
       // Webhook Endpoints
       slack_webhook_url: process.env.SLACK_WEBHOOK_URL,
       slack_ai_webhook_url: process.env.SLACK_AI_WEBHOOK_URL,
+      slack_message_format: process.env.SLACK_MESSAGE_FORMAT || 'blocks',
+      slack_bot_token: process.env.SLACK_BOT_TOKEN,
+      slack_default_channel: process.env.SLACK_DEFAULT_CHANNEL,
+      slack_signing_secret: process.env.SLACK_SIGNING_SECRET,
+      slack_mute_duration_ms: process.env.SLACK_MUTE_DURATION_MS,
+      slack_mute_use_redis: process.env.SLACK_MUTE_USE_REDIS,
+      slack_mute_redis_url: process.env.SLACK_MUTE_REDIS_URL,
+      slack_digest_window_ms: process.env.SLACK_DIGEST_WINDOW_MS,
+      slack_digest_max_events: process.env.SLACK_DIGEST_MAX_EVENTS,
+      
+      // Webhook Routing
+      webhook_routes_file: process.env.WEBHOOK_ROUTES_FILE,
+      webhook_templates_file: process.env.WEBHOOK_TEMPLATES_FILE,
       
       // Jira Configuration
       jira_base_url: process.env.JIRA_BASE_URL,
@@ -59,6 +77,13 @@ class Configuration {
       jira_project_id: process.env.JIRA_PROJECT_ID,
       jira_issue_type_id: process.env.JIRA_ISSUE_TYPE_ID,
       jira_session_field_id: process.env.JIRA_SESSION_FIELD_ID || 'customfield_XXXXX',
+      jira_deployment_type: process.env.JIRA_DEPLOYMENT_TYPE,
+      jira_api_version: process.env.JIRA_API_VERSION,
+      jira_dedupe_fields: process.env.JIRA_DEDUPE_FIELDS,
+      jira_issue_templates_file: process.env.JIRA_ISSUE_TEMPLATES_FILE,
+      jira_attach_evidence: process.env.JIRA_ATTACH_EVIDENCE,
+      jira_webhook_secret: process.env.JIRA_WEBHOOK_SECRET,
+      jira_status_sync_mode: process.env.JIRA_STATUS_SYNC_MODE,
       
       // Snowflake Configuration
       snowflake_account_identifier: process.env.SNOWFLAKE_ACCOUNT_IDENTIFIER,
@@ -74,8 +99,17 @@ class Configuration {
       google_workspace_keyfile: process.env.GOOGLE_WORKSPACE_KEY_FILE,
       google_sheets_id: process.env.GOOGLE_WORKSPACE_SHEET_ID,
       google_sheets_range: process.env.GOOGLE_SHEETS_RANGE || 'Sheet1',
+      google_sheets_tab_pattern: process.env.GOOGLE_SHEETS_TAB_PATTERN,
+      google_sheets_batch_max_rows: process.env.GOOGLE_SHEETS_BATCH_MAX_ROWS,
+      google_sheets_batch_window_ms: process.env.GOOGLE_SHEETS_BATCH_WINDOW_MS,
+      google_sheets_max_retries: process.env.GOOGLE_SHEETS_MAX_RETRIES,
+      google_sheets_retry_delay_ms: process.env.GOOGLE_SHEETS_RETRY_DELAY_MS,
       bigquery_keyfile: process.env.BIGQUERY_KEYFILE,
       
+      // Warehouse Batching
+      warehouse_batch_max_rows: process.env.WAREHOUSE_BATCH_MAX_ROWS,
+      warehouse_batch_window_ms: process.env.WAREHOUSE_BATCH_WINDOW_MS,
+      
       // Rate Limiting Configuration
       rate_limit_enabled: process.env.RATE_LIMIT_ENABLED,
       rate_limit_window_ms: process.env.RATE_LIMIT_WINDOW_MS,
@@ -91,6 +125,27 @@ class Configuration {
       rate_limit_use_redis: process.env.RATE_LIMIT_USE_REDIS,
       rate_limit_redis_url: process.env.RATE_LIMIT_REDIS_URL,
       
+      // Idempotency Configuration
+      idempotency_enabled: process.env.IDEMPOTENCY_ENABLED || 'true',
+      idempotency_ttl_ms: process.env.IDEMPOTENCY_TTL_MS,
+      idempotency_lock_ms: process.env.IDEMPOTENCY_LOCK_MS,
+      idempotency_use_redis: process.env.IDEMPOTENCY_USE_REDIS,
+      idempotency_redis_url: process.env.IDEMPOTENCY_REDIS_URL,
+      
+      // Delivery Queue Configuration
+      delivery_queue_enabled: process.env.DELIVERY_QUEUE_ENABLED,
+      delivery_queue_store: process.env.DELIVERY_QUEUE_STORE,
+      delivery_queue_file: process.env.DELIVERY_QUEUE_FILE,
+      delivery_queue_sqlite_file: process.env.DELIVERY_QUEUE_SQLITE_FILE,
+      delivery_queue_redis_url: process.env.DELIVERY_QUEUE_REDIS_URL,
+      delivery_queue_redis_key: process.env.DELIVERY_QUEUE_REDIS_KEY,
+      delivery_queue_firestore_collection: process.env.DELIVERY_QUEUE_FIRESTORE_COLLECTION,
+      delivery_queue_max_attempts: process.env.DELIVERY_QUEUE_MAX_ATTEMPTS,
+      delivery_queue_base_delay_ms: process.env.DELIVERY_QUEUE_BASE_DELAY_MS,
+      delivery_queue_max_delay_ms: process.env.DELIVERY_QUEUE_MAX_DELAY_MS,
+      delivery_queue_poll_interval_ms: process.env.DELIVERY_QUEUE_POLL_INTERVAL_MS,
+      delivery_queue_lease_ms: process.env.DELIVERY_QUEUE_LEASE_MS,
+      
       // MCP Configuration
       mcp_mode: process.env.MCP_MODE,
       mcp_url: process.env.MCP_URL || 'http://localhost:8080/mcp',
@@ -334,8 +389,12 @@ class Configuration {
   getSafeConfig() {
     const sensitiveKeys = [
       'fs_org_api_key', 
+      'fs_org_api_key_previous',
       'fullstory_token', 
       'jira_api_token',
+      'slack_bot_token',
+      'slack_signing_secret',
+      'jira_webhook_secret',
       'snowflake_private_key',
       'snowflake_private_key_passphrase',
       'google_workspace_keyfile',
@@ -153,7 +153,8 @@ class ConnectorBase {
    * Execute a function safely with proper error handling
    * @param {Function} fn - Function to execute
    * @param {string} operationName - Name of the operation
-   * @param {any} defaultValue - Default value to return on error
+   * @param {any} defaultValue - Default value to return on error, or a function
+   *   building it from the error
    * @returns {Promise<any>} Result of the function or default value
    */
   async safeExecute(fn, operationName, defaultValue = null) {
@@ -165,7 +166,7 @@ class ConnectorBase {
       return await fn();
     } catch (error) {
       this.logger.error(`Error during ${operationName}`, error);
-      return defaultValue;
+      return typeof defaultValue === 'function' ? defaultValue(error) : defaultValue;
     }
   }
 
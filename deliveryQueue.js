@@ -0,0 +1,940 @@
+/**
+ * Delivery Queue - Durable retry queue for failed destination deliveries
+ * Keeps failed deliveries in a pluggable store, retries them with exponential
+ * backoff and moves permanently failing items to a dead-letter list
+ */
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { Logger } from './loggerFramework.js';
+import config from './config.js';
+import serviceRegistry from './serviceRegistry.js';
+
+/**
+ * Delivery entry statuses
+ */
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  IN_FLIGHT: 'in_flight',
+  DEAD: 'dead'
+};
+
+/**
+ * Whether a stored entry is still in the state a claim or replay read it in,
+ * i.e. no other process has claimed or replayed it since
+ * @param {Object|null} current - Stored entry
+ * @param {Object} expected - Entry as read before the change
+ * @returns {boolean} Whether the change may be saved
+ * @private
+ */
+function isUnchanged(current, expected) {
+  return !!current && current.status === expected.status && current.claimId === expected.claimId;
+}
+
+/**
+ * In-memory store, used for tests and as a fallback when no durable store is available
+ */
+class MemoryDeliveryStore {
+  constructor() {
+    this.type = 'memory';
+    this.entries = new Map();
+  }
+
+  async connect() {}
+
+  async save(entry) {
+    this.entries.set(entry.id, { ...entry });
+  }
+
+  async get(id) {
+    const entry = this.entries.get(id);
+    return entry ? { ...entry } : null;
+  }
+
+  async replace(entry, expected) {
+    if (!isUnchanged(this.entries.get(entry.id), expected)) {
+      return false;
+    }
+    this.entries.set(entry.id, { ...entry });
+    return true;
+  }
+
+  async list() {
+    return Array.from(this.entries.values(), entry => ({ ...entry }));
+  }
+
+  async delete(id) {
+    return this.entries.delete(id);
+  }
+}
+
+/**
+ * JSON file store for local and single-instance deployments
+ * Writes take a lock file, so other processes sharing the file (such as the
+ * MCP server replaying or purging entries) don't overwrite each other's changes
+ */
+class FileDeliveryStore {
+  /**
+   * @param {string} filePath - Path of the JSON file holding queue entries
+   * @param {Object} [options] - Lock options
+   * @param {number} [options.lockTimeoutMs] - How long to wait for another process's lock
+   * @param {number} [options.staleLockMs] - Age after which a lock is treated as abandoned
+   */
+  constructor(filePath, { lockTimeoutMs = 10000, staleLockMs = 30000 } = {}) {
+    this.type = 'file';
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+    // Serialize read-modify-write cycles so concurrent saves don't drop entries
+    this.pending = Promise.resolve();
+  }
+
+  async connect() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+  }
+
+  async _read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async _write(entries) {
+    // Write a process-specific temp file and rename it, so readers never see a partial file
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(entries, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Take the lock file, waiting while another process holds it
+   * @returns {Promise<void>}
+   * @throws {Error} If the lock is not released within the lock timeout
+   * @private
+   */
+  async _lock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const stat = await fs.promises.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) {
+        // The process holding the lock died without releasing it
+        await fs.promises.rm(this.lockPath, { force: true });
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for delivery queue lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  _update(mutate) {
+    const run = this.pending.then(async () => {
+      await this._lock();
+      try {
+        const entries = await this._read();
+        const result = mutate(entries);
+        await this._write(entries);
+        return result;
+      } finally {
+        await fs.promises.rm(this.lockPath, { force: true });
+      }
+    });
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async save(entry) {
+    await this._update(entries => {
+      entries[entry.id] = entry;
+    });
+  }
+
+  async get(id) {
+    await this.pending;
+    return (await this._read())[id] || null;
+  }
+
+  async replace(entry, expected) {
+    return this._update(entries => {
+      if (!isUnchanged(entries[entry.id], expected)) {
+        return false;
+      }
+      entries[entry.id] = entry;
+      return true;
+    });
+  }
+
+  async list() {
+    await this.pending;
+    return Object.values(await this._read());
+  }
+
+  async delete(id) {
+    return this._update(entries => {
+      const existed = id in entries;
+      delete entries[id];
+      return existed;
+    });
+  }
+}
+
+/**
+ * SQLite store for local deployments where several processes share the queue
+ */
+class SqliteDeliveryStore {
+  /**
+   * @param {string} filePath - Path of the SQLite database file
+   */
+  constructor(filePath) {
+    this.type = 'sqlite';
+    this.filePath = filePath;
+  }
+
+  async connect() {
+    // Dynamically import better-sqlite3 so it stays an optional dependency
+    const { default: Database } = await import('better-sqlite3');
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    // Let readers and the writer of another process work at the same time
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec('CREATE TABLE IF NOT EXISTS deliveries (id TEXT PRIMARY KEY, entry TEXT NOT NULL)');
+
+    this.statements = {
+      save: this.db.prepare('INSERT INTO deliveries (id, entry) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET entry = excluded.entry'),
+      get: this.db.prepare('SELECT entry FROM deliveries WHERE id = ?'),
+      list: this.db.prepare('SELECT entry FROM deliveries'),
+      delete: this.db.prepare('DELETE FROM deliveries WHERE id = ?')
+    };
+
+    // Take the write lock before reading, so no other process changes the entry in between
+    this.replaceEntry = this.db.transaction((entry, expected) => {
+      const row = this.statements.get.get(entry.id);
+      if (!isUnchanged(row && JSON.parse(row.entry), expected)) {
+        return false;
+      }
+      this.statements.save.run(entry.id, JSON.stringify(entry));
+      return true;
+    });
+  }
+
+  async save(entry) {
+    this.statements.save.run(entry.id, JSON.stringify(entry));
+  }
+
+  async get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.entry) : null;
+  }
+
+  async replace(entry, expected) {
+    return this.replaceEntry.immediate(entry, expected);
+  }
+
+  async list() {
+    return this.statements.list.all().map(row => JSON.parse(row.entry));
+  }
+
+  async delete(id) {
+    return this.statements.delete.run(id).changes > 0;
+  }
+}
+
+/**
+ * Lua script replacing a Redis hash entry only if its status and claim ID are
+ * still the expected ones, run atomically by Redis
+ * KEYS[1] is the hash, ARGV is the entry ID, the new entry JSON, then the
+ * expected status and claim ID (empty for none)
+ */
+const REDIS_REPLACE_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then
+  return 0
+end
+local entry = cjson.decode(current)
+if entry.status ~= ARGV[3] or (entry.claimId or '') ~= ARGV[4] then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+/**
+ * Redis hash store for multi-instance deployments
+ */
+class RedisDeliveryStore {
+  /**
+   * @param {string} url - Redis connection URL
+   * @param {string} key - Hash key holding queue entries
+   */
+  constructor(url, key) {
+    this.type = 'redis';
+    this.url = url;
+    this.key = key;
+    this.logger = new Logger('DeliveryQueue');
+  }
+
+  async connect() {
+    // Dynamically import Redis so it stays an optional dependency
+    const Redis = await import('redis');
+    this.client = Redis.createClient({ url: this.url });
+    this.client.on('error', (err) => {
+      this.logger.error('Redis client error:', err);
+    });
+    await this.client.connect();
+  }
+
+  async save(entry) {
+    await this.client.hSet(this.key, entry.id, JSON.stringify(entry));
+  }
+
+  async get(id) {
+    const data = await this.client.hGet(this.key, id);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async replace(entry, expected) {
+    const replaced = await this.client.eval(REDIS_REPLACE_SCRIPT, {
+      keys: [this.key],
+      arguments: [entry.id, JSON.stringify(entry), expected.status, expected.claimId ?? '']
+    });
+    return replaced === 1;
+  }
+
+  async list() {
+    const values = await this.client.hVals(this.key);
+    return values.map(value => JSON.parse(value));
+  }
+
+  async delete(id) {
+    return (await this.client.hDel(this.key, id)) > 0;
+  }
+}
+
+/**
+ * Firestore collection store for Google Cloud deployments
+ */
+class FirestoreDeliveryStore {
+  /**
+   * @param {string} collectionName - Firestore collection holding queue entries
+   */
+  constructor(collectionName) {
+    this.type = 'firestore';
+    this.collectionName = collectionName;
+  }
+
+  async connect() {
+    // Dynamically import Firestore so it stays an optional dependency
+    const { Firestore } = await import('@google-cloud/firestore');
+    this.firestore = new Firestore();
+    this.collection = this.firestore.collection(this.collectionName);
+  }
+
+  async save(entry) {
+    await this.collection.doc(entry.id).set(entry);
+  }
+
+  async get(id) {
+    const doc = await this.collection.doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async replace(entry, expected) {
+    const ref = this.collection.doc(entry.id);
+    return this.firestore.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (!isUnchanged(doc.exists ? doc.data() : null, expected)) {
+        return false;
+      }
+      transaction.set(ref, entry);
+      return true;
+    });
+  }
+
+  async list() {
+    const snapshot = await this.collection.get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async delete(id) {
+    const ref = this.collection.doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return false;
+    }
+    await ref.delete();
+    return true;
+  }
+}
+
+/**
+ * Retry queue for destination deliveries
+ *
+ * Destinations register a deliverer function under a name. Deliveries run
+ * through `deliver()`; when a deliverer throws a retryable error and the queue
+ * is enabled, the payload is stored and retried in the background. Entries that
+ * exhaust their attempts are kept as dead letters until replayed or purged.
+ *
+ * Instances sharing a store claim an entry before retrying it, so only one of
+ * them delivers it. A claim marks the entry in flight until its lease expires,
+ * after which another instance may take over from one that died mid-attempt.
+ */
+class DeliveryQueueService {
+  constructor(configInstance = config) {
+    this.logger = new Logger('DeliveryQueue');
+
+    this.config = {
+      enabled: configInstance.getBoolean('delivery_queue_enabled', false),
+
+      // Storage configuration
+      store: configInstance.get('delivery_queue_store') || 'file',
+      filePath: configInstance.get('delivery_queue_file') || './data/delivery-queue.json',
+      sqliteFile: configInstance.get('delivery_queue_sqlite_file') || './data/delivery-queue.db',
+      redisUrl: configInstance.get('delivery_queue_redis_url') || 'redis://localhost:6379',
+      redisKey: configInstance.get('delivery_queue_redis_key') || 'lexicon:delivery-queue',
+      firestoreCollection: configInstance.get('delivery_queue_firestore_collection') || 'lexicon-delivery-queue',
+
+      // Retry configuration
+      maxAttempts: configInstance.getNumber('delivery_queue_max_attempts', 5),
+      baseDelayMs: configInstance.getNumber('delivery_queue_base_delay_ms', 30000), // 30 seconds
+      maxDelayMs: configInstance.getNumber('delivery_queue_max_delay_ms', 3600000), // 1 hour
+      pollIntervalMs: configInstance.getNumber('delivery_queue_poll_interval_ms', 15000),
+      // Longer than the slowest delivery, e.g. Google Sheets quota retries
+      leaseMs: configInstance.getNumber('delivery_queue_lease_ms', 600000) // 10 minutes
+    };
+
+    this.deliverers = new Map();
+    this.store = new MemoryDeliveryStore();
+    this.timer = null;
+    this.processing = false;
+    this.initialized = false;
+    // Deliveries that have not settled yet, awaited by drain()
+    this.inFlight = new Set();
+    // Settles once initialize() finishes; rejects if the configured store failed to load
+    this.ready = Promise.resolve(false);
+  }
+
+  /**
+   * Initialize the configured store and start the retry poller
+   * @returns {Promise<boolean>} Whether the queue is ready
+   * @throws {Error} If the configured store cannot be loaded; failed deliveries
+   * are never accepted into a store that would lose them
+   */
+  initialize() {
+    this.ready = this._initialize();
+    return this.ready;
+  }
+
+  /**
+   * Load the configured store and start polling
+   * @returns {Promise<boolean>} Whether the queue is ready
+   * @private
+   */
+  async _initialize() {
+    if (!this.config.enabled) {
+      this.logger.debug('Delivery queue disabled, failed deliveries will not be retried');
+      return false;
+    }
+
+    try {
+      const store = this._createStore(this.config.store);
+      await store.connect();
+      this.store = store;
+    } catch (error) {
+      throw new Error(`Failed to load the ${this.config.store} delivery store: ${error.message}`);
+    }
+
+    this.initialized = true;
+    this.start();
+    this.logger.info('Delivery queue initialized', {
+      store: this.store.type,
+      maxAttempts: this.config.maxAttempts,
+      pollIntervalMs: this.config.pollIntervalMs
+    });
+    return true;
+  }
+
+  /**
+   * Create a store instance by type
+   * @param {string} type - Store type: memory, file, sqlite, redis or firestore
+   * @returns {Object} Store instance
+   * @private
+   */
+  _createStore(type) {
+    switch (type) {
+      case 'memory':
+        return new MemoryDeliveryStore();
+      case 'file':
+        return new FileDeliveryStore(this.config.filePath);
+      case 'sqlite':
+        return new SqliteDeliveryStore(this.config.sqliteFile);
+      case 'redis':
+        return new RedisDeliveryStore(this.config.redisUrl, this.config.redisKey);
+      case 'firestore':
+        return new FirestoreDeliveryStore(this.config.firestoreCollection);
+      default:
+        throw new Error(`Unknown delivery store type: ${type}`);
+    }
+  }
+
+  /**
+   * Register the function that delivers payloads to a destination
+   * @param {string} destination - Destination name
+   * @param {Function} deliverer - Async function receiving the payload; throws on failure
+   */
+  registerDeliverer(destination, deliverer) {
+    this.deliverers.set(destination, deliverer);
+  }
+
+  /**
+   * Deliver a payload, queueing it for retry when delivery fails
+   * With `meta.deadLetter`, failures that cannot be retried are kept as dead
+   * letters instead of being thrown, for payloads whose sender was already
+   * answered and has no other record of them
+   * @param {string} destination - Registered destination name
+   * @param {Object} payload - JSON-serializable payload for the deliverer
+   * @param {Object} [meta] - Extra information stored with queued entries (e.g. route)
+   * @param {boolean} [meta.deadLetter] - Keep failures that cannot be retried as dead letters
+   * @returns {Promise<Object>} `{ queued: false, result }` or `{ queued: true, deliveryId }`
+   * @throws {Error} Delivery errors that are not retryable or when the queue is disabled
+   */
+  async deliver(destination, payload, meta = {}) {
+    const delivery = this._deliver(destination, payload, meta);
+    this.inFlight.add(delivery);
+    try {
+      return await delivery;
+    } finally {
+      this.inFlight.delete(delivery);
+    }
+  }
+
+  /**
+   * Run a delivery and queue it when it fails
+   * @param {string} destination - Registered destination name
+   * @param {Object} payload - JSON-serializable payload for the deliverer
+   * @param {Object} meta - Delivery options and entry information
+   * @returns {Promise<Object>} Delivery outcome
+   * @private
+   */
+  async _deliver(destination, payload, meta) {
+    const deliverer = this.deliverers.get(destination);
+    if (!deliverer) {
+      throw new Error(`No deliverer registered for destination "${destination}"`);
+    }
+
+    try {
+      return { queued: false, result: await deliverer(payload) };
+    } catch (error) {
+      const retryable = this.isRetryable(error);
+      if (!this.initialized || !(retryable || meta.deadLetter)) {
+        throw error;
+      }
+
+      const { deadLetter, ...entryMeta } = meta;
+      const entry = await this.enqueue(destination, payload, error, { ...entryMeta, dead: !retryable });
+      return { queued: true, deliveryId: entry.id };
+    }
+  }
+
+  /**
+   * Wait for every delivery in progress to finish or be queued, e.g. before shutting down
+   * @returns {Promise<number>} Deliveries waited for
+   */
+  async drain() {
+    const deliveries = [...this.inFlight];
+    await Promise.allSettled(deliveries);
+    return deliveries.length;
+  }
+
+  /**
+   * Store a failed delivery for retry
+   * @param {string} destination - Destination name
+   * @param {Object} payload - Payload for the deliverer
+   * @param {Error} error - Error from the failed attempt
+   * @param {Object} [meta] - Extra information stored with the entry
+   * @param {boolean} [meta.dead] - Store the entry as a dead letter, for failures that cannot be retried
+   * @returns {Promise<Object>} Stored entry
+   */
+  async enqueue(destination, payload, error, meta = {}) {
+    const now = Date.now();
+    const entry = {
+      id: randomUUID(),
+      destination,
+      payload,
+      route: meta.route ?? null,
+      status: meta.dead ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.PENDING,
+      attempts: 1,
+      lastError: error?.message ?? null,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      nextAttemptAt: meta.dead ? null : new Date(now + this.getBackoffDelay(1)).toISOString()
+    };
+
+    await this.store.save(entry);
+    if (meta.dead) {
+      this.logger.error('Delivery cannot be retried, moved to dead-letter list', {
+        id: entry.id,
+        destination,
+        route: entry.route,
+        error: entry.lastError
+      });
+    } else {
+      this.logger.warn('Delivery failed, queued for retry', {
+        id: entry.id,
+        destination,
+        route: entry.route,
+        error: entry.lastError,
+        nextAttemptAt: entry.nextAttemptAt
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * Whether an error is worth retrying
+   * Client errors (4xx) other than timeouts and rate limits are permanent, as
+   * are errors flagged `retryable: false`, such as missing configuration
+   * @param {Error} error - Delivery error
+   * @returns {boolean} Whether to retry
+   */
+  isRetryable(error) {
+    if (error?.retryable === false) {
+      return false;
+    }
+    const status = error?.status ?? error?.response?.status;
+    if (typeof status !== 'number') {
+      return true;
+    }
+    return status >= 500 || status === 408 || status === 429 || status < 400;
+  }
+
+  /**
+   * Exponential backoff delay after a number of failed attempts
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    const delay = this.config.baseDelayMs * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(delay, this.config.maxDelayMs);
+  }
+
+  /**
+   * Retry every pending entry that is due
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<Object>} Counts of delivered, rescheduled and dead-lettered entries
+   */
+  async processDue(now = Date.now()) {
+    const summary = { delivered: 0, rescheduled: 0, dead: 0 };
+    if (this.processing) {
+      return summary;
+    }
+
+    this.processing = true;
+    try {
+      const due = (await this.store.list()).filter(entry =>
+        this._isDue(entry, now) && this.deliverers.has(entry.destination)
+      );
+
+      for (const entry of due) {
+        const claimed = await this._claim(entry);
+        if (!claimed) {
+          // Another instance claimed or replayed it since the list was read
+          continue;
+        }
+        const outcome = await this._attempt(claimed);
+        summary[outcome]++;
+      }
+    } catch (error) {
+      this.logger.error('Error processing delivery queue', error);
+    } finally {
+      this.processing = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Whether an entry should be retried now: pending and due, or in flight
+   * with a lease that expired because its instance died mid-attempt
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether the entry is due
+   * @private
+   */
+  _isDue(entry, now) {
+    if (entry.status === DELIVERY_STATUS.IN_FLIGHT) {
+      return Date.parse(entry.leaseUntil) <= now;
+    }
+    return entry.status === DELIVERY_STATUS.PENDING && Date.parse(entry.nextAttemptAt) <= now;
+  }
+
+  /**
+   * Claim an entry for delivery by this instance
+   * The claim is only saved if the stored entry is still the one that was read,
+   * so of several instances claiming the same entry only one succeeds
+   * @param {Object} entry - Queue entry as read from the store
+   * @param {Object} [changes] - Fields to change along with the claim
+   * @returns {Promise<Object|null>} Claimed entry, or null if it was claimed or changed elsewhere
+   * @private
+   */
+  async _claim(entry, changes = {}) {
+    const now = Date.now();
+    const claimed = {
+      ...entry,
+      ...changes,
+      status: DELIVERY_STATUS.IN_FLIGHT,
+      claimId: randomUUID(),
+      leaseUntil: new Date(now + this.config.leaseMs).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    };
+    return (await this.store.replace(claimed, entry)) ? claimed : null;
+  }
+
+  /**
+   * Attempt a claimed delivery and update its entry
+   * @param {Object} claimed - Queue entry claimed by `_claim`
+   * @returns {Promise<string>} Outcome: delivered, rescheduled or dead
+   * @private
+   */
+  async _attempt(claimed) {
+    const { claimId, leaseUntil, ...entry } = claimed;
+    const deliverer = this.deliverers.get(entry.destination);
+
+    try {
+      await deliverer(entry.payload);
+      await this.store.delete(entry.id);
+      this.logger.info('Queued delivery succeeded', {
+        id: entry.id,
+        destination: entry.destination,
+        attempts: entry.attempts + 1
+      });
+      return 'delivered';
+    } catch (error) {
+      const now = Date.now();
+      const updated = {
+        ...entry,
+        attempts: entry.attempts + 1,
+        lastError: error.message,
+        updatedAt: new Date(now).toISOString()
+      };
+
+      if (updated.attempts >= this.config.maxAttempts || !this.isRetryable(error)) {
+        updated.status = DELIVERY_STATUS.DEAD;
+        updated.nextAttemptAt = null;
+        await this._release(updated, claimed);
+        this.logger.error('Delivery moved to dead-letter list', {
+          id: entry.id,
+          destination: entry.destination,
+          attempts: updated.attempts,
+          error: error.message
+        });
+        return 'dead';
+      }
+
+      updated.status = DELIVERY_STATUS.PENDING;
+      updated.nextAttemptAt = new Date(now + this.getBackoffDelay(updated.attempts)).toISOString();
+      await this._release(updated, claimed);
+      this.logger.warn('Queued delivery failed, rescheduled', {
+        id: entry.id,
+        destination: entry.destination,
+        attempts: updated.attempts,
+        nextAttemptAt: updated.nextAttemptAt
+      });
+      return 'rescheduled';
+    }
+  }
+
+  /**
+   * Save the outcome of a failed attempt, unless the claim's lease expired and
+   * another instance took the entry over in the meantime
+   * @param {Object} updated - Entry to save
+   * @param {Object} claimed - Entry as claimed before the attempt
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _release(updated, claimed) {
+    if (!(await this.store.replace(updated, claimed))) {
+      this.logger.warn('Delivery was taken over by another instance after its lease expired', {
+        id: claimed.id,
+        destination: claimed.destination
+      });
+    }
+  }
+
+  /**
+   * List queue entries
+   * @param {Object} [filter] - Filter options
+   * @param {string} [filter.status] - Only entries with this status
+   * @param {string} [filter.destination] - Only entries for this destination
+   * @returns {Promise<Array<Object>>} Entries, oldest first
+   */
+  async list({ status, destination } = {}) {
+    const entries = await this.store.list();
+    return entries
+      .filter(entry => !status || entry.status === status)
+      .filter(entry => !destination || entry.destination === destination)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Get a queue entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Get entry counts by status
+   * @returns {Promise<Object>} Counts of pending, in-flight and dead entries
+   */
+  async getStats() {
+    const entries = await this.store.list();
+    return {
+      store: this.store.type,
+      enabled: this.initialized,
+      pending: entries.filter(entry => entry.status === DELIVERY_STATUS.PENDING).length,
+      inFlight: entries.filter(entry => entry.status === DELIVERY_STATUS.IN_FLIGHT).length,
+      dead: entries.filter(entry => entry.status === DELIVERY_STATUS.DEAD).length
+    };
+  }
+
+  /**
+   * Replay an entry now
+   * Dead letters get a fresh set of attempts. When this process has no deliverer
+   * for the destination, the entry is rescheduled for the next poll of a process that does.
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object>} `{ id, outcome }` where outcome is delivered, rescheduled, dead or scheduled
+   * @throws {Error} If the entry does not exist or is being delivered by another instance
+   */
+  async replay(id) {
+    const entry = await this.store.get(id);
+    if (!entry) {
+      throw new Error(`Delivery ${id} not found`);
+    }
+    if (entry.status === DELIVERY_STATUS.IN_FLIGHT && Date.parse(entry.leaseUntil) > Date.now()) {
+      throw new Error(`Delivery ${id} is already being delivered`);
+    }
+
+    const attempts = entry.status === DELIVERY_STATUS.DEAD ? 0 : entry.attempts;
+
+    if (!this.deliverers.has(entry.destination)) {
+      const { claimId, leaseUntil, ...rest } = entry;
+      const reset = {
+        ...rest,
+        status: DELIVERY_STATUS.PENDING,
+        attempts,
+        nextAttemptAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      if (!(await this.store.replace(reset, entry))) {
+        throw new Error(`Delivery ${id} is already being delivered`);
+      }
+      this.logger.info('Delivery scheduled for replay', { id, destination: entry.destination });
+      return { id, outcome: 'scheduled' };
+    }
+
+    const claimed = await this._claim(entry, { attempts });
+    if (!claimed) {
+      throw new Error(`Delivery ${id} is already being delivered`);
+    }
+
+    this.logger.info('Replaying delivery', { id, destination: entry.destination });
+    return { id, outcome: await this._attempt(claimed) };
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} Whether the entry was removed
+   */
+  async purge(id) {
+    const removed = await this.store.delete(id);
+    if (removed) {
+      this.logger.info('Delivery purged', { id });
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every entry matching a filter
+   * @param {Object} [filter] - Same filter options as `list()`
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeAll(filter = {}) {
+    const entries = await this.list(filter);
+    for (const entry of entries) {
+      await this.store.delete(entry.id);
+    }
+    this.logger.info('Deliveries purged', { ...filter, count: entries.length });
+    return entries.length;
+  }
+
+  /**
+   * Start polling for due entries
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.processDue();
+    }, this.config.pollIntervalMs);
+    // Don't keep the process alive just for retries
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop polling for due entries
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const deliveryQueue = new DeliveryQueueService();
+
+// Register in the service registry
+serviceRegistry.register('deliveryQueue', deliveryQueue);
+
+// Initialize the configured store; startup waits on `deliveryQueue.ready`
+deliveryQueue.initialize().catch(error => {
+  deliveryQueue.logger.error('Failed to initialize delivery queue:', error);
+});
+
+export default deliveryQueue;
+export {
+  DeliveryQueueService,
+  MemoryDeliveryStore,
+  FileDeliveryStore,
+  SqliteDeliveryStore,
+  RedisDeliveryStore,
+  FirestoreDeliveryStore,
+  DELIVERY_STATUS
+};
@@ -0,0 +1,264 @@
+/**
+ * Idempotency Cache - TTL cache of webhook responses keyed by idempotency key
+ * Lets repeat deliveries of the same webhook return the original response
+ * instead of running side effects again
+ */
+import { Logger } from './loggerFramework.js';
+import config from './config.js';
+import serviceRegistry from './serviceRegistry.js';
+
+/**
+ * Lua script extending a Redis key's expiry only while it holds a processing marker,
+ * so a renewal racing `complete()` does not cut the stored response short
+ */
+const RENEW_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if value and cjson.decode(value).state == 'processing' then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+/**
+ * TTL cache with in-memory or Redis storage, following the rate limiter storage approach
+ */
+class IdempotencyCacheService {
+  /**
+   * @param {Object} [configInstance] - Config service
+   * @param {Object} [options] - Options for separate cache instances
+   * @param {string} [options.name] - Logger name
+   * @param {Object} [options.config] - Settings overriding the `idempotency_*` config, e.g. another Redis URL
+   */
+  constructor(configInstance = config, options = {}) {
+    this.logger = new Logger(options.name || 'IdempotencyCache');
+
+    this.config = {
+      enabled: configInstance.getBoolean('idempotency_enabled', true),
+      ttlMs: configInstance.getNumber('idempotency_ttl_ms', 3600000), // 1 hour default
+      lockMs: configInstance.getNumber('idempotency_lock_ms', 60000), // Time a request holds its key unless renewed
+
+      // Storage configuration
+      useRedis: configInstance.getBoolean('idempotency_use_redis', false),
+      redisUrl: configInstance.get('idempotency_redis_url') || 'redis://localhost:6379',
+
+      ...options.config
+    };
+
+    // Default in-memory storage: key -> { value, timer }
+    this.storage = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the idempotency cache
+   */
+  async initialize() {
+    try {
+      if (this.config.useRedis) {
+        await this._initializeRedis();
+      }
+
+      this.initialized = true;
+      this.logger.info('Idempotency cache initialized', {
+        storageType: this.config.useRedis ? 'redis' : 'memory',
+        enabled: this.config.enabled,
+        ttlMs: this.config.ttlMs
+      });
+
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to initialize idempotency cache:', error);
+      this.initialized = false;
+      return false;
+    }
+  }
+
+  /**
+   * Initialize Redis storage backend
+   * @private
+   */
+  async _initializeRedis() {
+    try {
+      // Dynamically import Redis if needed
+      const Redis = await import('redis');
+      this.redisClient = Redis.createClient({
+        url: this.config.redisUrl
+      });
+
+      this.redisClient.on('error', (err) => {
+        this.logger.error('Redis client error:', err);
+      });
+
+      await this.redisClient.connect();
+      this.logger.info('Redis storage backend connected', {
+        url: this.config.redisUrl.replace(/\/\/.*@/, '//***@') // Hide credentials in logs
+      });
+    } catch (error) {
+      this.logger.warn('Failed to initialize Redis, falling back to memory storage:', error);
+      this.config.useRedis = false;
+    }
+  }
+
+  /**
+   * Store a value in memory and expire it after the TTL
+   * @private
+   */
+  _setMemory(key, value, ttlMs) {
+    clearTimeout(this.storage.get(key)?.timer);
+    const timer = setTimeout(() => {
+      this.storage.delete(key);
+    }, ttlMs);
+    // Don't keep the process alive for cache expiry
+    timer.unref?.();
+    this.storage.set(key, { value, timer });
+  }
+
+  /**
+   * Claim a key for a request that is about to be processed
+   * @param {string} key - Idempotency key
+   * @param {number} [ttlMs] - How long the claim is held, defaults to the lock time
+   * @returns {Promise<boolean>} True if the key was free and is now held as processing
+   */
+  async reserve(key, ttlMs = this.config.lockMs) {
+    const marker = { state: 'processing', startedAt: new Date().toISOString() };
+
+    try {
+      if (this.config.useRedis && this.redisClient) {
+        const result = await this.redisClient.set(key, JSON.stringify(marker), {
+          NX: true,
+          PX: ttlMs
+        });
+        return result === 'OK';
+      }
+
+      if (this.storage.has(key)) {
+        return false;
+      }
+      this._setMemory(key, marker, ttlMs);
+      return true;
+    } catch (error) {
+      // Fail open so a cache outage doesn't block webhook processing
+      this.logger.error('Error reserving idempotency key:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Extend the claim on a key that is still being processed
+   * Requests that may run longer than the lock time, e.g. deliveries waiting
+   * out Google Sheets quota retries, renew their claim until they finish
+   * @param {string} key - Idempotency key
+   * @param {number} [ttlMs] - How long the claim is held from now, defaults to the lock time
+   * @returns {Promise<boolean>} Whether the key was still held as processing
+   */
+  async renew(key, ttlMs = this.config.lockMs) {
+    try {
+      if (this.config.useRedis && this.redisClient) {
+        const renewed = await this.redisClient.eval(RENEW_SCRIPT, {
+          keys: [key],
+          arguments: [String(ttlMs)]
+        });
+        return renewed === 1;
+      }
+
+      const entry = this.storage.get(key);
+      if (entry?.value.state !== 'processing') {
+        return false;
+      }
+      this._setMemory(key, entry.value, ttlMs);
+      return true;
+    } catch (error) {
+      this.logger.error('Error renewing idempotency key:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a cached entry
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} `{ state: 'processing' }`, `{ state: 'completed', statusCode, body }` or null
+   */
+  async get(key) {
+    try {
+      if (this.config.useRedis && this.redisClient) {
+        const data = await this.redisClient.get(key);
+        return data ? JSON.parse(data) : null;
+      }
+      return this.storage.get(key)?.value || null;
+    } catch (error) {
+      this.logger.error('Error getting idempotency entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the response sent for a key
+   * @param {string} key - Idempotency key
+   * @param {Object} response - `{ statusCode, body }`
+   */
+  async complete(key, response) {
+    const value = { state: 'completed', ...response, completedAt: new Date().toISOString() };
+
+    try {
+      if (this.config.useRedis && this.redisClient) {
+        await this.redisClient.set(key, JSON.stringify(value), { PX: this.config.ttlMs });
+      } else {
+        this._setMemory(key, value, this.config.ttlMs);
+      }
+    } catch (error) {
+      this.logger.error('Error storing idempotency entry:', error);
+    }
+  }
+
+  /**
+   * Store a value, replacing any value already held under the key
+   * @param {string} key - Cache key
+   * @param {Object} value - JSON-serializable value
+   * @param {number} [ttlMs] - How long the value is kept, defaults to the cache TTL
+   * @returns {Promise<boolean>} Whether the value was stored
+   */
+  async set(key, value, ttlMs = this.config.ttlMs) {
+    try {
+      if (this.config.useRedis && this.redisClient) {
+        await this.redisClient.set(key, JSON.stringify(value), { PX: ttlMs });
+      } else {
+        this._setMemory(key, value, ttlMs);
+      }
+      return true;
+    } catch (error) {
+      this.logger.error('Error storing cache entry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Release a key so the request can be processed again
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    try {
+      if (this.config.useRedis && this.redisClient) {
+        await this.redisClient.del(key);
+      } else {
+        clearTimeout(this.storage.get(key)?.timer);
+        this.storage.delete(key);
+      }
+    } catch (error) {
+      this.logger.error('Error releasing idempotency key:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const idempotencyCache = new IdempotencyCacheService();
+
+// Register in the service registry
+serviceRegistry.register('idempotencyCache', idempotencyCache);
+
+// Initialize storage backend
+idempotencyCache.initialize().catch(error => {
+  idempotencyCache.logger.error('Failed to initialize idempotency cache:', error);
+});
+
+export default idempotencyCache;
+export { IdempotencyCacheService };
@@ -53,7 +53,12 @@ app.use((req, res, next) => {
 });
 
 // Make sure app has middleware and parser
-app.use(express.json());
+// The raw body is kept for routes that verify signatures over it, such as Jira webhooks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 /**
  * CloudAdapter - Base class for cloud provider adapters
@@ -66,6 +71,8 @@ export class CloudAdapter {
     this.logger = new Logger('CloudAdapter');
     this.errorHandler = new ErrorHandler('CloudAdapter');
     this.middlewares = [express.json()]; // Basic middleware
+    this.slackMiddlewares = [];
+    this.jiraMiddlewares = [];
   }
   
   /**
@@ -92,6 +99,20 @@ export class CloudAdapter {
       middleware.logRequest, // Add consistent request logging
       middleware.verifyWebHook
     ];
+
+    // Slack sends form-encoded bodies signed with its own secret, which the
+    // Slack router parses and verifies itself
+    this.slackMiddlewares = [
+      middleware.createRateLimit(),
+      middleware.logRequest
+    ];
+
+    // Jira webhooks are signed with their own secret, which the Jira router
+    // verifies itself
+    this.jiraMiddlewares = [
+      middleware.createRateLimit(),
+      middleware.logRequest
+    ];
   }
   
   /**
@@ -107,8 +128,9 @@ export class CloudAdapter {
    * Add a route to the application
    * @param {string} path - Route path 
    * @param {Object} router - Express router
+   * @param {Array<Function>} [middlewares] - Middleware run before the router, defaults to the webhook middleware
    */
-  addRoute(path, router) {
+  addRoute(path, router, middlewares = this.middlewares) {
     // To be implemented by subclasses
     throw new Error('Not implemented');
   }
@@ -199,10 +221,11 @@ export class GCPAdapter extends CloudAdapter {
    * Add a route to the GCP application 
    * @param {string} path - Route path
    * @param {Object} router - Express router
+   * @param {Array<Function>} [middlewares] - Middleware run before the router, defaults to the webhook middleware
    * @returns {GCPAdapter} This adapter instance for method chaining
    */
-  addRoute(path, router) {
-    this.app.use(path, ...this.middlewares, router);
+  addRoute(path, router, middlewares = this.middlewares) {
+    this.app.use(path, ...middlewares, router);
     return this;
   }
   
@@ -293,13 +316,13 @@ export class AzureAdapter extends CloudAdapter {
     return instance;
   }
   
-  addRoute(path, router) {
+  addRoute(path, router, middlewares = this.middlewares) {
     if (this.isAppService) {
       // For App Service, directly add routes to Express app
-      this.app.use(path, ...this.middlewares, router);
+      this.app.use(path, ...middlewares, router);
     } else {
       // For Azure Functions, store routes for later processing
-      this.routes.push({ path, router });
+      this.routes.push({ path, router, middlewares });
     }
     return this;
   }
@@ -329,7 +352,7 @@ export class AzureAdapter extends CloudAdapter {
       };
     } else {
       // For Azure Functions, register HTTP triggers
-      this.routes.forEach(({ path, router }) => {
+      this.routes.forEach(({ path, router, middlewares }) => {
         this.azureApp.http(`lexicon-${path.replace(/[^a-zA-Z0-9]/g, '')}`, {
           methods: ['GET', 'POST', 'PUT', 'DELETE'],
           route: path.startsWith('/') ? path.substring(1) : path,
@@ -374,7 +397,7 @@ export class AzureAdapter extends CloudAdapter {
               });
             };
             
-            return executeMiddlewares([...this.middlewares, router]);
+            return executeMiddlewares([...middlewares, router]);
           }
         });
       });
@@ -419,8 +442,8 @@ export class AWSAdapter extends CloudAdapter {
     return instance;
   }
   
-  addRoute(path, router) {
-    this.app.use(path, ...this.middlewares, router);
+  addRoute(path, router, middlewares = this.middlewares) {
+    this.app.use(path, ...middlewares, router);
     return this;
   }
   
@@ -459,6 +482,54 @@ export class AWSAdapter extends CloudAdapter {
 // Export variables that need to be accessed
 export { app, cloud_provider };
 
+// Whether the shutdown signal handlers are registered
+let shutdownHandlersRegistered = false;
+
+/**
+ * Write pending warehouse batches, post open Slack digests and wait for
+ * deliveries still in progress
+ * Rows acknowledged with `ack: async` and signals held for a digest only live
+ * in memory until they are written; failures are handed to the delivery queue
+ * before this resolves
+ * @returns {Promise<void>}
+ */
+async function flushPendingDeliveries() {
+  const warehouseBatcher = (await import('./warehouseBatcher.js')).default;
+  const slackDigest = (await import('./slackDigest.js')).default;
+  const deliveryQueue = (await import('./deliveryQueue.js')).default;
+
+  const [batches, digests] = await Promise.all([
+    warehouseBatcher.flushAll(),
+    slackDigest.flushAll()
+  ]);
+  const deliveries = await deliveryQueue.drain();
+  logger.info('Flushed pending deliveries', { batches: batches.length, digests: digests.length, deliveries });
+}
+
+/**
+ * Flush pending deliveries when the platform stops the instance
+ * Registered once; the process exits after the flush since handling a signal
+ * replaces Node's default exit
+ */
+function registerShutdownHandlers() {
+  if (shutdownHandlersRegistered) {
+    return;
+  }
+  shutdownHandlersRegistered = true;
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, async () => {
+      logger.info(`Received ${signal}, flushing pending deliveries before exiting`);
+      try {
+        await flushPendingDeliveries();
+      } catch (error) {
+        logger.error('Failed to flush pending deliveries', error);
+      }
+      process.exit(0);
+    });
+  }
+}
+
 // Main initialization function
 async function initializeLexicon() {
   try {
@@ -472,6 +543,14 @@ async function initializeLexicon() {
     // Initialize Lexicon services first
     await startup.initialize();
     
+    // Refuse to start when the delivery queue's store failed to load,
+    // rather than accepting deliveries it would lose
+    const deliveryQueue = (await import('./deliveryQueue.js')).default;
+    await deliveryQueue.ready;
+    
+    // Write pending batches and deliveries when the instance is stopped
+    registerShutdownHandlers();
+    
     // Create appropriate cloud adapter
     // Pass the main app so routes get added to it directly
     let adapter;
@@ -502,6 +581,18 @@ async function initializeLexicon() {
         .addRoute('/webhook', webhookRouter)
         .addHealthCheck();
       
+      // Slack interactive components need the signing secret to verify requests
+      if (config.get('slack_signing_secret')) {
+        const slackRouter = (await import('./slackRouter.js')).default;
+        adapter.addRoute('/slack', slackRouter, adapter.slackMiddlewares);
+      }
+      
+      // Jira status sync needs the webhook secret to verify requests
+      if (config.get('jira_webhook_secret')) {
+        const jiraRouter = (await import('./jiraRouter.js')).default;
+        adapter.addRoute('/jira', jiraRouter, adapter.jiraMiddlewares);
+      }
+      
       initialization.markInitialized('Webhook Routes');
     } catch (error) {
       initialization.markFailed('Webhook Routes', error);
@@ -562,7 +653,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
 // Export the main app and initialization function
 export default app;
-export { initializeLexicon };
+export { initializeLexicon, flushPendingDeliveries };
 
 // Export for Google Cloud Functions Framework compatibility
 // Initialize immediately when the module is imported
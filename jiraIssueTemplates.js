@@ -0,0 +1,269 @@
+/**
+ * Jira Issue Templates - Per-event project, issue type and field mapping for Jira tickets
+ * Lets different signals land on different boards with their own priority,
+ * labels, components, assignee and custom fields instead of the global Jira settings
+ */
+import fs from 'fs';
+import { Logger } from './loggerFramework.js';
+import serviceRegistry from './serviceRegistry.js';
+import ruleEngine from './ruleEngine.js';
+import templateEngine from './templateEngine.js';
+
+/**
+ * Issue template keys rendered into Jira fields, with the type each accepts
+ */
+const MAPPED_FIELDS = {
+  project: 'string',
+  issueType: 'string',
+  priority: 'string',
+  labels: 'list',
+  components: 'list',
+  assignee: 'string',
+  sessionField: 'string',
+  fields: 'object'
+};
+
+/**
+ * Jira references given as numbers are IDs, anything else is a key or name
+ * @private
+ */
+function toReference(value, nameKey) {
+  const text = String(value);
+  return /^\d+$/.test(text) ? { id: text } : { [nameKey]: text };
+}
+
+/**
+ * Rendered values that leave a Jira field unset, including the "Undefined"
+ * placeholder used by `extractCommonData`
+ * @private
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'Undefined';
+}
+
+/**
+ * Flatten a rendered list value into its non-empty strings
+ * @private
+ */
+function toList(value) {
+  return [value].flat(Infinity).filter(item => !isMissing(item)).map(String);
+}
+
+/**
+ * Registry of Jira issue templates
+ *
+ * Each template picks the tickets it applies to with a `when` rule and maps
+ * webhook data onto Jira fields. Every value may hold template placeholders:
+ *
+ *   {
+ *     "name": "checkout-errors",
+ *     "when": "event_name startsWith \"checkout_\"",
+ *     "project": "PAY",                       // project key or ID
+ *     "issueType": "Bug",                     // issue type name or ID
+ *     "priority": "{{ properties.severity | default:\"High\" }}",
+ *     "labels": ["checkout", "{{ properties.error_code }}"],
+ *     "components": ["Checkout"],
+ *     "assignee": "{{ properties.owner_account_id }}",  // account ID, username on Data Center
+ *     "sessionField": "customfield_10050",    // replaces JIRA_SESSION_FIELD_ID
+ *     "fields": { "customfield_10061": "{{ properties.cart_value }}" }
+ *   }
+ *
+ * The first template whose rule matches wins; a template without `when`
+ * matches every ticket. Values that render empty are left out, so a missing
+ * property falls back to the route or global setting.
+ */
+class JiraIssueTemplates {
+  constructor() {
+    this.logger = new Logger('JiraIssueTemplates');
+    this.templates = [];
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * Validate and compile an issue template, caching it by object identity
+   * @param {Object} template - Issue template
+   * @returns {Object} Compiled template `{ name, rule, render(scope) }`
+   * @throws {Error} If the template is malformed
+   */
+  compile(template) {
+    if (this.compiled.has(template)) {
+      return this.compiled.get(template);
+    }
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new Error('Jira issue template must be an object');
+    }
+
+    const { name, when, ...mapping } = template;
+    const label = name ? `Jira issue template "${name}"` : 'Jira issue template';
+
+    if (name !== undefined && (typeof name !== 'string' || name.length === 0)) {
+      throw new Error('Jira issue template field "name" must be a non-empty string');
+    }
+
+    const unknownFields = Object.keys(mapping).filter(field => !MAPPED_FIELDS[field]);
+    if (unknownFields.length > 0) {
+      throw new Error(`${label} has unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    for (const [field, value] of Object.entries(mapping)) {
+      const type = MAPPED_FIELDS[field];
+      const valid = type === 'list'
+        ? typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))
+        : type === 'object'
+          ? typeof value === 'object' && value !== null && !Array.isArray(value)
+          : typeof value === 'string' && value.length > 0;
+      if (!valid) {
+        const expected = { string: 'a non-empty string', list: 'a string or an array of strings', object: 'an object' }[type];
+        throw new Error(`${label} field "${field}" must be ${expected}`);
+      }
+    }
+
+    let rule = null;
+    let render;
+    try {
+      rule = when === undefined ? null : ruleEngine.compile(when);
+      render = templateEngine.compile(mapping).render;
+    } catch (error) {
+      throw new Error(`${label} is invalid: ${error.message}`);
+    }
+
+    const compiled = { name, rule, render };
+    this.compiled.set(template, compiled);
+    return compiled;
+  }
+
+  /**
+   * Register an issue template after the ones already registered
+   * @param {Object} template - Issue template
+   * @returns {JiraIssueTemplates} This registry for chaining
+   * @throws {Error} If the template is malformed
+   */
+  register(template) {
+    this.compile(template);
+    this.templates.push(template);
+    return this;
+  }
+
+  /**
+   * Load issue templates from a JSON file
+   * Accepts either an array of templates or an object with a `templates` array
+   * @param {string} filePath - Path to the JSON file
+   * @returns {number} Number of templates loaded
+   */
+  loadFromFile(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read Jira issue templates from ${filePath}: ${error.message}`);
+    }
+
+    const templates = Array.isArray(parsed) ? parsed : parsed?.templates;
+    if (!Array.isArray(templates)) {
+      throw new Error(`Jira issue templates file ${filePath} must contain an array of templates`);
+    }
+
+    templates.forEach(template => this.register(template));
+
+    this.logger.info('Loaded Jira issue templates from file', {
+      file: filePath,
+      count: templates.length
+    });
+    return templates.length;
+  }
+
+  /**
+   * Find the first issue template whose rule matches
+   * @param {Object} scope - Data rules and placeholders resolve against
+   * @param {Array<Object>} [templates] - Templates to search, the registered ones by default
+   * @returns {Object|undefined} Matching issue template
+   */
+  select(scope, templates = this.templates) {
+    return templates.find(template => {
+      const { rule } = this.compile(template);
+      return !rule || rule.evaluate(scope);
+    });
+  }
+
+  /**
+   * Render the Jira fields of the first matching issue template
+   * @param {Object} scope - Data rules and placeholders resolve against
+   * @param {Array<Object>} [templates] - Templates to search, the registered ones by default
+   * @returns {Object|null} `{ name, sessionField, fields }` with `fields` in Jira
+   *   REST format, or null when no template matches
+   */
+  render(scope, templates = this.templates) {
+    const template = this.select(scope, templates);
+    if (!template) {
+      return null;
+    }
+
+    const { name, render } = this.compile(template);
+    const mapping = render(scope);
+    const fields = {};
+
+    if (!isMissing(mapping.project)) {
+      fields.project = toReference(mapping.project, 'key');
+    }
+    if (!isMissing(mapping.issueType)) {
+      fields.issuetype = toReference(mapping.issueType, 'name');
+    }
+    if (!isMissing(mapping.priority)) {
+      fields.priority = toReference(mapping.priority, 'name');
+    }
+
+    // Jira labels cannot contain spaces
+    const labels = toList(mapping.labels).map(item => item.trim().replace(/\s+/g, '-'));
+    if (labels.length > 0) {
+      fields.labels = [...new Set(labels)];
+    }
+
+    const components = toList(mapping.components);
+    if (components.length > 0) {
+      fields.components = components.map(component => ({ name: component }));
+    }
+
+    if (!isMissing(mapping.assignee)) {
+      fields.assignee = { accountId: String(mapping.assignee) };
+    }
+
+    Object.entries(mapping.fields ?? {})
+      .filter(([, value]) => !isMissing(value))
+      .forEach(([field, value]) => {
+        fields[field] = value;
+      });
+
+    this.logger.debug('Applied Jira issue template', { template: name, fields: Object.keys(fields) });
+
+    return {
+      name,
+      sessionField: isMissing(mapping.sessionField) ? undefined : String(mapping.sessionField),
+      fields
+    };
+  }
+
+  /**
+   * Get all registered issue templates in match order
+   * @returns {Array<Object>} Issue templates
+   */
+  list() {
+    return [...this.templates];
+  }
+
+  /**
+   * Remove all registered issue templates
+   */
+  clear() {
+    this.templates = [];
+  }
+}
+
+// Create a singleton instance
+const jiraIssueTemplates = new JiraIssueTemplates();
+
+// Register in the service registry
+serviceRegistry.register('jiraIssueTemplates', jiraIssueTemplates);
+
+export default jiraIssueTemplates;
+export { JiraIssueTemplates };
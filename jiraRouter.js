@@ -0,0 +1,296 @@
+/**
+ * JiraRouter - Express router for webhooks sent by Jira
+ * Records status changes of Lexicon-created issues in Fullstory, so product
+ * analysts can see which friction issues were fixed and when
+ */
+import express from 'express';
+import crypto from 'crypto';
+import config from './config.js';
+import WebhookBase from './webhookBase.js';
+
+// Import connector modules
+import Fullstory from './Fullstory.js';
+import middleware from './middleware.js';
+
+/**
+ * Fullstory records written for each status change, by `JIRA_STATUS_SYNC_MODE`
+ */
+const STATUS_SYNC_MODES = {
+  event: ['event'],
+  annotation: ['annotation'],
+  both: ['event', 'annotation']
+};
+
+/**
+ * Name of the Fullstory custom event recorded on the originating session
+ */
+const STATUS_EVENT_NAME = 'Lexicon Jira Status Changed';
+
+/**
+ * Fullstory annotation limits for the text and the source shown on charts
+ */
+const ANNOTATION_TEXT_LIMIT = 200;
+const ANNOTATION_SOURCE = 'Lexicon Jira';
+
+/**
+ * Fullstory session URLs inside free text such as an issue description
+ */
+const SESSION_URL_PATTERN = /https?:\/\/[^\s<>"'|)\]]+\/session\/[^\s<>"'|)\]/?#]+/;
+
+/**
+ * JiraRouter class for inbound Jira webhooks
+ */
+class JiraRouter extends WebhookBase {
+  /**
+   * Initialize Jira router
+   */
+  constructor() {
+    super('Jira');
+    this.router = express.Router();
+
+    // Jira signs the raw JSON body, so keep it for signature verification
+    this.jsonParser = express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+      }
+    });
+
+    this.sessionFieldId = config.get('jira_session_field_id', 'customfield_XXXXX');
+
+    const syncMode = config.get('jira_status_sync_mode') || 'event';
+    if (!STATUS_SYNC_MODES[syncMode]) {
+      this.logger.warn(`Unknown Jira status sync mode "${syncMode}", using "event"`);
+    }
+    this.syncTargets = STATUS_SYNC_MODES[syncMode] ?? STATUS_SYNC_MODES.event;
+
+    try {
+      this.configureRoutes();
+      this.logger.info('JiraRouter initialized successfully');
+    } catch (error) {
+      this.logger.error('Error initializing JiraRouter', error);
+      throw new Error(`Failed to initialize JiraRouter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Configure routes for the router
+   * @private
+   */
+  configureRoutes() {
+    this.router.post('/webhook',
+      this.jsonParser,
+      middleware.createWebhookRateLimit(),
+      middleware.verifyJiraWebhook,
+      this.createIdempotencyMiddleware(),
+      (req, res) => this.handleIssueWebhook(req, res)
+    );
+
+    // Error handling middleware
+    this.router.use((err, req, res, next) => {
+      this.logger.error('Jira router error', err);
+      res.status(500).json(this.errorHandler.handleError(err, 'Jira router middleware'));
+    });
+  }
+
+  /**
+   * Derive the idempotency key of a Jira webhook delivery
+   * Jira keeps the `X-Atlassian-Webhook-Identifier` header across retries
+   * @param {Object} req - Express request
+   * @returns {string|null} Idempotency key, or null if the delivery has no identifier
+   */
+  getIdempotencyKey(req) {
+    const identifier = req.headers?.['x-atlassian-webhook-identifier'];
+    if (!identifier) {
+      return null;
+    }
+
+    const hash = crypto.createHash('sha256')
+      .update([`${req.baseUrl ?? ''}${req.path ?? ''}`, 'jira', identifier].join('|'))
+      .digest('hex');
+    return `idempotency:${hash}`;
+  }
+
+  /**
+   * Handle a Jira issue webhook
+   * Status changes of issues that link a Fullstory session are recorded in
+   * Fullstory; other issue events are acknowledged and ignored
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleIssueWebhook(req, res) {
+    try {
+      this.logWebhookStart('Jira', req);
+
+      const body = req.body ?? {};
+      const issue = body.issue;
+
+      if (!issue?.key) {
+        this.logger.warn('Jira webhook without an issue', { webhookEvent: body.webhookEvent });
+        return res.status(400).json(this.errorHandler.createValidationError(
+          ['issue'],
+          'Missing issue in Jira webhook payload'
+        ));
+      }
+
+      const change = this._getStatusChange(body);
+      if (!change) {
+        return this._sendSkipped(res, issue.key, 'no status change');
+      }
+
+      const session = this._findSession(issue);
+      if (!session) {
+        return this._sendSkipped(res, issue.key, 'no Fullstory session linked');
+      }
+
+      const recorded = await this._recordStatusChange(issue, change, session, body);
+      const responseData = { issueKey: issue.key, ...change, ...session, recorded };
+
+      this.logWebhookCompletion('Jira', responseData);
+
+      return res.status(200).json(this.createSuccessResponse(
+        responseData,
+        `Recorded ${issue.key} status change in Fullstory`
+      ));
+    } catch (error) {
+      this.logger.error('Error syncing Jira status to Fullstory', error);
+      return res.status(500).json(this.errorHandler.createApiError(error, 'Fullstory'));
+    }
+  }
+
+  /**
+   * Read the status transition from an issue updated webhook
+   * @param {Object} body - Jira webhook payload
+   * @returns {Object|null} `{ from, to, statusCategory, resolution }`, or null
+   *   if the webhook does not change the issue status
+   * @private
+   */
+  _getStatusChange(body) {
+    if (body.webhookEvent !== 'jira:issue_updated') {
+      return null;
+    }
+
+    const item = body.changelog?.items?.find(entry => entry.field === 'status');
+    if (!item) {
+      return null;
+    }
+
+    const fields = body.issue.fields ?? {};
+    return {
+      from: item.fromString ?? null,
+      to: item.toString ?? fields.status?.name ?? null,
+      statusCategory: fields.status?.statusCategory?.key ?? null,
+      resolution: fields.resolution?.name ?? null
+    };
+  }
+
+  /**
+   * Find the Fullstory session an issue was created for
+   * Reads the session link field (`JIRA_SESSION_FIELD_ID`), then falls back to a
+   * session URL in a plain-text description
+   * @param {Object} issue - Jira issue from the webhook
+   * @returns {Object|null} `{ userId, sessionId }`, or null if the issue links no session
+   * @private
+   */
+  _findSession(issue) {
+    const fields = issue.fields ?? {};
+    const description = typeof fields.description === 'string' ? fields.description : '';
+
+    return this.parseSessionUrl(fields[this.sessionFieldId]?.trim?.()) ??
+      this.parseSessionUrl(description.match(SESSION_URL_PATTERN)?.[0]);
+  }
+
+  /**
+   * Record a status change in Fullstory as a custom event on the originating
+   * session, an annotation, or both depending on `JIRA_STATUS_SYNC_MODE`
+   * @param {Object} issue - Jira issue from the webhook
+   * @param {Object} change - Status transition
+   * @param {Object} session - `{ userId, sessionId }`
+   * @param {Object} body - Jira webhook payload
+   * @returns {Promise<Array<string>>} Fullstory records written
+   * @throws {Error} If Fullstory rejects a record, so Jira retries the delivery
+   * @private
+   */
+  async _recordStatusChange(issue, change, session, body) {
+    const timestamp = new Date(body.timestamp ?? Date.now()).toISOString();
+    const summary = issue.fields?.summary ?? '';
+    // Keep the context path of Jira Server and Data Center sites, such as /jira
+    const issueUrl = issue.self ? `${issue.self.replace(/\/rest\/api\/.*$/, '')}/browse/${issue.key}` : undefined;
+
+    const writers = {
+      event: () => Fullstory.createEvent({
+        name: STATUS_EVENT_NAME,
+        timestamp,
+        session: { id: `${session.userId}:${session.sessionId}` },
+        properties: {
+          issue_key: issue.key,
+          issue_summary: summary,
+          issue_url: issueUrl,
+          status_from: change.from,
+          status_to: change.to,
+          status_category: change.statusCategory,
+          resolution: change.resolution,
+          changed_by: body.user?.displayName ?? null
+        }
+      }),
+      annotation: () => Fullstory.createAnnotation({
+        text: `${issue.key} ${change.from ?? '?'} → ${change.to ?? '?'}: ${summary}`.trim().slice(0, ANNOTATION_TEXT_LIMIT),
+        start_time: timestamp,
+        source: ANNOTATION_SOURCE
+      })
+    };
+
+    for (const target of this.syncTargets) {
+      const result = await writers[target]();
+      if (!result) {
+        throw new Error(`Failed to record ${issue.key} status change as a Fullstory ${target}`);
+      }
+    }
+
+    this.logger.info('Recorded Jira status change in Fullstory', {
+      issueKey: issue.key,
+      to: change.to,
+      recorded: this.syncTargets
+    });
+    return [...this.syncTargets];
+  }
+
+  /**
+   * Acknowledge a webhook that has nothing to sync
+   * Answered 200 so Jira does not redeliver it
+   * @param {Object} res - Express response
+   * @param {string} issueKey - Jira issue key
+   * @param {string} reason - Why the webhook was skipped
+   * @private
+   */
+  _sendSkipped(res, issueKey, reason) {
+    this.logger.debug('Skipping Jira webhook', { issueKey, reason });
+    return res.status(200).json(this.createSuccessResponse(
+      { issueKey, skipped: true, reason },
+      `Jira webhook for ${issueKey} skipped: ${reason}`
+    ));
+  }
+
+  /**
+   * Get the configured router instance
+   * @returns {Object} Express router
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+// Create a singleton instance of the JiraRouter
+const jiraRouterInstance = new JiraRouter();
+
+// Register with initialization tracker
+import initialization from './initialization.js';
+
+try {
+  initialization.markRouterInitialized('Webhook:Jira', jiraRouterInstance.router);
+} catch (error) {
+  initialization.markFailed('Webhook:Jira', error);
+}
+
+// Export the router instance
+export default jiraRouterInstance.getRouter();
+export { JiraRouter };
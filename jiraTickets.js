@@ -0,0 +1,197 @@
+/**
+ * Jira Tickets - Builds and creates Jira tickets for Fullstory signals
+ * Shared by the Jira webhook routes and destinations and the Slack alert
+ * button, so every ticket gets its project, issue type, session link field
+ * and issue template fields the same way
+ */
+import config from './config.js';
+import { Logger } from './loggerFramework.js';
+import serviceRegistry from './serviceRegistry.js';
+import { jira as atlassian } from './Atlassian.js';
+import Fullstory from './Fullstory.js';
+import konbini from './konbini.js';
+import jiraIssueTemplates from './jiraIssueTemplates.js';
+
+/**
+ * Jira ticket builder and creator
+ */
+class JiraTicketService {
+  constructor() {
+    this.logger = new Logger('JiraTickets');
+  }
+
+  /**
+   * Resolve the project, issue type, session link field and extra fields of a Jira ticket
+   * The first matching issue template, from the `issueTemplates` option or else
+   * `JIRA_ISSUE_TEMPLATES_FILE`, takes precedence over the `projectKey` and
+   * `issueTypeId` options, which take precedence over the global configuration
+   * @param {Object} scope - Data the issue templates are rendered with, with `session_link`
+   * @param {Object} [options] - Route, destination step or action options
+   * @returns {Object} `{ template, project, projectKey, issuetype, sessionField, fields }`
+   * @throws {Error} If no project or issue type is configured
+   */
+  resolveIssue(scope, options = {}) {
+    const { name: template, sessionField, fields: { project, issuetype, ...fields } = {} } =
+      jiraIssueTemplates.render(scope, options.issueTemplates ?? jiraIssueTemplates.list()) ?? {};
+
+    const projectKey = options.projectKey || config.get('jira_project_key');
+    const issueTypeId = options.issueTypeId || config.get('jira_issue_type_id');
+    const resolved = {
+      template,
+      project: project ?? (projectKey ? { key: projectKey } : undefined),
+      issuetype: issuetype ?? (issueTypeId ? { id: issueTypeId } : undefined),
+      sessionField: sessionField ?? config.get('jira_session_field_id', 'customfield_XXXXX'),
+      fields
+    };
+
+    if (!resolved.project || !resolved.issuetype) {
+      this.logger.error('Missing required Jira configuration', {
+        hasProjectKey: !!resolved.project,
+        hasIssueTypeId: !!resolved.issuetype,
+        template
+      });
+      const error = new Error('Missing required Jira configuration: project key or issue type ID');
+      error.retryable = false;
+      throw error;
+    }
+
+    resolved.projectKey = resolved.project.key ?? resolved.project.id;
+    return resolved;
+  }
+
+  /**
+   * Build the Jira issue payload for a resolved issue
+   * Issue template fields, then `fields` (e.g. from a route template), replace the defaults
+   * @param {Object} issue - Resolved issue from `resolveIssue`
+   * @param {Object} content - Ticket content
+   * @param {string} content.summary - Issue summary
+   * @param {string|Object} content.description - Plain text or ADF description
+   * @param {string} [content.sessionLink] - Session replay URL for the session link field
+   * @param {Object} [content.fields] - Fields applied last
+   * @returns {Object} `{ fields }` issue payload for `atlassian.createTicket`
+   */
+  buildTicket(issue, { summary, description, sessionLink, fields }) {
+    const ticketData = {
+      fields: {
+        summary,
+        description,
+        project: issue.project,
+        issuetype: issue.issuetype
+      }
+    };
+
+    if (sessionLink) {
+      ticketData.fields[issue.sessionField] = sessionLink;
+    }
+
+    Object.assign(ticketData.fields, issue.fields, fields);
+    return ticketData;
+  }
+
+  /**
+   * Create a Jira ticket
+   * With a duplicate check, an open issue carrying the fingerprint label gets
+   * a comment instead of a new ticket being created. With evidence, the session
+   * events and timeline are attached to a new ticket
+   * @param {Object} payload - `{ ticketData, dedupe, evidence }` Jira issue payload,
+   *   optional `{ jql, comment }` duplicate check and optional
+   *   `{ uid, sessionId, sessionLink }` session to attach evidence from
+   * @returns {Promise<Object>} Created ticket details, or the existing ticket with `duplicate: true`
+   * @throws {Error} If the duplicate search failed, the ticket was not created or the comment on an existing ticket could not be added
+   */
+  async create({ ticketData, dedupe, evidence }) {
+    if (dedupe) {
+      // A failed search must not be mistaken for "no duplicate", or every
+      // retry during a Jira outage would open another ticket
+      const search = await atlassian.searchIssues(dedupe.jql, { fields: ['summary'], maxResults: 1 });
+      if (!search) {
+        throw new Error('Failed to search Jira for a duplicate ticket');
+      }
+      const existing = search.issues?.[0];
+      if (existing) {
+        const comment = await atlassian.addComment(existing.key, dedupe.comment);
+        if (!comment) {
+          throw new Error(`Failed to comment on Jira ticket ${existing.key}`);
+        }
+        return {
+          ticketKey: existing.key,
+          ticketId: existing.id,
+          ticketUrl: `${atlassian.jira_base_url}/browse/${existing.key}`,
+          duplicate: true,
+          commentId: comment.id
+        };
+      }
+    }
+
+    const ticket = await atlassian.createTicket(ticketData);
+    const result = {
+      ticketKey: ticket.key,
+      ticketId: ticket.id,
+      ticketUrl: `${atlassian.jira_base_url}/browse/${ticket.key}`
+    };
+
+    if (evidence) {
+      result.attachments = await this._attachSessionEvidence(ticket.key, evidence);
+    }
+    return result;
+  }
+
+  /**
+   * Attach Fullstory session evidence to a Jira ticket: a JSON dump of the
+   * session events and a Markdown timeline with the AI session summary
+   * Best effort, since the ticket already exists and a retried delivery would
+   * create it again; failures are logged and leave the ticket without evidence
+   * @param {string} ticketKey - Jira ticket key
+   * @param {Object} evidence - `{ uid, sessionId, sessionLink }`
+   * @returns {Promise<Array<string>>} Names of the attached files
+   * @private
+   */
+  async _attachSessionEvidence(ticketKey, { uid, sessionId, sessionLink }) {
+    try {
+      const [events, summary] = await Promise.all([
+        Fullstory.getSessionEvents(uid, sessionId),
+        Fullstory.getSessionSummary(uid, sessionId)
+      ]);
+
+      if (!events && !summary) {
+        this.logger.warn(`No Fullstory session evidence available for Jira ticket ${ticketKey}`, { uid, sessionId });
+        return [];
+      }
+
+      const baseName = `fullstory-session-${String(sessionId).replace(/[^\w.-]/g, '_')}`;
+      const files = [{
+        filename: `${baseName}-timeline.md`,
+        content: konbini.eventFormatter.createSessionTimeline(events ?? [], { summary, sessionLink }),
+        contentType: 'text/markdown'
+      }];
+      if (events) {
+        files.unshift({
+          filename: `${baseName}-events.json`,
+          content: JSON.stringify({ uid, sessionId, sessionLink, events }, null, 2),
+          contentType: 'application/json'
+        });
+      }
+
+      const attachments = await atlassian.addAttachment(ticketKey, files);
+      if (!attachments) {
+        this.logger.warn(`Failed to attach session evidence to Jira ticket ${ticketKey}`);
+        return [];
+      }
+
+      this.logger.info('Attached session evidence to Jira ticket', { ticketKey, files: files.length });
+      return files.map(file => file.filename);
+    } catch (error) {
+      this.logger.error(`Failed to attach session evidence to Jira ticket ${ticketKey}`, error);
+      return [];
+    }
+  }
+}
+
+// Create a singleton instance
+const jiraTickets = new JiraTicketService();
+
+// Register in the service registry
+serviceRegistry.register('jiraTickets', jiraTickets);
+
+export default jiraTickets;
+export { JiraTicketService };
@@ -897,12 +897,16 @@ class EventFormatter {
   }
   
   /**
-   * Create a detailed rundown of events for a ticket
+   * Build a detailed rundown of events as document blocks
+   * Blocks are `{ type: 'heading', level, text }`, `{ type: 'paragraph', text }`,
+   * `{ type: 'table', header, rows }` and `{ type: 'code', language, text }`.
+   * `createRunDown` renders them as Markdown and `createRunDownAdf` as Atlassian
+   * Document Format
    * @param {Object} webhookBody - The webhook payload containing events
-   * @returns {Promise<string>} - Markdown formatted event summary
+   * @returns {Array<Object>} - Rundown blocks
    * @throws {Error} If webhook body is invalid
    */
-  async createRunDown(webhookBody) {
+  buildRunDown(webhookBody) {
     if (!webhookBody || !webhookBody.user) {
       this.logger.error('Invalid webhook body in createRunDown - missing user');
       throw new Error('Invalid webhook body: missing user information');
@@ -919,47 +923,77 @@ class EventFormatter {
       const timestamp = webhookBody.timestamp ? new Date(webhookBody.timestamp) : new Date();
       const timeStamp = timestamp.toLocaleString();
 
-      // Start building the markdown
-      let markdown = `# Event Details\n\n`;
-      markdown += `## User: ${email}\n`;
-      markdown += `## Time: ${timeStamp}\n\n`;
+      const blocks = [
+        { type: 'heading', level: 1, text: 'Event Details' },
+        { type: 'heading', level: 2, text: `User: ${email}` },
+        { type: 'heading', level: 2, text: `Time: ${timeStamp}` }
+      ];
 
       // Add event information if available
       if (webhookBody.name) {
-        markdown += `## Event Name: ${webhookBody.name}\n\n`;
+        blocks.push({ type: 'heading', level: 2, text: `Event Name: ${webhookBody.name}` });
       }
 
       // Add session ID if available
       if (webhookBody.properties?.session_id) {
-        markdown += `## Session ID: ${webhookBody.properties.session_id}\n\n`;
+        blocks.push({ type: 'heading', level: 2, text: `Session ID: ${webhookBody.properties.session_id}` });
       }
 
-      // Add session events table if available
+      // Add session events tables if available
       if (webhookBody.events && Array.isArray(webhookBody.events) && webhookBody.events.length > 0) {
-        markdown += await this.createEventsTable(webhookBody.events);
+        blocks.push(...this.buildEventsBlocks(webhookBody.events));
       }
 
       // Add properties section
       if (webhookBody.properties) {
-        markdown += `## Properties\n\n`;
-        markdown += '```json\n';
-        markdown += JSON.stringify(webhookBody.properties, null, 2);
-        markdown += '\n```\n\n';
+        blocks.push(
+          { type: 'heading', level: 2, text: 'Properties' },
+          { type: 'code', language: 'json', text: JSON.stringify(webhookBody.properties, null, 2) }
+        );
       }
 
-      return markdown;
+      return blocks;
     } catch (error) {
       this.logger.error('Error creating event rundown:', error);
       throw new Error(`Failed to create event rundown: ${error.message}`);
     }
   }
 
+  /**
+   * Create a detailed rundown of events for a ticket
+   * @param {Object} webhookBody - The webhook payload containing events
+   * @returns {Promise<string>} - Markdown formatted event summary
+   * @throws {Error} If webhook body is invalid
+   */
+  async createRunDown(webhookBody) {
+    return this.toMarkdown(this.buildRunDown(webhookBody));
+  }
+
+  /**
+   * Create a detailed rundown of events for a Jira REST v3 ticket
+   * @param {Object} webhookBody - The webhook payload containing events
+   * @returns {Promise<Object>} - Atlassian Document Format document
+   * @throws {Error} If webhook body is invalid
+   */
+  async createRunDownAdf(webhookBody) {
+    return this.toAdf(this.buildRunDown(webhookBody));
+  }
+
   /**
    * Create a formatted table of events for a ticket
    * @param {Array} events - List of events from Fullstory
    * @returns {Promise<string>} - Markdown formatted table
    */
   async createEventsTable(events) {
+    return this.toMarkdown(this.buildEventsBlocks(events));
+  }
+
+  /**
+   * Build the session events section, one table per event group
+   * @param {Array} events - List of events from Fullstory
+   * @returns {Array<Object>} - Heading and table blocks
+   */
+  buildEventsBlocks(events) {
     // Event type to group mapping
     const eventTypeToGroup = {
       dead_click: { group: "User Friction Actions" },
@@ -1020,28 +1054,223 @@ class EventFormatter {
       });
     });
 
-    // Generate markdown table
-    let markdown = `## Session Events\n\n`;
+    // One table per group with events
+    const blocks = [{ type: 'heading', level: 2, text: 'Session Events' }];
 
     for (const [group, groupEvents] of Object.entries(groupedEvents)) {
       if (groupEvents.length === 0) continue;
 
-      markdown += `### ${group}\n\n`;
-      markdown += '| Event Type | Count | Details |\n';
-      markdown += '|------------|-------|--------|\n';
+      blocks.push(
+        { type: 'heading', level: 3, text: group },
+        {
+          type: 'table',
+          header: ['Event Type', 'Count', 'Details'],
+          rows: groupEvents.map(event => [
+            event.type,
+            String(event.count),
+            Object.keys(event.data).length > 0
+              ? JSON.stringify(event.data).substring(0, 50) + '...'
+              : 'No additional details'
+          ])
+        }
+      );
+    }
 
-      groupEvents.forEach(event => {
-        const details = Object.keys(event.data).length > 0
-          ? JSON.stringify(event.data).substring(0, 50) + '...'
-          : 'No additional details';
+    return blocks;
+  }
 
-        markdown += `| ${event.type} | ${event.count} | ${details} |\n`;
+  /**
+   * Build a Fullstory session timeline as document blocks
+   * Lists the AI session summary, then every session event in time order with
+   * the time elapsed since the first one
+   * @param {Array} [events] - Events from `Fullstory.getSessionEvents`
+   * @param {Object} [options] - Timeline options
+   * @param {Object|string} [options.summary] - Result of `Fullstory.getSessionSummary`
+   * @param {string} [options.sessionLink] - Session replay URL
+   * @returns {Array<Object>} - Timeline blocks
+   */
+  buildSessionTimeline(events = [], { summary, sessionLink } = {}) {
+    const timeOf = event => new Date(event.event_time ?? event.timestamp);
+    const sorted = [...(events ?? [])]
+      .filter(event => !Number.isNaN(timeOf(event).getTime()))
+      .sort((a, b) => timeOf(a) - timeOf(b));
+
+    const blocks = [{ type: 'heading', level: 1, text: 'Session Timeline' }];
+
+    if (sessionLink) {
+      blocks.push({ type: 'paragraph', text: `Session replay: ${sessionLink}` });
+    }
+
+    if (sorted.length > 0) {
+      blocks.push({
+        type: 'paragraph',
+        text: `${sorted.length} events from ${timeOf(sorted[0]).toISOString()} to ${timeOf(sorted.at(-1)).toISOString()}`
       });
+    }
+
+    const analysis = summary?.analysis ?? summary;
+    if (analysis) {
+      blocks.push(
+        { type: 'heading', level: 2, text: 'AI Summary' },
+        typeof analysis === 'string'
+          ? { type: 'paragraph', text: analysis }
+          : { type: 'code', language: 'json', text: JSON.stringify(analysis, null, 2) }
+      );
+    }
 
-      markdown += '\n';
+    blocks.push({ type: 'heading', level: 2, text: 'Events' });
+    if (sorted.length === 0) {
+      blocks.push({ type: 'paragraph', text: 'No session events available' });
+      return blocks;
     }
 
-    return markdown;
+    const start = timeOf(sorted[0]);
+    blocks.push({
+      type: 'table',
+      header: ['Time (UTC)', 'Elapsed', 'Event', 'Details'],
+      rows: sorted.map(event => {
+        const properties = event.event_properties ?? event.properties ?? event.data ?? {};
+        const type = event.event_type ?? event.type ?? event.name ?? 'unknown';
+        const details = Object.keys(properties).length > 0 ? JSON.stringify(properties) : '';
+        const elapsed = Math.round((timeOf(event) - start) / 1000);
+
+        return [
+          timeOf(event).toISOString().replace('T', ' ').slice(0, 19),
+          `+${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}`,
+          properties.event_name ? `${type}: ${properties.event_name}` : type,
+          details.length > 120 ? `${details.substring(0, 120)}...` : details || 'No additional details'
+        ];
+      })
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Create a Markdown session timeline, e.g. for a Jira attachment
+   * @param {Array} [events] - Events from `Fullstory.getSessionEvents`
+   * @param {Object} [options] - Options for `buildSessionTimeline`
+   * @returns {string} - Markdown text
+   */
+  createSessionTimeline(events, options) {
+    return this.toMarkdown(this.buildSessionTimeline(events, options));
+  }
+
+  /**
+   * Render rundown blocks as Markdown
+   * Pipes and line breaks inside table cells are escaped so rows stay intact
+   * @param {Array<Object>} blocks - Rundown blocks
+   * @returns {string} - Markdown text
+   */
+  toMarkdown(blocks) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'heading':
+          return `${'#'.repeat(block.level)} ${block.text}\n\n`;
+        case 'table': {
+          const cells = row => row.map(cell => String(cell).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')).join(' | ');
+          return [
+            `| ${cells(block.header)} |`,
+            `|${block.header.map(cell => '-'.repeat(cell.length + 2)).join('|')}|`,
+            ...block.rows.map(row => `| ${cells(row)} |`)
+          ].join('\n') + '\n\n';
+        }
+        case 'code':
+          return `\`\`\`${block.language ?? ''}\n${block.text}\n\`\`\`\n\n`;
+        default:
+          return `${block.text}\n\n`;
+      }
+    }).join('');
+  }
+
+  /**
+   * Render rundown blocks as an Atlassian Document Format document
+   * URLs in headings, paragraphs and table cells become links
+   * @param {Array<Object>} blocks - Rundown blocks
+   * @returns {Object} - ADF document
+   * @see https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+   */
+  toAdf(blocks) {
+    const paragraph = text => ({ type: 'paragraph', content: this._toAdfInline(text) });
+
+    const content = blocks.map(block => {
+      switch (block.type) {
+        case 'heading':
+          return { type: 'heading', attrs: { level: block.level }, content: this._toAdfInline(block.text) };
+        case 'table':
+          return {
+            type: 'table',
+            attrs: { isNumberColumnEnabled: false, layout: 'default' },
+            content: [
+              { type: 'tableRow', content: block.header.map(cell => ({ type: 'tableHeader', attrs: {}, content: [paragraph(cell)] })) },
+              ...block.rows.map(row => ({
+                type: 'tableRow',
+                content: row.map(cell => ({ type: 'tableCell', attrs: {}, content: [paragraph(cell)] }))
+              }))
+            ]
+          };
+        case 'code':
+          return {
+            type: 'codeBlock',
+            attrs: block.language ? { language: block.language } : {},
+            content: block.text ? [{ type: 'text', text: block.text }] : []
+          };
+        default:
+          return paragraph(block.text);
+      }
+    });
+
+    return { type: 'doc', version: 1, content };
+  }
+
+  /**
+   * Convert plain text to an Atlassian Document Format document
+   * Blank lines separate paragraphs, single line breaks are kept and URLs become links
+   * @param {string} text - Plain text, e.g. a templated description or a comment
+   * @returns {Object} - ADF document
+   */
+  textToAdf(text) {
+    const paragraphs = String(text ?? '').split(/\n\s*\n/).filter(part => part.trim() !== '');
+
+    return {
+      type: 'doc',
+      version: 1,
+      content: paragraphs.map(part => ({
+        type: 'paragraph',
+        content: part.split('\n').flatMap((line, index) => [
+          ...(index > 0 ? [{ type: 'hardBreak' }] : []),
+          ...this._toAdfInline(line)
+        ])
+      }))
+    };
+  }
+
+  /**
+   * Split text into ADF text nodes, marking URLs as links
+   * @param {string} text - Text to convert
+   * @returns {Array<Object>} - ADF inline nodes, empty for empty text
+   * @private
+   */
+  _toAdfInline(text) {
+    const nodes = [];
+    const value = String(text ?? '');
+    const urlPattern = /https?:\/\/[^\s<>"'|)\]]+/g;
+    let position = 0;
+
+    for (const match of value.matchAll(urlPattern)) {
+      // Leave sentence punctuation after a URL out of the link
+      const url = match[0].replace(/[.,;:!?]+$/, '');
+      if (match.index > position) {
+        nodes.push({ type: 'text', text: value.slice(position, match.index) });
+      }
+      nodes.push({ type: 'text', text: url, marks: [{ type: 'link', attrs: { href: url } }] });
+      position = match.index + url.length;
+    }
+
+    if (position < value.length) {
+      nodes.push({ type: 'text', text: value.slice(position) });
+    }
+    return nodes;
   }
 
   /**
@@ -7,6 +7,19 @@ import { Logger } from './loggerFramework.js';
 import { ErrorHandler } from './errorHandler.js';
 import serviceRegistry from './serviceRegistry.js';
 import rateLimiter from './rateLimiter.js';
+import idempotencyCache from './idempotencyCache.js';
+import { getWebhookIdempotencyKey } from './webhookBase.js';
+
+/**
+ * Error codes returned when webhook verification fails, for security monitoring
+ */
+const WEBHOOK_ERROR_CODES = {
+  SIGNATURE_MISSING: 'WEBHOOK_SIGNATURE_MISSING',
+  SIGNATURE_MALFORMED: 'WEBHOOK_SIGNATURE_MALFORMED',
+  SIGNATURE_INVALID: 'WEBHOOK_SIGNATURE_INVALID',
+  TIMESTAMP_OUT_OF_TOLERANCE: 'WEBHOOK_TIMESTAMP_OUT_OF_TOLERANCE',
+  REPLAY_DETECTED: 'WEBHOOK_REPLAY_DETECTED'
+};
 
 /**
  * Middleware class with various request handlers
@@ -22,21 +35,79 @@ class MiddlewareService {
     // Get the Fullstory API key
     this.org_api_key = config.get('fs_org_api_key');
     
+    // Ordered signing keys: the current key first, then previous keys still accepted during rotation
+    this.signingKeys = this._loadSigningKeys();
+    
+    // Slack signs interaction and slash command requests with the app's signing secret
+    this.slackSigningSecret = config.get('slack_signing_secret');
+    
+    // Jira signs issue webhooks with the secret set on the webhook
+    this.jiraWebhookSecret = config.get('jira_webhook_secret');
+    
+    // Replay protection: signed timestamps must be recent and signatures are single use
+    this.timestampToleranceMs = config.getNumber('webhook_timestamp_tolerance_ms', 300000); // 5 minutes
+    this.replayProtection = config.getBoolean('webhook_replay_protection', true);
+    
     // Check if key is available
     if (!this.org_api_key) {
       this.logger.warn('Fullstory API key not configured. Webhook verification will fail.');
     }
   }
 
+  /**
+   * Load the ordered list of webhook signing keys
+   * `ORG_API_KEY` is the current key; `ORG_API_KEY_PREVIOUS` holds one or more
+   * comma-separated keys that are still accepted while a rotation is in progress
+   * @returns {Array<Object>} Keys as `{ label, fingerprint, secret }`, current key first
+   * @private
+   */
+  _loadSigningKeys() {
+    const previousKeys = (config.get('fs_org_api_key_previous') || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean);
+
+    const keys = [
+      ...(this.org_api_key ? [{ label: 'current', secret: this.org_api_key }] : []),
+      ...previousKeys.map((secret, index) => ({ label: `previous[${index}]`, secret }))
+    ];
+
+    // Fingerprints identify keys in logs without exposing them
+    return keys.map(key => ({
+      ...key,
+      fingerprint: crypto.createHash('sha256').update(key.secret).digest('hex').substring(0, 8)
+    }));
+  }
+
+  /**
+   * Find the signing key that produced a signature
+   * @param {string} canonicalPayload - Signed `payload:o:t` string
+   * @param {string} signature - Base64 signature from the header
+   * @returns {Object|null} Matching key, or null if none match
+   * @private
+   */
+  _findMatchingKey(canonicalPayload, signature) {
+    const expected = Buffer.from(signature);
+
+    return this.signingKeys.find(key => {
+      const computed = Buffer.from(
+        crypto.createHmac("sha256", key.secret).update(canonicalPayload).digest("base64")
+      );
+      return computed.length === expected.length && crypto.timingSafeEqual(computed, expected);
+    }) || null;
+  }
+
   /**
    * Verify Fullstory webhook signature
    * SECURITY WARNING: This method validates webhook authenticity. 
    * Only disable verification in explicit development environments.
+   * Besides the HMAC, the signed timestamp must be within the configured
+   * tolerance and a signature is only accepted once.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next function
    */
-  verifyWebHook(req, res, next) {
+  async verifyWebHook(req, res, next) {
     try {
       // Skip signature verification ONLY if explicitly enabled for development
       // This is a security-critical check - only bypass in explicitly configured dev environments
@@ -52,14 +123,11 @@ class MiddlewareService {
       const signature = req.headers["fullstory-signature"];
       if (!signature) {
         this.logger.warn('Missing Fullstory signature in request');
-        return res.status(401).json({
-          success: false,
-          error: 'Missing Fullstory signature'
-        });
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_MISSING, 'Missing Fullstory signature');
       }
 
       // Check if API key is configured
-      if (!this.org_api_key) {
+      if (this.signingKeys.length === 0) {
         this.logger.error('Cannot verify webhook: Fullstory API key not configured');
         return res.status(500).json({
           success: false,
@@ -81,29 +149,62 @@ class MiddlewareService {
       // Check required signature components
       if (!signatureMap.v || !signatureMap.o || !signatureMap.t) {
         this.logger.warn('Invalid signature format in webhook request');
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid signature format'
-        });
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_MALFORMED, 'Invalid signature format');
       }
 
       // Construct the canonical event payload
       const canonicalPayload = `${payload}:${signatureMap.o}:${signatureMap.t}`;
 
-      // Compute the HMAC SHA256 hash
-      const hmac = crypto.createHmac("sha256", this.org_api_key);
-      hmac.update(canonicalPayload);
+      // Check the HMAC SHA256 signature against each active key in order
+      const matchedKey = this._findMatchingKey(canonicalPayload, signatureMap.v);
 
-      // Digest the hmac value
-      const computedSignature = hmac.digest("base64");
+      if (!matchedKey) {
+        this.logger.warn('Invalid webhook signature - signatures do not match', {
+          keysTried: this.signingKeys.length
+        });
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_INVALID, 'Invalid webhook signature');
+      }
 
-      // Check if signatures match
-      if (computedSignature !== signatureMap.v) {
-        this.logger.warn('Invalid webhook signature - signatures do not match');
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid webhook signature'
+      // Signatures from previous keys tell us when those keys can be retired
+      const keyDetails = { key: matchedKey.label, fingerprint: matchedKey.fingerprint };
+      if (matchedKey.label === 'current') {
+        this.logger.debug('Webhook signed with current key', keyDetails);
+      } else {
+        this.logger.info('Webhook signed with previous key', keyDetails);
+      }
+
+      // Check the signed timestamp is recent
+      if (this.timestampToleranceMs > 0) {
+        const skewMs = this._getTimestampSkew(signatureMap.t);
+        if (!(skewMs <= this.timestampToleranceMs)) {
+          this.logger.warn('SECURITY: Webhook timestamp outside tolerance', {
+            timestamp: signatureMap.t,
+            skewMs,
+            toleranceMs: this.timestampToleranceMs
+          });
+          return this._rejectWebHook(
+            res,
+            WEBHOOK_ERROR_CODES.TIMESTAMP_OUT_OF_TOLERANCE,
+            'Webhook timestamp outside the allowed tolerance'
+          );
+        }
+      }
+
+      // Reject signatures that have already been accepted, unless the request is a
+      // redelivery the idempotency check answers with the stored response or a 409
+      if (this.replayProtection && !(await this._claimSignature(`webhook-signature:${signatureMap.v}`, res))) {
+        if (await this._isKnownDelivery(req)) {
+          this.logger.info('Repeated webhook signature belongs to a known delivery, passing it to the idempotency check', {
+            path: req.originalUrl
+          });
+          return next();
+        }
+
+        this.logger.warn('SECURITY: Replayed webhook signature rejected', {
+          timestamp: signatureMap.t,
+          path: req.originalUrl
         });
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.REPLAY_DETECTED, 'Webhook signature has already been used');
       }
 
       this.logger.debug('Webhook signature verification successful');
@@ -115,6 +216,232 @@ class MiddlewareService {
     }
   }
 
+  /**
+   * Verify the Slack signature of an interaction or slash command request
+   * SECURITY WARNING: Slack requests can trigger actions such as creating Jira
+   * tickets. Only disable verification in explicit development environments.
+   * Requires `req.rawBody`, the unparsed request body Slack signed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @see https://api.slack.com/authentication/verifying-requests-from-slack
+   */
+  async verifySlackRequest(req, res, next) {
+    try {
+      const isDevelopment = process.env.NODE_ENV === 'development' || 
+                           process.env.SKIP_WEBHOOK_VERIFICATION === 'true';
+      
+      if (isDevelopment) {
+        this.logger.warn('SECURITY: Skipping Slack signature verification in development mode');
+        return next();
+      }
+
+      const signature = req.headers['x-slack-signature'];
+      const timestamp = req.headers['x-slack-request-timestamp'];
+      if (!signature || !timestamp) {
+        this.logger.warn('Missing Slack signature in request');
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_MISSING, 'Missing Slack signature');
+      }
+
+      if (!this.slackSigningSecret || req.rawBody === undefined) {
+        this.logger.error('Cannot verify Slack request: signing secret or raw body not available');
+        return res.status(500).json({
+          success: false,
+          error: 'Internal configuration error'
+        });
+      }
+
+      // Slack signs `v0:<timestamp>:<raw body>` and sends `v0=<hex digest>`
+      const computed = Buffer.from(`v0=${crypto.createHmac('sha256', this.slackSigningSecret)
+        .update(`v0:${timestamp}:${req.rawBody}`)
+        .digest('hex')}`);
+      const expected = Buffer.from(signature);
+
+      if (computed.length !== expected.length || !crypto.timingSafeEqual(computed, expected)) {
+        this.logger.warn('Invalid Slack signature - signatures do not match');
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_INVALID, 'Invalid Slack signature');
+      }
+
+      if (this.timestampToleranceMs > 0) {
+        const skewMs = this._getTimestampSkew(timestamp);
+        if (!(skewMs <= this.timestampToleranceMs)) {
+          this.logger.warn('SECURITY: Slack request timestamp outside tolerance', {
+            timestamp,
+            skewMs,
+            toleranceMs: this.timestampToleranceMs
+          });
+          return this._rejectWebHook(
+            res,
+            WEBHOOK_ERROR_CODES.TIMESTAMP_OUT_OF_TOLERANCE,
+            'Slack request timestamp outside the allowed tolerance'
+          );
+        }
+      }
+
+      if (this.replayProtection && !(await this._claimSignature(`slack-signature:${signature}`, res))) {
+        this.logger.warn('SECURITY: Replayed Slack signature rejected', {
+          timestamp,
+          path: req.originalUrl
+        });
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.REPLAY_DETECTED, 'Slack signature has already been used');
+      }
+
+      this.logger.debug('Slack signature verification successful');
+      next();
+    } catch (error) {
+      this.logger.error('Error verifying Slack signature:', error);
+      return res.status(500).json(this.errorHandler.createErrorResponse(error));
+    }
+  }
+
+  /**
+   * Verify the shared secret of an inbound Jira webhook
+   * SECURITY WARNING: Jira webhooks record issue changes in Fullstory. Only
+   * disable verification in explicit development environments.
+   * Jira Cloud webhooks with a secret send `X-Hub-Signature: sha256=<hex>`, an
+   * HMAC of the raw body, which requires `req.rawBody`. Senders that cannot sign,
+   * such as Jira Server webhooks and automation rules, pass the secret as the
+   * `token` query parameter instead
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @see https://developer.atlassian.com/cloud/jira/platform/webhooks/#secure-admin-webhooks
+   */
+  async verifyJiraWebhook(req, res, next) {
+    try {
+      const isDevelopment = process.env.NODE_ENV === 'development' || 
+                           process.env.SKIP_WEBHOOK_VERIFICATION === 'true';
+      
+      if (isDevelopment) {
+        this.logger.warn('SECURITY: Skipping Jira webhook verification in development mode');
+        return next();
+      }
+
+      const signature = req.headers['x-hub-signature'];
+      const token = req.query?.token;
+      if (!signature && !token) {
+        this.logger.warn('Missing Jira webhook signature in request');
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_MISSING, 'Missing Jira webhook signature');
+      }
+
+      if (!this.jiraWebhookSecret || (signature && req.rawBody === undefined)) {
+        this.logger.error('Cannot verify Jira webhook: secret or raw body not available');
+        return res.status(500).json({
+          success: false,
+          error: 'Internal configuration error'
+        });
+      }
+
+      let computed;
+      let expected;
+      if (signature) {
+        const [method, digest] = String(signature).split('=');
+        if (method !== 'sha256' || !digest) {
+          this.logger.warn('Malformed Jira webhook signature', { method });
+          return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_MALFORMED, 'Invalid signature format');
+        }
+        computed = Buffer.from(crypto.createHmac('sha256', this.jiraWebhookSecret).update(req.rawBody).digest('hex'));
+        expected = Buffer.from(digest);
+      } else {
+        computed = Buffer.from(this.jiraWebhookSecret);
+        expected = Buffer.from(String(token));
+      }
+
+      if (computed.length !== expected.length || !crypto.timingSafeEqual(computed, expected)) {
+        this.logger.warn('Invalid Jira webhook signature', { path: req.originalUrl, method: signature ? 'hmac' : 'token' });
+        return this._rejectWebHook(res, WEBHOOK_ERROR_CODES.SIGNATURE_INVALID, 'Invalid Jira webhook signature');
+      }
+
+      this.logger.debug('Jira webhook verification successful');
+      next();
+    } catch (error) {
+      this.logger.error('Error verifying Jira webhook:', error);
+      return res.status(500).json(this.errorHandler.createErrorResponse(error));
+    }
+  }
+
+  /**
+   * Mark a signature as used so it cannot be replayed
+   * The signature is forgotten again after a server error so the sender's retry is accepted
+   * @param {string} nonceKey - Cache key for the signature
+   * @param {Object} res - Express response object
+   * @returns {Promise<boolean>} False if the signature was already used
+   * @private
+   */
+  async _claimSignature(nonceKey, res) {
+    const firstUse = await idempotencyCache.reserve(nonceKey, this._getReplayWindowMs());
+    if (!firstUse) {
+      return false;
+    }
+
+    res.on('close', () => {
+      if (res.statusCode >= 500) {
+        idempotencyCache.release(nonceKey);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Whether a webhook request repeats a delivery the idempotency cache knows about
+   * @param {Object} req - Express request object
+   * @returns {Promise<boolean>} True if the delivery is processing or has a stored response
+   * @private
+   */
+  async _isKnownDelivery(req) {
+    if (!idempotencyCache.config.enabled) {
+      return false;
+    }
+
+    const key = getWebhookIdempotencyKey(req);
+    return !!key && !!(await idempotencyCache.get(key));
+  }
+
+  /**
+   * Send a webhook verification failure with its error code
+   * @param {Object} res - Express response object
+   * @param {string} code - One of WEBHOOK_ERROR_CODES
+   * @param {string} message - Error message
+   * @returns {Object} Express response
+   * @private
+   */
+  _rejectWebHook(res, code, message) {
+    return res.status(401).json({
+      success: false,
+      error: message,
+      code
+    });
+  }
+
+  /**
+   * Distance between a signature timestamp and now
+   * Accepts Unix timestamps in seconds or milliseconds
+   * @param {string} timestamp - Signature `t` component
+   * @returns {number} Absolute skew in milliseconds, NaN if the timestamp is invalid
+   * @private
+   */
+  _getTimestampSkew(timestamp) {
+    const value = Number(timestamp);
+    if (!Number.isFinite(value)) {
+      return NaN;
+    }
+    const timestampMs = value < 1e12 ? value * 1000 : value;
+    return Math.abs(Date.now() - timestampMs);
+  }
+
+  /**
+   * How long accepted signatures are remembered
+   * A signature outside the tolerance is rejected anyway, so remembering it for
+   * twice the tolerance (past and future skew) is enough
+   * @returns {number} Window in milliseconds
+   * @private
+   */
+  _getReplayWindowMs() {
+    return this.timestampToleranceMs > 0
+      ? this.timestampToleranceMs * 2
+      : idempotencyCache.config.ttlMs;
+  }
+
   /**
    * Validate required JSON fields in request body
    * @param {Array<string>} requiredFields - Array of required field names
@@ -271,7 +598,8 @@ try {
   if (serviceRegistry.has('initialization')) {
     const initialization = serviceRegistry.get('initialization');
     initialization.markInitialized('Middleware', {
-      webhookVerificationEnabled: !!middleware.org_api_key
+      webhookVerificationEnabled: middleware.signingKeys.length > 0,
+      signingKeys: middleware.signingKeys.length
     });
   } else {
     const logger = new Logger('Middleware');
@@ -285,6 +613,8 @@ try {
 // Export middleware methods with proper binding to the instance
 const middlewareExports = {
   verifyWebHook: middleware.verifyWebHook.bind(middleware),
+  verifySlackRequest: middleware.verifySlackRequest.bind(middleware),
+  verifyJiraWebhook: middleware.verifyJiraWebhook.bind(middleware),
   validateJsonFields: (requiredFields) => middleware.validateJsonFields(requiredFields),
   logRequest: middleware.logRequest.bind(middleware),
   createRateLimit: middleware.createRateLimit.bind(middleware),
@@ -301,4 +631,5 @@ try {
   logger.warn('Failed to register middleware in service registry', error);
 }
 
-export default middlewareExports;
\ No newline at end of file
+export default middlewareExports;
+export { WEBHOOK_ERROR_CODES };
\ No newline at end of file
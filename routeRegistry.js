@@ -0,0 +1,338 @@
+/**
+ * Route Registry - Declarative webhook route definitions
+ * Describes each webhook route as data so WebhookRouter can build it at startup
+ */
+import fs from 'fs';
+import { Logger } from './loggerFramework.js';
+import serviceRegistry from './serviceRegistry.js';
+import ruleEngine from './ruleEngine.js';
+
+/**
+ * Ways a fan-out route can run its destination steps
+ */
+const FAN_OUT_MODES = ['parallel', 'sequence'];
+
+/**
+ * Built-in routes served by the dedicated WebhookRouter handlers
+ */
+const BUILT_IN_ROUTES = [
+  {
+    name: 'Slack',
+    path: '/slackHook',
+    handler: 'handleSlackHook'
+  },
+  {
+    name: 'SlackAI',
+    path: '/slackHookAI',
+    handler: 'handleSlackHookAI'
+  },
+  {
+    name: 'GoogleSheets',
+    path: '/googlesheets',
+    requiredFields: ['user'],
+    handler: 'handleGoogleSheets'
+  },
+  {
+    name: 'Jira',
+    path: '/makeJiraTicket',
+    requiredFields: ['user', 'name'],
+    handler: 'handleJiraTicket'
+  },
+  {
+    name: 'Fusion',
+    path: '/fusion',
+    requiredFields: ['user'],
+    handler: 'handleFusion'
+  },
+  {
+    name: 'Snowflake',
+    path: '/updateSnowflake',
+    requiredFields: ['user', 'properties'],
+    handler: 'handleSnowflakeUpdate',
+    options: {
+      table: 'STOCK_MANAGEMENT',
+      columns: [
+        'item_name:product_name',
+        'item_size:product_size',
+        'user_id:uid',
+        'session_id',
+        'url',
+        'replay_url',
+        'session_summary',
+        'email',
+        'session_time:time'
+      ],
+      requiredData: ['uid', 'product_name'],
+      defaults: {
+        product_name: 'Undefined',
+        product_size: 'Undefined',
+        url: 'Undefined'
+      },
+      responseFields: ['product_name', 'product_size', 'user_id:uid']
+    }
+  },
+  {
+    name: 'BigQuery',
+    path: '/updateBigQuery',
+    requiredFields: ['user', 'properties'],
+    handler: 'handleBigQueryUpdate',
+    options: {
+      table: 'fs_data_destinations.lead_info',
+      columns: [
+        'session_id',
+        'visitor_id:uid',
+        'form_type:form_field',
+        'form_submission_time:time',
+        'session_summary'
+      ],
+      requiredData: ['uid', 'form_field'],
+      defaults: {
+        form_field: 'Undefined',
+        url: 'Undefined'
+      },
+      responseFields: ['form_completed:form_field', 'session_id', 'user_id:uid']
+    }
+  }
+];
+
+/**
+ * Registry of webhook route definitions keyed by path
+ *
+ * A definition either points at a dedicated router method (`handler`) or
+ * describes a pipeline of enrichment steps feeding a destination connector:
+ *
+ * {
+ *   name: 'CheckoutRageClick',
+ *   path: '/checkoutRageClick',
+ *   requiredFields: ['user', 'properties'],  // Body fields checked before the handler runs
+ *   requiredData: ['uid', 'session_id'],     // Extracted fields that must not be "Undefined"
+ *   enrich: ['fullstorySession'],            // Enrichment steps, run in order
+ *   when: 'properties.error_count > 3',      // Optional rule guarding the route
+ *   destination: 'slack',                    // Destination connector
+ *   options: {}                              // Handler or destination specific options
+ * }
+ *
+ * A fan-out route lists several destination steps instead of a single `destination`.
+ * Each step is a destination name or `{ destination, name, options, when }`, where
+ * `name` labels the step in the response, `options` replace the route options and
+ * `when` is a rule that must match for the step to run:
+ *
+ * {
+ *   name: 'CheckoutRageClick',
+ *   path: '/checkoutRageClick',
+ *   enrich: ['fullstorySession', 'rundown'],
+ *   destinations: ['slack', 'jira', { destination: 'bigQuery', options: { table: 'events', columns: ['uid'] } }],
+ *   mode: 'parallel'                         // 'parallel' (default) or 'sequence'
+ * }
+ *
+ * Warehouse handlers (`handleSnowflakeUpdate`, `handleBigQueryUpdate`) read their
+ * target from `options`: `table`, `columns` in `col:dataKey` format, `requiredData`,
+ * `defaults` for missing data keys and `responseFields` in `key:dataKey` format.
+ */
+class RouteRegistry {
+  constructor() {
+    this.logger = new Logger('RouteRegistry');
+    this.routes = new Map();
+  }
+
+  /**
+   * Validate a route definition
+   * @param {Object} definition - Route definition
+   * @throws {Error} If the definition is malformed
+   */
+  validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Route definition must be an object');
+    }
+
+    const { name, path, handler, destination, destinations, mode, requiredFields, requiredData, enrich } = definition;
+    const label = name || path || 'unnamed route';
+
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw new Error(`Route "${label}" must have a path starting with "/"`);
+    }
+
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error(`Route ${path} must have a name`);
+    }
+
+    if ([handler, destination, destinations].filter(Boolean).length !== 1) {
+      throw new Error(`Route ${path} must define exactly one of "handler" or "destination" (or "destinations" to fan out)`);
+    }
+
+    if (destinations !== undefined) {
+      this.validateDestinationSteps(path, destinations);
+    }
+
+    if (mode !== undefined && !FAN_OUT_MODES.includes(mode)) {
+      throw new Error(`Route ${path} field "mode" must be one of: ${FAN_OUT_MODES.join(', ')}`);
+    }
+
+    const arrayFields = { requiredFields, requiredData, enrich };
+    for (const [field, value] of Object.entries(arrayFields)) {
+      if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+        throw new Error(`Route ${path} field "${field}" must be an array of strings`);
+      }
+    }
+
+    if (definition.options !== undefined && (typeof definition.options !== 'object' || definition.options === null)) {
+      throw new Error(`Route ${path} field "options" must be an object`);
+    }
+
+    if (definition.when !== undefined) {
+      this.validateRule(path, 'when', definition.when);
+    }
+  }
+
+  /**
+   * Validate a routing rule by compiling it
+   * @param {string} path - Route path
+   * @param {string} field - Field holding the rule, for the error message
+   * @param {string} rule - Rule expression
+   * @throws {Error} If the rule does not compile
+   */
+  validateRule(path, field, rule) {
+    try {
+      ruleEngine.compile(rule);
+    } catch (error) {
+      throw new Error(`Route ${path} field "${field}" is not a valid rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate the destination steps of a fan-out route
+   * @param {string} path - Route path
+   * @param {Array<string|Object>} destinations - Destination steps
+   * @throws {Error} If a step is malformed or two steps share a name
+   */
+  validateDestinationSteps(path, destinations) {
+    if (!Array.isArray(destinations) || destinations.length === 0) {
+      throw new Error(`Route ${path} field "destinations" must be a non-empty array`);
+    }
+
+    const names = new Set();
+    destinations.forEach((step, index) => {
+      const destination = typeof step === 'string' ? step : step?.destination;
+      if (typeof destination !== 'string' || destination.length === 0) {
+        throw new Error(`Route ${path} destination step ${index} must be a destination name or an object with a "destination"`);
+      }
+
+      if (step.options !== undefined && (typeof step.options !== 'object' || step.options === null)) {
+        throw new Error(`Route ${path} destination step ${index} field "options" must be an object`);
+      }
+
+      if (step.when !== undefined) {
+        this.validateRule(path, `destinations[${index}].when`, step.when);
+      }
+
+      const stepName = step.name ?? destination;
+      if (names.has(stepName)) {
+        throw new Error(`Route ${path} has more than one destination step named "${stepName}"`);
+      }
+      names.add(stepName);
+    });
+  }
+
+  /**
+   * Register a route definition
+   * @param {Object} definition - Route definition
+   * @returns {RouteRegistry} This registry instance for chaining
+   */
+  register(definition) {
+    this.validateDefinition(definition);
+
+    if (this.routes.has(definition.path)) {
+      this.logger.warn(`Route "${definition.path}" is already registered and will be overwritten`);
+    }
+
+    this.routes.set(definition.path, { ...definition });
+    this.logger.debug(`Route "${definition.path}" registered`, {
+      name: definition.name,
+      target: definition.handler || definition.destination || 'fan-out'
+    });
+    return this;
+  }
+
+  /**
+   * Register several route definitions
+   * @param {Array<Object>} definitions - Route definitions
+   * @returns {RouteRegistry} This registry instance for chaining
+   */
+  registerAll(definitions) {
+    if (!Array.isArray(definitions)) {
+      throw new Error('Route definitions must be an array');
+    }
+
+    definitions.forEach(definition => this.register(definition));
+    return this;
+  }
+
+  /**
+   * Load route definitions from a JSON file
+   * Accepts either an array of definitions or an object with a `routes` array
+   * @param {string} filePath - Path to the JSON file
+   * @returns {number} Number of routes loaded
+   */
+  loadFromFile(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read route definitions from ${filePath}: ${error.message}`);
+    }
+
+    const definitions = Array.isArray(parsed) ? parsed : parsed?.routes;
+    this.registerAll(definitions);
+
+    this.logger.info('Loaded route definitions from file', {
+      file: filePath,
+      count: definitions.length
+    });
+    return definitions.length;
+  }
+
+  /**
+   * Get a route definition by path
+   * @param {string} path - Route path
+   * @returns {Object|undefined} Route definition
+   */
+  get(path) {
+    return this.routes.get(path);
+  }
+
+  /**
+   * Check if a route is registered
+   * @param {string} path - Route path
+   * @returns {boolean} Whether the route exists
+   */
+  has(path) {
+    return this.routes.has(path);
+  }
+
+  /**
+   * Remove a route definition
+   * @param {string} path - Route path
+   * @returns {boolean} Whether the route was removed
+   */
+  remove(path) {
+    return this.routes.delete(path);
+  }
+
+  /**
+   * Get all registered route definitions in registration order
+   * @returns {Array<Object>} Route definitions
+   */
+  list() {
+    return Array.from(this.routes.values());
+  }
+}
+
+// Create a singleton instance preloaded with the built-in routes
+const routeRegistry = new RouteRegistry();
+routeRegistry.registerAll(BUILT_IN_ROUTES);
+
+// Register in the service registry
+serviceRegistry.register('routeRegistry', routeRegistry);
+
+export default routeRegistry;
+export { RouteRegistry, BUILT_IN_ROUTES, FAN_OUT_MODES };
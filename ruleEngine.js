@@ -0,0 +1,419 @@
+/**
+ * Rule Engine - Safe boolean expressions for conditional webhook routing
+ * Rules are parsed into a syntax tree and evaluated against webhook data,
+ * never passed to eval or the Function constructor
+ */
+import { Logger } from './loggerFramework.js';
+import serviceRegistry from './serviceRegistry.js';
+
+/**
+ * Keywords that act as operators or literals rather than data paths
+ */
+const KEYWORDS = {
+  and: '&&',
+  or: '||',
+  not: '!',
+  true: true,
+  false: false,
+  null: null
+};
+
+/**
+ * Comparison operators, from symbols and word operators to their evaluators
+ */
+const COMPARISONS = {
+  '==': (left, right) => isEqual(left, right),
+  '!=': (left, right) => !isEqual(left, right),
+  '>': (left, right) => compareOrdered(left, right, (a, b) => a > b),
+  '>=': (left, right) => compareOrdered(left, right, (a, b) => a >= b),
+  '<': (left, right) => compareOrdered(left, right, (a, b) => a < b),
+  '<=': (left, right) => compareOrdered(left, right, (a, b) => a <= b),
+  contains: (left, right) => (typeof left === 'string' || Array.isArray(left)) && left.includes(right),
+  startsWith: (left, right) => typeof left === 'string' && typeof right === 'string' && left.startsWith(right),
+  endsWith: (left, right) => typeof left === 'string' && typeof right === 'string' && left.endsWith(right),
+  in: (left, right) => (typeof right === 'string' || Array.isArray(right)) && right.includes(left)
+};
+
+const SYMBOL_OPERATORS = ['==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '(', ')', '[', ']', ',', '.', '-'];
+
+/**
+ * Equality treating null and missing values as the same
+ * @private
+ */
+function isEqual(left, right) {
+  if (left == null || right == null) {
+    return left == null && right == null;
+  }
+  return left === right;
+}
+
+/**
+ * Ordered comparison of two numbers or two strings
+ * Numeric strings are compared as numbers so `"5" > 3` holds
+ * @private
+ */
+function compareOrdered(left, right, compare) {
+  const leftNumber = typeof left === 'string' && left.trim() !== '' ? Number(left) : left;
+  const rightNumber = typeof right === 'string' && right.trim() !== '' ? Number(right) : right;
+
+  if (typeof leftNumber === 'number' && typeof rightNumber === 'number' &&
+      !Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) {
+    return compare(leftNumber, rightNumber);
+  }
+  if (typeof left === 'string' && typeof right === 'string') {
+    return compare(left, right);
+  }
+  return false;
+}
+
+/**
+ * Split a rule into tokens
+ * @param {string} expression - Rule expression
+ * @returns {Array<Object>} Tokens as `{ type, value, position }`
+ * @throws {Error} On characters that cannot start a token
+ * @private
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    const char = expression[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (/\d/.test(char)) {
+      const match = /^\d+(\.\d+)?/.exec(expression.slice(position));
+      tokens.push({ type: 'literal', value: Number(match[0]), position });
+      position += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = position + 1;
+      while (end < expression.length && expression[end] !== char) {
+        if (expression[end] === '\\') {
+          end++;
+        }
+        value += expression[end] ?? '';
+        end++;
+      }
+      if (end >= expression.length) {
+        throw new Error(`Unterminated string at position ${position}`);
+      }
+      tokens.push({ type: 'literal', value, position });
+      position = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const word = /^[A-Za-z_$][\w$]*/.exec(expression.slice(position))[0];
+      if (Object.hasOwn(KEYWORDS, word)) {
+        const value = KEYWORDS[word];
+        tokens.push(typeof value === 'string'
+          ? { type: 'operator', value, position }
+          : { type: 'literal', value, position });
+      } else if (Object.hasOwn(COMPARISONS, word)) {
+        tokens.push({ type: 'operator', value: word, position });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position });
+      }
+      position += word.length;
+      continue;
+    }
+
+    const symbol = SYMBOL_OPERATORS.find(operator => expression.startsWith(operator, position));
+    if (!symbol) {
+      throw new Error(`Unexpected character "${char}" at position ${position}`);
+    }
+    tokens.push({ type: 'operator', value: symbol, position });
+    position += symbol.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing a rule syntax tree
+ *
+ *   or         := and ( "||" and )*
+ *   and        := unary ( "&&" unary )*
+ *   unary      := "!" unary | comparison
+ *   comparison := operand ( comparator operand )?
+ *   operand    := literal | "-" number | path | list | "(" or ")"
+ *   path       := identifier ( "." identifier | "[" literal "]" )*
+ *   list       := "[" ( operand ( "," operand )* )? "]"
+ * @private
+ */
+class Parser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new Error('Rule is empty');
+    }
+
+    const tree = this.parseOr();
+    if (this.peek()) {
+      this.fail(`Unexpected "${this.peek().value}"`);
+    }
+    return tree;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token?.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.isOperator(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+    this.index++;
+  }
+
+  fail(message) {
+    const position = this.peek()?.position ?? this.expression.length;
+    throw new Error(`${message} at position ${position}`);
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.isOperator('||')) {
+      this.index++;
+      node = { type: 'logical', operator: '||', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseUnary();
+    while (this.isOperator('&&')) {
+      this.index++;
+      node = { type: 'logical', operator: '&&', left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.isOperator('!')) {
+      this.index++;
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    const token = this.peek();
+
+    if (token?.type === 'operator' && Object.hasOwn(COMPARISONS, token.value)) {
+      this.index++;
+      return { type: 'compare', operator: token.value, left, right: this.parseOperand() };
+    }
+    return left;
+  }
+
+  parseOperand() {
+    const token = this.peek();
+
+    if (!token) {
+      this.fail('Unexpected end of rule');
+    }
+
+    if (token.type === 'literal') {
+      this.index++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      return this.parsePath();
+    }
+
+    if (this.isOperator('-')) {
+      this.index++;
+      const number = this.peek();
+      if (number?.type !== 'literal' || typeof number.value !== 'number') {
+        this.fail('Expected a number after "-"');
+      }
+      this.index++;
+      return { type: 'literal', value: -number.value };
+    }
+
+    if (this.isOperator('(')) {
+      this.index++;
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+
+    if (this.isOperator('[')) {
+      return this.parseList();
+    }
+
+    return this.fail(`Unexpected "${token.value}"`);
+  }
+
+  parsePath() {
+    const segments = [this.tokens[this.index++].value];
+
+    while (this.isOperator('.') || this.isOperator('[')) {
+      if (this.isOperator('.')) {
+        this.index++;
+        const token = this.peek();
+        if (token?.type !== 'identifier' && !(token?.type === 'operator' && Object.hasOwn(COMPARISONS, token.value))) {
+          this.fail('Expected a property name after "."');
+        }
+        segments.push(token.value);
+        this.index++;
+      } else {
+        this.index++;
+        const token = this.peek();
+        if (token?.type !== 'literal' || !['string', 'number'].includes(typeof token.value)) {
+          this.fail('Expected a string or number index');
+        }
+        segments.push(String(token.value));
+        this.index++;
+        this.expect(']');
+      }
+    }
+
+    return { type: 'path', segments };
+  }
+
+  parseList() {
+    this.expect('[');
+    const items = [];
+    while (!this.isOperator(']')) {
+      if (items.length > 0) {
+        this.expect(',');
+      }
+      items.push(this.parseOperand());
+    }
+    this.expect(']');
+    return { type: 'list', items };
+  }
+}
+
+/**
+ * Resolve a data path against a scope
+ * Only own properties are followed, so rules and templates cannot reach prototypes
+ * @param {Object} scope - Data to resolve against
+ * @param {Array<string>} segments - Path segments
+ * @returns {*} Value at the path, or undefined when any segment is missing
+ */
+function resolvePath(scope, segments) {
+  let value = scope;
+  for (const segment of segments) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Evaluate a syntax tree node against the rule scope
+ * @private
+ */
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return resolvePath(scope, node.segments);
+    case 'list':
+      return node.items.map(item => evaluateNode(item, scope));
+    case 'not':
+      return !evaluateNode(node.operand, scope);
+    case 'logical':
+      return node.operator === '&&'
+        ? Boolean(evaluateNode(node.left, scope)) && Boolean(evaluateNode(node.right, scope))
+        : Boolean(evaluateNode(node.left, scope)) || Boolean(evaluateNode(node.right, scope));
+    case 'compare':
+      return COMPARISONS[node.operator](evaluateNode(node.left, scope), evaluateNode(node.right, scope));
+    default:
+      throw new Error(`Unknown rule node "${node.type}"`);
+  }
+}
+
+/**
+ * Compiles and evaluates routing rules, caching compiled rules by expression
+ *
+ * Rules combine data paths, literals and operators:
+ *
+ *   properties.error_count > 3 && user.email endsWith "@example.com"
+ *   event_name in ["checkout_error", "payment_error"] || !(properties.plan == "free")
+ *
+ * Operators: `==`, `!=`, `>`, `>=`, `<`, `<=`, `contains`, `startsWith`, `endsWith`,
+ * `in`, `&&`/`and`, `||`/`or` and `!`/`not`. Missing paths resolve to null.
+ */
+class RuleEngine {
+  constructor() {
+    this.logger = new Logger('RuleEngine');
+    this.cache = new Map();
+  }
+
+  /**
+   * Compile a rule expression
+   * @param {string} expression - Rule expression
+   * @returns {Object} Compiled rule `{ expression, evaluate(scope) }`
+   * @throws {Error} If the expression is not a valid rule
+   */
+  compile(expression) {
+    if (typeof expression !== 'string') {
+      throw new Error('Rule must be a string');
+    }
+
+    if (this.cache.has(expression)) {
+      return this.cache.get(expression);
+    }
+
+    let tree;
+    try {
+      tree = new Parser(expression).parse();
+    } catch (error) {
+      throw new Error(`Invalid rule "${expression}": ${error.message}`);
+    }
+
+    const rule = {
+      expression,
+      evaluate: scope => Boolean(evaluateNode(tree, scope))
+    };
+    this.cache.set(expression, rule);
+    this.logger.debug('Compiled rule', { expression });
+    return rule;
+  }
+
+  /**
+   * Evaluate a rule expression against a scope
+   * @param {string} expression - Rule expression
+   * @param {Object} scope - Data the rule paths resolve against
+   * @returns {boolean} Whether the rule matched
+   */
+  evaluate(expression, scope) {
+    return this.compile(expression).evaluate(scope);
+  }
+}
+
+// Create a singleton instance
+const ruleEngine = new RuleEngine();
+
+// Register in the service registry
+serviceRegistry.register('ruleEngine', ruleEngine);
+
+export default ruleEngine;
+export { RuleEngine, resolvePath };
@@ -0,0 +1,135 @@
+/**
+ * Slack Digest - Buffers Slack alerts and posts them as periodic summaries
+ * High-volume routes add their signals to a digest instead of posting one
+ * message each; when the digest window closes a single summary is delivered
+ */
+import { Logger } from './loggerFramework.js';
+import config from './config.js';
+import serviceRegistry from './serviceRegistry.js';
+import slack from './Slack.js';
+import deliveryQueue from './deliveryQueue.js';
+
+/**
+ * Webhook data fields kept for each buffered signal
+ */
+const DIGEST_FIELDS = ['event_name', 'uid', 'email', 'display_name', 'session_id', 'replay_url', 'session_link', 'timestamp'];
+
+/**
+ * In-memory digest buffers, one per route Slack destination
+ */
+class SlackDigestService {
+  constructor(configInstance = config) {
+    this.logger = new Logger('SlackDigest');
+
+    this.config = {
+      windowMs: configInstance.getNumber('slack_digest_window_ms', 300000), // 5 minutes default
+      maxEvents: configInstance.getNumber('slack_digest_max_events', 500) // Posts early once a digest holds this many signals
+    };
+
+    // Digest key -> { events, options, timer, flushAt }
+    this.buffers = new Map();
+  }
+
+  /**
+   * Add a signal to a digest, opening the digest window on the first signal
+   * @param {string} key - Digest key, unique per route destination
+   * @param {Object} data - Webhook data
+   * @param {Object} [options] - Digest options
+   * @param {number} [options.windowMs] - How long signals are collected before the summary is posted
+   * @param {number} [options.maxEvents] - Signals that post the summary before the window closes
+   * @param {string} [options.route] - Route name, shown in the summary and recorded with its delivery
+   * @param {string} [options.webhookUrl] - Webhook URL override for the summary
+   * @param {string} [options.channel] - Channel for the summary in bot-token mode
+   * @returns {Object} `{ digest, pending, flushAt }`
+   */
+  add(key, data, options = {}) {
+    let buffer = this.buffers.get(key);
+
+    if (!buffer) {
+      const windowMs = options.windowMs ?? this.config.windowMs;
+      buffer = {
+        events: [],
+        options: { ...options, windowMs },
+        flushAt: new Date(Date.now() + windowMs).toISOString()
+      };
+      buffer.timer = setTimeout(() => {
+        this.flush(key);
+      }, windowMs);
+      // Don't keep the process alive for a pending digest
+      buffer.timer.unref?.();
+      this.buffers.set(key, buffer);
+    }
+
+    buffer.events.push(Object.fromEntries(DIGEST_FIELDS
+      .filter(field => data[field] !== undefined)
+      .map(field => [field, data[field]])));
+
+    const result = { digest: key, pending: buffer.events.length, flushAt: buffer.flushAt };
+
+    if (buffer.events.length >= (buffer.options.maxEvents ?? this.config.maxEvents)) {
+      this.logger.info('Slack digest is full, posting early', { digest: key, pending: buffer.events.length });
+      this.flush(key);
+    }
+
+    return result;
+  }
+
+  /**
+   * Post the summary of a digest and start a new window
+   * Delivery goes through the delivery queue, so a failed post is retried
+   * @param {string} key - Digest key
+   * @returns {Promise<Object|null>} Delivery outcome, or null if the digest was empty or could not be posted
+   */
+  async flush(key) {
+    const buffer = this.buffers.get(key);
+    if (!buffer) {
+      return null;
+    }
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(key);
+
+    const { route, windowMs, webhookUrl, channel } = buffer.options;
+
+    try {
+      const message = slack.buildDigestMessage(buffer.events, { route, windowMs });
+      const outcome = await deliveryQueue.deliver('slack', { data: message, webhookUrl, channel }, { route });
+
+      this.logger.info('Slack digest posted', {
+        digest: key,
+        events: buffer.events.length,
+        queued: outcome.queued
+      });
+      return outcome;
+    } catch (error) {
+      this.logger.error(`Failed to post Slack digest ${key}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Post every pending digest, e.g. before shutting down
+   * @returns {Promise<Array<Object|null>>} Delivery outcomes
+   */
+  async flushAll() {
+    return Promise.all([...this.buffers.keys()].map(key => this.flush(key)));
+  }
+
+  /**
+   * Number of signals waiting in a digest
+   * @param {string} key - Digest key
+   * @returns {number} Pending signals
+   */
+  pending(key) {
+    return this.buffers.get(key)?.events.length ?? 0;
+  }
+}
+
+// Create singleton instance
+const slackDigest = new SlackDigestService();
+
+// Register in the service registry
+serviceRegistry.register('slackDigest', slackDigest);
+
+export default slackDigest;
+export { SlackDigestService };
@@ -0,0 +1,524 @@
+/**
+ * SlackRouter - Express router for requests sent by Slack
+ * Handles the interactive components of Lexicon alerts, so a button on an
+ * alert can create a Jira ticket, fetch an AI session summary or mute a user,
+ * and the `/lexicon` slash command for looking up Fullstory data from chat
+ */
+import express from 'express';
+import WebhookBase from './webhookBase.js';
+
+// Import connector modules
+import slack, { SLACK_ACTIONS } from './Slack.js';
+import Fullstory from './Fullstory.js';
+import middleware from './middleware.js';
+import idempotencyCache from './idempotencyCache.js';
+import jiraTickets from './jiraTickets.js';
+
+/**
+ * Alert button actions, mapped to router methods
+ */
+const INTERACTION_ACTIONS = {
+  [SLACK_ACTIONS.createJiraTicket]: '_createJiraTicketAction',
+  [SLACK_ACTIONS.getSessionSummary]: '_getSessionSummaryAction',
+  [SLACK_ACTIONS.muteUser]: '_muteUserAction'
+};
+
+/**
+ * How long a completed alert action is remembered, so clicks on a stale copy
+ * of the alert are answered instead of running the action again
+ */
+const COMPLETED_ACTION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Slash command subcommands, mapped to router methods
+ */
+const SLASH_COMMANDS = {
+  sessions: {
+    method: '_sessionsCommand',
+    usage: 'sessions <email or uid> [limit]',
+    description: 'List recent sessions for a user'
+  },
+  summary: {
+    method: '_summaryCommand',
+    usage: 'summary <session URL>',
+    description: 'Get the AI summary of a session'
+  },
+  user: {
+    method: '_userCommand',
+    usage: 'user <user ID>',
+    description: 'Show a Fullstory user profile'
+  }
+};
+
+/**
+ * Block Kit section text limit
+ */
+const SECTION_TEXT_LIMIT = 3000;
+
+/**
+ * How long a slash command lookup may take before the reply is deferred to
+ * the `response_url`, leaving headroom within Slack's 3 second timeout
+ */
+const IMMEDIATE_REPLY_MS = 2500;
+
+/**
+ * Sessions listed by `/lexicon sessions` by default and at most
+ */
+const SESSION_LIST_LIMITS = { default: 5, max: 20 };
+
+/**
+ * Cut text to the Block Kit section limit
+ * @private
+ */
+function truncate(text) {
+  return text.length > SECTION_TEXT_LIMIT ? `${text.slice(0, SECTION_TEXT_LIMIT - 1)}…` : text;
+}
+
+/**
+ * Format a Fullstory session summary for Slack
+ * @private
+ */
+function formatSummary(summary) {
+  const analysis = summary?.analysis ?? summary;
+  if (!analysis) {
+    throw new Error('No session summary available');
+  }
+  return truncate(`*AI session summary*\n${typeof analysis === 'string' ? analysis : JSON.stringify(analysis)}`);
+}
+
+/**
+ * SlackRouter class for Slack interaction endpoints
+ */
+class SlackRouter extends WebhookBase {
+  /**
+   * Initialize Slack router
+   */
+  constructor() {
+    super('Slack');
+    this.router = express.Router();
+    this.commandReplyTimeoutMs = IMMEDIATE_REPLY_MS;
+
+    // Slack signs the raw form body, so keep it for signature verification
+    this.formParser = express.urlencoded({
+      extended: false,
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+      }
+    });
+
+    try {
+      this.configureRoutes();
+      this.logger.info('SlackRouter initialized successfully');
+    } catch (error) {
+      this.logger.error('Error initializing SlackRouter', error);
+      throw new Error(`Failed to initialize SlackRouter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Configure routes for the router
+   * @private
+   */
+  configureRoutes() {
+    const webhookRateLimit = middleware.createWebhookRateLimit();
+
+    this.router.post('/interactions',
+      this.formParser,
+      webhookRateLimit,
+      middleware.verifySlackRequest,
+      (req, res) => this.handleInteraction(req, res)
+    );
+
+    this.router.post('/commands',
+      this.formParser,
+      webhookRateLimit,
+      middleware.verifySlackRequest,
+      (req, res) => this.handleCommand(req, res)
+    );
+
+    // Error handling middleware
+    this.router.use((err, req, res, next) => {
+      this.logger.error('Slack router error', err);
+      res.status(500).json(this.errorHandler.handleError(err, 'Slack router middleware'));
+    });
+  }
+
+  /**
+   * Handle a Slack interaction payload
+   * Slack expects an acknowledgement within 3 seconds, so the request is
+   * answered first and the action result is sent through the `response_url`
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleInteraction(req, res) {
+    let payload;
+    try {
+      payload = JSON.parse(req.body?.payload);
+    } catch (error) {
+      this.logger.warn('Invalid Slack interaction payload', { error: error.message });
+      return res.status(400).json(this.errorHandler.createValidationError(['payload'], 'Invalid Slack interaction payload'));
+    }
+
+    const action = payload?.type === 'block_actions' ? payload.actions?.[0] : undefined;
+    const method = INTERACTION_ACTIONS[action?.action_id];
+
+    // Link buttons such as the session replay button report clicks too
+    if (!method) {
+      this.logger.debug('Ignoring Slack interaction', { type: payload?.type, actionId: action?.action_id });
+      return res.status(200).end();
+    }
+
+    res.status(200).end();
+    await this.runAction(method, action, payload);
+  }
+
+  /**
+   * Run an alert button action and report its result in Slack
+   * On success the alert is updated with the result and the clicked button is
+   * removed; on failure only the user who clicked sees the error. Clicks while
+   * the action runs or after it succeeded only get a note to the clicking user
+   * @param {string} method - Router method implementing the action
+   * @param {Object} action - Clicked action from the payload
+   * @param {Object} payload - Slack interaction payload
+   * @returns {Promise<void>}
+   */
+  async runAction(method, action, payload) {
+    const actionId = action.action_id;
+    const label = action.text?.text ?? actionId;
+    // Guard against double clicks while the first click is still running or once it succeeded
+    const lockKey = `slack-action:${payload.container?.message_ts ?? action.action_ts}:${actionId}`;
+
+    this.logger.info('Running Slack action', { actionId, user: payload.user?.id });
+
+    if (!(await idempotencyCache.reserve(lockKey))) {
+      const done = (await idempotencyCache.get(lockKey))?.state === 'completed';
+      this.logger.info(`Slack action already ${done ? 'done' : 'running'}, ignoring repeat click`, { actionId });
+      await slack.respond(payload.response_url, {
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: done ? `:white_check_mark: "${label}" was already done for this alert` : `:hourglass: "${label}" is already running for this alert`
+      });
+      return;
+    }
+
+    try {
+      const signal = JSON.parse(action.value ?? '{}');
+      if (!signal.uid) {
+        throw new Error('Action is missing the Fullstory user ID');
+      }
+
+      const resultBlocks = await this[method](signal, payload);
+      await slack.respond(payload.response_url, this._buildUpdatedMessage(payload.message, actionId, resultBlocks));
+      await idempotencyCache.set(lockKey, { state: 'completed', user: payload.user?.id }, COMPLETED_ACTION_TTL_MS);
+
+      this.logWebhookCompletion('Slack action', { actionId, uid: signal.uid, success: true });
+    } catch (error) {
+      await idempotencyCache.release(lockKey);
+      this.logger.error(`Slack action ${actionId} failed`, error);
+      await slack.respond(payload.response_url, {
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `:warning: Could not complete "${label}": ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Action: create a Jira ticket for the alerted session
+   * The first matching Jira issue template chooses the project, issue type and
+   * fields; templates only see the signal fields carried by the button
+   * @param {Object} signal - `{ uid, session_id, event_name, email }` from the button
+   * @param {Object} payload - Slack interaction payload
+   * @returns {Promise<Array<Object>>} Blocks reporting the ticket
+   * @private
+   */
+  async _createJiraTicketAction(signal, payload) {
+    const sessionLink = signal.session_id ? Fullstory.getSessionLink(signal.uid, signal.session_id) : null;
+    const issue = jiraTickets.resolveIssue({ ...signal, session_link: sessionLink });
+
+    const ticket = await jiraTickets.create({
+      ticketData: jiraTickets.buildTicket(issue, {
+        summary: `${signal.event_name ?? 'Fullstory signal'} - ${signal.email ?? signal.uid}`,
+        description: [
+          `Created from a Lexicon Slack alert by ${this._describeUser(payload.user)}.`,
+          sessionLink && `Session replay: ${sessionLink}`
+        ].filter(Boolean).join('\n\n'),
+        sessionLink
+      })
+    });
+
+    return [{
+      type: 'section',
+      text: { type: 'mrkdwn', text: `:ticket: Jira ticket <${ticket.ticketUrl}|${ticket.ticketKey}> created by ${this._mentionUser(payload.user)}` }
+    }];
+  }
+
+  /**
+   * Action: fetch the Fullstory AI summary of the alerted session
+   * @param {Object} signal - `{ uid, session_id }` from the button
+   * @returns {Promise<Array<Object>>} Blocks with the summary
+   * @private
+   */
+  async _getSessionSummaryAction(signal) {
+    if (!signal.session_id) {
+      throw new Error('Action is missing the Fullstory session ID');
+    }
+
+    const summary = await Fullstory.getSessionSummary(signal.uid, signal.session_id);
+    return [{
+      type: 'section',
+      text: { type: 'mrkdwn', text: formatSummary(summary) }
+    }];
+  }
+
+  /**
+   * Action: mute Slack alerts for the alerted user
+   * @param {Object} signal - `{ uid }` from the button
+   * @param {Object} payload - Slack interaction payload
+   * @returns {Promise<Array<Object>>} Blocks reporting the mute
+   * @private
+   */
+  async _muteUserAction(signal, payload) {
+    const { muted, until } = await slack.muteUser(signal.uid);
+    if (!muted) {
+      throw new Error(`Alerts for ${signal.uid} could not be muted`);
+    }
+    const epoch = Math.floor(new Date(until).getTime() / 1000);
+
+    return [{
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `:no_bell: Alerts for *${signal.uid}* muted until <!date^${epoch}^{date_short_pretty} {time}|${until}> by ${this._mentionUser(payload.user)}`
+      }]
+    }];
+  }
+
+  /**
+   * Build the updated alert: the clicked button is removed and the action
+   * result is added above the footer
+   * @param {Object} [message] - Original message from the payload
+   * @param {string} actionId - Clicked action
+   * @param {Array<Object>} resultBlocks - Blocks reporting the result
+   * @returns {Object} Message for the `response_url`
+   * @private
+   */
+  _buildUpdatedMessage(message, actionId, resultBlocks) {
+    if (!message?.blocks) {
+      return { replace_original: false, text: 'Lexicon action completed', blocks: resultBlocks };
+    }
+
+    const blocks = message.blocks
+      .map(block => (block.type === 'actions'
+        ? { ...block, elements: block.elements.filter(element => element.action_id !== actionId) }
+        : block))
+      .filter(block => block.type !== 'actions' || block.elements.length > 0);
+
+    const footerIndex = blocks.at(-1)?.type === 'context' ? blocks.length - 1 : blocks.length;
+    blocks.splice(footerIndex, 0, ...resultBlocks);
+
+    return { replace_original: true, text: message.text, blocks };
+  }
+
+  /**
+   * Handle a `/lexicon` slash command
+   * Lookups that finish quickly are answered inline; slower ones are
+   * acknowledged and their result is sent through the `response_url`.
+   * Replies are only visible to the user who ran the command.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleCommand(req, res) {
+    const { command = '/lexicon', text = '', response_url: responseUrl, user_id: userId } = req.body ?? {};
+    const [name = '', ...args] = text.trim().split(/\s+/).filter(Boolean);
+    const subcommand = Object.hasOwn(SLASH_COMMANDS, name.toLowerCase()) ? SLASH_COMMANDS[name.toLowerCase()] : null;
+
+    if (!subcommand) {
+      return res.status(200).json(this._buildCommandUsage(command, name));
+    }
+
+    this.logger.info('Running Slack command', { subcommand: name.toLowerCase(), user: userId });
+
+    const lookup = this[subcommand.method](args)
+      .catch(error => {
+        this.logger.warn(`Slack command ${name} failed`, { error: error.message });
+        return { text: `:warning: ${error.message}` };
+      });
+
+    let timer;
+    const deferred = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), this.commandReplyTimeoutMs);
+    });
+    const message = await Promise.race([lookup, deferred]);
+    clearTimeout(timer);
+
+    if (message) {
+      return res.status(200).json({ response_type: 'ephemeral', ...message });
+    }
+
+    res.status(200).json({ response_type: 'ephemeral', text: `:hourglass_flowing_sand: Looking up \`${text.trim()}\`…` });
+    await slack.respond(responseUrl, { response_type: 'ephemeral', replace_original: true, ...(await lookup) });
+  }
+
+  /**
+   * Slash command: list recent sessions for a user
+   * @param {Array<string>} args - `[emailOrUid, limit]`
+   * @returns {Promise<Object>} Slack message
+   * @private
+   */
+  async _sessionsCommand([identifier, limitArg]) {
+    if (!identifier) {
+      throw new Error(`Usage: \`${SLASH_COMMANDS.sessions.usage}\``);
+    }
+
+    const limit = Math.min(Number.parseInt(limitArg, 10) || SESSION_LIST_LIMITS.default, SESSION_LIST_LIMITS.max);
+    // Slack wraps email addresses as <mailto:a@b.com|a@b.com>
+    const query = identifier.replace(/^<mailto:[^|]+\|(.+)>$/, '$1');
+    const result = await Fullstory.listSessions(query.includes('@') ? { email: query, limit } : { uid: query, limit });
+
+    if (!result) {
+      throw new Error(`Could not list sessions for ${query}`);
+    }
+
+    const sessions = (result.sessions ?? []).slice(0, limit);
+    if (sessions.length === 0) {
+      return { text: `No sessions found for ${query}` };
+    }
+
+    const lines = sessions.map(session => {
+      const created = Number(session.createdTime);
+      const when = Number.isFinite(created) && created > 0
+        ? `<!date^${Math.floor(created)}^{date_short_pretty} {time}|${new Date(created * 1000).toISOString()}>`
+        : session.sessionId;
+      return `• <${session.fsUrl}|${when}>`;
+    });
+
+    return {
+      text: `${sessions.length} recent sessions for ${query}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: truncate(`*Recent sessions for ${query}*\n${lines.join('\n')}`) } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: 'Use `/lexicon summary <session URL>` for an AI summary of a session' }] }
+      ]
+    };
+  }
+
+  /**
+   * Slash command: AI summary of a session
+   * @param {Array<string>} args - `[sessionUrl]`
+   * @returns {Promise<Object>} Slack message
+   * @private
+   */
+  async _summaryCommand([sessionUrl]) {
+    const session = this.parseSessionUrl(sessionUrl);
+    if (!session) {
+      throw new Error(`Usage: \`${SLASH_COMMANDS.summary.usage}\`, e.g. a Fullstory replay link`);
+    }
+
+    const summary = await Fullstory.getSessionSummary(session.userId, session.sessionId);
+    const link = Fullstory.getSessionLink(session.userId, session.sessionId);
+
+    return {
+      text: `AI session summary for session ${session.sessionId}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: formatSummary(summary) } },
+        ...(link ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `<${link}|Watch session replay>` }] }] : [])
+      ]
+    };
+  }
+
+  /**
+   * Slash command: Fullstory user profile
+   * @param {Array<string>} args - `[userId]`
+   * @returns {Promise<Object>} Slack message
+   * @private
+   */
+  async _userCommand([userId]) {
+    if (!userId) {
+      throw new Error(`Usage: \`${SLASH_COMMANDS.user.usage}\``);
+    }
+
+    const profile = await Fullstory.getUserProfile(userId);
+    if (!profile) {
+      throw new Error(`No Fullstory user found for ${userId}`);
+    }
+
+    const fields = [
+      ['Name', profile.display_name],
+      ['Email', profile.email],
+      ['UID', profile.uid],
+      ['User ID', profile.id ?? userId]
+    ].filter(([, value]) => value)
+      .map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}*\n${value}` }));
+
+    const recentPages = (profile.recentPages ?? []).slice(0, 5)
+      .map(page => `• ${page.url ?? page.page_url ?? JSON.stringify(page)}`);
+
+    return {
+      text: `Fullstory user ${profile.display_name ?? profile.email ?? userId}`,
+      blocks: [
+        { type: 'section', fields },
+        ...(recentPages.length > 0
+          ? [{ type: 'section', text: { type: 'mrkdwn', text: truncate(`*Recent pages*\n${recentPages.join('\n')}`) } }]
+          : [])
+      ]
+    };
+  }
+
+  /**
+   * Build the usage reply for an empty or unknown subcommand
+   * @param {string} command - Slash command name, e.g. `/lexicon`
+   * @param {string} name - Subcommand the user typed
+   * @returns {Object} Slack message
+   * @private
+   */
+  _buildCommandUsage(command, name) {
+    const lines = Object.values(SLASH_COMMANDS)
+      .map(({ usage, description }) => `• \`${command} ${usage}\` - ${description}`);
+    const intro = name && name.toLowerCase() !== 'help' ? `Unknown command \`${name}\`. ` : '';
+
+    return {
+      response_type: 'ephemeral',
+      text: `${intro}Available commands:\n${lines.join('\n')}`
+    };
+  }
+
+  /**
+   * Mention the Slack user who clicked, falling back to their name
+   * @private
+   */
+  _mentionUser(user) {
+    return user?.id ? `<@${user.id}>` : this._describeUser(user);
+  }
+
+  /**
+   * Describe the Slack user who clicked in plain text
+   * @private
+   */
+  _describeUser(user) {
+    return user?.username ?? user?.name ?? user?.id ?? 'a Slack user';
+  }
+
+  /**
+   * Get the configured router instance
+   * @returns {Object} Express router
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+// Create a singleton instance of the SlackRouter
+const slackRouterInstance = new SlackRouter();
+
+// Register with initialization tracker
+import initialization from './initialization.js';
+
+try {
+  initialization.markRouterInitialized('Webhook:Slack', slackRouterInstance.router);
+} catch (error) {
+  initialization.markFailed('Webhook:Slack', error);
+}
+
+// Export the router instance
+export default slackRouterInstance.getRouter();
+export { SlackRouter };
@@ -0,0 +1,345 @@
+/**
+ * Template Engine - Mustache-style templates for outbound webhook payloads
+ * Lets a route define the exact body sent to Slack, Jira, Google Sheets or an
+ * HTTP endpoint instead of the raw webhook data
+ */
+import fs from 'fs';
+import { format } from 'date-fns';
+import { Logger } from './loggerFramework.js';
+import serviceRegistry from './serviceRegistry.js';
+import { resolvePath } from './ruleEngine.js';
+
+const PLACEHOLDER = /\{\{(.*?)\}\}/g;
+
+/**
+ * Values treated as missing by the `default` filter, including the
+ * "Undefined" placeholder used by `extractCommonData`
+ * @private
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'Undefined';
+}
+
+/**
+ * Filters available to placeholders as `{{ path | filter:arg }}`
+ */
+const FILTERS = {
+  truncate: (value, length = 100) => {
+    const text = toText(value);
+    return text.length > length ? `${text.slice(0, Math.max(length - 1, 0))}…` : text;
+  },
+  date: (value, pattern = 'yyyy-MM-dd HH:mm') => {
+    const date = new Date(value);
+    return isMissing(value) || Number.isNaN(date.getTime()) ? value : format(date, pattern);
+  },
+  default: (value, fallback = '') => (isMissing(value) ? fallback : value),
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  json: value => JSON.stringify(value ?? null)
+};
+
+/**
+ * Convert a value to text for interpolation
+ * @private
+ */
+function toText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Parse the inside of a placeholder: a data path followed by filters
+ * @param {string} source - Placeholder contents, e.g. `email | default:"n/a"`
+ * @returns {Object} `{ path, filters: [{ name, args }] }`
+ * @throws {Error} On empty paths, unknown filters or malformed arguments
+ * @private
+ */
+function parsePlaceholder(source) {
+  let position = 0;
+
+  const skipSpace = () => {
+    while (/\s/.test(source[position] ?? '')) {
+      position++;
+    }
+  };
+
+  const readWord = () => {
+    const match = /^[\w$.-]+/.exec(source.slice(position));
+    position += match?.[0].length ?? 0;
+    return match?.[0];
+  };
+
+  const readArgument = () => {
+    const quote = source[position];
+    if (quote === '"' || quote === "'") {
+      let value = '';
+      position++;
+      while (position < source.length && source[position] !== quote) {
+        if (source[position] === '\\') {
+          position++;
+        }
+        value += source[position] ?? '';
+        position++;
+      }
+      if (position >= source.length) {
+        throw new Error(`Unterminated string in "{{${source}}}"`);
+      }
+      position++;
+      return value;
+    }
+
+    const word = readWord();
+    if (word === undefined) {
+      throw new Error(`Expected a filter argument in "{{${source}}}"`);
+    }
+    return word !== '' && !Number.isNaN(Number(word)) ? Number(word) : word;
+  };
+
+  skipSpace();
+  const path = readWord();
+  if (!path) {
+    throw new Error(`Expected a data path in "{{${source}}}"`);
+  }
+
+  const filters = [];
+  skipSpace();
+  while (source[position] === '|') {
+    position++;
+    skipSpace();
+    const name = readWord();
+    if (!Object.hasOwn(FILTERS, name ?? '')) {
+      throw new Error(`Unknown filter "${name ?? ''}" in "{{${source}}}"`);
+    }
+
+    const args = [];
+    skipSpace();
+    while (source[position] === ':') {
+      position++;
+      skipSpace();
+      args.push(readArgument());
+      skipSpace();
+    }
+    filters.push({ name, args });
+  }
+
+  if (position < source.length) {
+    throw new Error(`Unexpected "${source.slice(position).trim()}" in "{{${source}}}"`);
+  }
+
+  return { path: path.split('.'), filters };
+}
+
+/**
+ * Compile a template string into literal text and placeholder parts
+ * @private
+ */
+function compileString(text) {
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    if (match.index > last) {
+      parts.push(text.slice(last, match.index));
+    }
+    parts.push(parsePlaceholder(match[1]));
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    parts.push(text.slice(last));
+  }
+
+  return { type: 'string', parts };
+}
+
+/**
+ * Compile a template value, walking objects and arrays
+ * @private
+ */
+function compileNode(node) {
+  if (typeof node === 'string') {
+    return compileString(node);
+  }
+  if (Array.isArray(node)) {
+    return { type: 'array', items: node.map(compileNode) };
+  }
+  if (node && typeof node === 'object') {
+    return {
+      type: 'object',
+      entries: Object.entries(node).map(([key, value]) => [compileString(key), compileNode(value)])
+    };
+  }
+  return { type: 'literal', value: node };
+}
+
+/**
+ * Evaluate a placeholder against the scope
+ * @private
+ */
+function evaluatePlaceholder(placeholder, scope) {
+  return placeholder.filters.reduce(
+    (value, { name, args }) => FILTERS[name](value, ...args),
+    resolvePath(scope, placeholder.path)
+  );
+}
+
+/**
+ * Render a compiled template node
+ * A string that is a single placeholder keeps the value's type, so numbers
+ * and objects survive into JSON bodies
+ * @private
+ */
+function renderNode(node, scope) {
+  switch (node.type) {
+    case 'string':
+      if (node.parts.length === 1 && typeof node.parts[0] === 'object') {
+        return evaluatePlaceholder(node.parts[0], scope) ?? '';
+      }
+      return node.parts
+        .map(part => (typeof part === 'string' ? part : toText(evaluatePlaceholder(part, scope))))
+        .join('');
+    case 'array':
+      return node.items.map(item => renderNode(item, scope));
+    case 'object':
+      return Object.fromEntries(node.entries.map(([key, value]) => [
+        toText(renderNode(key, scope)),
+        renderNode(value, scope)
+      ]));
+    default:
+      return node.value;
+  }
+}
+
+/**
+ * Registry and renderer for payload templates
+ *
+ * A template is any JSON value. Strings inside it may hold placeholders:
+ *
+ *   {
+ *     "text": "{{ event_name | upper }} by {{ email | default:\"anonymous\" }}",
+ *     "summary": "{{ session_summary | truncate:200 }}",
+ *     "when": "{{ time | date:\"MMM d, h:mm a\" }}"
+ *   }
+ *
+ * Routes reference a template inline (an object or array) or by the name it was
+ * registered under (a string).
+ */
+class TemplateEngine {
+  constructor() {
+    this.logger = new Logger('TemplateEngine');
+    this.templates = new Map();
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * Compile a template, caching inline templates by object identity
+   * @param {*} template - Template value
+   * @returns {Object} Compiled template `{ source, render(scope) }`
+   * @throws {Error} If a placeholder is malformed or uses an unknown filter
+   */
+  compile(template) {
+    if (template && typeof template === 'object' && this.compiled.has(template)) {
+      return this.compiled.get(template);
+    }
+
+    const tree = compileNode(template);
+    const compiled = {
+      source: template,
+      render: scope => renderNode(tree, scope)
+    };
+
+    if (template && typeof template === 'object') {
+      this.compiled.set(template, compiled);
+    }
+    return compiled;
+  }
+
+  /**
+   * Register a named template
+   * @param {string} name - Template name
+   * @param {*} template - Template value
+   * @returns {TemplateEngine} This engine for chaining
+   * @throws {Error} If the template does not compile
+   */
+  register(name, template) {
+    let compiled;
+    try {
+      compiled = this.compile(template);
+    } catch (error) {
+      throw new Error(`Invalid template "${name}": ${error.message}`);
+    }
+
+    if (this.templates.has(name)) {
+      this.logger.warn(`Template "${name}" is already registered and will be overwritten`);
+    }
+    this.templates.set(name, compiled);
+    return this;
+  }
+
+  /**
+   * Load named templates from a JSON file mapping names to templates
+   * @param {string} filePath - Path to the JSON file
+   * @returns {number} Number of templates loaded
+   */
+  loadFromFile(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read templates from ${filePath}: ${error.message}`);
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`Templates file ${filePath} must contain an object of named templates`);
+    }
+
+    Object.entries(parsed).forEach(([name, template]) => this.register(name, template));
+
+    this.logger.info('Loaded templates from file', {
+      file: filePath,
+      count: Object.keys(parsed).length
+    });
+    return Object.keys(parsed).length;
+  }
+
+  /**
+   * Resolve a route template reference
+   * @param {string|Object|Array} reference - Template name or inline template
+   * @returns {Object} Compiled template
+   * @throws {Error} If a named template is not registered or an inline one does not compile
+   */
+  resolve(reference) {
+    if (typeof reference === 'string') {
+      const template = this.templates.get(reference);
+      if (!template) {
+        throw new Error(`Unknown template "${reference}"`);
+      }
+      return template;
+    }
+
+    if (!reference || typeof reference !== 'object') {
+      throw new Error('Template must be a template name, an object or an array');
+    }
+    return this.compile(reference);
+  }
+
+  /**
+   * Render a template reference against a scope
+   * @param {string|Object|Array} reference - Template name or inline template
+   * @param {Object} scope - Data placeholders resolve against
+   * @returns {*} Rendered payload
+   */
+  render(reference, scope) {
+    return this.resolve(reference).render(scope);
+  }
+}
+
+// Create a singleton instance
+const templateEngine = new TemplateEngine();
+
+// Register in the service registry
+serviceRegistry.register('templateEngine', templateEngine);
+
+export default templateEngine;
+export { TemplateEngine, FILTERS };
@@ -0,0 +1,199 @@
+/**
+ * Integration tests for the inbound Jira webhook route
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+
+const WEBHOOK_SECRET = 'test-jira-webhook-secret';
+
+// Mock dependencies
+jest.unstable_mockModule('../../Fullstory.js', () => ({
+  default: {
+    createEvent: jest.fn().mockResolvedValue({ ok: true }),
+    createAnnotation: jest.fn().mockResolvedValue({ id: 'annotation-1' })
+  }
+}));
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn().mockImplementation((key, defaultValue = null) => {
+      const configValues = {
+        'jira_webhook_secret': WEBHOOK_SECRET,
+        'jira_session_field_id': 'customfield_10050',
+        'jira_status_sync_mode': 'both'
+      };
+      return configValues[key] || defaultValue;
+    }),
+    getBoolean: jest.fn().mockImplementation((key, defaultValue = false) => (
+      key === 'rate_limit_enabled' ? false : defaultValue
+    )),
+    getNumber: jest.fn().mockImplementation((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+// Import modules after mocks are set up
+const { default: JiraRouter } = await import('../../jiraRouter.js');
+const { default: Fullstory } = await import('../../Fullstory.js');
+const { default: idempotencyCache } = await import('../../idempotencyCache.js');
+
+describe('Jira Webhook Integration', () => {
+  let app;
+
+  const issueUpdated = (overrides = {}) => ({
+    timestamp: 1709649000000,
+    webhookEvent: 'jira:issue_updated',
+    user: { displayName: 'Jane Doe' },
+    issue: {
+      key: 'TEST-123',
+      self: 'https://test-jira.atlassian.net/rest/api/2/issue/12345',
+      fields: {
+        summary: 'Checkout error: card declined',
+        status: { name: 'Done', statusCategory: { key: 'done' } },
+        resolution: { name: 'Fixed' },
+        customfield_10050: 'https://app.fullstory.com/ui/o-1/session/111%3A222'
+      }
+    },
+    changelog: {
+      items: [{ field: 'status', fromString: 'In Progress', toString: 'Done' }]
+    },
+    ...overrides
+  });
+
+  /**
+   * Send a webhook signed like Jira Cloud does
+   */
+  const sendWebhook = (payload, { secret = WEBHOOK_SECRET, identifier } = {}) => {
+    const body = JSON.stringify(payload);
+    const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+    const pending = request(app)
+      .post('/jira/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature', signature);
+    if (identifier) {
+      pending.set('X-Atlassian-Webhook-Identifier', identifier);
+    }
+    return pending.send(body);
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use('/jira', JiraRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotencyCache.storage.clear();
+  });
+
+  it('should record a status change as a Fullstory event and annotation', async () => {
+    const response = await sendWebhook(issueUpdated());
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({
+      issueKey: 'TEST-123',
+      from: 'In Progress',
+      to: 'Done',
+      userId: '111',
+      sessionId: '222',
+      recorded: ['event', 'annotation']
+    }));
+    expect(Fullstory.createEvent).toHaveBeenCalledWith({
+      name: 'Lexicon Jira Status Changed',
+      timestamp: '2024-03-05T14:30:00.000Z',
+      session: { id: '111:222' },
+      properties: {
+        issue_key: 'TEST-123',
+        issue_summary: 'Checkout error: card declined',
+        issue_url: 'https://test-jira.atlassian.net/browse/TEST-123',
+        status_from: 'In Progress',
+        status_to: 'Done',
+        status_category: 'done',
+        resolution: 'Fixed',
+        changed_by: 'Jane Doe'
+      }
+    });
+    expect(Fullstory.createAnnotation).toHaveBeenCalledWith({
+      text: 'TEST-123 In Progress → Done: Checkout error: card declined',
+      start_time: '2024-03-05T14:30:00.000Z',
+      source: 'Lexicon Jira'
+    });
+  });
+
+  it('should find the session in the description when the session field is empty', async () => {
+    const payload = issueUpdated();
+    payload.issue.fields.customfield_10050 = null;
+    payload.issue.fields.description = 'Session replay: https://app.fullstory.com/ui/o-1/session/333%3A444\nMore details';
+
+    const response = await sendWebhook(payload);
+
+    expect(response.status).toBe(200);
+    expect(Fullstory.createEvent).toHaveBeenCalledWith(expect.objectContaining({ session: { id: '333:444' } }));
+  });
+
+  it('should acknowledge updates that do not change the status', async () => {
+    const response = await sendWebhook(issueUpdated({
+      changelog: { items: [{ field: 'priority', fromString: 'High', toString: 'Highest' }] }
+    }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ issueKey: 'TEST-123', skipped: true, reason: 'no status change' });
+    expect(Fullstory.createEvent).not.toHaveBeenCalled();
+  });
+
+  it('should acknowledge issues without a linked session', async () => {
+    const payload = issueUpdated();
+    delete payload.issue.fields.customfield_10050;
+
+    const response = await sendWebhook(payload);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reason).toBe('no Fullstory session linked');
+    expect(Fullstory.createEvent).not.toHaveBeenCalled();
+  });
+
+  it('should reject payloads without an issue', async () => {
+    const response = await sendWebhook({ webhookEvent: 'jira:issue_updated' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject webhooks without a valid signature', async () => {
+    const response = await sendWebhook(issueUpdated(), { secret: 'wrong-secret' });
+
+    expect(response.status).toBe(401);
+    expect(Fullstory.createEvent).not.toHaveBeenCalled();
+  });
+
+  it('should accept the secret as a token query parameter', async () => {
+    const response = await request(app)
+      .post(`/jira/webhook?token=${WEBHOOK_SECRET}`)
+      .send(issueUpdated());
+
+    expect(response.status).toBe(200);
+    expect(Fullstory.createEvent).toHaveBeenCalled();
+  });
+
+  it('should answer 500 when Fullstory rejects the event so Jira retries', async () => {
+    Fullstory.createEvent.mockResolvedValueOnce(null);
+
+    const first = await sendWebhook(issueUpdated(), { identifier: 'delivery-1' });
+    const retry = await sendWebhook(issueUpdated(), { identifier: 'delivery-1' });
+
+    expect(first.status).toBe(500);
+    expect(retry.status).toBe(200);
+    expect(Fullstory.createEvent).toHaveBeenCalledTimes(2);
+  });
+
+  it('should record a redelivered webhook only once', async () => {
+    const first = await sendWebhook(issueUpdated(), { identifier: 'delivery-2' });
+    const repeat = await sendWebhook(issueUpdated(), { identifier: 'delivery-2' });
+
+    expect(repeat.status).toBe(200);
+    expect(repeat.body).toEqual(first.body);
+    expect(Fullstory.createEvent).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Integration tests for Slack interaction and slash command routes
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+
+const SIGNING_SECRET = 'test-slack-signing-secret';
+
+// Mock dependencies
+jest.unstable_mockModule('../../Slack.js', () => ({
+  default: {
+    respond: jest.fn().mockResolvedValue({ ok: true }),
+    muteUser: jest.fn().mockResolvedValue({ muted: true, until: '2024-03-06T14:30:00.000Z' })
+  },
+  SLACK_ACTIONS: {
+    createJiraTicket: 'create_jira_ticket',
+    getSessionSummary: 'get_session_summary',
+    muteUser: 'mute_user'
+  }
+}));
+
+jest.unstable_mockModule('../../Fullstory.js', () => ({
+  default: {
+    getSessionLink: jest.fn().mockReturnValue('https://app.fullstory.com/ui/session/123'),
+    getSessionSummary: jest.fn().mockResolvedValue({
+      analysis: 'The user retried the payment form three times'
+    }),
+    listSessions: jest.fn().mockResolvedValue({
+      sessions: [
+        { userId: '111', sessionId: '222', createdTime: 1709649000, fsUrl: 'https://app.fullstory.com/ui/o-1/session/111%3A222' },
+        { userId: '111', sessionId: '333', createdTime: 1709562600, fsUrl: 'https://app.fullstory.com/ui/o-1/session/111%3A333' }
+      ]
+    }),
+    getUserProfile: jest.fn().mockResolvedValue({
+      id: '111',
+      uid: 'test-user-123',
+      display_name: 'Jane',
+      email: 'jane@example.com',
+      recentPages: [{ url: 'https://shop.example.com/checkout' }]
+    })
+  }
+}));
+
+const mockJira = {
+  createTicket: jest.fn().mockResolvedValue({ id: '12345', key: 'TEST-123' }),
+  jira_base_url: 'https://test-jira.atlassian.net'
+};
+jest.unstable_mockModule('../../Atlassian.js', () => ({
+  default: { jira: mockJira },
+  jira: mockJira
+}));
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn().mockImplementation((key, defaultValue = null) => {
+      const configValues = {
+        'slack_signing_secret': SIGNING_SECRET,
+        'jira_project_key': 'TEST',
+        'jira_issue_type_id': '10001',
+        'jira_session_field_id': 'custom-123'
+      };
+      return configValues[key] || defaultValue;
+    }),
+    getBoolean: jest.fn().mockImplementation((key, defaultValue = false) => (
+      key === 'rate_limit_enabled' ? false : defaultValue
+    )),
+    getNumber: jest.fn().mockImplementation((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+// Import modules after mocks are set up
+const { default: SlackRouter, SlackRouter: SlackRouterClass } = await import('../../slackRouter.js');
+const { default: Slack } = await import('../../Slack.js');
+const { default: Fullstory } = await import('../../Fullstory.js');
+const { default: idempotencyCache } = await import('../../idempotencyCache.js');
+
+/**
+ * Wait for the action that runs after Slack's request was acknowledged
+ */
+async function waitForResponse() {
+  for (let attempt = 0; attempt < 50 && Slack.respond.mock.calls.length === 0; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return Slack.respond.mock.calls[0];
+}
+
+describe('Slack Interactions Integration', () => {
+  let app;
+  const signal = { uid: 'test-user-123', session_id: 'test-session-456', event_name: 'checkout_error', email: 'jane@example.com' };
+  const message = {
+    text: 'checkout_error by jane@example.com',
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: 'checkout_error' } },
+      {
+        type: 'actions',
+        elements: [
+          { type: 'button', action_id: 'open_session_replay', url: 'https://app.fullstory.com/ui/session/123' },
+          { type: 'button', action_id: 'create_jira_ticket', value: JSON.stringify(signal) },
+          { type: 'button', action_id: 'mute_user', value: JSON.stringify(signal) }
+        ]
+      },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: 'Sent by Lexicon' }] }
+    ]
+  };
+
+  const interaction = (actionId, overrides = {}) => ({
+    type: 'block_actions',
+    user: { id: 'U123', username: 'jane' },
+    response_url: 'https://hooks.slack.com/actions/T1/1/abc',
+    container: { message_ts: `${Date.now()}.${Math.random()}` },
+    message,
+    actions: [{ action_id: actionId, value: JSON.stringify(signal), text: { text: 'Button' } }],
+    ...overrides
+  });
+
+  /**
+   * Send a form-encoded interaction signed like Slack does
+   */
+  const sendInteraction = (payload, secret = SIGNING_SECRET) => {
+    const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+    return request(app)
+      .post('/slack/interactions')
+      .set('Content-Type', 'application/x-www-form-urlencoded')
+      .set('X-Slack-Request-Timestamp', String(timestamp))
+      .set('X-Slack-Signature', signature)
+      .send(body);
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use('/slack', SlackRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotencyCache.storage.clear();
+  });
+
+  it('should reject requests without a valid Slack signature', async () => {
+    const response = await sendInteraction(interaction('create_jira_ticket'), 'wrong-secret');
+
+    expect(response.status).toBe(401);
+    expect(mockJira.createTicket).not.toHaveBeenCalled();
+  });
+
+  it('should create a Jira ticket and update the alert', async () => {
+    const response = await sendInteraction(interaction('create_jira_ticket'));
+    const [responseUrl, update] = await waitForResponse();
+
+    expect(response.status).toBe(200);
+    expect(mockJira.createTicket).toHaveBeenCalledWith({
+      fields: expect.objectContaining({
+        summary: 'checkout_error - jane@example.com',
+        project: { key: 'TEST' },
+        issuetype: { id: '10001' },
+        'custom-123': 'https://app.fullstory.com/ui/session/123'
+      })
+    });
+    expect(responseUrl).toBe('https://hooks.slack.com/actions/T1/1/abc');
+    expect(update.replace_original).toBe(true);
+    expect(update.blocks.map(block => block.type)).toEqual(['header', 'actions', 'section', 'context']);
+    expect(update.blocks[1].elements.map(element => element.action_id)).toEqual(['open_session_replay', 'mute_user']);
+    expect(update.blocks[2].text.text).toBe(':ticket: Jira ticket <https://test-jira.atlassian.net/browse/TEST-123|TEST-123> created by <@U123>');
+  });
+
+  it('should add the AI session summary to the alert', async () => {
+    await sendInteraction(interaction('get_session_summary'));
+    const [, update] = await waitForResponse();
+
+    expect(Fullstory.getSessionSummary).toHaveBeenCalledWith('test-user-123', 'test-session-456');
+    expect(update.blocks[2].text.text).toBe('*AI session summary*\nThe user retried the payment form three times');
+  });
+
+  it('should mute the user and record who muted them', async () => {
+    await sendInteraction(interaction('mute_user'));
+    const [, update] = await waitForResponse();
+
+    expect(Slack.muteUser).toHaveBeenCalledWith('test-user-123');
+    expect(update.blocks[1].elements.map(element => element.action_id)).toEqual(['open_session_replay', 'create_jira_ticket']);
+    expect(update.blocks[2].elements[0].text).toContain('Alerts for *test-user-123* muted until');
+  });
+
+  it('should report a mute that could not be stored', async () => {
+    Slack.muteUser.mockResolvedValueOnce({ muted: false, until: null });
+
+    await sendInteraction(interaction('mute_user'));
+    const [, reply] = await waitForResponse();
+
+    expect(reply).toMatchObject({
+      response_type: 'ephemeral',
+      text: ':warning: Could not complete "Button": Alerts for test-user-123 could not be muted'
+    });
+  });
+
+  it('should show failures only to the user who clicked', async () => {
+    mockJira.createTicket.mockRejectedValueOnce(new Error('Jira unavailable'));
+
+    await sendInteraction(interaction('create_jira_ticket'));
+    const [, reply] = await waitForResponse();
+
+    expect(reply).toEqual({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: ':warning: Could not complete "Button": Jira unavailable'
+    });
+  });
+
+  it('should run an action only once for repeated clicks on the same alert', async () => {
+    const payload = interaction('create_jira_ticket');
+
+    await sendInteraction(payload);
+    await waitForResponse();
+    await sendInteraction({ ...payload, actions: [{ ...payload.actions[0], action_ts: '2' }] });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(mockJira.createTicket).toHaveBeenCalledTimes(1);
+  });
+
+  it('should tell users clicking an action that already succeeded that it was done', async () => {
+    const payload = interaction('create_jira_ticket');
+
+    await sendInteraction(payload);
+    await waitForResponse();
+    await sendInteraction({ ...payload, user: { id: 'U456', username: 'sam' } });
+    for (let attempt = 0; attempt < 50 && Slack.respond.mock.calls.length < 2; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    expect(mockJira.createTicket).toHaveBeenCalledTimes(1);
+    expect(Slack.respond.mock.calls[1][1]).toEqual({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: ':white_check_mark: "Button" was already done for this alert'
+    });
+    expect(await idempotencyCache.get(`slack-action:${payload.container.message_ts}:create_jira_ticket`))
+      .toEqual({ state: 'completed', user: 'U123' });
+  });
+
+  it('should acknowledge link buttons and unknown interactions without acting', async () => {
+    const response = await sendInteraction(interaction('open_session_replay'));
+
+    expect(response.status).toBe(200);
+    expect(Slack.respond).not.toHaveBeenCalled();
+  });
+
+  it('should reject malformed payloads', async () => {
+    const body = 'payload=not-json';
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = `v0=${crypto.createHmac('sha256', SIGNING_SECRET).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+    const response = await request(app)
+      .post('/slack/interactions')
+      .set('Content-Type', 'application/x-www-form-urlencoded')
+      .set('X-Slack-Request-Timestamp', String(timestamp))
+      .set('X-Slack-Signature', signature)
+      .send(body);
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Slack Slash Command Integration', () => {
+  let app;
+  let slackRouter;
+
+  /**
+   * Send a form-encoded slash command signed like Slack does
+   */
+  const sendCommand = (text, secret = SIGNING_SECRET) => {
+    const body = new URLSearchParams({
+      command: '/lexicon',
+      text,
+      user_id: 'U123',
+      response_url: 'https://hooks.slack.com/commands/T1/1/abc'
+    }).toString();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+    return request(app)
+      .post('/slack/commands')
+      .set('Content-Type', 'application/x-www-form-urlencoded')
+      .set('X-Slack-Request-Timestamp', String(timestamp))
+      .set('X-Slack-Signature', signature)
+      .send(body);
+  };
+
+  beforeAll(() => {
+    slackRouter = new SlackRouterClass();
+    app = express();
+    app.use('/slack', slackRouter.getRouter());
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should reject commands without a valid Slack signature', async () => {
+    const response = await sendCommand('sessions jane@example.com', 'wrong-secret');
+
+    expect(response.status).toBe(401);
+    expect(Fullstory.listSessions).not.toHaveBeenCalled();
+  });
+
+  it('should list recent sessions for an email address', async () => {
+    const response = await sendCommand('sessions <mailto:jane@example.com|jane@example.com> 3');
+
+    expect(response.status).toBe(200);
+    expect(Fullstory.listSessions).toHaveBeenCalledWith({ email: 'jane@example.com', limit: 3 });
+    expect(response.body.response_type).toBe('ephemeral');
+    expect(response.body.blocks[0].text.text).toBe([
+      '*Recent sessions for jane@example.com*',
+      '• <https://app.fullstory.com/ui/o-1/session/111%3A222|<!date^1709649000^{date_short_pretty} {time}|2024-03-05T14:30:00.000Z>>',
+      '• <https://app.fullstory.com/ui/o-1/session/111%3A333|<!date^1709562600^{date_short_pretty} {time}|2024-03-04T14:30:00.000Z>>'
+    ].join('\n'));
+  });
+
+  it('should look up sessions by uid', async () => {
+    await sendCommand('sessions test-user-123');
+
+    expect(Fullstory.listSessions).toHaveBeenCalledWith({ uid: 'test-user-123', limit: 5 });
+  });
+
+  it('should summarize a session from its replay URL', async () => {
+    const response = await sendCommand('summary <https://app.fullstory.com/ui/o-1/session/111%3A222>');
+
+    expect(Fullstory.getSessionSummary).toHaveBeenCalledWith('111', '222');
+    expect(response.body.blocks[0].text.text).toBe('*AI session summary*\nThe user retried the payment form three times');
+  });
+
+  it('should show a user profile', async () => {
+    const response = await sendCommand('user 111');
+
+    expect(Fullstory.getUserProfile).toHaveBeenCalledWith('111');
+    expect(response.body.blocks[0].fields.map(field => field.text)).toEqual([
+      '*Name*\nJane',
+      '*Email*\njane@example.com',
+      '*UID*\ntest-user-123',
+      '*User ID*\n111'
+    ]);
+    expect(response.body.blocks[1].text.text).toBe('*Recent pages*\n• https://shop.example.com/checkout');
+  });
+
+  it('should reply with usage for unknown or missing subcommands', async () => {
+    const response = await sendCommand('');
+    const unknown = await sendCommand('delete everything');
+
+    expect(response.body.text).toContain('`/lexicon sessions <email or uid> [limit]`');
+    expect(unknown.body.text).toMatch(/^Unknown command `delete`/);
+    expect(Fullstory.listSessions).not.toHaveBeenCalled();
+  });
+
+  it('should report lookup errors to the user', async () => {
+    Fullstory.getUserProfile.mockRejectedValueOnce(new Error('User not found'));
+
+    const response = await sendCommand('user missing');
+    const invalid = await sendCommand('summary not-a-session');
+
+    expect(response.body).toEqual({ response_type: 'ephemeral', text: ':warning: User not found' });
+    expect(invalid.body.text).toMatch(/^:warning: Usage: `summary <session URL>`/);
+  });
+
+  it('should defer slow lookups to the response URL', async () => {
+    slackRouter.commandReplyTimeoutMs = 10;
+    Fullstory.listSessions.mockImplementationOnce(() => new Promise(resolve => {
+      setTimeout(() => resolve({ sessions: [] }), 50);
+    }));
+
+    const response = await sendCommand('sessions jane@example.com');
+    const [responseUrl, reply] = await waitForResponse();
+
+    expect(response.body.text).toBe(':hourglass_flowing_sand: Looking up `sessions jane@example.com`…');
+    expect(responseUrl).toBe('https://hooks.slack.com/commands/T1/1/abc');
+    expect(reply).toEqual({
+      response_type: 'ephemeral',
+      replace_original: true,
+      text: 'No sessions found for jane@example.com'
+    });
+  });
+});
@@ -5,12 +5,17 @@
 import { jest } from '@jest/globals';
 import express from 'express';
 import request from 'supertest';
+import { format } from 'date-fns';
+import crypto from 'crypto';
 
 // Mock dependencies
 jest.unstable_mockModule('../../Slack.js', () => ({
   default: {
     sendWebHook: jest.fn().mockResolvedValue({ ok: true }),
-    sendAIWebHook: jest.fn().mockResolvedValue({ ok: true })
+    sendAIWebHook: jest.fn().mockResolvedValue({ ok: true }),
+    updateMessage: jest.fn().mockResolvedValue({ ok: true, channel: 'C123', ts: '1700000000.000100' }),
+    isUserMuted: jest.fn().mockResolvedValue(false),
+    buildDigestMessage: jest.fn().mockReturnValue({ text: 'Lexicon digest: 2 signals' })
   }
 }));
 
@@ -20,6 +25,10 @@ jest.unstable_mockModule('../../Fullstory.js', () => ({
     getSessionSummary: jest.fn().mockResolvedValue({
       analysis: 'Mock session summary'
     }),
+    getSessionEvents: jest.fn().mockResolvedValue([
+      { event_time: '2024-03-05T14:30:00Z', event_type: 'navigate', event_properties: { url: 'https://shop.example.com/checkout' } },
+      { event_time: '2024-03-05T14:30:42Z', event_type: 'click', event_properties: { target: '#pay' } }
+    ]),
     postCustomEvent: jest.fn().mockResolvedValue({ status: 200 })
   }
 }));
@@ -27,27 +36,40 @@ jest.unstable_mockModule('../../Fullstory.js', () => ({
 jest.unstable_mockModule('../../GoogleCloud.js', () => ({
   default: {
     workspace: {
-      appendSpreadsheetValues: jest.fn().mockResolvedValue({
-        updates: {
-          updatedRange: 'Sheet1!A1:J1',
-          updatedRows: 1,
-          updatedColumns: 10,
-          updatedCells: 10
-        }
-      })
+      bufferWrite: jest.fn(async (spreadsheetId, range, { values, records }) => (
+        (records ?? values).map((row, index) => ({ status: 'appended', sheet: range, row: index + 2 }))
+      )),
+      ensureSheet: jest.fn().mockResolvedValue({ title: 'Sheet1', sheetId: 0, created: false }),
+      forgetSheets: jest.fn()
+    },
+    bigQuery: {
+      executeStatement: jest.fn().mockResolvedValue([]),
+      streamRows: jest.fn(async (datasetId, tableId, rows) => ({ inserted: rows.length, failed: [] }))
     }
   }
 }));
 
-jest.unstable_mockModule('../../Atlassian.js', () => ({
+const mockExecuteQuery = jest.fn().mockResolvedValue([]);
+jest.unstable_mockModule('../../Snowflake.js', () => ({
   default: {
+    executeStatement: mockExecuteQuery,
+    insertRows: jest.fn().mockResolvedValue([])
+  }
+}));
+
+jest.unstable_mockModule('../../Atlassian.js', () => {
+  const jira = {
     createTicket: jest.fn().mockResolvedValue({
       id: '12345',
       key: 'TEST-123'
     }),
+    searchIssues: jest.fn().mockResolvedValue({ issues: [] }),
+    addComment: jest.fn().mockResolvedValue({ id: '10500' }),
+    addAttachment: jest.fn().mockResolvedValue([{ id: '10600' }, { id: '10601' }]),
     jira_base_url: 'https://test-jira.atlassian.net'
-  }
-}));
+  };
+  return { default: jira, jira };
+});
 
 jest.unstable_mockModule('../../config.js', () => ({
   default: {
@@ -94,13 +116,268 @@ jest.unstable_mockModule('../../config.js', () => ({
   }
 }));
 
+// Register a declarative route before the router builds its routes
+const { default: routeRegistry } = await import('../../routeRegistry.js');
+routeRegistry.register({
+  name: 'DeclarativeSlack',
+  path: '/declarativeSlack',
+  requiredFields: ['user'],
+  requiredData: ['uid'],
+  enrich: ['sessionLink'],
+  destination: 'slack'
+});
+routeRegistry.register({
+  name: 'Inventory',
+  path: '/updateInventory',
+  requiredFields: ['user', 'properties'],
+  handler: 'handleSnowflakeUpdate',
+  options: {
+    table: 'INVENTORY',
+    columns: ['sku', 'qty:quantity', 'user_id:uid', 'replay_url'],
+    requiredData: ['uid', 'sku'],
+    defaults: { quantity: 1 },
+    responseFields: ['sku', 'user_id:uid']
+  }
+});
+routeRegistry.register({
+  name: 'LeadStream',
+  path: '/streamBigQuery',
+  requiredFields: ['user', 'properties'],
+  handler: 'handleBigQueryUpdate',
+  options: {
+    mode: 'streaming',
+    table: 'analytics.leads',
+    columns: ['sku', 'user_id:uid', 'session_time:time'],
+    schema: { sku: 'STRING', user_id: 'STRING', session_time: 'TIMESTAMP' },
+    insertIdField: 'session_id',
+    partitionField: 'session_time',
+    responseFields: ['sku', 'user_id:uid']
+  }
+});
+routeRegistry.register({
+  name: 'BatchedInventory',
+  path: '/batchedInventory',
+  requiredFields: ['user', 'properties'],
+  handler: 'handleSnowflakeUpdate',
+  options: {
+    table: 'INVENTORY',
+    columns: ['sku', 'user_id:uid'],
+    batch: { maxRows: 2, windowMs: 60000 },
+    responseFields: ['sku', 'user_id:uid']
+  }
+});
+routeRegistry.register({
+  name: 'InventoryEvents',
+  path: '/inventoryEvents',
+  requiredFields: ['user'],
+  destination: 'snowflake',
+  options: {
+    table: 'INVENTORY_EVENTS',
+    columns: ['user_id:uid', 'event:event_name'],
+    batch: { windowMs: 60000, ack: 'async' }
+  }
+});
+routeRegistry.register({
+  name: 'BatchedLeadStream',
+  path: '/batchedLeadStream',
+  requiredFields: ['user', 'properties'],
+  handler: 'handleBigQueryUpdate',
+  options: {
+    mode: 'streaming',
+    table: 'analytics.leads',
+    columns: ['sku', 'user_id:uid'],
+    insertIdField: 'uid',
+    batch: { maxRows: 2, windowMs: 60000 },
+    responseFields: ['sku', 'user_id:uid']
+  }
+});
+routeRegistry.register({
+  name: 'CheckoutFanOut',
+  path: '/checkoutFanOut',
+  requiredFields: ['user'],
+  enrich: ['sessionLink'],
+  destinations: [
+    'slack',
+    'jira',
+    {
+      name: 'events',
+      destination: 'bigQuery',
+      options: { table: 'analytics.checkout_events', columns: ['user_id:uid', 'event:event_name', 'session_link'] }
+    }
+  ]
+});
+routeRegistry.register({
+  name: 'SequencedFanOut',
+  path: '/sequencedFanOut',
+  requiredFields: ['user'],
+  destinations: ['jira', 'slack'],
+  mode: 'sequence'
+});
+routeRegistry.register({
+  name: 'GuardedJira',
+  path: '/guardedJira',
+  requiredFields: ['user'],
+  when: 'properties.error_count > 3',
+  destination: 'jira'
+});
+routeRegistry.register({
+  name: 'RoutedSlack',
+  path: '/routedSlack',
+  requiredFields: ['user'],
+  destinations: [
+    {
+      name: 'enterprise',
+      destination: 'slack',
+      when: 'user.email endsWith "@enterprise.com"',
+      options: { webhookUrl: 'https://slack.webhook/enterprise' }
+    },
+    { name: 'default', destination: 'slack', when: 'not (user.email endsWith "@enterprise.com")' }
+  ]
+});
+routeRegistry.register({
+  name: 'TemplatedAlerts',
+  path: '/templatedAlerts',
+  requiredFields: ['user'],
+  enrich: ['sessionLink'],
+  destinations: [
+    {
+      destination: 'slack',
+      options: { template: { text: '{{ event_name | upper }} by {{ email | default:"anonymous" }}', link: '{{ session_link }}' } }
+    },
+    {
+      destination: 'jira',
+      options: { template: { summary: '{{ event_name }}: {{ properties.error_count }} errors', labels: ['lexicon'] } }
+    },
+    {
+      destination: 'http',
+      options: {
+        url: 'https://hooks.example.com/events',
+        headers: { Authorization: 'Bearer test' },
+        template: { event: '{{ event_name }}', errors: '{{ properties.error_count }}' }
+      }
+    }
+  ]
+});
+routeRegistry.register({
+  name: 'ThreadedAlert',
+  path: '/threadedAlert',
+  requiredFields: ['user'],
+  mode: 'sequence',
+  destinations: [
+    { name: 'alert', destination: 'slack', options: { channel: '#alerts' } },
+    'jira',
+    {
+      name: 'followUp',
+      destination: 'slack',
+      options: { thread: 'alert', template: { text: 'Created {{ steps.jira.result.ticketKey }}' } }
+    },
+    {
+      name: 'resolved',
+      destination: 'slack',
+      options: { update: 'alert', template: { text: '{{ event_name }} - ticket {{ steps.jira.result.ticketKey }}' } }
+    }
+  ]
+});
+routeRegistry.register({
+  name: 'DigestedAlerts',
+  path: '/digestedAlerts',
+  requiredFields: ['user'],
+  destination: 'slack',
+  options: { digest: { windowMs: 60000, urgent: 'properties.error_count >= 10' } }
+});
+routeRegistry.register({
+  name: 'DedupedJira',
+  path: '/dedupedJira',
+  handler: 'handleJiraTicket',
+  options: { dedupe: true }
+});
+routeRegistry.register({
+  name: 'CheckoutErrorTickets',
+  path: '/checkoutErrorTickets',
+  requiredFields: ['user'],
+  enrich: ['sessionLink'],
+  destination: 'jira',
+  options: { dedupe: { fields: ['event_name', 'properties.error_code'] } }
+});
+routeRegistry.register({
+  name: 'RoutedJira',
+  path: '/routedJira',
+  requiredFields: ['user'],
+  destination: 'jira',
+  options: {
+    issueTemplates: [
+      {
+        name: 'checkout-errors',
+        when: 'event_name startsWith "checkout_"',
+        project: 'PAY',
+        issueType: 'Bug',
+        priority: '{{ properties.severity | default:"P1" }}',
+        labels: ['checkout', '{{ properties.error_code }}'],
+        components: ['Checkout'],
+        assignee: '{{ properties.owner }}',
+        fields: { customfield_10061: '{{ properties.cart_value }}' }
+      },
+      { name: 'ux-friction', when: 'event_name in ["rage_click", "dead_click"]', project: 'DES', issueType: 'Task' }
+    ]
+  }
+});
+
+routeRegistry.register({
+  name: 'EvidenceJira',
+  path: '/evidenceJira',
+  requiredFields: ['user'],
+  destination: 'jira',
+  options: { attachEvidence: true }
+});
+
+routeRegistry.register({
+  name: 'UserSheet',
+  path: '/userSheet',
+  requiredFields: ['user'],
+  destination: 'googleSheets',
+  options: {
+    range: 'Users',
+    upsertKey: 'UserID',
+    template: { UserID: '{{ uid }}', Email: '{{ email }}', 'Last Event': '{{ event_name }}' }
+  }
+});
+
+routeRegistry.register({
+  name: 'SignalSheet',
+  path: '/signalSheet',
+  requiredFields: ['user'],
+  destination: 'googleSheets',
+  options: {
+    tab: '{{ route }}-{{ now | date:"yyyy-MM" }}',
+    columns: ['uid', 'event_name']
+  }
+});
+
+const { default: jiraIssueTemplates } = await import('../../jiraIssueTemplates.js');
+jiraIssueTemplates.register({
+  name: 'payments',
+  when: 'event_name == "payment_failed"',
+  project: '10200',
+  issueType: '10004',
+  sessionField: 'customfield_20000',
+  labels: ['payments']
+});
+
 // Import modules after mocks are set up
+const { default: deliveryQueue, MemoryDeliveryStore } = await import('../../deliveryQueue.js');
+// Routes acknowledging batches early need the queue enabled; the tests that
+// queue deliveries give it a memory store
+deliveryQueue.config.enabled = true;
 const { default: WebhookRouter } = await import('../../webhookRouter.js');
 const { default: Slack } = await import('../../Slack.js');
 const { default: Fullstory } = await import('../../Fullstory.js');
 const { default: GoogleCloud } = await import('../../GoogleCloud.js');
 const { default: Atlassian } = await import('../../Atlassian.js');
 const { default: config } = await import('../../config.js');
+const { default: slackDigest } = await import('../../slackDigest.js');
+const { default: warehouseBatcher } = await import('../../warehouseBatcher.js');
+const { default: snowflake } = await import('../../Snowflake.js');
+const { default: middleware } = await import('../../middleware.js');
 
 describe('Webhook Integration', () => {
   let app;
@@ -177,6 +454,20 @@ describe('Webhook Integration', () => {
       expect(mockSlack.sendWebHook).toHaveBeenCalled();
       expect(response.body).toHaveProperty('error');
     });
+    
+    it('should skip alerts for users muted from Slack', async () => {
+      mockSlack.isUserMuted.mockResolvedValueOnce(true);
+      
+      const response = await request(app)
+        .post('/webhook/slackHook')
+        .send({ name: 'cart_abandoned', user: { id: 'test-user-123' } })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ skipped: true, reason: 'user is muted' });
+      expect(mockSlack.isUserMuted).toHaveBeenCalledWith('test-user-123');
+      expect(mockSlack.sendWebHook).not.toHaveBeenCalled();
+    });
   });
   
   describe('Fusion Webhook Route', () => {
@@ -269,9 +560,73 @@ describe('Webhook Integration', () => {
       
       // Update expectation to match actual implementation
       expect(response.status).toBe(204);
-      expect(GoogleCloud.workspace.appendSpreadsheetValues).toHaveBeenCalled();
+      expect(GoogleCloud.workspace.bufferWrite).toHaveBeenCalledWith('test-sheet-id', 'Sheet1', {
+        records: [expect.objectContaining({
+          DisplayName: 'Test User',
+          UserID: 'test-user-123',
+          Email: 'test@example.com',
+          Webhookname: 'sheets_event'
+        })],
+        upsertKey: undefined
+      });
+    });
+
+    it('should upsert records keyed by header name from a template', async () => {
+      GoogleCloud.workspace.config = { sheets_id: 'test-sheet-id' };
+      GoogleCloud.workspace.bufferWrite.mockResolvedValueOnce([{ status: 'updated', sheet: 'Users', row: 4 }]);
+
+      const response = await request(app)
+        .post('/webhook/userSheet')
+        .send({ name: 'checkout_completed', user: { id: 'test-user-123', email: 'test@example.com' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({ rows: 1, appended: 0, updated: 1, sheetRows: [4] }));
+      expect(GoogleCloud.workspace.bufferWrite).toHaveBeenCalledWith('test-sheet-id', 'Users', {
+        records: [{ UserID: 'test-user-123', Email: 'test@example.com', 'Last Event': 'checkout_completed' }],
+        upsertKey: 'UserID'
+      });
+    });
+
+    it('should fail the delivery when the record write fails', async () => {
+      GoogleCloud.workspace.config = { sheets_id: 'test-sheet-id' };
+      GoogleCloud.workspace.bufferWrite.mockResolvedValueOnce([
+        { status: 'failed', error: 'Record fields do not match any column of sheet Users', retryable: false, httpStatus: 400 }
+      ]);
+
+      const response = await request(app)
+        .post('/webhook/userSheet')
+        .send({ name: 'checkout_completed', user: { id: 'test-user-123', email: 'test@example.com' } });
+
+      expect(response.status).toBe(500);
     });
     
+    it('should write to a monthly tab named by the tab pattern', async () => {
+      GoogleCloud.workspace.config = { sheets_id: 'test-sheet-id' };
+      const tab = `SignalSheet-${format(new Date(), 'yyyy-MM')}`;
+
+      const response = await request(app)
+        .post('/webhook/signalSheet')
+        .send({ name: 'checkout_completed', user: { id: 'test-user-123' } });
+
+      expect(response.status).toBe(200);
+      expect(GoogleCloud.workspace.ensureSheet).toHaveBeenCalledWith('test-sheet-id', tab, ['uid', 'event_name']);
+      expect(GoogleCloud.workspace.bufferWrite).toHaveBeenCalledWith('test-sheet-id', tab, {
+        values: [['test-user-123', 'checkout_completed']]
+      });
+    });
+
+    it('should fail the delivery without writing when the tab cannot be created', async () => {
+      GoogleCloud.workspace.config = { sheets_id: 'test-sheet-id' };
+      GoogleCloud.workspace.ensureSheet.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .post('/webhook/signalSheet')
+        .send({ name: 'checkout_completed', user: { id: 'test-user-123' } });
+
+      expect(response.status).toBe(500);
+      expect(GoogleCloud.workspace.bufferWrite).not.toHaveBeenCalled();
+    });
+
     it('should handle google sheets configuration errors', async () => {
       const originalConfig = GoogleCloud.workspace.config;
       GoogleCloud.workspace.config = {};
@@ -296,7 +651,7 @@ describe('Webhook Integration', () => {
       // The implementation returns 500 when configuration is missing
       expect(response.status).toBe(500);
       expect(response.body).toHaveProperty('error');
-      expect(GoogleCloud.workspace.appendSpreadsheetValues).not.toHaveBeenCalled();
+      expect(GoogleCloud.workspace.bufferWrite).not.toHaveBeenCalled();
     });
   });
   
@@ -331,5 +686,906 @@ describe('Webhook Integration', () => {
         expect(Atlassian.createTicket).toHaveBeenCalled();
       }
     });
+
+    describe('duplicate detection', () => {
+      const payload = (id = 'test-user-123', errorCode = 'E42') => ({
+        name: 'checkout_error',
+        user: { id, email: `${id}@example.com` },
+        properties: { session_id: 'test-session-456', error_code: errorCode }
+      });
+
+      it('should label new tickets with the fingerprint it searches for', async () => {
+        const response = await request(app).post('/webhook/dedupedJira').send(payload());
+
+        expect(response.status).toBe(200);
+        const { fields } = Atlassian.createTicket.mock.calls[0][0];
+        expect(fields.labels).toEqual([expect.stringMatching(/^lexicon-[0-9a-f]{16}$/)]);
+        expect(Atlassian.searchIssues).toHaveBeenCalledWith(
+          `project = "TEST" AND labels = "${fields.labels[0]}" AND statusCategory != Done ORDER BY created DESC`,
+          { fields: ['summary'], maxResults: 1 }
+        );
+      });
+
+      it('should comment on an open ticket instead of creating a duplicate', async () => {
+        Atlassian.searchIssues.mockResolvedValueOnce({ issues: [{ id: '10099', key: 'TEST-99' }] });
+
+        const response = await request(app).post('/webhook/dedupedJira').send(payload());
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('Commented on existing Jira ticket TEST-99');
+        expect(response.body.data).toEqual({
+          ticketKey: 'TEST-99',
+          ticketId: '10099',
+          ticketUrl: 'https://test-jira.atlassian.net/browse/TEST-99',
+          duplicate: true,
+          commentId: '10500'
+        });
+        expect(Atlassian.addComment).toHaveBeenCalledWith('TEST-99', expect.stringMatching(
+          /^Lexicon received checkout_error again for test-user-123@example\.com at .+\.\nSession replay: https:\/\/app\.fullstory\.com\/ui\/session\/123$/
+        ));
+        expect(Atlassian.createTicket).not.toHaveBeenCalled();
+      });
+
+      it('should fingerprint on configured fields across users', async () => {
+        await request(app).post('/webhook/checkoutErrorTickets').send(payload('user-1'));
+        await request(app).post('/webhook/checkoutErrorTickets').send(payload('user-2'));
+        await request(app).post('/webhook/checkoutErrorTickets').send(payload('user-1', 'E43'));
+
+        const labels = Atlassian.createTicket.mock.calls.map(([ticket]) => ticket.fields.labels[0]);
+        expect(labels[0]).toBe(labels[1]);
+        expect(labels[2]).not.toBe(labels[0]);
+      });
+
+      it('should skip the check when a fingerprint field has no value', async () => {
+        const response = await request(app).post('/webhook/dedupedJira').send({ name: 'checkout_error', user: {} });
+
+        expect(response.status).toBe(200);
+        expect(Atlassian.searchIssues).not.toHaveBeenCalled();
+        expect(Atlassian.createTicket.mock.calls[0][0].fields.labels).toBeUndefined();
+      });
+    });
+
+    describe('session evidence', () => {
+      const payload = (properties = { session_id: 'test-session-456' }) => ({
+        name: 'checkout_error',
+        user: { id: 'test-user-123', email: 'test@example.com' },
+        properties
+      });
+
+      it('should attach the session events and timeline to new tickets', async () => {
+        const response = await request(app).post('/webhook/evidenceJira').send(payload());
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.attachments).toEqual([
+          'fullstory-session-test-session-456-events.json',
+          'fullstory-session-test-session-456-timeline.md'
+        ]);
+        expect(mockFullstory.getSessionEvents).toHaveBeenCalledWith('test-user-123', 'test-session-456');
+        expect(mockFullstory.getSessionSummary).toHaveBeenCalledWith('test-user-123', 'test-session-456');
+
+        const [ticketKey, files] = Atlassian.addAttachment.mock.calls[0];
+        expect(ticketKey).toBe('TEST-123');
+        expect(files.map(file => [file.filename, file.contentType])).toEqual([
+          ['fullstory-session-test-session-456-events.json', 'application/json'],
+          ['fullstory-session-test-session-456-timeline.md', 'text/markdown']
+        ]);
+        expect(JSON.parse(files[0].content)).toMatchObject({
+          uid: 'test-user-123',
+          sessionId: 'test-session-456',
+          sessionLink: 'https://app.fullstory.com/ui/session/123',
+          events: [{ event_type: 'navigate' }, { event_type: 'click' }]
+        });
+        expect(files[1].content).toContain('## AI Summary\n\nMock session summary');
+        expect(files[1].content).toContain('| 2024-03-05 14:30:42 | +0:42 | click | {"target":"#pay"} |');
+      });
+
+      it('should keep the ticket when the attachment upload fails', async () => {
+        Atlassian.addAttachment.mockResolvedValueOnce(null);
+
+        const response = await request(app).post('/webhook/evidenceJira').send(payload());
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.attachments).toEqual([]);
+        expect(Atlassian.createTicket).toHaveBeenCalledTimes(1);
+      });
+
+      it('should skip evidence for webhooks without a session', async () => {
+        const response = await request(app).post('/webhook/evidenceJira').send(payload({}));
+
+        expect(response.status).toBe(200);
+        expect(mockFullstory.getSessionEvents).not.toHaveBeenCalled();
+        expect(Atlassian.addAttachment).not.toHaveBeenCalled();
+      });
+
+      it('should only attach evidence when the route asks for it', async () => {
+        await request(app).post('/webhook/routedJira').send(payload());
+
+        expect(Atlassian.createTicket).toHaveBeenCalled();
+        expect(Atlassian.addAttachment).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('issue templates', () => {
+      const payload = (name, properties = {}) => ({
+        name,
+        user: { id: 'test-user-123', email: 'test@example.com' },
+        properties: { session_id: 'test-session-456', ...properties }
+      });
+
+      it('should map webhook properties onto the matching template fields', async () => {
+        const response = await request(app).post('/webhook/routedJira').send(payload('checkout_error', {
+          error_code: 'card declined',
+          owner: 'account-42',
+          cart_value: 129.5
+        }));
+
+        expect(response.status).toBe(200);
+        const { fields } = Atlassian.createTicket.mock.calls[0][0];
+        expect(fields).toMatchObject({
+          summary: 'checkout_error - test@example.com',
+          project: { key: 'PAY' },
+          issuetype: { name: 'Bug' },
+          priority: { name: 'P1' },
+          labels: ['checkout', 'card-declined'],
+          components: [{ name: 'Checkout' }],
+          assignee: { accountId: 'account-42' },
+          customfield_10061: 129.5,
+          'custom-123': 'https://app.fullstory.com/ui/session/123'
+        });
+      });
+
+      it('should use the first template whose rule matches', async () => {
+        await request(app).post('/webhook/routedJira').send(payload('rage_click'));
+
+        const { fields } = Atlassian.createTicket.mock.calls[0][0];
+        expect(fields.project).toEqual({ key: 'DES' });
+        expect(fields.issuetype).toEqual({ name: 'Task' });
+        expect(fields).not.toHaveProperty('priority');
+        expect(fields).not.toHaveProperty('labels');
+      });
+
+      it('should fall back to the global project and issue type when no template matches', async () => {
+        await request(app).post('/webhook/routedJira').send(payload('form_abandoned'));
+
+        const { fields } = Atlassian.createTicket.mock.calls[0][0];
+        expect(fields.project).toEqual({ key: 'TEST' });
+        expect(fields.issuetype).toEqual({ id: '10001' });
+      });
+
+      it('should apply templates from the issue templates file to the Jira handler', async () => {
+        const response = await request(app).post('/webhook/makeJiraTicket').send(payload('payment_failed'));
+
+        expect(response.status).toBe(200);
+        const { fields } = Atlassian.createTicket.mock.calls[0][0];
+        expect(fields.project).toEqual({ id: '10200' });
+        expect(fields.issuetype).toEqual({ id: '10004' });
+        expect(fields.labels).toEqual(['payments']);
+        expect(fields.customfield_20000).toBe('https://app.fullstory.com/ui/session/123');
+        expect(fields).not.toHaveProperty('custom-123');
+      });
+    });
+  });
+
+  // Declarative routes
+  describe('Declarative Route', () => {
+    it('should enrich and deliver to the declared destination', async () => {
+      const payload = {
+        name: 'checkout_rage_click',
+        user: {
+          id: 'test-user-123',
+          email: 'test@example.com'
+        },
+        properties: {
+          session_id: 'test-session-456'
+        },
+        timestamp: new Date().toISOString()
+      };
+      
+      const response = await request(app)
+        .post('/webhook/declarativeSlack')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(mockFullstory.getSessionLink).toHaveBeenCalledWith('test-user-123', 'test-session-456');
+      const callData = mockSlack.sendWebHook.mock.calls[0][0];
+      expect(callData).toHaveProperty('session_link', 'https://app.fullstory.com/ui/session/123');
+      expect(callData).toHaveProperty('event_name', 'checkout_rage_click');
+    });
+    
+    it('should reject payloads missing required data', async () => {
+      const response = await request(app)
+        .post('/webhook/declarativeSlack')
+        .send({ name: 'no_uid', user: {} })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(400);
+      expect(mockSlack.sendWebHook).not.toHaveBeenCalled();
+    });
+    
+    it('should return 500 when the destination fails', async () => {
+      mockSlack.sendWebHook.mockRejectedValueOnce(new Error('Slack API error'));
+      
+      const response = await request(app)
+        .post('/webhook/declarativeSlack')
+        .send({ name: 'failing', user: { id: 'test-user-123' } })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  // Fan-out routes
+  describe('Fan-out Route', () => {
+    const payload = {
+      name: 'checkout_rage_click',
+      user: {
+        id: 'test-user-123',
+        email: 'test@example.com'
+      },
+      properties: {
+        session_id: 'test-session-456'
+      }
+    };
+    
+    it('should deliver to every destination and report each result', async () => {
+      const response = await request(app)
+        .post('/webhook/checkoutFanOut')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.mode).toBe('parallel');
+      expect(response.body.data.results).toEqual([
+        { name: 'slack', destination: 'slack', status: 'delivered', result: { ok: true } },
+        expect.objectContaining({ name: 'jira', status: 'delivered', result: expect.objectContaining({ ticketKey: 'TEST-123' }) }),
+        { name: 'events', destination: 'bigQuery', status: 'delivered', result: { user_id: 'test-user-123' } }
+      ]);
+      
+      // Enrichment runs once and is shared by every destination
+      expect(mockFullstory.getSessionLink).toHaveBeenCalledTimes(1);
+      const [sql, , options] = GoogleCloud.bigQuery.executeStatement.mock.calls[0];
+      expect(sql).toContain('INSERT INTO analytics.checkout_events');
+      expect(options.params).toMatchObject({ event: 'checkout_rage_click', session_link: 'https://app.fullstory.com/ui/session/123' });
+    });
+    
+    it('should skip the Slack step for a muted user', async () => {
+      mockSlack.isUserMuted.mockResolvedValueOnce(true);
+      
+      const response = await request(app)
+        .post('/webhook/checkoutFanOut')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.results[0]).toEqual({
+        name: 'slack',
+        destination: 'slack',
+        status: 'skipped',
+        reason: 'user is muted'
+      });
+      expect(response.body.data.results[1]).toMatchObject({ name: 'jira', status: 'delivered' });
+      expect(mockSlack.sendWebHook).not.toHaveBeenCalled();
+    });
+    
+    it('should isolate a failing destination from the others', async () => {
+      Atlassian.createTicket.mockRejectedValueOnce(new Error('Jira unavailable'));
+      
+      const response = await request(app)
+        .post('/webhook/checkoutFanOut')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(207);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.results.map(result => result.status)).toEqual(['delivered', 'failed', 'delivered']);
+      expect(response.body.data.results[1].error).toBe('Jira unavailable');
+      expect(mockSlack.sendWebHook).toHaveBeenCalled();
+      expect(GoogleCloud.bigQuery.executeStatement).toHaveBeenCalled();
+    });
+    
+    it('should keep running later steps in sequence mode after a failure', async () => {
+      const order = [];
+      Atlassian.createTicket.mockImplementationOnce(async () => {
+        order.push('jira');
+        throw new Error('Jira unavailable');
+      });
+      mockSlack.sendWebHook.mockImplementationOnce(async () => {
+        order.push('slack');
+        return { ok: true };
+      });
+      
+      const response = await request(app)
+        .post('/webhook/sequencedFanOut')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(207);
+      expect(response.body.data.mode).toBe('sequence');
+      expect(order).toEqual(['jira', 'slack']);
+    });
+    
+    it('should return 500 with every result when all destinations fail', async () => {
+      Atlassian.createTicket.mockRejectedValueOnce(new Error('Jira unavailable'));
+      mockSlack.sendWebHook.mockRejectedValueOnce(new Error('Slack unavailable'));
+      
+      const response = await request(app)
+        .post('/webhook/sequencedFanOut')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(500);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('All 2 destinations failed');
+      expect(response.body.data.results.map(result => result.status)).toEqual(['failed', 'failed']);
+    });
+  });
+
+  // Conditional routing
+  describe('Slack Threads', () => {
+    it('should thread follow-ups under and update the original alert', async () => {
+      mockSlack.sendWebHook
+        .mockResolvedValueOnce({ ok: true, channel: 'C123', ts: '1700000000.000100', threadTs: '1700000000.000100' })
+        .mockResolvedValueOnce({ ok: true, channel: 'C123', ts: '1700000000.000200', threadTs: '1700000000.000100' });
+      
+      const response = await request(app)
+        .post('/webhook/threadedAlert')
+        .send({ name: 'checkout_error', user: { id: 'test-user-123' } })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(mockSlack.sendWebHook.mock.calls[0][1]).toEqual({ channel: '#alerts' });
+      expect(mockSlack.sendWebHook.mock.calls[1]).toEqual([
+        { text: 'Created TEST-123' },
+        { channel: 'C123', threadTs: '1700000000.000100' }
+      ]);
+      expect(mockSlack.updateMessage).toHaveBeenCalledWith(
+        { text: 'checkout_error - ticket TEST-123' },
+        { channel: 'C123', ts: '1700000000.000100' }
+      );
+      expect(response.body.data.results[0].result).toEqual({
+        ok: true,
+        channel: 'C123',
+        ts: '1700000000.000100',
+        threadTs: '1700000000.000100'
+      });
+    });
+    
+    it('should post a new message when the referenced alert has no timestamp', async () => {
+      const response = await request(app)
+        .post('/webhook/threadedAlert')
+        .send({ name: 'checkout_error', user: { id: 'test-user-123' } })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(mockSlack.sendWebHook).toHaveBeenCalledTimes(3);
+      expect(mockSlack.sendWebHook.mock.calls[1][1]).toEqual({});
+      expect(mockSlack.updateMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Slack Digest', () => {
+    const payload = (errorCount, id = 'test-user-123') => ({
+      name: 'dead_click',
+      user: { id, email: `${id}@example.com` },
+      properties: { session_id: 'test-session-456', error_count: errorCount }
+    });
+
+    afterEach(async () => {
+      await slackDigest.flushAll();
+    });
+
+    it('should collect signals and post one summary when the window closes', async () => {
+      const first = await request(app).post('/webhook/digestedAlerts').send(payload(1));
+      const second = await request(app).post('/webhook/digestedAlerts').send(payload(2, 'other-user'));
+
+      expect(first.status).toBe(200);
+      expect(second.body.data).toEqual(expect.objectContaining({ digested: true, digest: 'DigestedAlerts:slack', pending: 2 }));
+      expect(mockSlack.sendWebHook).not.toHaveBeenCalled();
+
+      await slackDigest.flush('DigestedAlerts:slack');
+
+      const [events, options] = mockSlack.buildDigestMessage.mock.calls[0];
+      expect(events.map(event => [event.event_name, event.uid])).toEqual([
+        ['dead_click', 'test-user-123'],
+        ['dead_click', 'other-user']
+      ]);
+      expect(options).toEqual({ route: 'DigestedAlerts', windowMs: 60000 });
+      expect(mockSlack.sendWebHook).toHaveBeenCalledTimes(1);
+      expect(mockSlack.sendWebHook.mock.calls[0][0]).toEqual({ text: 'Lexicon digest: 2 signals' });
+      expect(slackDigest.pending('DigestedAlerts:slack')).toBe(0);
+    });
+
+    it('should post urgent signals immediately', async () => {
+      const response = await request(app).post('/webhook/digestedAlerts').send(payload(12));
+
+      expect(response.status).toBe(200);
+      expect(mockSlack.sendWebHook).toHaveBeenCalledTimes(1);
+      expect(mockSlack.sendWebHook.mock.calls[0][0]).toEqual(expect.objectContaining({ event_name: 'dead_click' }));
+      expect(slackDigest.pending('DigestedAlerts:slack')).toBe(0);
+    });
+
+    it('should not digest signals from muted users', async () => {
+      mockSlack.isUserMuted.mockResolvedValueOnce(true);
+
+      const response = await request(app).post('/webhook/digestedAlerts').send(payload(1));
+
+      expect(response.body.data).toEqual({ skipped: true, reason: 'user is muted' });
+      expect(slackDigest.pending('DigestedAlerts:slack')).toBe(0);
+    });
+  });
+
+  describe('Routing Rules', () => {
+    const payload = (properties, email = 'jane@example.com') => ({
+      name: 'checkout_error',
+      user: { id: 'test-user-123', email },
+      properties: { session_id: 'test-session-456', ...properties }
+    });
+    
+    it('should deliver when the route rule matches', async () => {
+      const response = await request(app)
+        .post('/webhook/guardedJira')
+        .send(payload({ error_count: 5 }))
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(Atlassian.createTicket).toHaveBeenCalled();
+    });
+    
+    it('should skip the route when its rule does not match', async () => {
+      const response = await request(app)
+        .post('/webhook/guardedJira')
+        .send(payload({ error_count: 1 }))
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ skipped: true, rule: 'properties.error_count > 3' });
+      expect(Atlassian.createTicket).not.toHaveBeenCalled();
+    });
+    
+    it('should pick fan-out steps by their rules', async () => {
+      const response = await request(app)
+        .post('/webhook/routedSlack')
+        .send(payload({}, 'ops@enterprise.com'))
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.results.map(result => result.status)).toEqual(['delivered', 'skipped']);
+      expect(response.body.data.results[1].rule).toBe('not (user.email endsWith "@enterprise.com")');
+      expect(mockSlack.sendWebHook).toHaveBeenCalledTimes(1);
+      expect(mockSlack.sendWebHook.mock.calls[0][1]).toEqual({ webhookUrl: 'https://slack.webhook/enterprise' });
+    });
+  });
+
+  // Payload templates
+  describe('Payload Templates', () => {
+    let fetchSpy;
+    
+    beforeEach(() => {
+      fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+    });
+    
+    afterEach(() => {
+      fetchSpy.mockRestore();
+    });
+    
+    it('should render each destination template from the webhook data', async () => {
+      const response = await request(app)
+        .post('/webhook/templatedAlerts')
+        .send({
+          name: 'checkout_error',
+          user: { id: 'test-user-123' },
+          properties: { session_id: 'test-session-456', error_count: 4 }
+        })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(mockSlack.sendWebHook.mock.calls[0][0]).toEqual({
+        text: 'CHECKOUT_ERROR by anonymous',
+        link: 'https://app.fullstory.com/ui/session/123'
+      });
+      
+      const { fields } = Atlassian.createTicket.mock.calls[0][0];
+      expect(fields.summary).toBe('checkout_error: 4 errors');
+      expect(fields.labels).toEqual(['lexicon']);
+      expect(fields.project).toEqual({ key: 'TEST' });
+      
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://hooks.example.com/events');
+      expect(init.method).toBe('POST');
+      expect(init.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer test' });
+      expect(JSON.parse(init.body)).toEqual({ event: 'checkout_error', errors: 4 });
+    });
+    
+    it('should report HTTP destination errors with their status', async () => {
+      fetchSpy.mockResolvedValue({ ok: false, status: 503 });
+      
+      const response = await request(app)
+        .post('/webhook/templatedAlerts')
+        .send({ name: 'checkout_error', user: { id: 'test-user-123' } })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(207);
+      expect(response.body.data.results[2]).toMatchObject({
+        destination: 'http',
+        status: 'failed',
+        error: 'HTTP destination returned status: 503'
+      });
+    });
+  });
+
+  // Warehouse routes
+  describe('Warehouse Routes', () => {
+    const payload = {
+      name: 'warehouse_event',
+      user: {
+        id: 'test-user-123',
+        email: 'test@example.com'
+      },
+      properties: {
+        session_id: 'test-session-456',
+        sku: 'SKU-1',
+        form_field: 'signup'
+      },
+      timestamp: new Date().toISOString()
+    };
+    
+    it('should insert into the table and columns configured on the route', async () => {
+      const response = await request(app)
+        .post('/webhook/updateInventory')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ sku: 'SKU-1', user_id: 'test-user-123' });
+      
+      const [sql, bindings] = mockExecuteQuery.mock.calls[0];
+      expect(sql).toBe('INSERT INTO INVENTORY (sku, qty, user_id, replay_url) VALUES (:1, :2, :3, :4)');
+      expect(bindings).toEqual(['SKU-1', 1, 'test-user-123', 'https://app.fullstory.com/ui/session/123']);
+    });
+    
+    it('should reject payloads missing the route required data', async () => {
+      const response = await request(app)
+        .post('/webhook/updateInventory')
+        .send({ ...payload, properties: { session_id: 'test-session-456' } })
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(400);
+      expect(mockExecuteQuery).not.toHaveBeenCalled();
+    });
+    
+    it('should stream rows into BigQuery without an INSERT job', async () => {
+      const response = await request(app)
+        .post('/webhook/streamBigQuery')
+        .send(payload)
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ sku: 'SKU-1', user_id: 'test-user-123' });
+      expect(GoogleCloud.bigQuery.streamRows).toHaveBeenCalledWith('analytics', 'leads', [
+        { sku: 'SKU-1', user_id: 'test-user-123', session_time: expect.any(String) }
+      ], {
+        schema: { sku: 'STRING', user_id: 'STRING', session_time: 'TIMESTAMP' },
+        insertIds: ['test-session-456'],
+        partitionField: 'session_time'
+      });
+      expect(GoogleCloud.bigQuery.executeStatement).not.toHaveBeenCalled();
+    });
+
+    it('should report the rows BigQuery rejected', async () => {
+      const rowErrors = [{
+        index: 0,
+        insertId: 'test-session-456',
+        errors: [{ reason: 'invalid', message: 'Could not parse \'soon\' as a timestamp.', location: 'session_time' }]
+      }];
+      GoogleCloud.bigQuery.streamRows.mockResolvedValueOnce({ inserted: 0, failed: rowErrors });
+
+      const response = await request(app)
+        .post('/webhook/streamBigQuery')
+        .send(payload)
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('BigQuery rejected 1 of 1 rows: Could not parse \'soon\' as a timestamp.');
+      expect(response.body.rowErrors).toEqual(rowErrors);
+    });
+
+    it('should keep the built-in BigQuery mapping as the default', async () => {
+      const response = await request(app)
+        .post('/webhook/updateBigQuery')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        form_completed: 'signup',
+        session_id: 'test-session-456',
+        user_id: 'test-user-123'
+      });
+      
+      const [sql, , options] = GoogleCloud.bigQuery.executeStatement.mock.calls[0];
+      expect(sql).toContain('INSERT INTO fs_data_destinations.lead_info');
+      expect(options.params).toMatchObject({
+        session_id: 'test-session-456',
+        visitor_id: 'test-user-123',
+        form_type: 'signup'
+      });
+    });
+  });
+
+  describe('Batched Warehouse Routes', () => {
+    const payload = (uid, sku = 'SKU-1') => ({
+      name: 'warehouse_event',
+      user: { id: uid, email: `${uid}@example.com` },
+      properties: { session_id: 'test-session-456', sku }
+    });
+
+    afterEach(async () => {
+      await warehouseBatcher.flushAll();
+    });
+
+    it('should write the rows of concurrent requests in one multi-row insert', async () => {
+      const [first, second] = await Promise.all([
+        request(app).post('/webhook/batchedInventory').send(payload('user-1')),
+        request(app).post('/webhook/batchedInventory').send(payload('user-2', 'SKU-2'))
+      ]);
+
+      expect(first.status).toBe(200);
+      expect(second.body.data).toEqual({ sku: 'SKU-2', user_id: 'user-2' });
+      expect(snowflake.insertRows).toHaveBeenCalledTimes(1);
+      expect(snowflake.insertRows).toHaveBeenCalledWith('INVENTORY', [
+        { sku: 'SKU-1', user_id: 'user-1' },
+        { sku: 'SKU-2', user_id: 'user-2' }
+      ]);
+      expect(mockExecuteQuery).not.toHaveBeenCalled();
+    });
+
+    it('should answer 202 before the batch is written when acknowledging asynchronously', async () => {
+      const response = await request(app).post('/webhook/inventoryEvents').send(payload('user-1'));
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toEqual({ user_id: 'user-1' });
+      expect(snowflake.insertRows).not.toHaveBeenCalled();
+      expect(warehouseBatcher.pending()).toBe(1);
+
+      await warehouseBatcher.flushAll();
+
+      expect(snowflake.insertRows).toHaveBeenCalledWith('INVENTORY_EVENTS', [{ user_id: 'user-1', event: 'warehouse_event' }]);
+    });
+
+    it('should keep asynchronously acknowledged rows the warehouse rejected as dead letters', async () => {
+      deliveryQueue.store = new MemoryDeliveryStore();
+      deliveryQueue.initialized = true;
+      snowflake.insertRows.mockRejectedValueOnce(Object.assign(new Error('Numeric value \'abc\' is not recognized'), { status: 400 }));
+
+      try {
+        const response = await request(app).post('/webhook/inventoryEvents').send(payload('user-1'));
+        expect(response.status).toBe(202);
+
+        await warehouseBatcher.flushAll();
+        await deliveryQueue.drain();
+
+        expect(await deliveryQueue.list()).toEqual([expect.objectContaining({
+          destination: 'snowflake',
+          route: 'InventoryEvents',
+          status: 'dead',
+          lastError: 'Numeric value \'abc\' is not recognized',
+          payload: expect.objectContaining({ table: 'INVENTORY_EVENTS', row: { user_id: 'user-1', event: 'warehouse_event' } })
+        })]);
+      } finally {
+        deliveryQueue.initialized = false;
+      }
+    });
+
+    it('should only fail the requests whose rows BigQuery rejected', async () => {
+      GoogleCloud.bigQuery.streamRows.mockResolvedValueOnce({
+        inserted: 1,
+        failed: [{ index: 1, insertId: 'user-2', errors: [{ reason: 'invalid', message: 'no such field: sku.', location: 'sku' }] }]
+      });
+
+      const [first, second] = await Promise.all([
+        request(app).post('/webhook/batchedLeadStream').send(payload('user-1')),
+        request(app).post('/webhook/batchedLeadStream').send(payload('user-2'))
+      ]);
+
+      expect(GoogleCloud.bigQuery.streamRows).toHaveBeenCalledWith('analytics', 'leads', [
+        { sku: 'SKU-1', user_id: 'user-1' },
+        { sku: 'SKU-1', user_id: 'user-2' }
+      ], { schema: undefined, insertIds: ['user-1', 'user-2'], partitionField: undefined, skipInvalidRows: true });
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(400);
+      expect(second.body.rowErrors).toEqual([
+        { index: 0, insertId: 'user-2', errors: [{ reason: 'invalid', message: 'no such field: sku.', location: 'sku' }] }
+      ]);
+    });
+  });
+
+  // Delivery queue
+  describe('Delivery Queue', () => {
+    const payload = {
+      name: 'queued_event',
+      user: {
+        id: 'test-user-123',
+        email: 'test@example.com'
+      },
+      properties: {
+        session_id: 'test-session-456'
+      },
+      timestamp: new Date().toISOString()
+    };
+    
+    beforeEach(() => {
+      deliveryQueue.store = new MemoryDeliveryStore();
+      deliveryQueue.initialized = true;
+    });
+    
+    afterEach(() => {
+      deliveryQueue.initialized = false;
+    });
+    
+    it('should queue failed deliveries and answer 202', async () => {
+      mockSlack.sendWebHook.mockRejectedValueOnce(new Error('Slack API error'));
+      
+      const response = await request(app)
+        .post('/webhook/slackHook')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(202);
+      const entry = await deliveryQueue.get(response.body.data.deliveryId);
+      expect(entry).toMatchObject({ destination: 'slack', route: 'Slack', status: 'pending' });
+      expect(entry.payload.data).toHaveProperty('uid', 'test-user-123');
+    });
+    
+    it('should not queue messages for an unconfigured Slack connector', async () => {
+      mockSlack.sendWebHook.mockResolvedValueOnce({ ok: false, error: 'Connector not configured', retryable: false });
+      
+      const response = await request(app)
+        .post('/webhook/slackHook')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(204);
+      expect(await deliveryQueue.list()).toHaveLength(0);
+    });
+    
+    it('should deliver queued entries when they are retried', async () => {
+      mockSlack.sendWebHook.mockRejectedValueOnce(new Error('Slack API error'));
+      
+      const response = await request(app)
+        .post('/webhook/declarativeSlack')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(202);
+      
+      const summary = await deliveryQueue.processDue(Date.now() + deliveryQueue.config.maxDelayMs);
+      expect(summary.delivered).toBe(1);
+      expect(mockSlack.sendWebHook).toHaveBeenCalledTimes(2);
+      expect(await deliveryQueue.list()).toHaveLength(0);
+    });
+    
+    it('should queue warehouse inserts the warehouse rejected', async () => {
+      mockExecuteQuery.mockRejectedValueOnce(new Error('Warehouse \'LEXICON_WH\' cannot be resumed'));
+      GoogleCloud.bigQuery.executeStatement.mockRejectedValueOnce(new Error('Job exceeded rate limits'));
+      const warehousePayload = { ...payload, properties: { ...payload.properties, sku: 'SKU-1', form_field: 'signup' } };
+
+      const snowflakeResponse = await request(app).post('/webhook/updateInventory').send(warehousePayload);
+      const bigQueryResponse = await request(app).post('/webhook/updateBigQuery').send(warehousePayload);
+
+      expect(snowflakeResponse.status).toBe(202);
+      expect(bigQueryResponse.status).toBe(202);
+      expect((await deliveryQueue.list()).map(entry => [entry.destination, entry.lastError])).toEqual([
+        ['snowflake', 'Warehouse \'LEXICON_WH\' cannot be resumed'],
+        ['bigQuery', 'Job exceeded rate limits']
+      ]);
+    });
+    
+    it('should queue Jira tickets whose duplicate search failed instead of creating them', async () => {
+      Atlassian.searchIssues.mockResolvedValueOnce(null);
+
+      const response = await request(app).post('/webhook/dedupedJira').send(payload);
+
+      expect(response.status).toBe(202);
+      expect(Atlassian.createTicket).not.toHaveBeenCalled();
+      expect(await deliveryQueue.list()).toEqual([
+        expect.objectContaining({ destination: 'jira', lastError: 'Failed to search Jira for a duplicate ticket' })
+      ]);
+    });
+
+    it('should not queue client errors', async () => {
+      mockFullstory.postCustomEvent.mockResolvedValueOnce({ status: 400 });
+      
+      const response = await request(app)
+        .post('/webhook/fusion')
+        .send(payload)
+        .set('Accept', 'application/json');
+      
+      expect(response.status).toBe(400);
+      expect(await deliveryQueue.list()).toHaveLength(0);
+    });
+  });
+
+  // Idempotency
+  describe('Idempotent Delivery', () => {
+    const payload = {
+      name: 'create_jira',
+      user: {
+        id: 'test-user-123',
+        email: 'test@example.com'
+      },
+      properties: {
+        session_id: 'test-session-456'
+      },
+      timestamp: new Date().toISOString()
+    };
+    
+    it('should return the original response for a repeated delivery', async () => {
+      const first = await request(app)
+        .post('/webhook/makeJiraTicket')
+        .set('Idempotency-Key', 'jira-delivery-1')
+        .send(payload);
+      
+      const repeat = await request(app)
+        .post('/webhook/makeJiraTicket')
+        .set('Idempotency-Key', 'jira-delivery-1')
+        .send(payload);
+      
+      expect(first.status).toBe(200);
+      expect(repeat.status).toBe(200);
+      expect(repeat.body).toEqual(first.body);
+      expect(repeat.headers['idempotent-replayed']).toBe('true');
+      expect(Atlassian.createTicket).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should return the original response when Fullstory redelivers a signed request', async () => {
+      const signedApp = express();
+      signedApp.use(express.json());
+      signedApp.use('/webhook', middleware.verifyWebHook, WebhookRouter);
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const digest = crypto.createHmac('sha256', 'test-api-key')
+        .update(`${JSON.stringify(payload)}:org:${timestamp}`)
+        .digest('base64');
+      const signature = `v:${digest},o:org,t:${timestamp}`;
+
+      const first = await request(signedApp)
+        .post('/webhook/makeJiraTicket')
+        .set('Fullstory-Signature', signature)
+        .send(payload);
+      const redelivery = await request(signedApp)
+        .post('/webhook/makeJiraTicket')
+        .set('Fullstory-Signature', signature)
+        .send(payload);
+      const replay = await request(signedApp)
+        .post('/webhook/makeJiraTicket')
+        .set('Fullstory-Signature', signature)
+        .set('Idempotency-Key', 'forged-key')
+        .send(payload);
+
+      expect(first.status).toBe(200);
+      expect(redelivery.status).toBe(200);
+      expect(redelivery.body).toEqual(first.body);
+      expect(redelivery.headers['idempotent-replayed']).toBe('true');
+      expect(replay.status).toBe(401);
+      expect(replay.body.code).toBe('WEBHOOK_REPLAY_DETECTED');
+      expect(Atlassian.createTicket).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should process deliveries with different keys', async () => {
+      await request(app)
+        .post('/webhook/makeJiraTicket')
+        .set('Idempotency-Key', 'jira-delivery-2')
+        .send(payload);
+      
+      await request(app)
+        .post('/webhook/makeJiraTicket')
+        .set('Idempotency-Key', 'jira-delivery-3')
+        .send(payload);
+      
+      expect(Atlassian.createTicket).toHaveBeenCalledTimes(2);
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for AtlassianConnector in Jira REST v3 mode, attachment uploads
+ * and API errors
+ */
+
+import { jest } from '@jest/globals';
+
+const configValues = {
+  jira_base_url: 'https://test-jira.atlassian.net',
+  jira_api_token: 'test-token',
+  jira_username: 'lexicon@example.com',
+  jira_issue_type_id: '10001',
+  jira_api_version: '3'
+};
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => configValues[key] ?? defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: jest.fn()
+}));
+
+const { jira } = await import('../../Atlassian.js');
+const { DeliveryQueueService, DELIVERY_STATUS } = await import('../../deliveryQueue.js');
+const { default: fetch } = await import('node-fetch');
+
+describe('AtlassianConnector REST v3', () => {
+  const jsonResponse = body => ({ ok: true, json: jest.fn().mockResolvedValue(body) });
+  const sentBody = () => JSON.parse(fetch.mock.calls[0][1].body);
+
+  beforeAll(async () => {
+    await jira.initialize();
+  });
+
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('should report REST v3 mode', () => {
+    expect(jira.apiVersion).toBe('3');
+    expect(jira.usesAdf).toBe(true);
+    expect(jira.isConfigured).toBe(true);
+  });
+
+  it('should create issues with plain-text descriptions converted to ADF', async () => {
+    fetch.mockResolvedValue(jsonResponse({ id: '10000', key: 'TEST-1' }));
+
+    await jira.createTicket({ fields: { summary: 'Checkout error', description: 'See https://app.fullstory.com/ui/1' } });
+
+    expect(fetch.mock.calls[0][0]).toBe('https://test-jira.atlassian.net/rest/api/3/issue');
+    expect(sentBody().fields.description).toEqual({
+      type: 'doc',
+      version: 1,
+      content: [{
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'See ' },
+          { type: 'text', text: 'https://app.fullstory.com/ui/1', marks: [{ type: 'link', attrs: { href: 'https://app.fullstory.com/ui/1' } }] }
+        ]
+      }]
+    });
+  });
+
+  it('should send ADF descriptions unchanged', async () => {
+    const description = { type: 'doc', version: 1, content: [] };
+    fetch.mockResolvedValue(jsonResponse({ id: '10000', key: 'TEST-1' }));
+
+    await jira.createTicket({ fields: { summary: 'Checkout error', description } });
+
+    expect(sentBody().fields.description).toEqual(description);
+  });
+
+  it('should send comments as ADF', async () => {
+    fetch.mockResolvedValue(jsonResponse({ id: '500' }));
+
+    await jira.addComment('TEST-1', 'Seen again');
+
+    expect(fetch.mock.calls[0][0]).toBe('https://test-jira.atlassian.net/rest/api/3/issue/TEST-1/comment');
+    expect(sentBody()).toEqual({
+      body: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Seen again' }] }] }
+    });
+  });
+
+  it('should search through the v3 JQL endpoint', async () => {
+    fetch.mockResolvedValue(jsonResponse({ issues: [] }));
+
+    await jira.searchIssues('labels = "lexicon-1"', { maxResults: 1 });
+
+    expect(fetch.mock.calls[0][0]).toBe('https://test-jira.atlassian.net/rest/api/3/search/jql');
+    expect(sentBody()).toEqual({ jql: 'labels = "lexicon-1"', fields: ['summary', 'status'], maxResults: 1 });
+  });
+
+  it('should upload attachments as multipart form data', async () => {
+    fetch.mockResolvedValue(jsonResponse([{ id: '10600', filename: 'timeline.md' }]));
+
+    const attachments = await jira.addAttachment('TEST-1', [
+      { filename: 'events.json', content: '{"events":[]}', contentType: 'application/json' },
+      { filename: 'timeline.md', content: Buffer.from('# Session Timeline'), contentType: 'text/markdown' }
+    ]);
+
+    const [url, { headers, body }] = fetch.mock.calls[0];
+    const boundary = headers['Content-Type'].match(/^multipart\/form-data; boundary=(.+)$/)[1];
+    expect(attachments).toEqual([{ id: '10600', filename: 'timeline.md' }]);
+    expect(url).toBe('https://test-jira.atlassian.net/rest/api/3/issue/TEST-1/attachments');
+    expect(headers['X-Atlassian-Token']).toBe('no-check');
+    expect(body.toString()).toBe([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="events.json"',
+      'Content-Type: application/json',
+      '',
+      '{"events":[]}',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="timeline.md"',
+      'Content-Type: text/markdown',
+      '',
+      '# Session Timeline',
+      `--${boundary}--`,
+      ''
+    ].join('\r\n'));
+  });
+
+  it('should return null when an upload fails', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 413, json: jest.fn().mockResolvedValue({ errorMessages: ['Too large'] }) });
+
+    expect(await jira.addAttachment('TEST-1', { filename: 'events.json', content: '{}' })).toBeNull();
+  });
+
+  it('should keep the status of API errors', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 400, json: jest.fn().mockResolvedValue({ errors: { summary: 'Field required' } }) });
+
+    await expect(jira.createTicket({ fields: {} })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should dead-letter a queued ticket on the first 400 from Jira', async () => {
+    const queueConfig = { delivery_queue_enabled: true, delivery_queue_store: 'memory', delivery_queue_max_attempts: 5 };
+    const queue = new DeliveryQueueService({
+      get: key => queueConfig[key],
+      getBoolean: (key, defaultValue = false) => queueConfig[key] ?? defaultValue,
+      getNumber: (key, defaultValue = 0) => queueConfig[key] ?? defaultValue
+    });
+    await queue.initialize();
+    queue.registerDeliverer('jira', ticketData => jira.createTicket(ticketData));
+
+    fetch.mockRejectedValueOnce(new Error('socket hang up'));
+    const { deliveryId } = await queue.deliver('jira', { fields: { summary: 'Checkout error' } });
+
+    fetch.mockResolvedValue({ ok: false, status: 400, json: jest.fn().mockResolvedValue({ errors: { project: 'Invalid project' } }) });
+    await queue.processDue(Date.now() + 60 * 60 * 1000);
+
+    expect(await queue.get(deliveryId)).toMatchObject({ status: DELIVERY_STATUS.DEAD, attempts: 2 });
+    queue.stop();
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for BigQuery streaming inserts with automatic table creation
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => ({
+      google_project_id: 'test-project',
+      google_workspace_keyfile: JSON.stringify({ client_email: 'lexicon@test.iam.gserviceaccount.com', private_key: 'test-key' }),
+      bigquery_keyfile: '/secrets/bigquery.json'
+    })[key] ?? defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  ERROR_TYPES: { INTERNAL: 'InternalError', VALIDATION: 'ValidationError' },
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const table = {
+  exists: jest.fn(),
+  insert: jest.fn()
+};
+const dataset = {
+  table: jest.fn(() => table),
+  createTable: jest.fn()
+};
+const job = {
+  id: 'job-1',
+  getQueryResults: jest.fn()
+};
+const client = {
+  dataset: jest.fn(() => dataset),
+  createQueryJob: jest.fn()
+};
+
+jest.unstable_mockModule('@google-cloud/bigquery', () => ({
+  BigQuery: jest.fn(() => client)
+}));
+
+jest.unstable_mockModule('googleapis', () => ({
+  google: { auth: { JWT: jest.fn() }, sheets: jest.fn() }
+}));
+
+const { bigQuery } = await import('../../GoogleCloud.js');
+
+/**
+ * Build the error the BigQuery client throws when some rows are rejected
+ */
+function partialFailure(insertErrors) {
+  return Object.assign(new Error('A failure occurred during this request.'), {
+    name: 'PartialFailureError',
+    response: { insertErrors }
+  });
+}
+
+describe('BigQueryConnector', () => {
+  beforeAll(async () => {
+    await bigQuery.initialize();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bigQuery._knownTables.clear();
+    table.exists.mockResolvedValue([true]);
+    table.insert.mockResolvedValue([{}]);
+    dataset.createTable.mockResolvedValue([table]);
+    client.createQueryJob.mockResolvedValue([job]);
+    job.getQueryResults.mockResolvedValue([[]]);
+  });
+
+  describe('streamRows', () => {
+    it('should create a missing table with a schema inferred from the rows', async () => {
+      table.exists.mockResolvedValue([false]);
+
+      const result = await bigQuery.streamRows('analytics', 'events', [
+        { uid: 'user-1', visits: 3, total: 10, seen_at: '2026-10-19T14:30:00.000Z', tags: ['a'], properties: { plan: 'pro' } },
+        { uid: 'user-2', visits: null, total: 12.5, seen_at: null, tags: [], properties: null }
+      ]);
+
+      expect(result).toEqual({ inserted: 2, failed: [] });
+      expect(dataset.createTable).toHaveBeenCalledWith('events', {
+        schema: [
+          { name: 'uid', type: 'STRING', mode: 'NULLABLE' },
+          { name: 'visits', type: 'INTEGER', mode: 'NULLABLE' },
+          { name: 'total', type: 'FLOAT', mode: 'NULLABLE' },
+          { name: 'seen_at', type: 'TIMESTAMP', mode: 'NULLABLE' },
+          { name: 'tags', type: 'STRING', mode: 'REPEATED' },
+          { name: 'properties', type: 'JSON', mode: 'NULLABLE' }
+        ],
+        timePartitioning: undefined
+      });
+    });
+
+    it('should stream rows with deterministic insert IDs and serialized JSON values', async () => {
+      const row = { uid: 'user-1', properties: { plan: 'pro' }, seen_at: new Date('2026-10-19T14:30:00.000Z') };
+
+      await bigQuery.streamRows('analytics', 'events', [row, { uid: 'user-2' }], { insertIds: [undefined, 'event-2'] });
+
+      const [rows, options] = table.insert.mock.calls[0];
+      expect(options).toEqual({ raw: true, partialRetries: 0, skipInvalidRows: false });
+      expect(rows).toEqual([
+        {
+          insertId: crypto.createHash('sha256').update(JSON.stringify(row)).digest('hex'),
+          json: { uid: 'user-1', properties: '{"plan":"pro"}', seen_at: '2026-10-19T14:30:00.000Z' }
+        },
+        { insertId: 'event-2', json: { uid: 'user-2' } }
+      ]);
+    });
+
+    it('should create tables from a given schema and partition field, and check each table once', async () => {
+      table.exists.mockResolvedValueOnce([false]);
+
+      await bigQuery.streamRows('analytics', 'leads', [{ user_id: 'user-1' }], {
+        schema: { user_id: 'string', session_time: 'TIMESTAMP' },
+        partitionField: 'session_time'
+      });
+      await bigQuery.streamRows('analytics', 'leads', [{ user_id: 'user-2' }]);
+
+      expect(table.exists).toHaveBeenCalledTimes(1);
+      expect(dataset.createTable).toHaveBeenCalledWith('leads', {
+        schema: [
+          { name: 'user_id', type: 'STRING', mode: 'NULLABLE' },
+          { name: 'session_time', type: 'TIMESTAMP', mode: 'NULLABLE' }
+        ],
+        timePartitioning: { type: 'DAY', field: 'session_time' }
+      });
+    });
+
+    it('should use a table another instance created concurrently', async () => {
+      table.exists.mockResolvedValue([false]);
+      dataset.createTable.mockRejectedValue(Object.assign(new Error('Already Exists: Table test-project:analytics.events'), { code: 409 }));
+
+      expect(await bigQuery.streamRows('analytics', 'events', [{ uid: 'user-1' }])).toEqual({ inserted: 1, failed: [] });
+    });
+
+    it('should report the rows BigQuery rejected', async () => {
+      table.insert.mockRejectedValue(partialFailure([
+        { index: 1, errors: [{ reason: 'invalid', location: 'visits', message: 'Cannot convert value to integer.', debugInfo: '' }] },
+        { index: 0, errors: [{ reason: 'stopped', location: '', message: '' }] }
+      ]));
+
+      const result = await bigQuery.streamRows('analytics', 'events', [{ uid: 'user-1' }, { uid: 'user-2' }], {
+        insertIds: ['event-1', 'event-2']
+      });
+
+      expect(result).toEqual({
+        inserted: 0,
+        failed: [
+          { index: 1, insertId: 'event-2', errors: [{ reason: 'invalid', location: 'visits', message: 'Cannot convert value to integer.' }] },
+          { index: 0, insertId: 'event-1', errors: [{ reason: 'stopped', location: '', message: '' }] }
+        ]
+      });
+    });
+
+    it('should check the table again after it went missing', async () => {
+      table.insert.mockRejectedValueOnce(Object.assign(new Error('Not found: Table test-project:analytics.events'), { code: 404 }));
+
+      await expect(bigQuery.streamRows('analytics', 'events', [{ uid: 'user-1' }])).rejects.toThrow('Not found');
+      await bigQuery.streamRows('analytics', 'events', [{ uid: 'user-1' }]);
+
+      expect(table.exists).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail when the table cannot be created', async () => {
+      table.exists.mockResolvedValue([false]);
+      dataset.createTable.mockRejectedValue(Object.assign(new Error('Access Denied'), { code: 403 }));
+
+      await expect(bigQuery.streamRows('analytics', 'events', [{ uid: 'user-1' }])).rejects.toThrow('Failed to create BigQuery table analytics.events');
+      expect(table.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('executeStatement', () => {
+    it('should run the query as a job and return its rows', async () => {
+      job.getQueryResults.mockResolvedValue([[{ inserted: 1 }]]);
+
+      const rows = await bigQuery.executeStatement('INSERT INTO analytics.events (uid) VALUES (@uid)', [], {
+        params: { uid: 'user-1' },
+        parameterTypes: { uid: 'STRING' }
+      });
+
+      expect(rows).toEqual([{ inserted: 1 }]);
+      expect(client.createQueryJob).toHaveBeenCalledWith({
+        query: 'INSERT INTO analytics.events (uid) VALUES (@uid)',
+        params: { uid: 'user-1' },
+        parameterTypes: { uid: 'STRING' }
+      });
+    });
+
+    it('should reject when BigQuery rejects the job', async () => {
+      client.createQueryJob.mockRejectedValue(Object.assign(new Error('Job exceeded rate limits'), { code: 403 }));
+
+      await expect(bigQuery.executeStatement('INSERT INTO analytics.events (uid) VALUES (@uid)', [], { params: { uid: 'user-1' } }))
+        .rejects.toThrow('Job exceeded rate limits');
+      await expect(bigQuery.createQueryJob('SELECT 1')).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,420 @@
+/**
+ * Unit tests for DeliveryQueueService
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn(),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+const {
+  DeliveryQueueService,
+  MemoryDeliveryStore,
+  FileDeliveryStore,
+  SqliteDeliveryStore,
+  DELIVERY_STATUS
+} = await import('../../deliveryQueue.js');
+
+// better-sqlite3 is an optional dependency
+const sqliteAvailable = await import('better-sqlite3').then(() => true, () => false);
+
+/**
+ * Build a config stub matching the config.js accessors
+ */
+function createConfig(values = {}) {
+  return {
+    get: (key) => values[key],
+    getBoolean: (key, defaultValue = false) => values[key] ?? defaultValue,
+    getNumber: (key, defaultValue = 0) => values[key] ?? defaultValue
+  };
+}
+
+describe('DeliveryQueueService', () => {
+  let queue;
+
+  beforeEach(async () => {
+    queue = new DeliveryQueueService(createConfig({
+      delivery_queue_enabled: true,
+      delivery_queue_store: 'memory',
+      delivery_queue_max_attempts: 3,
+      delivery_queue_base_delay_ms: 1000,
+      delivery_queue_max_delay_ms: 3000
+    }));
+    await queue.initialize();
+  });
+
+  afterEach(() => {
+    queue.stop();
+  });
+
+  describe('deliver', () => {
+    it('should return the deliverer result when delivery succeeds', async () => {
+      queue.registerDeliverer('slack', jest.fn().mockResolvedValue({ ok: true }));
+
+      const outcome = await queue.deliver('slack', { data: { uid: 'u1' } });
+
+      expect(outcome).toEqual({ queued: false, result: { ok: true } });
+      expect(await queue.list()).toHaveLength(0);
+    });
+
+    it('should queue retryable failures', async () => {
+      queue.registerDeliverer('slack', jest.fn().mockRejectedValue(new Error('timeout')));
+
+      const outcome = await queue.deliver('slack', { data: { uid: 'u1' } }, { route: 'Slack' });
+
+      expect(outcome.queued).toBe(true);
+      const entry = await queue.get(outcome.deliveryId);
+      expect(entry).toMatchObject({
+        destination: 'slack',
+        route: 'Slack',
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 1,
+        lastError: 'timeout',
+        payload: { data: { uid: 'u1' } }
+      });
+    });
+
+    it('should rethrow client errors without queueing', async () => {
+      const error = Object.assign(new Error('bad request'), { status: 400 });
+      queue.registerDeliverer('fusion', jest.fn().mockRejectedValue(error));
+
+      await expect(queue.deliver('fusion', {})).rejects.toThrow('bad request');
+      expect(await queue.list()).toHaveLength(0);
+    });
+
+    it('should rethrow failures when the queue is disabled', async () => {
+      const disabled = new DeliveryQueueService(createConfig());
+      await disabled.initialize();
+      disabled.registerDeliverer('slack', jest.fn().mockRejectedValue(new Error('down')));
+
+      await expect(disabled.deliver('slack', {})).rejects.toThrow('down');
+    });
+
+    it('should reject unknown destinations', async () => {
+      await expect(queue.deliver('missing', {})).rejects.toThrow('No deliverer registered');
+    });
+
+    it('should keep client errors as dead letters when asked to', async () => {
+      const error = Object.assign(new Error('bad request'), { status: 400 });
+      queue.registerDeliverer('snowflake', jest.fn().mockRejectedValue(error));
+
+      const outcome = await queue.deliver('snowflake', { table: 'EVENTS' }, { route: 'Events', deadLetter: true });
+
+      expect(outcome.queued).toBe(true);
+      expect(await queue.get(outcome.deliveryId)).toMatchObject({
+        destination: 'snowflake',
+        route: 'Events',
+        status: DELIVERY_STATUS.DEAD,
+        lastError: 'bad request',
+        nextAttemptAt: null
+      });
+    });
+  });
+
+  describe('drain', () => {
+    it('should wait for deliveries in progress to finish or be queued', async () => {
+      let fail;
+      queue.registerDeliverer('slack', jest.fn(() => new Promise((resolve, reject) => {
+        fail = reject;
+      })));
+
+      queue.deliver('slack', {});
+      const drained = queue.drain();
+      fail(new Error('timeout'));
+
+      await expect(drained).resolves.toBe(1);
+      expect(await queue.list()).toEqual([expect.objectContaining({ status: DELIVERY_STATUS.PENDING })]);
+      expect(queue.inFlight.size).toBe(0);
+    });
+  });
+
+  describe('retries', () => {
+    it('should back off exponentially up to the maximum delay', () => {
+      expect(queue.getBackoffDelay(1)).toBe(1000);
+      expect(queue.getBackoffDelay(2)).toBe(2000);
+      expect(queue.getBackoffDelay(3)).toBe(3000);
+    });
+
+    it('should only retry entries that are due', async () => {
+      const deliverer = jest.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValue({});
+      queue.registerDeliverer('slack', deliverer);
+      const { deliveryId } = await queue.deliver('slack', {});
+
+      expect(await queue.processDue(Date.now())).toEqual({ delivered: 0, rescheduled: 0, dead: 0 });
+
+      const summary = await queue.processDue(Date.now() + 1000);
+      expect(summary.delivered).toBe(1);
+      expect(await queue.get(deliveryId)).toBeNull();
+    });
+
+    it('should move entries to the dead-letter list after the last attempt', async () => {
+      queue.registerDeliverer('jira', jest.fn().mockRejectedValue(new Error('down')));
+      const { deliveryId } = await queue.deliver('jira', {});
+
+      await queue.processDue(Date.now() + 1000);
+      let entry = await queue.get(deliveryId);
+      expect(entry.status).toBe(DELIVERY_STATUS.PENDING);
+      expect(entry.attempts).toBe(2);
+
+      await queue.processDue(Date.now() + 10000);
+      entry = await queue.get(deliveryId);
+      expect(entry.status).toBe(DELIVERY_STATUS.DEAD);
+      expect(entry.attempts).toBe(3);
+      expect(entry.nextAttemptAt).toBeNull();
+    });
+
+    it('should deliver an entry once when instances sharing the store retry it at the same time', async () => {
+      let succeed;
+      const deliverer = jest.fn()
+        .mockRejectedValueOnce(new Error('down'))
+        .mockImplementation(() => new Promise(resolve => {
+          succeed = resolve;
+        }));
+      queue.registerDeliverer('slack', deliverer);
+      const { deliveryId } = await queue.deliver('slack', {});
+
+      const other = new DeliveryQueueService(createConfig({ delivery_queue_max_attempts: 3 }));
+      other.store = queue.store;
+      other.registerDeliverer('slack', deliverer);
+
+      const first = queue.processDue(Date.now() + 1000);
+      const second = other.processDue(Date.now() + 1000);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(await queue.get(deliveryId)).toMatchObject({ status: DELIVERY_STATUS.IN_FLIGHT });
+      succeed({ ok: true });
+
+      const summaries = await Promise.all([first, second]);
+      expect(summaries.map(summary => summary.delivered).sort()).toEqual([0, 1]);
+      expect(deliverer).toHaveBeenCalledTimes(2);
+      expect(await queue.get(deliveryId)).toBeNull();
+    });
+
+    it('should retry entries whose claim expired mid-attempt', async () => {
+      const deliverer = jest.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValue({});
+      queue.registerDeliverer('slack', deliverer);
+      const { deliveryId } = await queue.deliver('slack', {});
+      const entry = await queue.get(deliveryId);
+      await queue.store.save({ ...entry, status: DELIVERY_STATUS.IN_FLIGHT, claimId: 'crashed', leaseUntil: entry.nextAttemptAt });
+
+      expect(await queue.processDue(Date.parse(entry.nextAttemptAt) - 1)).toEqual({ delivered: 0, rescheduled: 0, dead: 0 });
+      expect(await queue.processDue(Date.parse(entry.nextAttemptAt))).toEqual({ delivered: 1, rescheduled: 0, dead: 0 });
+    });
+  });
+
+  describe('inspect, replay and purge', () => {
+    let deliverer;
+
+    beforeEach(() => {
+      deliverer = jest.fn().mockRejectedValue(new Error('down'));
+      queue.registerDeliverer('slack', deliverer);
+      queue.registerDeliverer('jira', deliverer);
+    });
+
+    it('should filter entries and report stats', async () => {
+      await queue.deliver('slack', {});
+      const { deliveryId } = await queue.deliver('jira', {});
+      await queue.store.save({ ...(await queue.get(deliveryId)), status: DELIVERY_STATUS.DEAD });
+
+      expect(await queue.list({ destination: 'slack' })).toHaveLength(1);
+      expect(await queue.list({ status: DELIVERY_STATUS.DEAD })).toHaveLength(1);
+      expect(await queue.getStats()).toMatchObject({ store: 'memory', pending: 1, dead: 1 });
+    });
+
+    it('should replay a dead letter with a fresh set of attempts', async () => {
+      const { deliveryId } = await queue.deliver('slack', {});
+      await queue.store.save({ ...(await queue.get(deliveryId)), status: DELIVERY_STATUS.DEAD, attempts: 3 });
+      deliverer.mockResolvedValueOnce({ ok: true });
+
+      expect(await queue.replay(deliveryId)).toEqual({ id: deliveryId, outcome: 'delivered' });
+      expect(await queue.get(deliveryId)).toBeNull();
+    });
+
+    it('should schedule replays for destinations without a local deliverer', async () => {
+      const { deliveryId } = await queue.deliver('slack', {});
+      queue.deliverers.delete('slack');
+
+      expect(await queue.replay(deliveryId)).toEqual({ id: deliveryId, outcome: 'scheduled' });
+      const entry = await queue.get(deliveryId);
+      expect(Date.parse(entry.nextAttemptAt)).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should reject replays of entries being delivered', async () => {
+      const { deliveryId } = await queue.deliver('slack', {});
+      const leaseUntil = new Date(Date.now() + 60000).toISOString();
+      await queue.store.save({ ...(await queue.get(deliveryId)), status: DELIVERY_STATUS.IN_FLIGHT, claimId: 'other', leaseUntil });
+
+      await expect(queue.replay(deliveryId)).rejects.toThrow(`Delivery ${deliveryId} is already being delivered`);
+      expect(deliverer).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject replays of unknown entries', async () => {
+      await expect(queue.replay('missing')).rejects.toThrow('Delivery missing not found');
+    });
+
+    it('should purge single entries and filtered entries', async () => {
+      const { deliveryId } = await queue.deliver('slack', {});
+      await queue.deliver('slack', {});
+      await queue.deliver('jira', {});
+
+      expect(await queue.purge(deliveryId)).toBe(true);
+      expect(await queue.purge(deliveryId)).toBe(false);
+      expect(await queue.purgeAll({ destination: 'slack' })).toBe(1);
+      expect(await queue.list()).toHaveLength(1);
+    });
+  });
+
+  describe('stores', () => {
+    it('should fail to initialize when the store cannot be loaded', async () => {
+      const broken = new DeliveryQueueService(createConfig({
+        delivery_queue_enabled: true,
+        delivery_queue_store: 'unknown'
+      }));
+
+      await expect(broken.initialize()).rejects.toThrow('Failed to load the unknown delivery store: Unknown delivery store type: unknown');
+      await expect(broken.ready).rejects.toThrow('Failed to load the unknown delivery store');
+      expect(broken.initialized).toBe(false);
+    });
+
+    describe('FileDeliveryStore', () => {
+      let tmpDir;
+
+      beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-queue-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      });
+
+      it('should persist entries across store instances', async () => {
+        const filePath = path.join(tmpDir, 'nested', 'queue.json');
+        const store = new FileDeliveryStore(filePath);
+        await store.connect();
+
+        await Promise.all([
+          store.save({ id: 'a', status: 'pending' }),
+          store.save({ id: 'b', status: 'dead' })
+        ]);
+
+        const reopened = new FileDeliveryStore(filePath);
+        expect(await reopened.list()).toHaveLength(2);
+        expect(await reopened.get('b')).toEqual({ id: 'b', status: 'dead' });
+        expect(await reopened.delete('a')).toBe(true);
+        expect(await reopened.get('a')).toBeNull();
+      });
+
+      it('should keep the writes of stores sharing the file', async () => {
+        const filePath = path.join(tmpDir, 'queue.json');
+        const server = new FileDeliveryStore(filePath);
+        const mcp = new FileDeliveryStore(filePath);
+        await server.connect();
+
+        await Promise.all([
+          ...['a', 'b', 'c'].map(id => server.save({ id, status: 'pending' })),
+          mcp.save({ id: 'd', status: 'dead' })
+        ]);
+
+        expect((await server.list()).map(entry => entry.id).sort()).toEqual(['a', 'b', 'c', 'd']);
+        expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+      });
+
+      it('should wait for another process to release its lock and take over abandoned locks', async () => {
+        const filePath = path.join(tmpDir, 'queue.json');
+        const store = new FileDeliveryStore(filePath, { lockTimeoutMs: 100, staleLockMs: 60000 });
+        await store.connect();
+        fs.writeFileSync(`${filePath}.lock`, '12345');
+
+        await expect(store.save({ id: 'a', status: 'pending' })).rejects.toThrow('Timed out waiting for delivery queue lock');
+
+        const stale = new Date(Date.now() - 120000);
+        fs.utimesSync(`${filePath}.lock`, stale, stale);
+        await store.save({ id: 'a', status: 'pending' });
+
+        expect(await store.get('a')).toEqual({ id: 'a', status: 'pending' });
+      });
+
+      it('should only let one store claim an entry', async () => {
+        const filePath = path.join(tmpDir, 'queue.json');
+        const server = new FileDeliveryStore(filePath);
+        const mcp = new FileDeliveryStore(filePath);
+        await server.connect();
+        const entry = { id: 'a', status: 'pending' };
+        await server.save(entry);
+
+        const claims = await Promise.all([
+          server.replace({ ...entry, status: 'in_flight', claimId: 'server' }, entry),
+          mcp.replace({ ...entry, status: 'in_flight', claimId: 'mcp' }, entry)
+        ]);
+
+        expect(claims.filter(Boolean)).toHaveLength(1);
+        expect(await server.replace({ ...entry, status: 'dead' }, entry)).toBe(false);
+      });
+    });
+
+    (sqliteAvailable ? describe : describe.skip)('SqliteDeliveryStore', () => {
+      let tmpDir;
+
+      beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-queue-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      });
+
+      it('should share entries between connections to the same database', async () => {
+        const filePath = path.join(tmpDir, 'nested', 'queue.db');
+        const server = new SqliteDeliveryStore(filePath);
+        const mcp = new SqliteDeliveryStore(filePath);
+        await server.connect();
+        await mcp.connect();
+
+        await server.save({ id: 'a', status: 'pending', attempts: 1 });
+        await server.save({ id: 'b', status: 'pending', attempts: 1 });
+        await mcp.save({ id: 'a', status: 'dead', attempts: 5 });
+
+        expect(await server.get('a')).toEqual({ id: 'a', status: 'dead', attempts: 5 });
+        expect(await mcp.delete('b')).toBe(true);
+        expect(await mcp.delete('b')).toBe(false);
+        expect(await server.list()).toEqual([{ id: 'a', status: 'dead', attempts: 5 }]);
+
+        server.db.close();
+        mcp.db.close();
+      });
+
+      it('should only let one connection claim an entry', async () => {
+        const filePath = path.join(tmpDir, 'queue.db');
+        const server = new SqliteDeliveryStore(filePath);
+        const mcp = new SqliteDeliveryStore(filePath);
+        await server.connect();
+        await mcp.connect();
+        const entry = { id: 'a', status: 'pending', attempts: 1 };
+        await server.save(entry);
+
+        expect(await server.replace({ ...entry, status: 'in_flight', claimId: 'server' }, entry)).toBe(true);
+        expect(await mcp.replace({ ...entry, status: 'in_flight', claimId: 'mcp' }, entry)).toBe(false);
+        expect(await mcp.get('a')).toMatchObject({ status: 'in_flight', claimId: 'server' });
+
+        server.db.close();
+        mcp.db.close();
+      });
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Unit tests for EventFormatter rundowns in Markdown and Atlassian Document Format
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const { eventFormatter } = await import('../../konbini.js');
+
+/**
+ * Rage click webhook with session events from several groups
+ */
+const rageClickWebhook = {
+  name: 'checkout_rage_click',
+  timestamp: '2024-03-05T14:30:00Z',
+  user: { id: 'user-1', email: 'jane@example.com' },
+  properties: { session_id: 'session-1', button: 'Pay now' },
+  events: [
+    { type: 'rage_click', count: 4, data: { selector: '#pay' } },
+    { type: 'navigate', data: { url: 'https://shop.example.com/checkout' } },
+    { type: 'Click', count: 2 },
+    { type: 'custom_thing' }
+  ]
+};
+
+/**
+ * Minimal webhook with only a user ID
+ */
+const minimalWebhook = {
+  timestamp: '2024-03-05T14:30:00Z',
+  user: { id: 'user-2' }
+};
+
+const text = value => ({ type: 'text', text: value });
+const link = url => ({ type: 'text', text: url, marks: [{ type: 'link', attrs: { href: url } }] });
+const heading = (level, value) => ({ type: 'heading', attrs: { level }, content: [text(value)] });
+const cell = (type, ...content) => ({ type, attrs: {}, content: [{ type: 'paragraph', content }] });
+
+describe('EventFormatter', () => {
+  const time = new Date(rageClickWebhook.timestamp).toLocaleString();
+
+  describe('buildRunDown', () => {
+    it('should build headings, event tables and a properties code block', () => {
+      const blocks = eventFormatter.buildRunDown(rageClickWebhook);
+
+      expect(blocks.map(block => block.type === 'heading' ? `h${block.level}:${block.text}` : block.type)).toEqual([
+        'h1:Event Details',
+        'h2:User: jane@example.com',
+        `h2:Time: ${time}`,
+        'h2:Event Name: checkout_rage_click',
+        'h2:Session ID: session-1',
+        'h2:Session Events',
+        'h3:User Friction Actions',
+        'table',
+        'h3:System Events',
+        'table',
+        'h3:User Actions',
+        'table',
+        'h3:Other Events',
+        'table',
+        'h2:Properties',
+        'code'
+      ]);
+      expect(blocks[7]).toEqual({
+        type: 'table',
+        header: ['Event Type', 'Count', 'Details'],
+        rows: [['rage_click', '4', '{"selector":"#pay"}...']]
+      });
+      expect(blocks[11].rows).toEqual([['click', '2', 'No additional details']]);
+      expect(blocks[15]).toEqual({ type: 'code', language: 'json', text: JSON.stringify(rageClickWebhook.properties, null, 2) });
+    });
+
+    it('should leave out sections without data', () => {
+      const blocks = eventFormatter.buildRunDown(minimalWebhook);
+
+      expect(blocks.map(block => block.text)).toEqual(['Event Details', 'User: user-2', `Time: ${time}`]);
+    });
+
+    it('should reject webhooks without a user', () => {
+      expect(() => eventFormatter.buildRunDown({ name: 'checkout_rage_click' }))
+        .toThrow('Invalid webhook body: missing user information');
+    });
+  });
+
+  describe('createRunDown', () => {
+    it('should render the rundown as Markdown', async () => {
+      const markdown = await eventFormatter.createRunDown(rageClickWebhook);
+
+      expect(markdown).toContain(`# Event Details\n\n## User: jane@example.com\n\n## Time: ${time}\n\n`);
+      expect(markdown).toContain([
+        '### User Friction Actions',
+        '',
+        '| Event Type | Count | Details |',
+        '|------------|-------|---------|',
+        '| rage_click | 4 | {"selector":"#pay"}... |'
+      ].join('\n'));
+      expect(markdown.endsWith('## Properties\n\n```json\n{\n  "session_id": "session-1",\n  "button": "Pay now"\n}\n```\n\n')).toBe(true);
+    });
+  });
+
+  describe('createRunDownAdf', () => {
+    it('should render headings, tables and code blocks as ADF nodes', async () => {
+      const doc = await eventFormatter.createRunDownAdf(rageClickWebhook);
+
+      expect(doc.type).toBe('doc');
+      expect(doc.version).toBe(1);
+      expect(doc.content[0]).toEqual(heading(1, 'Event Details'));
+      expect(doc.content[6]).toEqual(heading(3, 'User Friction Actions'));
+      expect(doc.content[7]).toEqual({
+        type: 'table',
+        attrs: { isNumberColumnEnabled: false, layout: 'default' },
+        content: [
+          {
+            type: 'tableRow',
+            content: [cell('tableHeader', text('Event Type')), cell('tableHeader', text('Count')), cell('tableHeader', text('Details'))]
+          },
+          {
+            type: 'tableRow',
+            content: [cell('tableCell', text('rage_click')), cell('tableCell', text('4')), cell('tableCell', text('{"selector":"#pay"}...'))]
+          }
+        ]
+      });
+      expect(doc.content.at(-1)).toEqual({
+        type: 'codeBlock',
+        attrs: { language: 'json' },
+        content: [text(JSON.stringify(rageClickWebhook.properties, null, 2))]
+      });
+    });
+
+    it('should link URLs inside table cells', async () => {
+      const doc = await eventFormatter.createRunDownAdf(rageClickWebhook);
+      const systemEvents = doc.content[9];
+
+      expect(systemEvents.content[1].content[2]).toEqual(cell('tableCell',
+        text('{"url":"'),
+        link('https://shop.example.com/checkout'),
+        text('"}...')
+      ));
+    });
+
+    it('should never produce empty text nodes', async () => {
+      const doc = await eventFormatter.createRunDownAdf(rageClickWebhook);
+      const emptyTextNodes = JSON.stringify(doc).match(/"type":"text","text":""/g);
+
+      expect(emptyTextNodes).toBeNull();
+    });
+  });
+
+  describe('createSessionTimeline', () => {
+    const events = [
+      { event_time: '2024-03-05T14:31:05Z', event_type: 'custom', event_properties: { event_name: 'Checkout Failed', reason: 'card | declined' } },
+      { event_time: '2024-03-05T14:30:00Z', event_type: 'navigate', event_properties: { url: 'https://shop.example.com/checkout' } },
+      { event_time: '2024-03-05T14:30:42Z', event_type: 'click' }
+    ];
+
+    it('should list events in time order after the AI summary', () => {
+      const markdown = eventFormatter.createSessionTimeline(events, {
+        summary: { analysis: 'The user could not pay.' },
+        sessionLink: 'https://app.fullstory.com/ui/o-1/session/1%3A2'
+      });
+
+      expect(markdown).toBe([
+        '# Session Timeline',
+        '',
+        'Session replay: https://app.fullstory.com/ui/o-1/session/1%3A2',
+        '',
+        '3 events from 2024-03-05T14:30:00.000Z to 2024-03-05T14:31:05.000Z',
+        '',
+        '## AI Summary',
+        '',
+        'The user could not pay.',
+        '',
+        '## Events',
+        '',
+        '| Time (UTC) | Elapsed | Event | Details |',
+        '|------------|---------|-------|---------|',
+        '| 2024-03-05 14:30:00 | +0:00 | navigate | {"url":"https://shop.example.com/checkout"} |',
+        '| 2024-03-05 14:30:42 | +0:42 | click | No additional details |',
+        '| 2024-03-05 14:31:05 | +1:05 | custom: Checkout Failed | {"event_name":"Checkout Failed","reason":"card \\| declined"} |',
+        '',
+        ''
+      ].join('\n'));
+    });
+
+    it('should note when no events are available', () => {
+      expect(eventFormatter.createSessionTimeline(null)).toBe('# Session Timeline\n\n## Events\n\nNo session events available\n\n');
+    });
+  });
+
+  describe('textToAdf', () => {
+    it('should split paragraphs, keep line breaks and link URLs', () => {
+      const doc = eventFormatter.textToAdf('Lexicon received checkout_error again.\nSession replay: https://app.fullstory.com/ui/o-1/session/1%3A2.\n\nSecond paragraph');
+
+      expect(doc).toEqual({
+        type: 'doc',
+        version: 1,
+        content: [
+          {
+            type: 'paragraph',
+            content: [
+              text('Lexicon received checkout_error again.'),
+              { type: 'hardBreak' },
+              text('Session replay: '),
+              link('https://app.fullstory.com/ui/o-1/session/1%3A2'),
+              text('.')
+            ]
+          },
+          { type: 'paragraph', content: [text('Second paragraph')] }
+        ]
+      });
+    });
+
+    it('should return an empty document for empty text', () => {
+      expect(eventFormatter.textToAdf('')).toEqual({ type: 'doc', version: 1, content: [] });
+    });
+  });
+});
@@ -0,0 +1,400 @@
+/**
+ * Unit tests for header-aware record writes, tab provisioning and batched
+ * writes of the Google Workspace connector
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => ({
+      google_project_id: 'test-project',
+      google_workspace_keyfile: JSON.stringify({ client_email: 'lexicon@test.iam.gserviceaccount.com', private_key: 'test-key' }),
+      google_sheets_id: 'test-sheet-id'
+    })[key] ?? defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  ERROR_TYPES: { INTERNAL: 'InternalError', VALIDATION: 'ValidationError' },
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+jest.unstable_mockModule('@google-cloud/bigquery', () => ({
+  BigQuery: jest.fn()
+}));
+
+const sheetsClient = {
+  spreadsheets: {
+    get: jest.fn(),
+    batchUpdate: jest.fn(),
+    values: {
+      get: jest.fn(),
+      update: jest.fn(),
+      batchUpdate: jest.fn(),
+      append: jest.fn()
+    }
+  }
+};
+
+jest.unstable_mockModule('googleapis', () => ({
+  google: {
+    auth: { JWT: jest.fn().mockImplementation(() => ({ authorize: jest.fn().mockResolvedValue({}) })) },
+    sheets: jest.fn(() => sheetsClient)
+  }
+}));
+
+const { default: googleCloud } = await import('../../GoogleCloud.js');
+
+/**
+ * Back the mocked Sheets API with an in-memory grid
+ * Understands the header row, key column, single cell and append ranges the connector uses
+ */
+function useSheet(rows) {
+  const grid = rows.map(row => [...row]);
+  const column = letter => letter.charCodeAt(0) - 65;
+  const { values } = sheetsClient.spreadsheets;
+
+  values.get.mockImplementation(async ({ range }) => {
+    if (range.endsWith('!1:1')) {
+      return { data: { values: grid[0]?.length ? [grid[0]] : undefined } };
+    }
+    const index = column(range.match(/!([A-Z])2:/)[1]);
+    return { data: { values: [grid.slice(1).map(row => row[index] ?? '')] } };
+  });
+  values.update.mockImplementation(async ({ resource }) => {
+    grid[0] = [...resource.values[0]];
+    return { data: {} };
+  });
+  values.batchUpdate.mockImplementation(async ({ resource }) => {
+    resource.data.forEach(({ range, values: [[value]] }) => {
+      const [, letter, row] = range.match(/!([A-Z])(\d+)$/);
+      grid[row - 1][column(letter)] = value;
+    });
+    return { data: { totalUpdatedCells: resource.data.length } };
+  });
+  values.append.mockImplementation(async ({ range, resource }) => {
+    const first = grid.length + 1;
+    grid.push(...resource.values.map(row => [...row]));
+    return {
+      data: {
+        updates: {
+          updatedRange: `${range.split('!')[0]}!A${first}:D${grid.length}`,
+          updatedCells: resource.values.flat().length
+        }
+      }
+    };
+  });
+
+  return grid;
+}
+
+/**
+ * Back the mocked spreadsheet API with the given tabs
+ * New tabs get the next sheet ID; adding a tab that exists fails like the API does
+ */
+function useTabs(titles) {
+  const tabs = new Map(titles.map((title, index) => [title, index]));
+  const { spreadsheets } = sheetsClient;
+
+  spreadsheets.get.mockImplementation(async () => ({
+    data: { sheets: [...tabs].map(([title, sheetId]) => ({ properties: { title, sheetId } })) }
+  }));
+  spreadsheets.batchUpdate.mockImplementation(async ({ resource }) => ({
+    data: {
+      replies: resource.requests.map(({ addSheet }) => {
+        if (!addSheet) {
+          return {};
+        }
+        const { title } = addSheet.properties;
+        if (tabs.has(title)) {
+          throw new Error(`A sheet with the name "${title}" already exists. Please enter another name.`);
+        }
+        tabs.set(title, tabs.size);
+        return { addSheet: { properties: { title, sheetId: tabs.get(title) } } };
+      })
+    }
+  }));
+
+  return tabs;
+}
+
+describe('WorkspaceConnector', () => {
+  const workspace = googleCloud.workspace;
+
+  beforeAll(async () => {
+    await workspace.initialize();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('writeRecords', () => {
+    it('should map fields to columns by header name', async () => {
+      const grid = useSheet([['Email', 'User ID', 'Plan', 'Notes']]);
+
+      const result = await workspace.writeRecords('test-sheet-id', 'Sheet1!A:D', [
+        { user_id: 'user-1', email: 'jane@example.com', PLAN: 'pro', extra: 'dropped' }
+      ]);
+
+      expect(grid[1]).toEqual(['jane@example.com', 'user-1', 'pro', '']);
+      expect(result).toEqual({
+        sheet: 'Sheet1',
+        appended: 1,
+        updated: 0,
+        updatedCells: 4,
+        unmapped: ['extra'],
+        rows: [{ action: 'appended', row: 2 }]
+      });
+      expect(sheetsClient.spreadsheets.values.append).toHaveBeenCalledWith(expect.objectContaining({
+        range: "'Sheet1'!A1",
+        valueInputOption: 'USER_ENTERED'
+      }));
+    });
+
+    it('should write the record fields as the header row of an empty sheet', async () => {
+      const grid = useSheet([]);
+
+      await workspace.writeRecords('test-sheet-id', 'Sheet1', [{ UserID: 'user-1', Properties: { plan: 'pro' } }]);
+
+      expect(grid).toEqual([['UserID', 'Properties'], ['user-1', '{"plan":"pro"}']]);
+    });
+
+    it('should update only the mapped cells of the row with a matching key', async () => {
+      const grid = useSheet([
+        ['UserID', 'Email', 'Visits', 'Total'],
+        ['user-1', 'old@example.com', '3', '=C2*2'],
+        ['user-2', 'jo@example.com', '1', '=C3*2']
+      ]);
+
+      const result = await workspace.writeRecords('test-sheet-id', 'Sheet1', [
+        { UserID: 'user-2', Email: 'jo@example.org' },
+        { UserID: 'user-3', Email: 'new@example.com' }
+      ], { upsertKey: 'UserID' });
+
+      expect(grid).toEqual([
+        ['UserID', 'Email', 'Visits', 'Total'],
+        ['user-1', 'old@example.com', '3', '=C2*2'],
+        ['user-2', 'jo@example.org', '1', '=C3*2'],
+        ['user-3', 'new@example.com', '', '']
+      ]);
+      expect(result).toEqual(expect.objectContaining({
+        appended: 1,
+        updated: 1,
+        rows: [{ action: 'updated', row: 3 }, { action: 'appended', row: 4 }]
+      }));
+      expect(sheetsClient.spreadsheets.values.get).toHaveBeenCalledWith(expect.objectContaining({
+        range: "'Sheet1'!A2:A",
+        majorDimension: 'COLUMNS'
+      }));
+    });
+
+    it('should append one row for new records that share a key', async () => {
+      const grid = useSheet([['UserID', 'Email', 'Plan']]);
+
+      await workspace.writeRecords('test-sheet-id', 'Sheet1', [
+        { UserID: 'user-1', Email: 'jane@example.com' },
+        { UserID: 'user-1', Plan: 'pro' }
+      ], { upsertKey: 'UserID' });
+
+      expect(grid).toEqual([['UserID', 'Email', 'Plan'], ['user-1', 'jane@example.com', 'pro']]);
+    });
+
+    it('should run concurrent upserts of a sheet one after another', async () => {
+      const grid = useSheet([['UserID', 'Visits']]);
+
+      const results = await Promise.all([
+        workspace.writeRecords('test-sheet-id', 'Sheet1', [{ UserID: 'user-1', Visits: 1 }], { upsertKey: 'UserID' }),
+        workspace.writeRecords('test-sheet-id', 'Sheet1', [{ UserID: 'user-1', Visits: 2 }], { upsertKey: 'UserID' })
+      ]);
+
+      expect(grid).toEqual([['UserID', 'Visits'], ['user-1', 2]]);
+      expect(results.map(({ appended, updated }) => [appended, updated])).toEqual([[1, 0], [0, 1]]);
+    });
+
+    it('should quote sheet names taken from the range', async () => {
+      useSheet([['UserID']]);
+
+      await workspace.writeRecords('test-sheet-id', "'Jane''s Users'!A:C", [{ UserID: 'user-1' }]);
+
+      expect(sheetsClient.spreadsheets.values.get).toHaveBeenCalledWith({ spreadsheetId: 'test-sheet-id', range: "'Jane''s Users'!1:1" });
+    });
+
+    it('should fail without writing when no field matches a column or the key is not a column', async () => {
+      useSheet([['UserID', 'Email']]);
+
+      expect(await workspace.writeRecords('test-sheet-id', 'Sheet1', [{ plan: 'pro' }])).toBeNull();
+      expect(await workspace.writeRecords('test-sheet-id', 'Sheet1', [{ UserID: 'user-1' }], { upsertKey: 'Account' })).toBeNull();
+      expect(sheetsClient.spreadsheets.values.append).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ensureSheet', () => {
+    beforeEach(() => {
+      workspace.forgetSheets('test-sheet-id');
+    });
+
+    it('should create a missing tab with a frozen, bold header row', async () => {
+      useTabs(['Sheet1']);
+      const grid = useSheet([]);
+
+      const result = await workspace.ensureSheet('test-sheet-id', 'Signals-2026-10', ['UserID', 'Email']);
+
+      expect(result).toEqual({ title: 'Signals-2026-10', sheetId: 1, created: true });
+      expect(grid).toEqual([['UserID', 'Email']]);
+      const [[addSheet], [format]] = sheetsClient.spreadsheets.batchUpdate.mock.calls;
+      expect(addSheet.resource.requests).toEqual([
+        { addSheet: { properties: { title: 'Signals-2026-10', gridProperties: { frozenRowCount: 1 } } } }
+      ]);
+      expect(format.resource.requests).toEqual([
+        expect.objectContaining({ repeatCell: expect.objectContaining({ range: { sheetId: 1, startRowIndex: 0, endRowIndex: 1 } }) }),
+        { autoResizeDimensions: { dimensions: { sheetId: 1, dimension: 'COLUMNS', startIndex: 0, endIndex: 2 } } }
+      ]);
+      expect(sheetsClient.spreadsheets.values.update).toHaveBeenCalledWith(expect.objectContaining({
+        range: "'Signals-2026-10'!A1",
+        valueInputOption: 'RAW'
+      }));
+    });
+
+    it('should leave existing tabs alone and read the spreadsheet once', async () => {
+      useTabs(['Sheet1', 'Signals-2026-10']);
+
+      const first = await workspace.ensureSheet('test-sheet-id', "'Signals-2026-10'!A:B", ['UserID']);
+      const second = await workspace.ensureSheet('test-sheet-id', 'Signals-2026-10', ['UserID']);
+
+      expect(first).toEqual({ title: 'Signals-2026-10', sheetId: 1, created: false });
+      expect(second).toEqual(first);
+      expect(sheetsClient.spreadsheets.get).toHaveBeenCalledTimes(1);
+      expect(sheetsClient.spreadsheets.batchUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should use a tab another instance created after the cache was loaded', async () => {
+      const tabs = useTabs(['Sheet1']);
+      await workspace.ensureSheet('test-sheet-id', 'Sheet1');
+      tabs.set('Signals-2026-10', 7);
+
+      const result = await workspace.ensureSheet('test-sheet-id', 'Signals-2026-10', ['UserID']);
+
+      expect(result).toEqual({ title: 'Signals-2026-10', sheetId: 7, created: false });
+      expect(sheetsClient.spreadsheets.values.update).not.toHaveBeenCalled();
+    });
+
+    it('should return null when the tab cannot be created', async () => {
+      useTabs(['Sheet1']);
+      sheetsClient.spreadsheets.batchUpdate.mockRejectedValueOnce(new Error('The caller does not have permission'));
+
+      expect(await workspace.ensureSheet('test-sheet-id', 'Signals-2026-10', ['UserID'])).toBeNull();
+    });
+  });
+
+  describe('bufferWrite', () => {
+    const bufferConfig = { ...workspace.bufferConfig };
+    const quotaError = () => Object.assign(new Error('Quota exceeded for quota metric \'Write requests\''), { code: 429 });
+
+    beforeEach(() => {
+      Object.assign(workspace.bufferConfig, { maxRows: 100, windowMs: 5, maxRetries: 2, retryDelayMs: 1 });
+    });
+
+    afterAll(() => {
+      Object.assign(workspace.bufferConfig, bufferConfig);
+    });
+
+    it('should append the rows of concurrent callers in one request and report each its rows', async () => {
+      const grid = useSheet([['UserID', 'Event']]);
+
+      const [first, second] = await Promise.all([
+        workspace.bufferWrite('test-sheet-id', 'Sheet1', { values: [['user-1', 'signup'], ['user-2', 'signup']] }),
+        workspace.bufferWrite('test-sheet-id', 'Sheet1', { values: [['user-3', 'checkout']] })
+      ]);
+
+      expect(sheetsClient.spreadsheets.values.append).toHaveBeenCalledTimes(1);
+      expect(grid).toHaveLength(4);
+      expect(first).toEqual([
+        { status: 'appended', sheet: 'Sheet1', row: 2 },
+        { status: 'appended', sheet: 'Sheet1', row: 3 }
+      ]);
+      expect(second).toEqual([{ status: 'appended', sheet: 'Sheet1', row: 4 }]);
+      expect(workspace.pendingWrites()).toBe(0);
+    });
+
+    it('should write a batch as soon as it is full', async () => {
+      Object.assign(workspace.bufferConfig, { maxRows: 2, windowMs: 60000 });
+      useSheet([['UserID']]);
+
+      const pending = [
+        workspace.bufferWrite('test-sheet-id', 'Sheet1', { values: [['user-1']] }),
+        workspace.bufferWrite('test-sheet-id', 'Sheet1', { values: [['user-2']] })
+      ];
+
+      expect(workspace.pendingWrites()).toBe(0);
+      expect((await Promise.all(pending)).flat().map(({ row }) => row)).toEqual([2, 3]);
+    });
+
+    it('should batch records by sheet and report updated and appended rows', async () => {
+      useSheet([['UserID', 'Plan'], ['user-1', 'free']]);
+
+      const [updated, appended] = await Promise.all([
+        workspace.bufferWrite('test-sheet-id', 'Users!A:B', { records: [{ UserID: 'user-1', Plan: 'pro' }], upsertKey: 'UserID' }),
+        workspace.bufferWrite('test-sheet-id', 'Users', { records: [{ UserID: 'user-2', Plan: 'free' }], upsertKey: 'UserID' })
+      ]);
+
+      expect(sheetsClient.spreadsheets.values.get).toHaveBeenCalledTimes(2); // header row and key column, once
+      expect(updated).toEqual([{ status: 'updated', sheet: 'Users', row: 2 }]);
+      expect(appended).toEqual([{ status: 'appended', sheet: 'Users', row: 3 }]);
+    });
+
+    it('should retry writes rejected for quota', async () => {
+      const grid = useSheet([['UserID']]);
+      sheetsClient.spreadsheets.values.append.mockRejectedValueOnce(quotaError());
+
+      const outcome = await workspace.bufferWrite('test-sheet-id', 'Sheet1', { values: [['user-1']] });
+
+      expect(outcome).toEqual([{ status: 'appended', sheet: 'Sheet1', row: 2 }]);
+      expect(sheetsClient.spreadsheets.values.append).toHaveBeenCalledTimes(2);
+      expect(grid).toHaveLength(2);
+    });
+
+    it('should report rows as retryable failures once quota retries are used up', async () => {
+      useSheet([['UserID']]);
+      sheetsClient.spreadsheets.values.append.mockRejectedValue(quotaError());
+
+      const outcome = await workspace.bufferWrite('test-sheet-id', 'Sheet1', { values: [['user-1']] });
+
+      expect(outcome).toEqual([{ status: 'failed', error: expect.stringContaining('Quota exceeded'), retryable: true, httpStatus: 429 }]);
+      expect(sheetsClient.spreadsheets.values.append).toHaveBeenCalledTimes(3);
+    });
+
+    it('should write callers separately when their batch is rejected', async () => {
+      const grid = useSheet([['UserID', 'Plan']]);
+
+      const [good, bad] = await Promise.all([
+        workspace.bufferWrite('test-sheet-id', 'Sheet1', { records: [{ UserID: 'user-1', Plan: 'pro' }] }),
+        workspace.bufferWrite('test-sheet-id', 'Sheet1', { records: [{ plan_name: 'pro' }] })
+      ]);
+
+      expect(good).toEqual([{ status: 'appended', sheet: 'Sheet1', row: 2 }]);
+      expect(bad).toEqual([{ status: 'failed', error: expect.stringContaining('do not match any column'), retryable: false, httpStatus: 400 }]);
+      expect(grid).toEqual([['UserID', 'Plan'], ['user-1', 'pro']]);
+    });
+
+    it('should reject writes without rows', async () => {
+      await expect(workspace.bufferWrite('test-sheet-id', 'Sheet1', { values: [] })).rejects.toThrow('non-empty array');
+    });
+  });
+
+  describe('getSheetHeaders', () => {
+    it('should return the trimmed header row', async () => {
+      useSheet([[' UserID ', 'Email']]);
+
+      expect(await workspace.getSheetHeaders('test-sheet-id', 'Sheet1!A:B')).toEqual(['UserID', 'Email']);
+    });
+  });
+});
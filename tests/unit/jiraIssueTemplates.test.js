@@ -0,0 +1,160 @@
+/**
+ * Unit tests for JiraIssueTemplates class
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const { JiraIssueTemplates } = await import('../../jiraIssueTemplates.js');
+
+describe('JiraIssueTemplates', () => {
+  let templates;
+  const scope = {
+    event_name: 'checkout_error',
+    uid: 'user-1',
+    email: 'Undefined',
+    properties: {
+      error_code: 'card declined',
+      severity: 'Highest',
+      tags: ['mobile', 'eu west'],
+      cart_value: 42.5
+    }
+  };
+
+  beforeEach(() => {
+    templates = new JiraIssueTemplates();
+  });
+
+  describe('render', () => {
+    it('should map template values onto Jira fields', () => {
+      templates.register({
+        name: 'checkout-errors',
+        project: 'PAY',
+        issueType: 'Bug',
+        priority: '{{ properties.severity }}',
+        labels: ['checkout', '{{ properties.error_code }}', '{{ properties.tags }}'],
+        components: 'Checkout',
+        assignee: 'account-42',
+        sessionField: 'customfield_10050',
+        fields: { customfield_10061: '{{ properties.cart_value }}' }
+      });
+
+      expect(templates.render(scope)).toEqual({
+        name: 'checkout-errors',
+        sessionField: 'customfield_10050',
+        fields: {
+          project: { key: 'PAY' },
+          issuetype: { name: 'Bug' },
+          priority: { name: 'Highest' },
+          labels: ['checkout', 'card-declined', 'mobile', 'eu-west'],
+          components: [{ name: 'Checkout' }],
+          assignee: { accountId: 'account-42' },
+          customfield_10061: 42.5
+        }
+      });
+    });
+
+    it('should treat numeric references as IDs', () => {
+      templates.register({ project: '10200', issueType: '10004', priority: '2' });
+
+      expect(templates.render(scope).fields).toEqual({
+        project: { id: '10200' },
+        issuetype: { id: '10004' },
+        priority: { id: '2' }
+      });
+    });
+
+    it('should leave out values that render empty', () => {
+      templates.register({
+        project: 'PAY',
+        assignee: '{{ properties.owner }}',
+        labels: ['{{ email }}'],
+        fields: { customfield_10061: '{{ properties.missing }}' }
+      });
+
+      expect(templates.render(scope)).toEqual({ name: undefined, sessionField: undefined, fields: { project: { key: 'PAY' } } });
+    });
+
+    it('should use the first template whose rule matches', () => {
+      templates
+        .register({ name: 'friction', when: 'event_name in ["rage_click", "dead_click"]', project: 'DES' })
+        .register({ name: 'checkout', when: 'event_name startsWith "checkout_"', project: 'PAY' })
+        .register({ name: 'fallback', project: 'OPS' });
+
+      expect(templates.render(scope).name).toBe('checkout');
+      expect(templates.render({ event_name: 'dead_click' }).name).toBe('friction');
+      expect(templates.render({ event_name: 'page_error' }).name).toBe('fallback');
+    });
+
+    it('should return null when no template matches', () => {
+      templates.register({ when: 'event_name == "rage_click"', project: 'DES' });
+
+      expect(templates.render(scope)).toBeNull();
+    });
+
+    it('should search the given templates instead of the registered ones', () => {
+      templates.register({ name: 'registered', project: 'OPS' });
+
+      expect(templates.render(scope, [{ name: 'inline', project: 'PAY' }]).name).toBe('inline');
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject unknown fields', () => {
+      expect(() => templates.register({ name: 'typo', projectKey: 'PAY' }))
+        .toThrow('Jira issue template "typo" has unknown fields: projectKey');
+    });
+
+    it('should reject values of the wrong type', () => {
+      expect(() => templates.register({ labels: [1] })).toThrow('field "labels" must be a string or an array of strings');
+      expect(() => templates.register({ fields: ['customfield_1'] })).toThrow('field "fields" must be an object');
+      expect(() => templates.register({ project: '' })).toThrow('field "project" must be a non-empty string');
+    });
+
+    it('should reject invalid rules and placeholders', () => {
+      expect(() => templates.register({ when: 'event_name ==', project: 'PAY' })).toThrow('Jira issue template is invalid');
+      expect(() => templates.register({ project: '{{ event_name | nope }}' })).toThrow('Jira issue template is invalid');
+    });
+  });
+
+  describe('loadFromFile', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-issue-templates-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load an array of templates or an object with a templates array', () => {
+      const arrayFile = path.join(tmpDir, 'array.json');
+      const objectFile = path.join(tmpDir, 'object.json');
+      fs.writeFileSync(arrayFile, JSON.stringify([{ name: 'a', project: 'PAY' }]));
+      fs.writeFileSync(objectFile, JSON.stringify({ templates: [{ name: 'b', project: 'DES' }] }));
+
+      expect(templates.loadFromFile(arrayFile)).toBe(1);
+      expect(templates.loadFromFile(objectFile)).toBe(1);
+      expect(templates.list().map(template => template.name)).toEqual(['a', 'b']);
+    });
+
+    it('should reject files without a templates array', () => {
+      const file = path.join(tmpDir, 'templates.json');
+      fs.writeFileSync(file, JSON.stringify({ checkout: { project: 'PAY' } }));
+
+      expect(() => templates.loadFromFile(file)).toThrow('must contain an array of templates');
+    });
+  });
+});
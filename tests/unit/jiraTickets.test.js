@@ -0,0 +1,144 @@
+/**
+ * Unit tests for JiraTicketService issue resolution, building and creation
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => ({
+      jira_project_key: 'TEST',
+      jira_issue_type_id: '10001',
+      jira_session_field_id: 'customfield_10050'
+    })[key] ?? defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const mockJira = {
+  createTicket: jest.fn(),
+  searchIssues: jest.fn(),
+  addComment: jest.fn(),
+  addAttachment: jest.fn(),
+  jira_base_url: 'https://test-jira.atlassian.net'
+};
+jest.unstable_mockModule('../../Atlassian.js', () => ({
+  default: mockJira,
+  jira: mockJira
+}));
+
+jest.unstable_mockModule('../../Fullstory.js', () => ({
+  default: {
+    getSessionEvents: jest.fn(),
+    getSessionSummary: jest.fn()
+  }
+}));
+
+const { JiraTicketService } = await import('../../jiraTickets.js');
+
+describe('JiraTicketService', () => {
+  let jiraTickets;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jiraTickets = new JiraTicketService();
+    mockJira.createTicket.mockResolvedValue({ id: '12345', key: 'TEST-123' });
+  });
+
+  describe('resolveIssue', () => {
+    it('should fall back to the options, then the configuration', () => {
+      expect(jiraTickets.resolveIssue({ event_name: 'checkout_error' }, { projectKey: 'OPS' })).toEqual({
+        template: undefined,
+        project: { key: 'OPS' },
+        projectKey: 'OPS',
+        issuetype: { id: '10001' },
+        sessionField: 'customfield_10050',
+        fields: {}
+      });
+    });
+
+    it('should take the project and fields from a matching issue template', () => {
+      const issue = jiraTickets.resolveIssue({ event_name: 'checkout_error' }, {
+        issueTemplates: [{
+          name: 'checkout',
+          when: 'event_name startsWith "checkout_"',
+          project: 'SHOP',
+          priority: 'High'
+        }]
+      });
+
+      expect(issue).toMatchObject({
+        template: 'checkout',
+        project: { key: 'SHOP' },
+        projectKey: 'SHOP',
+        fields: { priority: { name: 'High' } }
+      });
+    });
+  });
+
+  describe('buildTicket', () => {
+    it('should set the session link field and apply extra fields last', () => {
+      const issue = jiraTickets.resolveIssue({});
+      const ticketData = jiraTickets.buildTicket({ ...issue, fields: { labels: ['lexicon'] } }, {
+        summary: 'checkout_error - jane@example.com',
+        description: 'Rundown',
+        sessionLink: 'https://app.fullstory.com/ui/session/123',
+        fields: { summary: 'Checkout failed' }
+      });
+
+      expect(ticketData).toEqual({
+        fields: {
+          summary: 'Checkout failed',
+          description: 'Rundown',
+          project: { key: 'TEST' },
+          issuetype: { id: '10001' },
+          customfield_10050: 'https://app.fullstory.com/ui/session/123',
+          labels: ['lexicon']
+        }
+      });
+    });
+  });
+
+  describe('create', () => {
+    it('should create the ticket', async () => {
+      await expect(jiraTickets.create({ ticketData: { fields: { summary: 'Checkout failed' } } })).resolves.toEqual({
+        ticketKey: 'TEST-123',
+        ticketId: '12345',
+        ticketUrl: 'https://test-jira.atlassian.net/browse/TEST-123'
+      });
+    });
+
+    it('should comment on an open duplicate instead of creating a ticket', async () => {
+      mockJira.searchIssues.mockResolvedValue({ issues: [{ id: '999', key: 'TEST-99' }] });
+      mockJira.addComment.mockResolvedValue({ id: '555' });
+
+      const result = await jiraTickets.create({
+        ticketData: { fields: { summary: 'Checkout failed' } },
+        dedupe: { jql: 'labels = "lexicon-abc"', comment: 'Seen again' }
+      });
+
+      expect(result).toMatchObject({ ticketKey: 'TEST-99', duplicate: true, commentId: '555' });
+      expect(mockJira.createTicket).not.toHaveBeenCalled();
+    });
+
+    it('should fail without creating a ticket when the duplicate search fails', async () => {
+      mockJira.searchIssues.mockResolvedValue(null);
+
+      await expect(jiraTickets.create({
+        ticketData: { fields: { summary: 'Checkout failed' } },
+        dedupe: { jql: 'labels = "lexicon-abc"', comment: 'Seen again' }
+      })).rejects.toThrow('Failed to search Jira for a duplicate ticket');
+      expect(mockJira.createTicket).not.toHaveBeenCalled();
+    });
+  });
+});
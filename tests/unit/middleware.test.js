@@ -0,0 +1,380 @@
+/**
+ * Unit tests for webhook, Slack and Jira signature verification in middleware
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+const API_KEY = 'test-org-api-key';
+const PREVIOUS_KEYS = 'old-org-api-key, older-org-api-key';
+const SLACK_SIGNING_SECRET = 'test-slack-signing-secret';
+const JIRA_WEBHOOK_SECRET = 'test-jira-webhook-secret';
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => ({
+      fs_org_api_key: API_KEY,
+      fs_org_api_key_previous: PREVIOUS_KEYS,
+      slack_signing_secret: SLACK_SIGNING_SECRET,
+      jira_webhook_secret: JIRA_WEBHOOK_SECRET
+    })[key] ?? defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  ERROR_TYPES: { INTERNAL: 'InternalError', VALIDATION: 'ValidationError' },
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+jest.unstable_mockModule('../../rateLimiter.js', () => ({
+  default: {
+    createMiddleware: jest.fn(() => (req, res, next) => next())
+  }
+}));
+
+const { Logger } = await import('../../loggerFramework.js');
+const { default: idempotencyCache } = await import('../../idempotencyCache.js');
+const { default: middleware, WEBHOOK_ERROR_CODES } = await import('../../middleware.js');
+const { getWebhookIdempotencyKey } = await import('../../webhookBase.js');
+
+/**
+ * Sign a payload the way Fullstory does
+ */
+function sign(body, timestamp, key = API_KEY) {
+  const hmac = crypto.createHmac('sha256', key);
+  hmac.update(`${JSON.stringify(body)}:org:${timestamp}`);
+  return `v:${hmac.digest('base64')},o:org,t:${timestamp}`;
+}
+
+describe('verifyWebHook', () => {
+  const originalEnv = { ...process.env };
+  const logger = Logger.mock.results[Logger.mock.calls.findIndex(([name]) => name === 'Middleware')].value;
+  const body = { name: 'checkout', user: { id: 'user-1' } };
+  let res;
+  let next;
+  let closeHandlers;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    delete process.env.SKIP_WEBHOOK_VERIFICATION;
+    idempotencyCache.storage.clear();
+
+    closeHandlers = [];
+    res = {
+      statusCode: 200,
+      status: jest.fn().mockImplementation(code => {
+        res.statusCode = code;
+        return res;
+      }),
+      json: jest.fn().mockReturnThis(),
+      on: jest.fn((event, handler) => closeHandlers.push(handler))
+    };
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const request = (signature) => ({
+    headers: signature ? { 'fullstory-signature': signature } : {},
+    body,
+    originalUrl: '/webhook/slackHook'
+  });
+  const now = () => Math.floor(Date.now() / 1000);
+
+  it('should accept a fresh, correctly signed request', async () => {
+    await middleware.verifyWebHook(request(sign(body, now())), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should accept millisecond timestamps', async () => {
+    await middleware.verifyWebHook(request(sign(body, Date.now())), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it.each([
+    ['missing signature', undefined, WEBHOOK_ERROR_CODES.SIGNATURE_MISSING],
+    ['malformed signature', 'v:abc', WEBHOOK_ERROR_CODES.SIGNATURE_MALFORMED],
+    ['wrong key', sign(body, Math.floor(Date.now() / 1000), 'other-key'), WEBHOOK_ERROR_CODES.SIGNATURE_INVALID]
+  ])('should reject a %s with its error code', async (label, signature, code) => {
+    await middleware.verifyWebHook(request(signature), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, code }));
+  });
+
+  it('should reject timestamps outside the tolerance', async () => {
+    const stale = now() - 10 * 60;
+
+    await middleware.verifyWebHook(request(sign(body, stale)), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: WEBHOOK_ERROR_CODES.TIMESTAMP_OUT_OF_TOLERANCE
+    }));
+  });
+
+  it('should reject timestamps that are not numbers', async () => {
+    await middleware.verifyWebHook(request(sign(body, 'yesterday')), res, next);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: WEBHOOK_ERROR_CODES.TIMESTAMP_OUT_OF_TOLERANCE
+    }));
+  });
+
+  it('should reject a replayed signature', async () => {
+    const signature = sign(body, now());
+
+    await middleware.verifyWebHook(request(signature), res, next);
+    await middleware.verifyWebHook(request(signature), res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: WEBHOOK_ERROR_CODES.REPLAY_DETECTED
+    }));
+  });
+
+  it('should pass a repeated signature on when the idempotency cache knows the delivery', async () => {
+    const signature = sign(body, now());
+    const webhookRequest = () => ({ ...request(signature), baseUrl: '/webhook', path: '/slackHook' });
+
+    await middleware.verifyWebHook(webhookRequest(), res, next);
+    await idempotencyCache.complete(getWebhookIdempotencyKey(webhookRequest()), { statusCode: 200, body: { success: true } });
+    await middleware.verifyWebHook(webhookRequest(), res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should accept a retry after the first attempt failed with a server error', async () => {
+    const signature = sign(body, now());
+
+    await middleware.verifyWebHook(request(signature), res, next);
+    res.statusCode = 500;
+    closeHandlers.forEach(handler => handler());
+    await new Promise(resolve => setImmediate(resolve));
+
+    await middleware.verifyWebHook(request(signature), res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip verification when explicitly disabled for development', async () => {
+    process.env.SKIP_WEBHOOK_VERIFICATION = 'true';
+
+    await middleware.verifyWebHook(request(), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should remember signatures for twice the tolerance', async () => {
+    const reserve = jest.spyOn(idempotencyCache, 'reserve');
+
+    await middleware.verifyWebHook(request(sign(body, now())), res, next);
+
+    expect(reserve).toHaveBeenCalledWith(expect.stringMatching(/^webhook-signature:/), 600000);
+    reserve.mockRestore();
+  });
+
+  describe('signing-key rotation', () => {
+    it('should accept signatures from a previous key and log which key matched', async () => {
+      await middleware.verifyWebHook(request(sign(body, now(), 'older-org-api-key')), res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(logger.info).toHaveBeenCalledWith('Webhook signed with previous key', {
+        key: 'previous[1]',
+        fingerprint: expect.stringMatching(/^[0-9a-f]{8}$/)
+      });
+    });
+
+    it('should report the current key at debug level', async () => {
+      await middleware.verifyWebHook(request(sign(body, now())), res, next);
+
+      expect(logger.debug).toHaveBeenCalledWith('Webhook signed with current key', expect.objectContaining({
+        key: 'current'
+      }));
+    });
+
+    it('should never log key material', async () => {
+      await middleware.verifyWebHook(request(sign(body, now(), 'old-org-api-key')), res, next);
+
+      const logged = JSON.stringify([...logger.info.mock.calls, ...logger.debug.mock.calls]);
+      expect(logged).not.toContain('old-org-api-key');
+    });
+  });
+});
+
+describe('verifySlackRequest', () => {
+  const originalEnv = { ...process.env };
+  const rawBody = 'payload=%7B%22type%22%3A%22block_actions%22%7D';
+  let res;
+  let next;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    delete process.env.SKIP_WEBHOOK_VERIFICATION;
+    idempotencyCache.storage.clear();
+
+    res = {
+      statusCode: 200,
+      status: jest.fn().mockImplementation(code => {
+        res.statusCode = code;
+        return res;
+      }),
+      json: jest.fn().mockReturnThis(),
+      on: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Sign a request the way Slack does
+   */
+  const signSlack = (timestamp, secret = SLACK_SIGNING_SECRET) =>
+    `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+
+  const request = (signature, timestamp) => ({
+    headers: {
+      ...(signature && { 'x-slack-signature': signature }),
+      ...(timestamp && { 'x-slack-request-timestamp': String(timestamp) })
+    },
+    rawBody,
+    originalUrl: '/slack/interactions'
+  });
+  const now = () => Math.floor(Date.now() / 1000);
+
+  it('should accept a fresh, correctly signed request', async () => {
+    const timestamp = now();
+
+    await middleware.verifySlackRequest(request(signSlack(timestamp), timestamp), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it.each([
+    ['missing signature', () => [undefined, now()], WEBHOOK_ERROR_CODES.SIGNATURE_MISSING],
+    ['missing timestamp', () => [signSlack(now()), undefined], WEBHOOK_ERROR_CODES.SIGNATURE_MISSING],
+    ['wrong secret', () => [signSlack(now(), 'other-secret'), now()], WEBHOOK_ERROR_CODES.SIGNATURE_INVALID],
+    ['stale timestamp', () => [signSlack(now() - 600), now() - 600], WEBHOOK_ERROR_CODES.TIMESTAMP_OUT_OF_TOLERANCE]
+  ])('should reject a %s with its error code', async (label, build, code) => {
+    await middleware.verifySlackRequest(request(...build()), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, code }));
+  });
+
+  it('should reject a body that differs from the signed one', async () => {
+    const timestamp = now();
+
+    await middleware.verifySlackRequest({ ...request(signSlack(timestamp), timestamp), rawBody: 'payload=%7B%7D' }, res, next);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.SIGNATURE_INVALID }));
+  });
+
+  it('should reject a replayed signature', async () => {
+    const timestamp = now();
+
+    await middleware.verifySlackRequest(request(signSlack(timestamp), timestamp), res, next);
+    await middleware.verifySlackRequest(request(signSlack(timestamp), timestamp), res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.REPLAY_DETECTED }));
+  });
+
+  it('should fail closed when the raw body was not captured', async () => {
+    const timestamp = now();
+
+    await middleware.verifySlackRequest({ ...request(signSlack(timestamp), timestamp), rawBody: undefined }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe('verifyJiraWebhook', () => {
+  const originalEnv = { ...process.env };
+  const rawBody = JSON.stringify({ webhookEvent: 'jira:issue_updated', issue: { key: 'TEST-1' } });
+  let res;
+  let next;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    delete process.env.SKIP_WEBHOOK_VERIFICATION;
+
+    res = {
+      statusCode: 200,
+      status: jest.fn().mockImplementation(code => {
+        res.statusCode = code;
+        return res;
+      }),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Sign a body the way Jira Cloud does
+   */
+  const signJira = (body = rawBody, secret = JIRA_WEBHOOK_SECRET) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+  const request = ({ signature, token, body = rawBody } = {}) => ({
+    headers: signature ? { 'x-hub-signature': signature } : {},
+    query: token ? { token } : {},
+    rawBody: body,
+    originalUrl: '/jira/webhook'
+  });
+
+  it('should accept a correctly signed body', async () => {
+    await middleware.verifyJiraWebhook(request({ signature: signJira() }), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should accept the secret as a token query parameter', async () => {
+    await middleware.verifyJiraWebhook(request({ token: JIRA_WEBHOOK_SECRET }), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it.each([
+    ['missing signature', {}, WEBHOOK_ERROR_CODES.SIGNATURE_MISSING],
+    ['malformed signature', { signature: 'sha1=abc' }, WEBHOOK_ERROR_CODES.SIGNATURE_MALFORMED],
+    ['wrong secret', { signature: signJira(rawBody, 'other-secret') }, WEBHOOK_ERROR_CODES.SIGNATURE_INVALID],
+    ['modified body', { signature: signJira(), body: '{}' }, WEBHOOK_ERROR_CODES.SIGNATURE_INVALID],
+    ['wrong token', { token: 'other-secret' }, WEBHOOK_ERROR_CODES.SIGNATURE_INVALID]
+  ])('should reject a %s with its error code', async (label, options, code) => {
+    await middleware.verifyJiraWebhook(request(options), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, code }));
+  });
+
+  it('should fail closed when the raw body was not captured', async () => {
+    await middleware.verifyJiraWebhook({ ...request({ signature: signJira() }), rawBody: undefined }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
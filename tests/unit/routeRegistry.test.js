@@ -0,0 +1,166 @@
+/**
+ * Unit tests for RouteRegistry class
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const { default: routeRegistry, RouteRegistry, BUILT_IN_ROUTES } = await import('../../routeRegistry.js');
+
+describe('RouteRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new RouteRegistry();
+  });
+
+  describe('built-in routes', () => {
+    it('should preload the singleton with the built-in routes', () => {
+      const paths = routeRegistry.list().map(route => route.path);
+      expect(paths).toEqual(expect.arrayContaining([
+        '/slackHook',
+        '/slackHookAI',
+        '/googlesheets',
+        '/makeJiraTicket',
+        '/fusion',
+        '/updateSnowflake',
+        '/updateBigQuery'
+      ]));
+    });
+
+    it('should point every built-in route at a handler', () => {
+      BUILT_IN_ROUTES.forEach(route => {
+        expect(typeof route.handler).toBe('string');
+        expect(route.destination).toBeUndefined();
+      });
+    });
+  });
+
+  describe('register', () => {
+    it('should register a declarative route', () => {
+      registry.register({
+        name: 'Checkout',
+        path: '/checkout',
+        requiredFields: ['user'],
+        enrich: ['fullstorySession'],
+        destination: 'slack'
+      });
+
+      expect(registry.has('/checkout')).toBe(true);
+      expect(registry.get('/checkout').destination).toBe('slack');
+    });
+
+    it('should overwrite a route registered on the same path', () => {
+      registry.register({ name: 'First', path: '/dup', destination: 'slack' });
+      registry.register({ name: 'Second', path: '/dup', destination: 'jira' });
+
+      expect(registry.list()).toHaveLength(1);
+      expect(registry.get('/dup').name).toBe('Second');
+      expect(registry.logger.warn).toHaveBeenCalledWith(expect.stringContaining('already registered'));
+    });
+
+    it('should reject a path without a leading slash', () => {
+      expect(() => registry.register({ name: 'Bad', path: 'bad', destination: 'slack' }))
+        .toThrow('must have a path starting with "/"');
+    });
+
+    it('should reject definitions with both or neither handler and destination', () => {
+      expect(() => registry.register({ name: 'Both', path: '/both', handler: 'handleSlackHook', destination: 'slack' }))
+        .toThrow('exactly one of "handler" or "destination"');
+      expect(() => registry.register({ name: 'Neither', path: '/neither' }))
+        .toThrow('exactly one of "handler" or "destination"');
+    });
+
+    it('should register a fan-out route with mixed destination steps', () => {
+      registry.register({
+        name: 'FanOut',
+        path: '/fanOut',
+        destinations: ['slack', { name: 'events', destination: 'bigQuery', options: { table: 't', columns: ['uid'] } }],
+        mode: 'sequence'
+      });
+
+      expect(registry.get('/fanOut').destinations).toHaveLength(2);
+    });
+
+    it('should reject malformed fan-out routes', () => {
+      expect(() => registry.register({ name: 'Both', path: '/both', destination: 'slack', destinations: ['jira'] }))
+        .toThrow('exactly one of "handler" or "destination"');
+      expect(() => registry.register({ name: 'Empty', path: '/empty', destinations: [] }))
+        .toThrow('field "destinations" must be a non-empty array');
+      expect(() => registry.register({ name: 'Bad', path: '/bad', destinations: [{ options: {} }] }))
+        .toThrow('destination step 0 must be a destination name');
+      expect(() => registry.register({ name: 'Dup', path: '/dup', destinations: ['jira', 'jira'] }))
+        .toThrow('more than one destination step named "jira"');
+      expect(() => registry.register({ name: 'Mode', path: '/mode', destinations: ['jira'], mode: 'random' }))
+        .toThrow('field "mode" must be one of: parallel, sequence');
+    });
+
+    it('should reject routing rules that do not compile', () => {
+      expect(() => registry.register({ name: 'Bad', path: '/bad', destination: 'slack', when: 'properties.count >' }))
+        .toThrow('field "when" is not a valid rule');
+      expect(() => registry.register({ name: 'Bad', path: '/bad', destinations: ['slack', { destination: 'jira', when: 'a = 1' }] }))
+        .toThrow('field "destinations[1].when" is not a valid rule');
+    });
+
+    it('should reject non-string array fields', () => {
+      expect(() => registry.register({ name: 'Bad', path: '/bad', destination: 'slack', enrich: 'fullstorySession' }))
+        .toThrow('field "enrich" must be an array of strings');
+      expect(() => registry.register({ name: 'Bad', path: '/bad', destination: 'slack', requiredFields: [1] }))
+        .toThrow('field "requiredFields" must be an array of strings');
+    });
+  });
+
+  describe('loadFromFile', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-routes-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load an array of definitions', () => {
+      const file = path.join(tmpDir, 'routes.json');
+      fs.writeFileSync(file, JSON.stringify([
+        { name: 'A', path: '/a', destination: 'slack' },
+        { name: 'B', path: '/b', destination: 'jira', enrich: ['rundown'] }
+      ]));
+
+      expect(registry.loadFromFile(file)).toBe(2);
+      expect(registry.has('/a')).toBe(true);
+      expect(registry.has('/b')).toBe(true);
+    });
+
+    it('should load definitions nested under a routes key', () => {
+      const file = path.join(tmpDir, 'routes.json');
+      fs.writeFileSync(file, JSON.stringify({ routes: [{ name: 'A', path: '/a', destination: 'slack' }] }));
+
+      expect(registry.loadFromFile(file)).toBe(1);
+    });
+
+    it('should report unreadable files', () => {
+      expect(() => registry.loadFromFile(path.join(tmpDir, 'missing.json')))
+        .toThrow('Unable to read route definitions');
+    });
+
+    it('should reject files without a route list', () => {
+      const file = path.join(tmpDir, 'routes.json');
+      fs.writeFileSync(file, JSON.stringify({ name: 'A' }));
+
+      expect(() => registry.loadFromFile(file)).toThrow('Route definitions must be an array');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for RuleEngine class
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const { default: ruleEngine, RuleEngine } = await import('../../ruleEngine.js');
+
+describe('RuleEngine', () => {
+  let engine;
+  const scope = {
+    event_name: 'checkout_error',
+    uid: 'user-1',
+    email: 'jane@acme.com',
+    properties: {
+      error_count: 5,
+      retries: '2',
+      plan: 'enterprise',
+      tags: ['vip', 'beta'],
+      'checkout-step': 'payment'
+    },
+    user: {
+      email: 'jane@acme.com'
+    }
+  };
+
+  beforeEach(() => {
+    engine = new RuleEngine();
+  });
+
+  describe('evaluate', () => {
+    it.each([
+      ['properties.error_count > 3', true],
+      ['properties.error_count <= 3', false],
+      ['properties.retries >= 2', true],
+      ['user.email endsWith "@acme.com"', true],
+      ["user.email startsWith 'bob'", false],
+      ['properties.tags contains "vip"', true],
+      ['event_name in ["checkout_error", "payment_error"]', true],
+      ['properties.plan != "free" && properties.error_count > 3', true],
+      ['properties.plan == "free" or uid == "user-1"', true],
+      ['not (properties.plan == "enterprise")', false],
+      ['!properties.missing', true],
+      ['properties.missing == null', true],
+      ['properties["checkout-step"] == "payment"', true],
+      ['properties.error_count > -1 and true', true]
+    ])('should evaluate %s as %s', (expression, expected) => {
+      expect(engine.evaluate(expression, scope)).toBe(expected);
+    });
+
+    it('should not compare values of different types', () => {
+      expect(engine.evaluate('properties.plan > 3', scope)).toBe(false);
+      expect(engine.evaluate('properties.error_count == "5"', scope)).toBe(false);
+    });
+
+    it('should not resolve inherited properties', () => {
+      expect(engine.evaluate('properties.constructor == null', scope)).toBe(true);
+      expect(engine.evaluate('email.length > 0', scope)).toBe(false);
+    });
+  });
+
+  describe('compile', () => {
+    it('should cache compiled rules by expression', () => {
+      expect(engine.compile('uid == "a"')).toBe(engine.compile('uid == "a"'));
+    });
+
+    it.each([
+      ['', 'Rule is empty'],
+      ['properties.error_count >', 'Unexpected end of rule'],
+      ['(uid == "a"', 'Expected ")"'],
+      ['uid == "a" uid', 'Unexpected "uid" at position 11'],
+      ['uid = "a"', 'Unexpected character "=" at position 4'],
+      ['uid == "a', 'Unterminated string'],
+      ['process.exit()', 'Unexpected "("']
+    ])('should reject %p', (expression, message) => {
+      expect(() => engine.compile(expression)).toThrow(message);
+    });
+
+    it('should reject non-string rules', () => {
+      expect(() => engine.compile(42)).toThrow('Rule must be a string');
+    });
+  });
+
+  it('should export a shared singleton', () => {
+    expect(ruleEngine).toBeInstanceOf(RuleEngine);
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Unit tests for SlackConnector message formatting and bot-token mode
+ */
+
+import { jest } from '@jest/globals';
+
+const configValues = {
+  slack_webhook_url: 'https://hooks.slack.com/services/test'
+};
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => configValues[key] ?? defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  ERROR_TYPES: { INTERNAL: 'InternalError', API: 'ApiError' },
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+jest.unstable_mockModule('../../Fullstory.js', () => ({
+  default: {
+    getSessionLink: jest.fn().mockReturnValue('https://app.fullstory.com/ui/o-1/session/user-1%3Asession-1')
+  }
+}));
+
+const { SlackConnector, SLACK_ACTIONS } = await import('../../Slack.js');
+const { default: Fullstory } = await import('../../Fullstory.js');
+const { default: idempotencyCache } = await import('../../idempotencyCache.js');
+
+describe('SlackConnector', () => {
+  let slack;
+  let fetchSpy;
+  const data = {
+    event_name: 'checkout_rage_click',
+    email: 'jane@example.com',
+    display_name: 'Jane',
+    uid: 'user-1',
+    timestamp: '03/05/24 2:30 pm',
+    session_id: 'session-1',
+    signal_version: '2',
+    api_version: 'Undefined'
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    slack = new SlackConnector({ rateLimit: 1000 });
+    await slack.initialize();
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      text: jest.fn().mockResolvedValue('ok')
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  const sentBody = () => JSON.parse(fetchSpy.mock.calls[0][1].body);
+
+  describe('buildSignalMessage', () => {
+    it('should render a Block Kit message for a Fullstory signal', () => {
+      const message = slack.buildSignalMessage({
+        ...data,
+        session_summary: 'The user clicked the pay button repeatedly'
+      });
+
+      expect(message.text).toBe('checkout_rage_click by jane@example.com');
+      expect(message.blocks.map(block => block.type)).toEqual(['header', 'section', 'section', 'actions', 'context']);
+      expect(message.blocks[0].text.text).toBe('checkout_rage_click');
+      expect(message.blocks[1].fields.map(field => field.text)).toEqual([
+        '*User*\nJane (user-1)',
+        '*Email*\njane@example.com',
+        '*Time*\n03/05/24 2:30 pm'
+      ]);
+      expect(message.blocks[2].text.text).toBe('*Session summary*\nThe user clicked the pay button repeatedly');
+      expect(message.blocks[3].elements[0]).toMatchObject({
+        type: 'button',
+        url: 'https://app.fullstory.com/ui/o-1/session/user-1%3Asession-1'
+      });
+      expect(message.blocks[4].elements[0].text).toBe('Sent by Lexicon • Session session-1 • Signal v2');
+      expect(Fullstory.getSessionLink).toHaveBeenCalledWith('user-1', 'session-1');
+    });
+
+    it('should prefer an enriched replay URL over building a session link', () => {
+      const message = slack.buildSignalMessage({ ...data, replay_url: 'https://app.fullstory.com/replay/1' });
+
+      expect(message.blocks.find(block => block.type === 'actions').elements[0].url)
+        .toBe('https://app.fullstory.com/replay/1');
+      expect(Fullstory.getSessionLink).not.toHaveBeenCalled();
+    });
+
+    it('should leave out blocks for missing data', () => {
+      const message = slack.buildSignalMessage({ event_name: 'Undefined', email: 'Undefined', uid: 'Undefined' });
+
+      expect(message.text).toBe('Fullstory signal');
+      expect(message.blocks.map(block => block.type)).toEqual(['header', 'context']);
+    });
+
+    it('should add follow-up action buttons when interactions are configured', () => {
+      slack.interactive = true;
+
+      const { elements } = slack.buildSignalMessage(data).blocks.find(block => block.type === 'actions');
+
+      expect(elements.map(element => element.action_id)).toEqual([
+        'open_session_replay',
+        SLACK_ACTIONS.createJiraTicket,
+        SLACK_ACTIONS.getSessionSummary,
+        SLACK_ACTIONS.muteUser
+      ]);
+      expect(JSON.parse(elements[1].value)).toEqual({
+        uid: 'user-1',
+        session_id: 'session-1',
+        event_name: 'checkout_rage_click',
+        email: 'jane@example.com'
+      });
+      expect(elements[3].text.text).toBe('Mute this user for 24h');
+      expect(elements[3].confirm).toBeDefined();
+    });
+
+    it('should truncate text to the Block Kit limits', () => {
+      const message = slack.buildSignalMessage({ event_name: 'x'.repeat(200), session_summary: 'y'.repeat(4000) });
+
+      expect(message.blocks[0].text.text).toHaveLength(150);
+      expect(message.blocks[1].text.text).toHaveLength(3000);
+    });
+  });
+
+  describe('buildDigestMessage', () => {
+    it('should summarize signals by event, user and latest replays', () => {
+      const events = [
+        { event_name: 'dead_click', uid: 'user-1', email: 'jane@example.com', session_id: 'session-1' },
+        { event_name: 'dead_click', uid: 'user-2', session_id: 'session-2' },
+        { event_name: 'rage_click', uid: 'user-1', email: 'jane@example.com', replay_url: 'https://app.fullstory.com/replay/3' }
+      ];
+
+      const message = slack.buildDigestMessage(events, { route: 'DeadClicks', windowMs: 300000 });
+
+      expect(message.text).toBe('Lexicon digest: 3 signals in the last 5 min');
+      expect(message.blocks.map(block => block.type)).toEqual(['header', 'section', 'section', 'section', 'context']);
+      expect(message.blocks[1].text.text).toBe('*Events*\n• *dead_click* × 2\n• *rage_click* × 1');
+      expect(message.blocks[2].text.text).toBe('*Top affected users*\n• jane@example.com (2)\n• user-2 (1)');
+      expect(message.blocks[3].text.text).toBe([
+        '*Latest replays*',
+        '• <https://app.fullstory.com/replay/3|rage_click by jane@example.com>',
+        '• <https://app.fullstory.com/ui/o-1/session/user-1%3Asession-1|dead_click by user-2>',
+        '• <https://app.fullstory.com/ui/o-1/session/user-1%3Asession-1|dead_click by jane@example.com>'
+      ].join('\n'));
+      expect(message.blocks[4].elements[0].text).toBe('Sent by Lexicon • Route DeadClicks');
+    });
+  });
+
+  describe('sendWebHook', () => {
+    it('should post webhook data as a Block Kit message by default', async () => {
+      await slack.sendWebHook(data);
+
+      expect(sentBody()).toEqual(slack.buildSignalMessage(data));
+    });
+
+    it('should post payloads that are already Slack messages unchanged', async () => {
+      await slack.sendWebHook({ text: 'Custom message' });
+
+      expect(sentBody()).toEqual({ text: 'Custom message' });
+    });
+
+    it('should post raw data when the message format is raw', async () => {
+      slack.messageFormat = 'raw';
+
+      await slack.sendWebHook(data);
+
+      expect(sentBody()).toEqual(data);
+    });
+
+    it('should post to an overriding webhook URL', async () => {
+      await slack.sendWebHook(data, { webhookUrl: 'https://hooks.slack.com/services/other' });
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://hooks.slack.com/services/other');
+    });
+  });
+
+  describe('sendAIWebHook', () => {
+    const aiData = { ...data, prediction: 'likely to churn', bail_score: '0.87', car_id: 'Undefined' };
+
+    it('should post AI signals as a Block Kit message by default', async () => {
+      await slack.sendAIWebHook(aiData);
+
+      const body = sentBody();
+      expect(body).toEqual(slack.buildSignalMessage(aiData));
+      expect(body.blocks[1].fields.map(field => field.text)).toEqual([
+        '*User*\nJane (user-1)',
+        '*Email*\njane@example.com',
+        '*Time*\n03/05/24 2:30 pm',
+        '*Prediction*\nlikely to churn',
+        '*Bail score*\n0.87'
+      ]);
+    });
+
+    it('should post raw data when the message format is raw', async () => {
+      slack.messageFormat = 'raw';
+
+      await slack.sendAIWebHook(aiData);
+
+      expect(sentBody()).toEqual(aiData);
+    });
+  });
+
+  describe('bot-token mode', () => {
+    const apiResponse = body => ({
+      ok: true,
+      headers: { get: jest.fn().mockReturnValue(null) },
+      json: jest.fn().mockResolvedValue(body)
+    });
+
+    beforeEach(() => {
+      slack.botToken = 'xoxb-test';
+      slack.defaultChannel = 'C-DEFAULT';
+      fetchSpy.mockResolvedValue(apiResponse({ ok: true, channel: 'C123', ts: '1700000000.000100' }));
+    });
+
+    it('should post through chat.postMessage when a bot token and channel are configured', async () => {
+      const result = await slack.sendWebHook(data, { channel: '#alerts' });
+
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://slack.com/api/chat.postMessage');
+      expect(init.headers.Authorization).toBe('Bearer xoxb-test');
+      expect(sentBody()).toEqual({ channel: '#alerts', ...slack.buildSignalMessage(data) });
+      expect(result).toEqual({ ok: true, channel: 'C123', ts: '1700000000.000100', threadTs: '1700000000.000100' });
+    });
+
+    it('should post to the default channel when none is given', async () => {
+      await slack.sendWebHook({ text: 'Hello' });
+
+      expect(sentBody()).toEqual({ channel: 'C-DEFAULT', text: 'Hello' });
+    });
+
+    it('should keep using the webhook when a webhook URL is given', async () => {
+      fetchSpy.mockResolvedValue({ ok: true, text: jest.fn().mockResolvedValue('ok') });
+
+      await slack.sendWebHook(data, { webhookUrl: 'https://hooks.slack.com/services/other' });
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://hooks.slack.com/services/other');
+    });
+
+    it('should reply in a thread and report the parent thread', async () => {
+      fetchSpy.mockResolvedValue(apiResponse({ ok: true, channel: 'C123', ts: '1700000000.000200' }));
+
+      const result = await slack.replyInThread({ text: 'Created TEST-1' }, { channel: 'C123', threadTs: '1700000000.000100' });
+
+      expect(sentBody()).toEqual({ channel: 'C123', text: 'Created TEST-1', thread_ts: '1700000000.000100' });
+      expect(result.threadTs).toBe('1700000000.000100');
+    });
+
+    it('should update a message through chat.update', async () => {
+      const result = await slack.updateMessage({ text: 'Resolved' }, { channel: 'C123', ts: '1700000000.000100' });
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://slack.com/api/chat.update');
+      expect(sentBody()).toEqual({ channel: 'C123', ts: '1700000000.000100', text: 'Resolved' });
+      expect(result).toEqual({ ok: true, channel: 'C123', ts: '1700000000.000100' });
+    });
+
+    it('should return an error when Slack rejects the call', async () => {
+      fetchSpy.mockResolvedValue(apiResponse({ ok: false, error: 'channel_not_found' }));
+
+      expect(await slack.postMessage(data, { channel: '#missing' })).toEqual({ ok: false, error: 'Operation failed', status: 400 });
+    });
+
+    it('should retry after the delay Slack asks for when rate limited', async () => {
+      slack.rateLimit = 1000;
+      fetchSpy
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          headers: { get: jest.fn().mockReturnValue('0.01') },
+          text: jest.fn().mockResolvedValue('ratelimited')
+        })
+        .mockResolvedValueOnce(apiResponse({ ok: true, channel: 'C123', ts: '1700000000.000300' }));
+
+      const result = await slack.postMessage({ text: 'Hello' });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(result.ts).toBe('1700000000.000300');
+    });
+
+    it('should report a missing bot token', async () => {
+      slack.botToken = undefined;
+
+      expect(await slack.postMessage(data, { channel: '#alerts' })).toEqual({ ok: false, error: 'Bot token not configured', retryable: false });
+    });
+  });
+
+  describe('respond', () => {
+    it('should post to the interaction response URL', async () => {
+      const result = await slack.respond('https://hooks.slack.com/actions/T1/1/abc', { replace_original: true, text: 'Done' });
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://hooks.slack.com/actions/T1/1/abc');
+      expect(sentBody()).toEqual({ replace_original: true, text: 'Done' });
+      expect(result).toEqual({ ok: true });
+    });
+
+    it('should refuse response URLs outside Slack', async () => {
+      const result = await slack.respond('https://example.com/collect', { text: 'Done' });
+
+      expect(result).toEqual({ ok: false, error: 'Invalid response URL' });
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('muting', () => {
+    it('should mute a user until the mute expires', async () => {
+      jest.useFakeTimers();
+      try {
+        const { until } = await slack.muteUser('muted-user', 1000);
+
+        expect(new Date(until).getTime()).toBeGreaterThan(Date.now());
+        expect(await slack.isUserMuted('muted-user')).toBe(true);
+        expect(await slack.isUserMuted('other-user')).toBe(false);
+
+        jest.advanceTimersByTime(1001);
+        expect(await slack.isUserMuted('muted-user')).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should keep mutes out of the idempotency cache', async () => {
+      await slack.muteUser('muted-user', 1000);
+
+      expect(await idempotencyCache.get('slack-mute:muted-user')).toBeNull();
+      expect(await slack.muteStore.get('slack-mute:muted-user')).toEqual({ until: expect.any(String) });
+    });
+
+    it('should report the user as not muted when the mute cannot be stored', async () => {
+      jest.spyOn(slack.muteStore, 'set').mockResolvedValueOnce(false);
+
+      expect(await slack.muteUser('muted-user')).toEqual({ muted: false, until: null });
+      expect(await slack.isUserMuted('muted-user')).toBe(false);
+    });
+
+    it('should never treat placeholder user IDs as muted', async () => {
+      await slack.muteUser('Undefined');
+
+      expect(await slack.isUserMuted('Undefined')).toBe(false);
+    });
+  });
+});
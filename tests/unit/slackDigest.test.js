@@ -0,0 +1,118 @@
+/**
+ * Unit tests for SlackDigestService buffering and flushing
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('../../Slack.js', () => ({
+  default: {
+    buildDigestMessage: jest.fn().mockReturnValue({ text: 'digest' })
+  }
+}));
+
+jest.unstable_mockModule('../../deliveryQueue.js', () => ({
+  default: {
+    deliver: jest.fn().mockResolvedValue({ queued: false, result: { ok: true } })
+  }
+}));
+
+const { SlackDigestService } = await import('../../slackDigest.js');
+const { default: slack } = await import('../../Slack.js');
+const { default: deliveryQueue } = await import('../../deliveryQueue.js');
+
+describe('SlackDigestService', () => {
+  let digest;
+  const signal = (uid, eventName = 'dead_click') => ({
+    event_name: eventName,
+    uid,
+    email: `${uid}@example.com`,
+    session_id: 'session-1',
+    session_summary: 'Not kept in the digest'
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    digest = new SlackDigestService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should post one summary when the window closes', async () => {
+    digest.add('Route:slack', signal('user-1'), { windowMs: 1000, route: 'Route', channel: '#digest' });
+    const result = digest.add('Route:slack', signal('user-2'), { windowMs: 1000, route: 'Route', channel: '#digest' });
+
+    expect(result).toEqual({ digest: 'Route:slack', pending: 2, flushAt: expect.any(String) });
+    expect(deliveryQueue.deliver).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(slack.buildDigestMessage).toHaveBeenCalledWith([
+      { event_name: 'dead_click', uid: 'user-1', email: 'user-1@example.com', session_id: 'session-1' },
+      { event_name: 'dead_click', uid: 'user-2', email: 'user-2@example.com', session_id: 'session-1' }
+    ], { route: 'Route', windowMs: 1000 });
+    expect(deliveryQueue.deliver).toHaveBeenCalledWith(
+      'slack',
+      { data: { text: 'digest' }, webhookUrl: undefined, channel: '#digest' },
+      { route: 'Route' }
+    );
+    expect(digest.pending('Route:slack')).toBe(0);
+  });
+
+  it('should keep a separate window per digest key', async () => {
+    digest.add('A:slack', signal('user-1'), { windowMs: 1000 });
+    await jest.advanceTimersByTimeAsync(500);
+    digest.add('B:slack', signal('user-2'), { windowMs: 1000 });
+    await jest.advanceTimersByTimeAsync(500);
+
+    expect(deliveryQueue.deliver).toHaveBeenCalledTimes(1);
+    expect(digest.pending('B:slack')).toBe(1);
+  });
+
+  it('should use the configured window by default', async () => {
+    digest.add('Route:slack', signal('user-1'));
+
+    await jest.advanceTimersByTimeAsync(299999);
+    expect(deliveryQueue.deliver).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(deliveryQueue.deliver).toHaveBeenCalledTimes(1);
+  });
+
+  it('should post early once the digest is full', async () => {
+    digest.add('Route:slack', signal('user-1'), { maxEvents: 2 });
+    digest.add('Route:slack', signal('user-2'), { maxEvents: 2 });
+    await Promise.resolve();
+
+    expect(deliveryQueue.deliver).toHaveBeenCalledTimes(1);
+    expect(digest.pending('Route:slack')).toBe(0);
+  });
+
+  it('should flush every pending digest', async () => {
+    digest.add('A:slack', signal('user-1'));
+    digest.add('B:slack', signal('user-2'));
+
+    await digest.flushAll();
+
+    expect(deliveryQueue.deliver).toHaveBeenCalledTimes(2);
+    expect(await digest.flush('A:slack')).toBeNull();
+  });
+
+  it('should drop a digest that cannot be delivered without throwing', async () => {
+    deliveryQueue.deliver.mockRejectedValueOnce(new Error('No deliverer registered for destination "slack"'));
+    digest.add('Route:slack', signal('user-1'));
+
+    expect(await digest.flush('Route:slack')).toBeNull();
+    expect(digest.pending('Route:slack')).toBe(0);
+  });
+});
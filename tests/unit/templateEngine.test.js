@@ -0,0 +1,142 @@
+/**
+ * Unit tests for TemplateEngine class
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../loggerFramework.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const { TemplateEngine } = await import('../../templateEngine.js');
+
+describe('TemplateEngine', () => {
+  let engine;
+  const scope = {
+    event_name: 'checkout_error',
+    email: 'Undefined',
+    time: '2024-03-05T14:30:00.000Z',
+    session_summary: 'The user retried the payment form several times before leaving',
+    properties: {
+      error_count: 5,
+      cart: { total: 42.5 }
+    },
+    user: {
+      id: 'user-1',
+      display_name: 'Jane'
+    }
+  };
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  describe('render', () => {
+    it('should interpolate placeholders in nested objects and arrays', () => {
+      const rendered = engine.render({
+        text: '{{ event_name }} for {{user.display_name}}',
+        blocks: [{ type: 'section', text: 'Errors: {{ properties.error_count }}' }]
+      }, scope);
+
+      expect(rendered).toEqual({
+        text: 'checkout_error for Jane',
+        blocks: [{ type: 'section', text: 'Errors: 5' }]
+      });
+    });
+
+    it('should keep the value type of a lone placeholder', () => {
+      expect(engine.render({
+        count: '{{ properties.error_count }}',
+        cart: '{{ properties.cart }}',
+        missing: '{{ properties.missing }}'
+      }, scope)).toEqual({ count: 5, cart: { total: 42.5 }, missing: '' });
+    });
+
+    it('should apply filters in order', () => {
+      expect(engine.render([
+        '{{ session_summary | truncate:20 }}',
+        '{{ time | date:"yyyy-MM-dd" }}',
+        '{{ email | default:"anonymous" | upper }}',
+        '{{ properties.cart | json }}',
+        '{{ event_name | lower }}'
+      ], scope)).toEqual([
+        'The user retried th…',
+        '2024-03-05',
+        'ANONYMOUS',
+        '{"total":42.5}',
+        'checkout_error'
+      ]);
+    });
+
+    it('should leave values that are not dates unchanged', () => {
+      expect(engine.render(['{{ event_name | date }}'], scope)).toEqual(['checkout_error']);
+    });
+
+    it('should not resolve inherited properties', () => {
+      expect(engine.render(['{{ event_name.length }}', '{{ constructor.name }}'], scope)).toEqual(['', '']);
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      ['{{ }}', 'Expected a data path'],
+      ['{{ email | shout }}', 'Unknown filter "shout"'],
+      ['{{ email | default:"n/a }}', 'Unterminated string'],
+      ['{{ email default }}', 'Unexpected "default"']
+    ])('should reject %p', (template, message) => {
+      expect(() => engine.compile({ text: template })).toThrow(message);
+    });
+
+    it('should name the template that failed to register', () => {
+      expect(() => engine.register('alert', { text: '{{ email | shout }}' }))
+        .toThrow('Invalid template "alert": Unknown filter "shout"');
+    });
+
+    it('should reject unknown template names', () => {
+      expect(() => engine.resolve('missing')).toThrow('Unknown template "missing"');
+    });
+
+    it('should reject template references that are not names, objects or arrays', () => {
+      expect(() => engine.resolve(42)).toThrow('Template must be a template name, an object or an array');
+    });
+  });
+
+  describe('named templates', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-templates-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load and render templates from a file', () => {
+      const file = path.join(tmpDir, 'templates.json');
+      fs.writeFileSync(file, JSON.stringify({
+        jiraFields: { summary: '{{ event_name }} ({{ properties.error_count }} errors)' },
+        plainText: 'Event {{ event_name }}'
+      }));
+
+      expect(engine.loadFromFile(file)).toBe(2);
+      expect(engine.render('jiraFields', scope)).toEqual({ summary: 'checkout_error (5 errors)' });
+      expect(engine.render('plainText', scope)).toBe('Event checkout_error');
+    });
+
+    it('should reject files that are not an object of templates', () => {
+      const file = path.join(tmpDir, 'templates.json');
+      fs.writeFileSync(file, JSON.stringify([{ text: 'a' }]));
+
+      expect(() => engine.loadFromFile(file)).toThrow('must contain an object of named templates');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for WarehouseBatcherService batching and per-row outcomes
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config.js', () => ({
+  default: {
+    get: jest.fn((key, defaultValue) => defaultValue),
+    getBoolean: jest.fn((key, defaultValue = false) => defaultValue),
+    getNumber: jest.fn((key, defaultValue = 0) => defaultValue)
+  }
+}));
+
+jest.unstable_mockModule('../../deliveryQueue.js', () => ({
+  default: {
+    isRetryable: jest.fn(error => error.status === undefined || error.status >= 500)
+  }
+}));
+
+const { WarehouseBatcherService } = await import('../../warehouseBatcher.js');
+
+describe('WarehouseBatcherService', () => {
+  let batcher;
+  let writer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    writer = jest.fn().mockResolvedValue(undefined);
+    batcher = new WarehouseBatcherService();
+    batcher.registerWriter('snowflake', writer);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should write the rows of one table together when the window closes', async () => {
+    const first = batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-1', event: 'click' }, { windowMs: 1000 });
+    const second = batcher.add('snowflake', { table: 'EVENTS' }, { event: 'scroll', uid: 'user-2' }, { windowMs: 1000, insertId: 'row-2' });
+
+    expect(batcher.pending()).toBe(2);
+    expect(writer).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(writer).toHaveBeenCalledTimes(1);
+    expect(writer).toHaveBeenCalledWith({ table: 'EVENTS' }, [
+      { uid: 'user-1', event: 'click' },
+      { event: 'scroll', uid: 'user-2' }
+    ], { insertIds: [undefined, 'row-2'] });
+    await expect(first).resolves.toEqual({ batchSize: 2 });
+    await expect(second).resolves.toEqual({ batchSize: 2 });
+    expect(batcher.pending()).toBe(0);
+  });
+
+  it('should write early once a batch is full', async () => {
+    batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-1' }, { maxRows: 2 });
+    const second = batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-2' }, { maxRows: 2 });
+
+    await expect(second).resolves.toEqual({ batchSize: 2 });
+    expect(writer).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep separate batches per table and column set', async () => {
+    batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-1' });
+    batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-2', sku: 'SKU-1' });
+    batcher.add('snowflake', { table: 'ORDERS' }, { uid: 'user-3' });
+
+    expect(await batcher.flushAll()).toEqual([
+      { rows: 1, failed: 0 },
+      { rows: 1, failed: 0 },
+      { rows: 1, failed: 0 }
+    ]);
+    expect(writer).toHaveBeenCalledTimes(3);
+  });
+
+  it('should only fail the rows the writer reports as rejected', async () => {
+    const rejected = new Error('Could not parse value');
+    writer.mockResolvedValueOnce({ failed: [{ index: 1, error: rejected }] });
+
+    const first = batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-1' });
+    const second = batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-2' });
+    const summary = await batcher.flushAll();
+
+    await expect(first).resolves.toEqual({ batchSize: 2 });
+    await expect(second).rejects.toBe(rejected);
+    expect(summary).toEqual([{ rows: 2, failed: 1 }]);
+  });
+
+  it('should write rows one by one when the destination rejects the batch', async () => {
+    const rejected = Object.assign(new Error('Numeric value \'abc\' is not recognized'), { status: 400 });
+    writer.mockImplementation(async (target, rows) => {
+      if (rows.some(row => row.qty === 'abc')) {
+        throw rejected;
+      }
+    });
+
+    const first = batcher.add('snowflake', { table: 'EVENTS' }, { qty: 1 });
+    const second = batcher.add('snowflake', { table: 'EVENTS' }, { qty: 'abc' });
+    await batcher.flushAll();
+
+    await expect(first).resolves.toEqual({ batchSize: 1 });
+    await expect(second).rejects.toBe(rejected);
+    expect(writer).toHaveBeenCalledTimes(3);
+  });
+
+  it('should fail every row when the batch can be retried', async () => {
+    const outage = new Error('Network error: could not connect to Snowflake');
+    writer.mockRejectedValueOnce(outage);
+
+    const first = batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-1' });
+    const second = batcher.add('snowflake', { table: 'EVENTS' }, { uid: 'user-2' });
+    await batcher.flushAll();
+
+    await expect(first).rejects.toBe(outage);
+    await expect(second).rejects.toBe(outage);
+    expect(writer).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject rows for destinations without a writer', async () => {
+    await expect(batcher.add('redshift', { table: 'EVENTS' }, { uid: 'user-1' }))
+      .rejects.toThrow('No batch writer registered for destination "redshift"');
+    expect(batcher.pending()).toBe(0);
+  });
+});
@@ -58,6 +58,19 @@ jest.unstable_mockModule('../../errorHandler.js', () => ({
   }))
 }));
 
+const mockIdempotencyCache = {
+  config: { enabled: true, lockMs: 60000 },
+  reserve: jest.fn(),
+  renew: jest.fn(),
+  get: jest.fn(),
+  complete: jest.fn(),
+  release: jest.fn()
+};
+
+jest.unstable_mockModule('../../idempotencyCache.js', () => ({
+  default: mockIdempotencyCache
+}));
+
 // Now import modules after all mocks are set up
 const { default: WebhookBase } = await import('../../webhookBase.js');
 const { Logger } = await import('../../loggerFramework.js');
@@ -311,6 +324,182 @@ describe('WebhookBase', () => {
     });
   });
   
+  describe('parseSessionUrl', () => {
+    it('should read user and session IDs from replay URLs and references', () => {
+      const expected = { userId: '111', sessionId: '222' };
+      
+      expect(webhook.parseSessionUrl('https://app.fullstory.com/ui/o-1/session/111%3A222')).toEqual(expected);
+      expect(webhook.parseSessionUrl('<https://app.fullstory.com/ui/o-1/session/111:222?t=5|replay>')).toEqual(expected);
+      expect(webhook.parseSessionUrl('111:222')).toEqual(expected);
+    });
+    
+    it('should return null for values that are not session references', () => {
+      expect(webhook.parseSessionUrl(undefined)).toBeNull();
+      expect(webhook.parseSessionUrl('https://app.fullstory.com/ui/o-1/home')).toBeNull();
+      expect(webhook.parseSessionUrl('111:')).toBeNull();
+    });
+  });
+  
+  describe('getIdempotencyKey', () => {
+    const body = {
+      name: 'checkout',
+      user: { id: 'user-1' },
+      properties: { session_id: 'session-1' }
+    };
+    const request = (headers, path = '/makeJiraTicket') => ({
+      headers,
+      body,
+      baseUrl: '/webhook',
+      path
+    });
+    
+    it('should derive the same key for repeat deliveries of a signed event', () => {
+      const headers = { 'fullstory-signature': 'v:abc,o:org,t:1700000000' };
+      
+      const key = webhook.getIdempotencyKey(request(headers));
+      
+      expect(key).toMatch(/^idempotency:[0-9a-f]{64}$/);
+      expect(webhook.getIdempotencyKey(request(headers))).toBe(key);
+    });
+    
+    it('should derive different keys for different timestamps or routes', () => {
+      const key = webhook.getIdempotencyKey(request({ 'fullstory-signature': 'v:abc,o:org,t:1' }));
+      
+      expect(webhook.getIdempotencyKey(request({ 'fullstory-signature': 'v:abc,o:org,t:2' }))).not.toBe(key);
+      expect(webhook.getIdempotencyKey(request({ 'fullstory-signature': 'v:abc,o:org,t:1' }, '/slackHook'))).not.toBe(key);
+    });
+    
+    it('should prefer an explicit Idempotency-Key header', () => {
+      const key = webhook.getIdempotencyKey(request({ 'idempotency-key': 'abc-123' }));
+      const signedKey = webhook.getIdempotencyKey(request({
+        'idempotency-key': 'abc-123',
+        'fullstory-signature': 'v:abc,o:org,t:1'
+      }));
+      
+      expect(key).toBe(signedKey);
+    });
+    
+    it('should return null when the request cannot be identified', () => {
+      expect(webhook.getIdempotencyKey(request({}))).toBeNull();
+    });
+  });
+  
+  describe('createIdempotencyMiddleware', () => {
+    let middleware;
+    let req;
+    let res;
+    let next;
+    let closeHandler;
+    
+    beforeEach(() => {
+      middleware = webhook.createIdempotencyMiddleware();
+      req = {
+        headers: { 'idempotency-key': 'abc-123' },
+        body: {},
+        baseUrl: '/webhook',
+        path: '/slackHook',
+        originalUrl: '/webhook/slackHook'
+      };
+      res = {
+        statusCode: 200,
+        writableFinished: true,
+        set: jest.fn(),
+        status: jest.fn().mockImplementation(code => {
+          res.statusCode = code;
+          return res;
+        }),
+        json: jest.fn().mockReturnThis(),
+        end: jest.fn().mockReturnThis(),
+        on: jest.fn().mockImplementation((event, handler) => {
+          closeHandler = handler;
+        })
+      };
+      next = jest.fn();
+    });
+    
+    it('should process first deliveries and store the response', async () => {
+      mockIdempotencyCache.reserve.mockResolvedValue(true);
+      
+      await middleware(req, res, next);
+      res.json({ success: true });
+      closeHandler();
+      
+      expect(next).toHaveBeenCalled();
+      expect(mockIdempotencyCache.complete).toHaveBeenCalledWith(
+        expect.stringMatching(/^idempotency:/),
+        { statusCode: 200, body: { success: true } }
+      );
+    });
+    
+    it('should release the key when the handler fails', async () => {
+      mockIdempotencyCache.reserve.mockResolvedValue(true);
+      
+      await middleware(req, res, next);
+      res.statusCode = 500;
+      closeHandler();
+      
+      expect(mockIdempotencyCache.release).toHaveBeenCalled();
+      expect(mockIdempotencyCache.complete).not.toHaveBeenCalled();
+    });
+    
+    it('should keep the key while the handler runs longer than the lock', async () => {
+      jest.useFakeTimers();
+      try {
+        mockIdempotencyCache.reserve.mockResolvedValue(true);
+        
+        await middleware(req, res, next);
+        jest.advanceTimersByTime(150000);
+        
+        expect(mockIdempotencyCache.renew).toHaveBeenCalledTimes(5);
+        expect(mockIdempotencyCache.renew).toHaveBeenCalledWith(expect.stringMatching(/^idempotency:/));
+        
+        res.json({ success: true });
+        closeHandler();
+        jest.advanceTimersByTime(150000);
+        
+        expect(mockIdempotencyCache.renew).toHaveBeenCalledTimes(5);
+        expect(mockIdempotencyCache.complete).toHaveBeenCalled();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+    
+    it('should return the stored response for repeat deliveries', async () => {
+      mockIdempotencyCache.reserve.mockResolvedValue(false);
+      mockIdempotencyCache.get.mockResolvedValue({
+        state: 'completed',
+        statusCode: 200,
+        body: { success: true, data: { ticketKey: 'TEST-1' } }
+      });
+      
+      await middleware(req, res, next);
+      
+      expect(next).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { ticketKey: 'TEST-1' } });
+    });
+    
+    it('should answer 409 while the original delivery is processing', async () => {
+      mockIdempotencyCache.reserve.mockResolvedValue(false);
+      mockIdempotencyCache.get.mockResolvedValue({ state: 'processing' });
+      
+      await middleware(req, res, next);
+      
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+    
+    it('should pass through requests without an idempotency key', async () => {
+      req.headers = {};
+      
+      await middleware(req, res, next);
+      
+      expect(next).toHaveBeenCalled();
+      expect(mockIdempotencyCache.reserve).not.toHaveBeenCalled();
+    });
+  });
+  
   describe('createSuccessResponse', () => {
     it('should create standard success response with default message', () => {
       const data = { key: 'value' };
@@ -180,12 +180,13 @@ jest.unstable_mockModule('../../GoogleCloud.js', () => ({
 
 // bigQuery is part of GoogleCloud.js, already mocked above
 
-jest.unstable_mockModule('../../Atlassian.js', () => ({
-  default: {
+jest.unstable_mockModule('../../Atlassian.js', () => {
+  const jira = {
     createTicket: jest.fn().mockResolvedValue({ key: 'TEST-123', id: '12345' }),
     jira_base_url: 'https://test-jira.atlassian.net'
-  }
-}));
+  };
+  return { default: jira, jira };
+});
 
 jest.unstable_mockModule('../../konbini.js', () => ({
   default: {
@@ -216,11 +217,27 @@ jest.unstable_mockModule('../../konbini.js', () => ({
 
 jest.unstable_mockModule('../../Snowflake.js', () => ({
   default: {
-    withConnection: jest.fn().mockImplementation(async (callback) => {
-      await callback({
-        executeQuery: jest.fn().mockResolvedValue({ rowCount: 1 })
-      });
-    })
+    executeStatement: jest.fn().mockResolvedValue([{ 'number of rows inserted': 1 }])
+  }
+}));
+
+jest.unstable_mockModule('../../deliveryQueue.js', () => ({
+  default: {
+    registerDeliverer: jest.fn(),
+    deliver: jest.fn()
+  }
+}));
+
+jest.unstable_mockModule('../../slackDigest.js', () => ({
+  default: {
+    add: jest.fn()
+  }
+}));
+
+jest.unstable_mockModule('../../warehouseBatcher.js', () => ({
+  default: {
+    registerWriter: jest.fn(),
+    add: jest.fn()
   }
 }));
 
@@ -0,0 +1,186 @@
+/**
+ * Warehouse Batcher - Collects warehouse rows into multi-row inserts
+ * Routes with `batch` add their row to a batch for its table instead of running
+ * one insert per webhook; a batch is written when it is full or its window
+ * closes, and each waiting request learns whether its own row was written
+ */
+import { Logger } from './loggerFramework.js';
+import config from './config.js';
+import serviceRegistry from './serviceRegistry.js';
+import deliveryQueue from './deliveryQueue.js';
+
+/**
+ * In-memory row batches, one per destination table and column set
+ */
+class WarehouseBatcherService {
+  constructor(configInstance = config) {
+    this.logger = new Logger('WarehouseBatcher');
+
+    this.config = {
+      maxRows: configInstance.getNumber('warehouse_batch_max_rows', 500), // Writes early once a batch holds this many rows
+      windowMs: configInstance.getNumber('warehouse_batch_window_ms', 1000) // How long the first row of a batch waits
+    };
+
+    // Destination -> batch writer
+    this.writers = new Map();
+
+    // Batch key -> { destination, target, entries, maxRows, timer }
+    this.buffers = new Map();
+  }
+
+  /**
+   * Register the function that writes a batch to a destination
+   * The writer receives `(target, rows, { insertIds })` and resolves to
+   * `{ failed: [{ index, error }] }` for rows the destination rejected, or
+   * throws if the batch as a whole was not written
+   * @param {string} destination - Destination name
+   * @param {Function} writer - Async batch writer
+   */
+  registerWriter(destination, writer) {
+    this.writers.set(destination, writer);
+  }
+
+  /**
+   * Add a row to the batch for its table, opening the batch window on the first row
+   * Rows are batched by destination, target and column names, so every batch is
+   * written as one insert
+   * @param {string} destination - Registered destination name
+   * @param {Object} target - JSON-serializable table the writer inserts into
+   * @param {Object} row - Row keyed by column name
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.maxRows] - Rows that write the batch before the window closes
+   * @param {number} [options.windowMs] - How long the first row of a batch waits
+   * @param {string} [options.insertId] - Deduplication ID passed to the writer with the row
+   * @returns {Promise<Object>} `{ batchSize }` once the batch holding the row is written
+   * @throws {Error} If the row was not written
+   */
+  add(destination, target, row, options = {}) {
+    if (!this.writers.has(destination)) {
+      return Promise.reject(new Error(`No batch writer registered for destination "${destination}"`));
+    }
+
+    const key = [destination, JSON.stringify(target), Object.keys(row).sort().join(',')].join('|');
+    let buffer = this.buffers.get(key);
+
+    if (!buffer) {
+      buffer = {
+        destination,
+        target,
+        entries: [],
+        maxRows: options.maxRows ?? this.config.maxRows
+      };
+      buffer.timer = setTimeout(() => {
+        this.flush(key);
+      }, options.windowMs ?? this.config.windowMs);
+      // Don't keep the process alive for a pending batch
+      buffer.timer.unref?.();
+      this.buffers.set(key, buffer);
+    }
+
+    const written = new Promise((resolve, reject) => {
+      buffer.entries.push({ row, insertId: options.insertId, resolve, reject });
+    });
+
+    if (buffer.entries.length >= buffer.maxRows) {
+      this.logger.debug('Warehouse batch is full, writing early', { destination, rows: buffer.entries.length });
+      this.flush(key);
+    }
+
+    return written;
+  }
+
+  /**
+   * Write a batch and settle the requests waiting for its rows
+   * @param {string} key - Batch key
+   * @returns {Promise<Object|null>} `{ rows, failed }`, or null if there was no batch
+   */
+  async flush(key) {
+    const buffer = this.buffers.get(key);
+    if (!buffer) {
+      return null;
+    }
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(key);
+
+    const failed = await this._writeEntries(buffer, buffer.entries);
+
+    const summary = { rows: buffer.entries.length, failed };
+    if (failed > 0) {
+      this.logger.warn(`Failed to write ${failed} of ${summary.rows} batched ${buffer.destination} rows`, { target: buffer.target });
+    } else {
+      this.logger.info(`Wrote ${summary.rows} batched ${buffer.destination} rows`, { target: buffer.target });
+    }
+    return summary;
+  }
+
+  /**
+   * Write every pending batch, e.g. before shutting down
+   * @returns {Promise<Array<Object|null>>} Batch summaries
+   */
+  async flushAll() {
+    return Promise.all([...this.buffers.keys()].map(key => this.flush(key)));
+  }
+
+  /**
+   * Number of rows waiting for their batch to be written
+   * @returns {number} Pending rows across all batches
+   */
+  pending() {
+    return [...this.buffers.values()].reduce((total, buffer) => total + buffer.entries.length, 0);
+  }
+
+  /**
+   * Write rows of a batch with the destination writer and settle their requests
+   * A rejected row can fail a whole insert statement; when the destination
+   * rejects a batch for good, its rows are written one by one so only the
+   * rejected rows fail. Failures worth retrying fail every row of the batch
+   * @param {Object} buffer - Batch
+   * @param {Array<Object>} entries - Batch entries to write
+   * @returns {Promise<number>} Rows that were not written
+   * @private
+   */
+  async _writeEntries(buffer, entries) {
+    const writer = this.writers.get(buffer.destination);
+
+    let result;
+    try {
+      result = await writer(buffer.target, entries.map(entry => entry.row), {
+        insertIds: entries.map(entry => entry.insertId)
+      });
+    } catch (error) {
+      if (entries.length > 1 && !deliveryQueue.isRetryable(error)) {
+        this.logger.warn(`Batched ${buffer.destination} insert was rejected, writing its ${entries.length} rows one by one`, {
+          error: error.message
+        });
+        let failed = 0;
+        for (const entry of entries) {
+          failed += await this._writeEntries(buffer, [entry]);
+        }
+        return failed;
+      }
+
+      entries.forEach(entry => entry.reject(error));
+      return entries.length;
+    }
+
+    const rowErrors = new Map((result?.failed ?? []).map(({ index, error }) => [index, error]));
+    entries.forEach((entry, index) => {
+      if (rowErrors.has(index)) {
+        entry.reject(rowErrors.get(index));
+      } else {
+        entry.resolve({ batchSize: entries.length });
+      }
+    });
+    return rowErrors.size;
+  }
+}
+
+// Create singleton instance
+const warehouseBatcher = new WarehouseBatcherService();
+
+// Register in the service registry
+serviceRegistry.register('warehouseBatcher', warehouseBatcher);
+
+export default warehouseBatcher;
+export { WarehouseBatcherService };
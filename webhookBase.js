@@ -1,7 +1,46 @@
+import crypto from 'crypto';
 import { format } from 'date-fns';
 import { Logger } from './loggerFramework.js';
 import { ErrorHandler } from './errorHandler.js';
 import serviceRegistry from './serviceRegistry.js';
+import idempotencyCache from './idempotencyCache.js';
+
+/**
+ * Derive the idempotency key for a Fullstory webhook request
+ * Uses the `Idempotency-Key` header when present, otherwise the Fullstory
+ * signature timestamp with the event name, user ID and session ID.
+ * Keys are scoped to the request path so one event can feed several routes.
+ * Signature verification uses the same key to recognize redeliveries.
+ * @param {Object} req - Express request
+ * @returns {string|null} Idempotency key, or null if the request can't be identified
+ */
+function getWebhookIdempotencyKey(req) {
+  const explicitKey = req.headers?.['idempotency-key'];
+  let parts;
+
+  if (explicitKey) {
+    parts = ['header', explicitKey];
+  } else {
+    const timestamp = req.headers?.['fullstory-signature']?.match(/(?:^|,)t:([^,]+)/)?.[1];
+    if (!timestamp) {
+      return null;
+    }
+
+    const body = req.body ?? {};
+    parts = [
+      'signature',
+      timestamp,
+      body.name ?? 'Undefined',
+      body.user?.id ?? 'Undefined',
+      body.properties?.session_id ?? 'Undefined'
+    ];
+  }
+
+  const hash = crypto.createHash('sha256')
+    .update([`${req.baseUrl ?? ''}${req.path ?? ''}`, ...parts].join('|'))
+    .digest('hex');
+  return `idempotency:${hash}`;
+}
 
 /**
  * Base class for all webhook handlers
@@ -143,6 +182,111 @@ class WebhookBase {
     return null;
   }
 
+  /**
+   * Extract the user and session IDs from a Fullstory session URL or `userId:sessionId`
+   * @param {string} [value] - Session URL, optionally wrapped in `<...>` as Slack sends links
+   * @returns {Object|null} `{ userId, sessionId }`, or null if the value is not a session reference
+   */
+  parseSessionUrl(value) {
+    if (typeof value !== 'string' || value === '') {
+      return null;
+    }
+
+    const unwrapped = value.replace(/^<([^|>]+)(\|[^>]*)?>$/, '$1');
+    const reference = unwrapped.match(/\/session\/([^/?#]+)/)?.[1] ?? unwrapped;
+
+    let decoded;
+    try {
+      decoded = decodeURIComponent(reference);
+    } catch {
+      return null;
+    }
+
+    const separator = decoded.lastIndexOf(':');
+    if (separator <= 0 || separator === decoded.length - 1 || decoded.includes('/')) {
+      return null;
+    }
+    return { userId: decoded.slice(0, separator), sessionId: decoded.slice(separator + 1) };
+  }
+
+  /**
+   * Derive the idempotency key for a webhook request
+   * @param {Object} req - Express request
+   * @returns {string|null} Idempotency key, or null if the request can't be identified
+   * @see getWebhookIdempotencyKey
+   */
+  getIdempotencyKey(req) {
+    return getWebhookIdempotencyKey(req);
+  }
+
+  /**
+   * Create middleware that deduplicates repeat deliveries of a webhook
+   * The first delivery runs normally and its response is cached; repeats get the
+   * cached response, or 409 while the first delivery is still processing.
+   * Server errors are not cached so the sender's retry runs again.
+   * @returns {Function} Express middleware
+   */
+  createIdempotencyMiddleware() {
+    return async (req, res, next) => {
+      if (!idempotencyCache.config.enabled) {
+        return next();
+      }
+
+      const key = this.getIdempotencyKey(req);
+      if (!key) {
+        return next();
+      }
+
+      if (!(await idempotencyCache.reserve(key))) {
+        const cached = await idempotencyCache.get(key);
+
+        if (cached?.state === 'completed') {
+          this.logger.info('Returning stored response for repeated webhook delivery', {
+            path: req.originalUrl,
+            statusCode: cached.statusCode
+          });
+          res.set('Idempotent-Replayed', 'true');
+          res.status(cached.statusCode);
+          return cached.body === undefined ? res.end() : res.json(cached.body);
+        }
+
+        this.logger.warn('Repeated webhook delivery while the original is still processing', {
+          path: req.originalUrl
+        });
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this idempotency key is already being processed'
+        });
+      }
+
+      // Renew the claim until the response is sent, so a slow delivery does not
+      // let a redelivery run the side effects again
+      const renewal = setInterval(() => {
+        idempotencyCache.renew(key);
+      }, idempotencyCache.config.lockMs / 2);
+      renewal.unref?.();
+
+      // Capture the response body so it can be returned to repeat deliveries
+      let body;
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        body = payload;
+        return json(payload);
+      };
+
+      res.on('close', () => {
+        clearInterval(renewal);
+        if (!res.writableFinished || res.statusCode >= 500) {
+          idempotencyCache.release(key);
+        } else {
+          idempotencyCache.complete(key, { statusCode: res.statusCode, body });
+        }
+      });
+
+      return next();
+    };
+  }
+
   /**
    * Create standard success response
    * @param {Object} data - Response data
@@ -242,3 +386,4 @@ class WebhookBase {
 }
 
 export default WebhookBase;
+export { getWebhookIdempotencyKey };
@@ -3,6 +3,7 @@
  * Routes incoming webhook data to appropriate services
  */
 import express from 'express';
+import { createHash } from 'crypto';
 import { format } from 'date-fns';
 import config from './config.js';
 import { Logger, LOG_LEVELS } from './loggerFramework.js';
@@ -12,158 +13,1902 @@ import WebhookBase from './webhookBase.js';
 // Import connector modules 
 import slack from './Slack.js';
 import googleCloud from './GoogleCloud.js';
-import atlassian from './Atlassian.js';
+import { jira as atlassian } from './Atlassian.js';
 import Fullstory from './Fullstory.js';
 import snowflake from './Snowflake.js';
 import konbini from './konbini.js';
 import middleware from './middleware.js';
+import routeRegistry from './routeRegistry.js';
+import deliveryQueue from './deliveryQueue.js';
+import ruleEngine, { resolvePath } from './ruleEngine.js';
+import templateEngine from './templateEngine.js';
+import slackDigest from './slackDigest.js';
+import warehouseBatcher from './warehouseBatcher.js';
+import jiraIssueTemplates from './jiraIssueTemplates.js';
+import jiraTickets from './jiraTickets.js';
+
+/**
+ * Enrichment steps available to declarative routes, mapped to router methods
+ */
+const ENRICHMENT_STEPS = {
+  fullstorySession: '_enrichFullstorySession',
+  sessionLink: '_enrichSessionLink',
+  rundown: '_enrichRundown',
+  properties: '_enrichProperties'
+};
+
+/**
+ * Destinations available to declarative routes, mapped to router methods
+ */
+const DESTINATIONS = {
+  slack: '_deliverToSlack',
+  slackAI: '_deliverToSlackAI',
+  fusion: '_deliverToFusion',
+  googleSheets: '_deliverToGoogleSheets',
+  jira: '_deliverToJira',
+  snowflake: '_deliverToSnowflake',
+  bigQuery: '_deliverToBigQuery',
+  http: '_deliverToHttp'
+};
+
+/**
+ * Options each declarative destination needs, from the route or its fan-out step
+ */
+const DESTINATION_REQUIRED_OPTIONS = {
+  snowflake: ['table', 'columns'],
+  bigQuery: ['table', 'columns'],
+  http: ['url']
+};
+
+/**
+ * Shape a rendered `template` option must have for each destination that supports one
+ * Slack templates are the message body, Jira templates are merged into the issue
+ * fields, Google Sheets templates are the row (cells in column order, or a
+ * record keyed by header name) and HTTP templates are the request body
+ */
+const DESTINATION_TEMPLATES = {
+  slack: 'object',
+  slackAI: 'object',
+  jira: 'object',
+  googleSheets: 'row',
+  http: 'any'
+};
+
+/**
+ * Sheet columns Google Sheets routes fill by default, by header name, with the
+ * route data field each column holds
+ */
+const SHEETS_DEFAULT_COLUMNS = {
+  DisplayName: 'display_name',
+  UserID: 'uid',
+  Email: 'email',
+  ReplayURL: 'replay_url',
+  SessionSummary: 'session_summary',
+  SessionID: 'session_id',
+  TimeStamp: 'timestamp',
+  Webhookname: 'event_name',
+  APIVersion: 'api_version',
+  WebhookVersion: 'signal_version'
+};
+
+/**
+ * Longest Google Sheets tab name
+ */
+const SHEETS_TAB_NAME_LIMIT = 100;
+
+/**
+ * How BigQuery routes insert rows: a parameterized INSERT job, or the streaming API
+ */
+const BIGQUERY_INSERT_MODES = ['dml', 'streaming'];
+
+/**
+ * BigQuery route options that only apply to streaming inserts
+ */
+const BIGQUERY_STREAMING_OPTIONS = ['schema', 'insertIdField', 'partitionField'];
+
+/**
+ * When requests to a batched warehouse route are answered: once their batch is
+ * written, or as soon as their row is added to it
+ */
+const WAREHOUSE_BATCH_ACKS = ['wait', 'async'];
+
+/**
+ * SQLSTATE classes of Snowflake errors caused by the statement or its values
+ * (data exceptions, constraint violations, syntax and access errors), which
+ * fail the same way when retried
+ */
+const SNOWFLAKE_PERMANENT_SQL_STATES = ['22', '23', '42'];
+
+/**
+ * Deliverers registered with the delivery queue, mapped to router methods
+ * Each receives a JSON-serializable payload so failed deliveries can be retried
+ */
+const DELIVERERS = {
+  slack: '_sendSlackWebhook',
+  slackAI: '_sendSlackAIWebhook',
+  fusion: '_postFusionEvent',
+  googleSheets: '_writeSheetsRows',
+  jira: '_createJiraTicket',
+  snowflake: '_executeSnowflakeInsert',
+  bigQuery: '_executeBigQueryInsert',
+  http: '_sendHttpRequest'
+};
+
+/**
+ * Destination each dedicated handler delivers to, whose route options it accepts
+ */
+const HANDLER_DESTINATIONS = {
+  handleSlackHook: 'slack',
+  handleSlackHookAI: 'slackAI',
+  handleGoogleSheets: 'googleSheets',
+  handleJiraTicket: 'jira',
+  handleSnowflakeUpdate: 'snowflake',
+  handleBigQueryUpdate: 'bigQuery'
+};
+
+/**
+ * Route option validators, mapped to the options that trigger them
+ * Each runs when any of its options is set on a route or destination step and
+ * receives the route path, the destination and the options
+ */
+const OPTION_VALIDATORS = {
+  _validateTemplate: ['template'],
+  _validateDigest: ['digest'],
+  _validateDedupe: ['dedupe'],
+  _validateIssueTemplates: ['issueTemplates'],
+  _validateAttachEvidence: ['attachEvidence'],
+  _validateUpsertKey: ['upsertKey'],
+  _validateSheetsTab: ['tab'],
+  _validateBigQueryMode: ['mode', ...BIGQUERY_STREAMING_OPTIONS],
+  _validateWarehouseBatch: ['batch']
+};
+
+/**
+ * Batch writers registered with the warehouse batcher, mapped to router methods
+ */
+const BATCH_WRITERS = {
+  snowflake: '_writeSnowflakeBatch',
+  bigQuery: '_writeBigQueryBatch'
+};
+
+/**
+ * Data fields a Jira duplicate fingerprint is built from unless the route or
+ * `JIRA_DEDUPE_FIELDS` names others
+ */
+const JIRA_FINGERPRINT_FIELDS = ['event_name', 'uid'];
+
+/**
+ * Route options each dedicated handler needs in its route definition
+ */
+const HANDLER_REQUIRED_OPTIONS = {
+  handleSnowflakeUpdate: ['table', 'columns'],
+  handleBigQueryUpdate: ['table', 'columns']
+};
 
 /**
  * WebhookRouter class for organizing webhook endpoint handlers
  */
 class WebhookRouter extends WebhookBase {
   /**
-   * Initialize webhook router
+   * Initialize webhook router
+   */
+  constructor() {
+    super('Router');
+    this.router = express.Router();
+    this.jsonParser = express.json();
+    
+    try {
+      // Validate critical configuration on startup
+      this._validateCriticalConfig();
+      
+      // Configure all routes
+      this.configureRoutes();
+      
+      this.logger.info('WebhookRouter initialized successfully');
+    } catch (error) {
+      this.logger.error('Error initializing WebhookRouter', error);
+      throw new Error(`Failed to initialize WebhookRouter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate critical configuration needed for webhook processing
+   * @private
+   */
+  _validateCriticalConfig() {
+    // List of critical configurations to check
+    // Amend as needed
+    const criticalConfigs = [
+      { key: 'fs_org_api_key', name: 'Fullstory API key' },
+      { key: 'fullstory_token', name: 'Fullstory token' },
+      { key: 'fullstory_org_id', name: 'Fullstory org ID' }
+    ];
+    
+    const missingConfigs = criticalConfigs
+      .filter(item => !config.get(item.key))
+      .map(item => item.name);
+    
+    if (missingConfigs.length > 0) {
+      throw new Error(`Missing critical configuration: ${missingConfigs.join(', ')}`);
+    }
+  }
+
+  /**
+   * Configure routes for the router from the route registry
+   * @private
+   */
+  configureRoutes() {
+    // Register destination deliverers so failed deliveries can be retried
+    for (const [destination, method] of Object.entries(DELIVERERS)) {
+      deliveryQueue.registerDeliverer(destination, payload => this[method](payload));
+    }
+
+    // Register warehouse batch writers for routes that batch their rows
+    for (const [destination, method] of Object.entries(BATCH_WRITERS)) {
+      warehouseBatcher.registerWriter(destination, (target, rows, meta) => this[method](target, rows, meta));
+    }
+
+    // Load named payload templates before the routes that reference them
+    const templatesFile = config.get('webhook_templates_file');
+    if (templatesFile) {
+      templateEngine.loadFromFile(templatesFile);
+    }
+
+    // Load per-event Jira issue templates
+    const issueTemplatesFile = config.get('jira_issue_templates_file');
+    if (issueTemplatesFile) {
+      jiraIssueTemplates.loadFromFile(issueTemplatesFile);
+    }
+
+    // Check the default Google Sheets tab pattern before any route uses it
+    const tabPattern = config.get('google_sheets_tab_pattern');
+    if (tabPattern) {
+      this._validateTabPattern('GOOGLE_SHEETS_TAB_PATTERN', tabPattern);
+    }
+
+    // Load additional route definitions if a routes file is configured
+    const routesFile = config.get('webhook_routes_file');
+    if (routesFile) {
+      routeRegistry.loadFromFile(routesFile);
+    }
+
+    // Apply webhook rate limiting and delivery deduplication to all routes
+    const webhookRateLimit = middleware.createWebhookRateLimit();
+    const idempotency = this.createIdempotencyMiddleware();
+
+    routeRegistry.list().forEach(definition => {
+      const chain = [this.jsonParser, webhookRateLimit, idempotency];
+
+      if (definition.requiredFields?.length) {
+        chain.push(middleware.validateJsonFields(definition.requiredFields));
+      }
+
+      if (definition.when) {
+        chain.push(this.createRouteGuard(definition));
+      }
+
+      chain.push(this.createRouteHandler(definition));
+      this.router.post(definition.path, ...chain);
+
+      this.logger.debug('Configured webhook route', {
+        path: definition.path,
+        target: definition.handler || definition.destination || 'fan-out'
+      });
+    });
+    
+    // Error handling middleware
+    this.router.use((err, req, res, next) => {
+      this.logger.error('Webhook router error', err);
+      res.status(500).json(this.errorHandler.handleError(err, 'Router middleware'));
+    });
+  }
+
+  /**
+   * Create the Express handler for a route definition
+   * @param {Object} definition - Route definition from the route registry
+   * @returns {Function} Express request handler
+   * @throws {Error} If the definition references an unknown handler, step or destination
+   */
+  createRouteHandler(definition) {
+    if (definition.handler) {
+      const handler = this[definition.handler];
+      if (typeof handler !== 'function') {
+        throw new Error(`Unknown handler "${definition.handler}" for route ${definition.path}`);
+      }
+
+      const missingOptions = (HANDLER_REQUIRED_OPTIONS[definition.handler] || [])
+        .filter(option => definition.options?.[option] === undefined);
+      if (missingOptions.length > 0) {
+        throw new Error(`Route ${definition.path} is missing required options: ${missingOptions.join(', ')}`);
+      }
+
+      this._validateOptions(definition.path, HANDLER_DESTINATIONS[definition.handler] ?? definition.handler, definition.options);
+      return (req, res) => handler.call(this, req, res, definition);
+    }
+
+    const steps = this._getDestinationSteps(definition);
+    steps.forEach(({ destination, options }, index) => {
+      if (!DESTINATIONS[destination]) {
+        throw new Error(`Unknown destination "${destination}" for route ${definition.path}`);
+      }
+
+      const missingOptions = (DESTINATION_REQUIRED_OPTIONS[destination] || [])
+        .filter(option => options?.[option] === undefined);
+      if (missingOptions.length > 0) {
+        throw new Error(`Route ${definition.path} destination "${destination}" is missing required options: ${missingOptions.join(', ')}`);
+      }
+
+      this._validateMessageReferences(definition, destination, options, steps.slice(0, index));
+      this._validateOptions(definition.path, destination, options);
+    });
+
+    const unknownSteps = (definition.enrich || []).filter(step => !ENRICHMENT_STEPS[step]);
+    if (unknownSteps.length > 0) {
+      throw new Error(`Unknown enrichment steps for route ${definition.path}: ${unknownSteps.join(', ')}`);
+    }
+
+    return (req, res) => this.handleDeclarativeRoute(req, res, definition);
+  }
+
+  /**
+   * Run the validator of every option set on a route or destination step
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the options are set on
+   * @param {Object} [options] - Route or destination step options
+   * @throws {Error} If an option is malformed or not supported by the destination
+   * @private
+   */
+  _validateOptions(path, destination, options = {}) {
+    for (const [method, triggers] of Object.entries(OPTION_VALIDATORS)) {
+      if (triggers.some(option => options[option] !== undefined)) {
+        this[method](path, destination, options);
+      }
+    }
+  }
+
+  /**
+   * Check that a route template exists, compiles and renders to the shape its destination expects
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the template is rendered for
+   * @param {Object} options - Route or destination step options, with `template`
+   *   holding a template name or inline template
+   * @throws {Error} If the template is invalid or the destination does not support templates
+   * @private
+   */
+  _validateTemplate(path, destination, { template: reference }) {
+    const shape = DESTINATION_TEMPLATES[destination];
+    if (!shape) {
+      throw new Error(`Route ${path} does not support templates`);
+    }
+
+    let template;
+    try {
+      template = templateEngine.resolve(reference);
+    } catch (error) {
+      throw new Error(`Route ${path} has an invalid template: ${error.message}`);
+    }
+
+    const isArray = Array.isArray(template.source);
+    const isObject = typeof template.source === 'object' && template.source !== null && !isArray;
+    if (shape === 'row' && !isArray && !isObject) {
+      throw new Error(`Route ${path} template for ${destination} must be an array or an object`);
+    }
+    if ((shape === 'array' && !isArray) || (shape === 'object' && !isObject)) {
+      throw new Error(`Route ${path} template for ${destination} must be an ${shape}`);
+    }
+  }
+
+  /**
+   * Check the `thread` and `update` options of a Slack destination step
+   * Both name an earlier step of a sequence fan-out whose Slack message the
+   * step replies under or replaces
+   * @param {Object} definition - Route definition from the route registry
+   * @param {string} destination - Destination of the step
+   * @param {Object} options - Step options
+   * @param {Array<Object>} earlierSteps - Steps that run before this one
+   * @throws {Error} If a reference is unsupported or does not name an earlier Slack step
+   * @private
+   */
+  _validateMessageReferences(definition, destination, options = {}, earlierSteps) {
+    for (const option of ['thread', 'update']) {
+      const reference = options[option];
+      if (reference === undefined) {
+        continue;
+      }
+
+      if (destination !== 'slack') {
+        throw new Error(`Route ${definition.path} destination "${destination}" does not support the "${option}" option`);
+      }
+      if (definition.mode !== 'sequence') {
+        throw new Error(`Route ${definition.path} must use mode "sequence" to ${option} an earlier Slack message`);
+      }
+      if (!earlierSteps.some(step => step.name === reference && step.destination === 'slack')) {
+        throw new Error(`Route ${definition.path} option "${option}" must name an earlier slack step, got "${reference}"`);
+      }
+    }
+
+    if (options.thread !== undefined && options.update !== undefined) {
+      throw new Error(`Route ${definition.path} slack step cannot set both "thread" and "update"`);
+    }
+  }
+
+  /**
+   * Check the `digest` option of a Slack destination or the Slack handler
+   * `digest` is `true` for the default window or `{ windowMs, maxEvents, urgent }`,
+   * where `urgent` is a rule for signals that are posted immediately
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the option is set on
+   * @param {Object} options - Route or destination step options
+   * @throws {Error} If the option is malformed or not supported by the destination
+   * @private
+   */
+  _validateDigest(path, destination, options) {
+    const { digest } = options;
+
+    if (destination !== 'slack') {
+      throw new Error(`Route ${path} ${destination} does not support the "digest" option`);
+    }
+    if (digest === true) {
+      return;
+    }
+    if (typeof digest !== 'object' || digest === null || Array.isArray(digest)) {
+      throw new Error(`Route ${path} option "digest" must be true or an object`);
+    }
+
+    for (const field of ['windowMs', 'maxEvents']) {
+      if (digest[field] !== undefined && !(Number.isInteger(digest[field]) && digest[field] > 0)) {
+        throw new Error(`Route ${path} option "digest.${field}" must be a positive integer`);
+      }
+    }
+
+    if (digest.urgent !== undefined) {
+      try {
+        ruleEngine.compile(digest.urgent);
+      } catch (error) {
+        throw new Error(`Route ${path} option "digest.urgent" is not a valid rule: ${error.message}`);
+      }
+    }
+
+    if (options.thread !== undefined || options.update !== undefined) {
+      throw new Error(`Route ${path} slack step cannot combine "digest" with "thread" or "update"`);
+    }
+  }
+
+  /**
+   * Check the `dedupe` option of a Jira destination or the Jira handler
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the option is set on
+   * @param {Object} options - Route or destination step options, with `dedupe`
+   *   set to `true`, `false` or `{ fields }`
+   * @throws {Error} If the option is malformed or not supported by the destination
+   * @private
+   */
+  _validateDedupe(path, destination, { dedupe }) {
+    if (destination !== 'jira') {
+      throw new Error(`Route ${path} ${destination} does not support the "dedupe" option`);
+    }
+    if (typeof dedupe === 'boolean') {
+      return;
+    }
+
+    const { fields } = dedupe ?? {};
+    if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => typeof field !== 'string' || field.length === 0)) {
+      throw new Error(`Route ${path} option "dedupe" must be a boolean or an object with a non-empty "fields" array`);
+    }
+  }
+
+  /**
+   * Check the `issueTemplates` option of a Jira destination or the Jira handler
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the option is set on
+   * @param {Object} options - Route or destination step options, with `issueTemplates`
+   * @throws {Error} If a template is malformed or the destination does not support them
+   * @private
+   */
+  _validateIssueTemplates(path, destination, { issueTemplates: templates }) {
+    if (destination !== 'jira') {
+      throw new Error(`Route ${path} ${destination} does not support the "issueTemplates" option`);
+    }
+    if (!Array.isArray(templates) || templates.length === 0) {
+      throw new Error(`Route ${path} option "issueTemplates" must be a non-empty array`);
+    }
+
+    templates.forEach(template => {
+      try {
+        jiraIssueTemplates.compile(template);
+      } catch (error) {
+        throw new Error(`Route ${path} option "issueTemplates" is invalid: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Check the insert `mode` and streaming options of a BigQuery route
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the options are set on
+   * @param {Object} options - Route or destination step options
+   * @throws {Error} If the options are malformed or not supported by the destination
+   * @private
+   */
+  _validateBigQueryMode(path, destination, options) {
+    if (destination !== 'bigQuery') {
+      throw new Error(`Route ${path} ${destination} does not support the "mode" option or BigQuery streaming options`);
+    }
+
+    const mode = options.mode ?? 'dml';
+    if (!BIGQUERY_INSERT_MODES.includes(mode)) {
+      throw new Error(`Route ${path} option "mode" must be one of: ${BIGQUERY_INSERT_MODES.join(', ')}`);
+    }
+
+    if (mode !== 'streaming') {
+      const streamingOnly = BIGQUERY_STREAMING_OPTIONS.filter(option => options[option] !== undefined);
+      if (streamingOnly.length > 0) {
+        throw new Error(`Route ${path} options ${streamingOnly.join(', ')} need "mode": "streaming"`);
+      }
+      return;
+    }
+
+    if (String(options.table).replace(/`/g, '').split('.').length !== 2) {
+      throw new Error(`Route ${path} streams into "${options.table}", which must be a dataset.table name`);
+    }
+    if (options.schema !== undefined &&
+        (typeof options.schema !== 'object' || options.schema === null ||
+          (Array.isArray(options.schema) && !options.schema.every(field => typeof field?.name === 'string')))) {
+      throw new Error(`Route ${path} option "schema" must be an array of { name, type } fields or an object of column types`);
+    }
+    for (const option of ['insertIdField', 'partitionField']) {
+      if (options[option] !== undefined && (typeof options[option] !== 'string' || options[option].trim() === '')) {
+        throw new Error(`Route ${path} option "${option}" must be a non-empty string`);
+      }
+    }
+  }
+
+  /**
+   * Check the `batch` option of a warehouse destination or handler
+   * `batch` is `true` for the default thresholds or `{ maxRows, windowMs, ack }`.
+   * BigQuery rows are batched through the streaming API, so BigQuery routes
+   * need streaming mode. Rows acknowledged with `ack: 'async'` are only kept
+   * by the delivery queue when their write fails, so the queue must be enabled
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the option is set on
+   * @param {Object} options - Route or destination step options
+   * @throws {Error} If the option is malformed or not supported by the destination
+   * @private
+   */
+  _validateWarehouseBatch(path, destination, options) {
+    const { batch } = options;
+
+    if (!Object.keys(BATCH_WRITERS).includes(destination)) {
+      throw new Error(`Route ${path} ${destination} does not support the "batch" option`);
+    }
+    if (batch === false) {
+      return;
+    }
+    if (destination === 'bigQuery' && options.mode !== 'streaming') {
+      throw new Error(`Route ${path} option "batch" needs "mode": "streaming" on BigQuery routes`);
+    }
+    if (batch === true) {
+      return;
+    }
+    if (typeof batch !== 'object' || batch === null || Array.isArray(batch)) {
+      throw new Error(`Route ${path} option "batch" must be a boolean or an object`);
+    }
+
+    for (const field of ['maxRows', 'windowMs']) {
+      if (batch[field] !== undefined && !(Number.isInteger(batch[field]) && batch[field] > 0)) {
+        throw new Error(`Route ${path} option "batch.${field}" must be a positive integer`);
+      }
+    }
+    if (batch.ack !== undefined && !WAREHOUSE_BATCH_ACKS.includes(batch.ack)) {
+      throw new Error(`Route ${path} option "batch.ack" must be one of: ${WAREHOUSE_BATCH_ACKS.join(', ')}`);
+    }
+    if (batch.ack === 'async' && !deliveryQueue.config.enabled) {
+      throw new Error(`Route ${path} option "batch.ack": "async" needs the delivery queue (DELIVERY_QUEUE_ENABLED=true)`);
+    }
+  }
+
+  /**
+   * Check the `attachEvidence` option of a Jira destination or the Jira handler
+   * @param {string} path - Route path
+   * @param {string} destination - Destination, or handler, the option is set on
+   * @param {Object} options - Route or destination step options, with `attachEvidence`
+   *   set to whether to attach session evidence files
+   * @throws {Error} If the option is not a boolean or not supported by the destination
+   * @private
+   */
+  _validateAttachEvidence(path, destination, { attachEvidence }) {
+    if (destination !== 'jira') {
+      throw new Error(`Route ${path} ${destination} does not support the "attachEvidence" option`);
+    }
+    if (typeof attachEvidence !== 'boolean') {
+      throw new Error(`Route ${path} option "attachEvidence" must be a boolean`);
+    }
+  }
+
+  /**
+   * Check the `upsertKey` option of a Google Sheets route
+   * Rows are matched by header name, so the option cannot be combined with
+   * rows written in column order
+   * @param {string} path - Route path, for error messages
+   * @param {string} destination - Destination or handler the option is set on
+   * @param {Object} options - Route or destination step options
+   * @throws {Error} If the destination has no rows to upsert or the key is malformed
+   * @private
+   */
+  _validateUpsertKey(path, destination, options) {
+    if (destination !== 'googleSheets') {
+      throw new Error(`Route ${path} ${destination} does not support the "upsertKey" option`);
+    }
+    if (typeof options.upsertKey !== 'string' || options.upsertKey.trim() === '') {
+      throw new Error(`Route ${path} option "upsertKey" must be a non-empty string`);
+    }
+    if (options.columns !== undefined ||
+        (options.template !== undefined && Array.isArray(templateEngine.resolve(options.template).source))) {
+      throw new Error(`Route ${path} option "upsertKey" needs rows keyed by header name, not "columns" or an array template`);
+    }
+  }
+
+  /**
+   * Check the `tab` option of a Google Sheets route
+   * @param {string} path - Route path
+   * @param {string} destination - Destination or handler the option is set on
+   * @param {Object} options - Route or destination step options, with `tab`
+   * @throws {Error} If the destination has no tabs or the pattern does not compile
+   * @private
+   */
+  _validateSheetsTab(path, destination, { tab }) {
+    if (destination !== 'googleSheets') {
+      throw new Error(`Route ${path} ${destination} does not support the "tab" option`);
+    }
+    this._validateTabPattern(`Route ${path}`, tab);
+  }
+
+  /**
+   * Check a Google Sheets tab naming pattern
+   * @param {string} source - Route or setting the pattern comes from, for error messages
+   * @param {*} tab - Tab naming pattern
+   * @throws {Error} If the pattern does not compile
+   * @private
+   */
+  _validateTabPattern(source, tab) {
+    if (typeof tab !== 'string' || tab.trim() === '') {
+      throw new Error(`${source} option "tab" must be a non-empty string`);
+    }
+    try {
+      templateEngine.compile(tab);
+    } catch (error) {
+      throw new Error(`${source} has an invalid tab pattern: ${error.message}`);
+    }
+  }
+
+  /**
+   * Name the Google Sheets tab a row is written to
+   * Renders the route `tab` option, or `GOOGLE_SHEETS_TAB_PATTERN`, against the
+   * route data plus `route` (route name) and `now` (current time), e.g.
+   * `{{ event_name }}-{{ now | date:"yyyy-MM" }}`
+   * @param {Object} options - Route or destination step options
+   * @param {Object} data - Route data
+   * @param {Object} body - Webhook payload
+   * @param {string} route - Route name
+   * @param {Object} [steps] - Results of earlier fan-out steps by name
+   * @returns {string|null} Tab name, or null when no pattern is configured
+   * @private
+   */
+  _resolveSheetsTab(options, data, body, route, steps) {
+    const pattern = options?.tab ?? config.get('google_sheets_tab_pattern');
+    if (!pattern) {
+      return null;
+    }
+
+    const scope = { ...this._buildDataScope(data, body, steps), route, now: new Date().toISOString() };
+    const tab = String(templateEngine.compile(pattern).render(scope))
+      .replace(/[[\]*?/\\:!]/g, '-')
+      .trim()
+      .slice(0, SHEETS_TAB_NAME_LIMIT);
+    if (!tab) {
+      throw new Error(`Google Sheets tab pattern "${pattern}" rendered an empty tab name`);
+    }
+    return tab;
+  }
+
+  /**
+   * Render a route `template` option against route data
+   * @param {Object} options - Route or destination step options
+   * @param {Object} data - Route data
+   * @param {Object} body - Webhook payload
+   * @param {Object} [steps] - Results of earlier fan-out steps by name
+   * @returns {*} Rendered payload, or undefined when the route has no template
+   * @private
+   */
+  _renderTemplate(options, data, body, steps) {
+    if (options?.template === undefined) {
+      return undefined;
+    }
+    return templateEngine.render(options.template, this._buildDataScope(data, body, steps));
+  }
+
+  /**
+   * Create middleware that only lets requests matching the route `when` rule through
+   * Skipped requests are answered 200 so the sender does not redeliver them
+   * @param {Object} definition - Route definition from the route registry
+   * @returns {Function} Express middleware
+   */
+  createRouteGuard(definition) {
+    const rule = ruleEngine.compile(definition.when);
+
+    return (req, res, next) => {
+      const body = req.body ?? {};
+      const data = this.extractCommonData(body);
+
+      if (rule.evaluate(this._buildDataScope(data, body))) {
+        return next();
+      }
+
+      this._logSkipped(definition.name, rule.expression, data);
+      return res.status(200).json(this.createSuccessResponse(
+        { skipped: true, rule: rule.expression },
+        `${definition.name} webhook skipped by routing rule`
+      ));
+    };
+  }
+
+  /**
+   * Build the data routing rules and templates are evaluated against
+   * Common webhook fields (including raw `properties`) plus the raw `user` object
+   * and, in sequence fan-outs, the results of earlier steps as `steps.<name>`
+   * @param {Object} data - Common or enriched route data
+   * @param {Object} body - Webhook payload
+   * @param {Object} [steps={}] - Results of earlier fan-out steps by name
+   * @returns {Object} Rule and template scope
+   * @private
+   */
+  _buildDataScope(data, body, steps = {}) {
+    return { ...data, user: body.user ?? {}, steps };
+  }
+
+  /**
+   * Log a delivery skipped by a routing rule
+   * @param {string} name - Route or destination step name
+   * @param {string} rule - Rule that did not match
+   * @param {Object} data - Route data
+   * @private
+   */
+  _logSkipped(name, rule, data) {
+    this.logger.info(`Skipped ${name} delivery: routing rule did not match`, {
+      rule,
+      event: data.event_name,
+      uid: data.uid
+    });
+  }
+
+  /**
+   * Normalize the destination steps of a declarative route
+   * A single `destination` becomes one step using the route options
+   * @param {Object} definition - Route definition from the route registry
+   * @returns {Array<Object>} Steps as `{ name, destination, options, when }`
+   * @private
+   */
+  _getDestinationSteps(definition) {
+    const steps = definition.destinations || [definition.destination];
+    return steps.map(step => {
+      const { destination, name = destination, options = definition.options || {}, when } =
+        typeof step === 'string' ? { destination: step } : step;
+      return { name, destination, options, when };
+    });
+  }
+
+  /**
+   * Handle a route described entirely by its definition
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} definition - Route definition from the route registry
+   */
+  async handleDeclarativeRoute(req, res, definition) {
+    const { name, destination } = definition;
+
+    try {
+      this.logWebhookStart(name, req);
+
+      const context = {
+        route: name,
+        body: req.body,
+        data: this.extractCommonData(req.body),
+        options: definition.options || {}
+      };
+
+      // Validate required data fields
+      const requiredData = definition.requiredData || [];
+      const validationError = this.validateRequiredFields(context.data, requiredData);
+
+      if (validationError) {
+        this.logger.warn(`Validation error for ${name} webhook`, {
+          error: validationError.message
+        });
+        return res.status(400).json(this.errorHandler.createValidationError(
+          requiredData,
+          validationError.message
+        ));
+      }
+
+      // Run enrichment steps in order, each adding fields to the data
+      for (const step of definition.enrich || []) {
+        this.logger.debug('Running enrichment step', { route: name, step });
+        const enriched = await this[ENRICHMENT_STEPS[step]](context);
+        Object.assign(context.data, enriched);
+      }
+
+      if (definition.destinations) {
+        return await this._handleFanOut(res, context, definition);
+      }
+
+      this.logger.info(`Delivering ${name} webhook`, {
+        destination,
+        event: context.data.event_name
+      });
+      const outcome = await this[DESTINATIONS[destination]](context);
+
+      if (outcome.queued) {
+        return this._sendQueuedResponse(res, name, outcome);
+      }
+
+      if (outcome.skipped) {
+        return res.status(200).json(this.createSuccessResponse(
+          { skipped: true, reason: outcome.reason },
+          `${name} webhook skipped: ${outcome.reason}`
+        ));
+      }
+
+      if (outcome.digested) {
+        return res.status(200).json(this.createSuccessResponse(
+          outcome.result,
+          `${name} webhook added to the Slack digest`
+        ));
+      }
+
+      if (outcome.accepted) {
+        return this._sendAcceptedResponse(res, name, destination, outcome.result);
+      }
+
+      this.logWebhookCompletion(name, {
+        event: context.data.event_name,
+        destination,
+        success: true
+      });
+
+      return res.status(200).json(this.createSuccessResponse(
+        outcome.result,
+        `${name} webhook delivered to ${destination}`
+      ));
+    } catch (error) {
+      this.logger.error(`Error in ${name} webhook`, error);
+      return res.status(500).json(this.errorHandler.createApiError(error, destination ?? name));
+    }
+  }
+
+  /**
+   * Deliver enriched route data to every destination step of a fan-out route
+   * Steps run in parallel or in sequence per the route `mode`, and a failing
+   * step never stops the others. Steps whose `when` rule does not match, and
+   * Slack steps for muted users, are skipped. In sequence mode each step sees
+   * the results of the steps before it as `context.steps`. Answers 200 when
+   * every step delivered or was skipped, 202 when some were queued for retry,
+   * 207 when some failed and 500 when all failed
+   * @param {Object} res - Express response
+   * @param {Object} context - Route context shared by all steps
+   * @param {Object} definition - Route definition from the route registry
+   * @returns {Promise<Object>} Express response
+   * @private
+   */
+  async _handleFanOut(res, context, definition) {
+    const { name, mode = 'parallel' } = definition;
+    const steps = this._getDestinationSteps(definition);
+
+    this.logger.info(`Fanning out ${name} webhook`, {
+      mode,
+      destinations: steps.map(step => step.name),
+      event: context.data.event_name
+    });
+
+    let results;
+    if (mode === 'sequence') {
+      results = [];
+      context.steps = {};
+      for (const step of steps) {
+        const result = await this._runDestinationStep(context, step);
+        context.steps[result.name] = result;
+        results.push(result);
+      }
+    } else {
+      results = await Promise.all(steps.map(step => this._runDestinationStep(context, step)));
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const failed = count('failed');
+    const queued = count('queued');
+    const data = { mode, results };
+
+    this.logWebhookCompletion(name, {
+      event: context.data.event_name,
+      delivered: count('delivered'),
+      queued,
+      failed
+    });
+
+    if (failed === results.length) {
+      return res.status(500).json({
+        ...this.errorHandler.createApiError(new Error(`All ${failed} destinations failed`), name),
+        data
+      });
+    }
+
+    if (failed > 0) {
+      return res.status(207).json(this.createSuccessResponse(
+        data,
+        `${name} webhook delivered with ${failed} of ${results.length} destinations failing`
+      ));
+    }
+
+    return res.status(queued > 0 ? 202 : 200).json(this.createSuccessResponse(
+      data,
+      queued > 0
+        ? `${name} webhook delivered with ${queued} of ${results.length} destinations queued for retry`
+        : `${name} webhook delivered to ${count('delivered')} of ${results.length} destinations`
+    ));
+  }
+
+  /**
+   * Run one fan-out destination step, capturing its outcome instead of throwing
+   * Each step gets its own copy of the route data and its own options
+   * @param {Object} context - Route context shared by all steps
+   * @param {Object} step - Destination step `{ name, destination, options, when }`
+   * @returns {Promise<Object>} Step result with `status` delivered, queued, failed or skipped
+   * @private
+   */
+  async _runDestinationStep(context, { name, destination, options, when }) {
+    const stepContext = { ...context, data: { ...context.data }, options, step: name };
+
+    try {
+      if (when && !ruleEngine.evaluate(when, this._buildDataScope(stepContext.data, context.body, context.steps))) {
+        this._logSkipped(name, when, stepContext.data);
+        return { name, destination, status: 'skipped', rule: when };
+      }
+
+      const outcome = await this[DESTINATIONS[destination]](stepContext);
+      if (outcome.queued) {
+        return { name, destination, status: 'queued', deliveryId: outcome.deliveryId };
+      }
+      if (outcome.skipped) {
+        return { name, destination, status: 'skipped', reason: outcome.reason };
+      }
+      return { name, destination, status: 'delivered', result: outcome.result };
+    } catch (error) {
+      this.logger.error(`Destination ${name} failed for ${context.route} webhook`, error);
+      return { name, destination, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Enrichment step: Fullstory replay URL and session summary
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Fields to merge into the route data
+   * @private
+   */
+  async _enrichFullstorySession(context) {
+    const fsData = await this.getFullstorySessionData(Fullstory, context.data.uid, context.data.session_id);
+    return {
+      replay_url: fsData.replayURL,
+      session_summary: fsData.sessionSummary
+    };
+  }
+
+  /**
+   * Enrichment step: Fullstory session link only
+   * @param {Object} context - Route context
+   * @returns {Object} Fields to merge into the route data
+   * @private
+   */
+  _enrichSessionLink(context) {
+    return {
+      session_link: Fullstory.getSessionLink(context.data.uid, context.data.session_id)
+    };
+  }
+
+  /**
+   * Enrichment step: Markdown event rundown
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Fields to merge into the route data
+   * @private
+   */
+  async _enrichRundown(context) {
+    return {
+      rundown: await konbini.eventFormatter.createRunDown(context.body)
+    };
+  }
+
+  /**
+   * Enrichment step: copy raw webhook properties onto the route data
+   * @param {Object} context - Route context
+   * @returns {Object} Fields to merge into the route data
+   * @private
+   */
+  _enrichProperties(context) {
+    return { ...context.body.properties };
+  }
+
+  /**
+   * Destination: standard Slack webhook, or the Web API in bot-token mode
+   * Options: `webhookUrl` to post to another channel than the configured webhook,
+   * `channel` to post to in bot-token mode, `thread` or `update` naming an earlier
+   * Slack step whose message to reply under or replace, `template` for the message body,
+   * `digest` to collect signals into a periodic summary instead
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue, `{ skipped }` for muted users
+   *   or `{ digested }` for signals added to a digest
+   * @private
+   */
+  async _deliverToSlack(context) {
+    if (await slack.isUserMuted(context.data.uid)) {
+      return this._skipMutedUser(context);
+    }
+
+    if (this._shouldDigest(context.options, context.data, context.body, context.steps)) {
+      return this._addToDigest(context);
+    }
+
+    const { webhookUrl, thread, update } = context.options;
+    const data = this._renderTemplate(context.options, context.data, context.body, context.steps) ?? context.data;
+    const payload = { data, webhookUrl, channel: context.options.channel };
+
+    // Earlier messages are only known when their step was delivered in bot-token mode
+    const target = context.steps?.[thread ?? update]?.result;
+    if (target?.ts) {
+      payload.channel = target.channel;
+      if (thread) {
+        payload.threadTs = target.threadTs ?? target.ts;
+      } else {
+        payload.updateTs = target.ts;
+      }
+    } else if (thread || update) {
+      this.logger.warn(`No Slack message from step "${thread ?? update}" to ${thread ? 'thread under' : 'update'}, posting a new message`, {
+        route: context.route
+      });
+    }
+
+    return deliveryQueue.deliver('slack', payload, { route: context.route });
+  }
+
+  /**
+   * Destination: AI-specific Slack webhook
+   * Options: `webhookUrl` to post to another channel than the configured webhook,
+   * `template` for the message body
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue, or `{ skipped }` for muted users
+   * @private
+   */
+  async _deliverToSlackAI(context) {
+    if (await slack.isUserMuted(context.data.uid)) {
+      return this._skipMutedUser(context);
+    }
+
+    const { webhookUrl } = context.options;
+    const data = this._renderTemplate(context.options, context.data, context.body, context.steps) ?? context.data;
+    return deliveryQueue.deliver('slackAI', { data, webhookUrl }, { route: context.route });
+  }
+
+  /**
+   * Whether a Slack signal goes into the route digest rather than out immediately
+   * Signals matching the digest `urgent` rule bypass the digest
+   * @param {Object} options - Route or destination step options
+   * @param {Object} data - Route data
+   * @param {Object} body - Webhook payload
+   * @param {Object} [steps] - Results of earlier fan-out steps by name
+   * @returns {boolean} True if the signal should be digested
+   * @private
+   */
+  _shouldDigest(options, data, body, steps) {
+    const digest = options?.digest;
+    if (!digest) {
+      return false;
+    }
+    return !(digest.urgent && ruleEngine.evaluate(digest.urgent, this._buildDataScope(data, body, steps)));
+  }
+
+  /**
+   * Add a Slack signal to the digest of its route destination
+   * @param {Object} context - Route context, with `step` naming the fan-out step
+   * @returns {Object} `{ digested, result }` with the digest key, pending signals and when it is posted
+   * @private
+   */
+  _addToDigest(context) {
+    const { digest, webhookUrl, channel } = context.options;
+    const { windowMs, maxEvents } = digest === true ? {} : digest;
+
+    const result = slackDigest.add(`${context.route}:${context.step ?? 'slack'}`, context.data, {
+      windowMs,
+      maxEvents,
+      route: context.route,
+      webhookUrl,
+      channel
+    });
+
+    this.logger.debug(`Added ${context.route} signal to Slack digest`, {
+      event: context.data.event_name,
+      pending: result.pending
+    });
+    return { digested: true, result: { digested: true, ...result } };
+  }
+
+  /**
+   * Skip a Slack delivery for a user muted from a Slack alert
+   * @param {Object} context - Route context
+   * @returns {Object} Skipped outcome
+   * @private
+   */
+  _skipMutedUser(context) {
+    this.logger.info(`Skipped ${context.route} Slack delivery: user is muted`, {
+      uid: context.data.uid,
+      event: context.data.event_name
+    });
+    return { skipped: true, reason: 'user is muted' };
+  }
+
+  /**
+   * Destination: Fullstory custom event
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue
+   * @private
+   */
+  _deliverToFusion(context) {
+    const { uid, session_id, properties } = context.data;
+    return deliveryQueue.deliver('fusion', {
+      userId: uid,
+      sessionId: session_id,
+      properties
+    }, { route: context.route });
+  }
+
+  /**
+   * Destination: Google Sheets row write
+   * Writes the default columns by header name, `columns` (data keys in sheet
+   * column order) or a `template` rendering the row. Options: `sheetsId`,
+   * `range`, `tab` naming a tab that is created when missing, and `upsertKey`
+   * to update the row whose cell in that column matches
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue
+   * @private
+   */
+  _deliverToGoogleSheets(context) {
+    const { data, options } = context;
+    const sheetsId = options.sheetsId || googleCloud.workspace.config?.sheets_id;
+    const tab = this._resolveSheetsTab(options, data, context.body, context.route, context.steps);
+    const sheetsRange = tab ?? (options.range || config.get('google_sheets_range', 'Sheet1'));
+
+    if (!sheetsId) {
+      throw new Error('Missing Google Sheets configuration');
+    }
+
+    const row = this._renderTemplate(options, data, context.body, context.steps) ??
+      (options.columns ? options.columns.map(column => data[column] ?? '') : this._buildSheetsRecord(data));
+
+    return deliveryQueue.deliver('googleSheets',
+      this._buildSheetsPayload(sheetsId, sheetsRange, row, options, Boolean(tab)),
+      { route: context.route });
+  }
+
+  /**
+   * Build the default Google Sheets record, keyed by header name
+   * Fields the route data does not have are left out, so an upsert keeps the
+   * existing cells
+   * @param {Object} data - Route data
+   * @returns {Object} Record for `WorkspaceConnector.writeRecords`
+   * @private
+   */
+  _buildSheetsRecord(data) {
+    return Object.fromEntries(Object.entries(SHEETS_DEFAULT_COLUMNS)
+      .filter(([, field]) => data[field] !== undefined)
+      .map(([header, field]) => [header, data[field]]));
+  }
+
+  /**
+   * Build the delivery payload for a Google Sheets row
+   * @param {string} sheetsId - Spreadsheet ID
+   * @param {string} range - Sheet name or range
+   * @param {Array|Object} row - Cells in column order, or a record keyed by header name
+   * @param {Object} [options] - Route or destination step options
+   * @param {boolean} [provision=false] - Create the tab with a header row when missing
+   * @returns {Object} `{ sheetsId, range, values }` or `{ sheetsId, range, records, upsertKey }`,
+   *   plus `provision` and the new tab's `headers` when provisioning
+   * @private
+   */
+  _buildSheetsPayload(sheetsId, range, row, options = {}, provision = false) {
+    const payload = Array.isArray(row)
+      ? { sheetsId, range, values: [row] }
+      : { sheetsId, range, records: [row], upsertKey: options.upsertKey };
+
+    if (provision) {
+      // Rows in column order only have headers when they come from `columns`
+      payload.provision = true;
+      payload.headers = Array.isArray(row) ? (options.columns ?? []) : Object.keys(row);
+    }
+    return payload;
+  }
+
+  /**
+   * Destination: Jira ticket creation
+   * Uses the `rundown` enrichment as description when present, or an ADF
+   * rundown when the connector uses Jira REST v3. Options:
+   * `projectKey`, `issueTypeId`, `issueTemplates` choosing the project and
+   * fields per event, a `template` rendering issue fields that replace the
+   * defaults, `dedupe` to comment on a matching open issue and `attachEvidence`
+   * to attach the session events and timeline to new issues
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue
+   * @private
+   */
+  async _deliverToJira(context) {
+    const { body, data } = context;
+    const sessionLink = data.session_link ?? Fullstory.getSessionLink(data.uid, body.properties?.session_id);
+    const issue = jiraTickets.resolveIssue(
+      this._buildDataScope({ ...data, session_link: sessionLink }, body, context.steps),
+      context.options
+    );
+
+    const ticketData = jiraTickets.buildTicket(issue, {
+      summary: `${data.event_name} - ${body.user?.email ?? data.uid}`,
+      description: atlassian.usesAdf
+        ? await konbini.eventFormatter.createRunDownAdf(body)
+        : data.rundown ?? await konbini.eventFormatter.createRunDown(body),
+      sessionLink,
+      fields: this._renderTemplate(context.options, { ...data, session_link: sessionLink }, body, context.steps)
+    });
+
+    const dedupe = this._buildJiraDedupe(context.options, { ...data, session_link: sessionLink }, body, issue.projectKey);
+    if (dedupe) {
+      ticketData.fields.labels = [...new Set([...(ticketData.fields.labels ?? []), dedupe.label])];
+    }
+
+    const evidence = this._buildJiraEvidence(context.options, data.uid, body.properties?.session_id, sessionLink);
+
+    return deliveryQueue.deliver('jira', { ticketData, dedupe, evidence }, { route: context.route });
+  }
+
+  /**
+   * Decide whether Fullstory session evidence is attached to a new Jira ticket
+   * The route `attachEvidence` option wins over `JIRA_ATTACH_EVIDENCE`
+   * @param {Object} [options] - Route or destination step options
+   * @param {string} uid - Fullstory user ID
+   * @param {string} [sessionId] - Fullstory session ID
+   * @param {string} [sessionLink] - Session replay URL
+   * @returns {Object|undefined} `{ uid, sessionId, sessionLink }`, or undefined when
+   *   evidence is off or the webhook does not identify a session
+   * @private
+   */
+  _buildJiraEvidence(options, uid, sessionId, sessionLink) {
+    const enabled = options?.attachEvidence ?? config.get('jira_attach_evidence', false) === true;
+    if (!enabled) {
+      return undefined;
+    }
+
+    if ([uid, sessionId].some(value => !value || value === 'Undefined')) {
+      this.logger.debug('Skipping Jira session evidence: webhook has no Fullstory session', { uid, sessionId });
+      return undefined;
+    }
+    return { uid, sessionId, sessionLink: sessionLink ?? undefined };
+  }
+
+  /**
+   * Build the duplicate check for a Jira ticket
+   * The fingerprint hashes the values of the `dedupe` fields (event name and
+   * user by default) and is stored on the issue as a `lexicon-<hash>` label,
+   * so a later webhook with the same values finds the open issue by JQL.
+   * `dedupe` is `false`, `true` or `{ fields }` with data paths such as
+   * `properties.error_code`; without it, `JIRA_DEDUPE_FIELDS` turns the check on
+   * @param {Object} [options] - Route or destination step options
+   * @param {Object} data - Route data, with `session_link`
+   * @param {Object} body - Webhook payload
+   * @param {string} projectKey - Jira project searched for duplicates
+   * @returns {Object|undefined} `{ label, jql, comment }`, or undefined when the
+   *   check is off or a fingerprint field has no value
+   * @private
+   */
+  _buildJiraDedupe(options, data, body, projectKey) {
+    const configuredFields = (config.get('jira_dedupe_fields') || '').split(',').map(field => field.trim()).filter(Boolean);
+    const setting = options?.dedupe ?? configuredFields.length > 0;
+    if (!setting) {
+      return undefined;
+    }
+
+    const fields = setting.fields ?? (configuredFields.length > 0 ? configuredFields : JIRA_FINGERPRINT_FIELDS);
+    const scope = this._buildDataScope(data, body);
+    const values = fields.map(field => resolvePath(scope, field.split('.')));
+
+    // Missing values would group unrelated signals under one issue
+    if (values.some(value => value === undefined || value === null || value === '' || value === 'Undefined')) {
+      this.logger.debug('Skipping Jira duplicate check: fingerprint field has no value', { fields });
+      return undefined;
+    }
+
+    const label = `lexicon-${createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 16)}`;
+    const who = [data.email, data.uid].find(value => value && value !== 'Undefined') ?? 'an unknown user';
+    const when = data.timestamp && data.timestamp !== 'Undefined' ? ` at ${data.timestamp}` : '';
+
+    return {
+      label,
+      jql: `project = "${String(projectKey).replace(/["\\]/g, '\\$&')}" AND labels = "${label}" AND statusCategory != Done ORDER BY created DESC`,
+      comment: [
+        `Lexicon received ${data.event_name} again for ${who}${when}.`,
+        data.session_link ? `Session replay: ${data.session_link}` : null
+      ].filter(Boolean).join('\n')
+    };
+  }
+
+  /**
+   * Destination: Snowflake insert
+   * Options: `table`, `columns`, `defaults` and `responseFields`, as for warehouse
+   * routes, and `batch` to write the row with others in one multi-row insert
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue
+   * @private
+   */
+  _deliverToSnowflake(context) {
+    if (context.options.batch) {
+      return this._deliverWarehouseRow(context, 'snowflake', (options, data) => this._buildSnowflakeBatchRow(options, data));
+    }
+    return this._deliverToWarehouse(context, 'snowflake', 'snowflake',
+      ({ sql, bindings }) => ({ sql, bindings }));
+  }
+
+  /**
+   * Build the batched insert payload of a Snowflake route
+   * @param {Object} options - Snowflake route options
+   * @param {Object} data - Mapped route data
+   * @returns {Object} `{ table, row, batch }`
+   * @private
+   */
+  _buildSnowflakeBatchRow(options, data) {
+    return {
+      table: options.table,
+      row: this._buildWarehouseRow(options.columns, data),
+      batch: this._getWarehouseBatch(options)
+    };
+  }
+
+  /**
+   * Destination: BigQuery insert
+   * Options: `table`, `columns`, `defaults` and `responseFields`, as for warehouse
+   * routes. With `mode: 'streaming'`, rows go through the streaming API instead
+   * of an INSERT job, see `_buildBigQueryStream`
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue
+   * @private
+   */
+  _deliverToBigQuery(context) {
+    if (context.options.mode !== 'streaming') {
+      return this._deliverToWarehouse(context, 'bigquery', 'bigQuery',
+        ({ sql, params, parameterTypes }) => ({ sql, params, parameterTypes }));
+    }
+    return this._deliverWarehouseRow(context, 'bigQuery', (options, data) => this._buildBigQueryStream(options, data));
+  }
+
+  /**
+   * Build the streaming insert payload of a BigQuery route
+   * The row holds the route `columns` (`col:dataKey`). Options: `schema` for
+   * a missing table (inferred from the row by default), `insertIdField` naming
+   * the data key BigQuery deduplicates by (a hash of the row by default) and
+   * `partitionField` to partition a new table by day, and `batch` to stream
+   * the row with others in one request
+   * @param {Object} options - BigQuery route options
+   * @param {Object} data - Mapped route data
+   * @returns {Object} `{ dataset, table, rows, insertIds, schema, partitionField, batch }`
+   * @private
+   */
+  _buildBigQueryStream(options, data) {
+    const [dataset, table] = options.table.replace(/`/g, '').split('.');
+    const insertId = options.insertIdField ? data[options.insertIdField] : undefined;
+
+    return {
+      dataset,
+      table,
+      rows: [this._buildWarehouseRow(options.columns, data)],
+      insertIds: insertId === undefined || insertId === null ? undefined : [String(insertId)],
+      schema: options.schema,
+      partitionField: options.partitionField,
+      batch: this._getWarehouseBatch(options)
+    };
+  }
+
+  /**
+   * Build a warehouse row from the route `columns` (`col:dataKey`)
+   * @param {Array<string>} columns - Column mappings
+   * @param {Object} data - Mapped route data
+   * @returns {Object} Row keyed by column name, with null for missing data
+   * @private
+   */
+  _buildWarehouseRow(columns, data) {
+    return Object.fromEntries(columns.map(column => {
+      const [name, dataKey] = column.includes(':') ? column.split(':') : [column, column];
+      return [name, data[dataKey] ?? null];
+    }));
+  }
+
+  /**
+   * Batch options of a warehouse route
+   * @param {Object} options - Warehouse route options
+   * @returns {Object|undefined} `{ maxRows, windowMs, ack }`, or undefined if the route does not batch
+   * @private
+   */
+  _getWarehouseBatch(options) {
+    if (!options.batch) {
+      return undefined;
+    }
+    return options.batch === true ? {} : options.batch;
+  }
+
+  /**
+   * Destination: generic HTTP endpoint
+   * Options: `url` (required), `method` (default POST), `headers` and a `template`
+   * for the request body, which defaults to the route data
+   * @param {Object} context - Route context
+   * @returns {Promise<Object>} Delivery outcome from the delivery queue
+   * @private
+   */
+  _deliverToHttp(context) {
+    const { url, method = 'POST', headers = {} } = context.options;
+    const body = this._renderTemplate(context.options, context.data, context.body, context.steps) ?? context.data;
+    return deliveryQueue.deliver('http', { url, method, headers, body }, { route: context.route });
+  }
+
+  /**
+   * Generate a warehouse insert from the route data and deliver it
+   * @param {Object} context - Route context
+   * @param {string} databaseType - `Warehouse.generateSql` database type
+   * @param {string} destination - Delivery queue destination
+   * @param {Function} toPayload - Picks the deliverer payload from the generated SQL
+   * @returns {Promise<Object>} Delivery outcome, with the route response fields as result
+   * @private
+   */
+  async _deliverToWarehouse(context, databaseType, destination, toPayload) {
+    const { options } = context;
+    const data = { ...this._mapWarehouseData(context.body, options), ...context.data };
+
+    const sqlResult = konbini.warehouse.generateSql({
+      databaseType,
+      operation: 'insert',
+      table: options.table,
+      columns: options.columns,
+      data
+    });
+
+    const outcome = await deliveryQueue.deliver(destination, toPayload(sqlResult), { route: context.route });
+    return outcome.queued
+      ? outcome
+      : { ...outcome, result: this._buildWarehouseResponse(data, options.responseFields) };
+  }
+
+  /**
+   * Deliver a warehouse row built from the route data, without generating SQL
+   * @param {Object} context - Route context
+   * @param {string} destination - Delivery queue destination
+   * @param {Function} toPayload - Builds the deliverer payload from the route options and data
+   * @returns {Promise<Object>} Delivery outcome, with the route response fields as result
+   * @private
+   */
+  async _deliverWarehouseRow(context, destination, toPayload) {
+    const { options } = context;
+    const data = { ...this._mapWarehouseData(context.body, options), ...context.data };
+
+    const outcome = await this._deliverWarehousePayload(destination, toPayload(options, data), context.route);
+    return outcome.queued
+      ? outcome
+      : { ...outcome, result: this._buildWarehouseResponse(data, options.responseFields) };
+  }
+
+  /**
+   * Deliver a warehouse payload through the delivery queue
+   * Batched rows with `ack: 'async'` are acknowledged before their batch is
+   * written, so a failed row is kept by the delivery queue: retried when it
+   * can be, or stored as a dead letter for replay when it cannot. Only with the
+   * queue disabled is the failure just logged
+   * @param {string} destination - Delivery queue destination
+   * @param {Object} payload - Deliverer payload
+   * @param {string} route - Route name
+   * @returns {Promise<Object>} Delivery outcome, or `{ accepted: true }` for rows acknowledged early
+   * @private
+   */
+  async _deliverWarehousePayload(destination, payload, route) {
+    if (payload.batch?.ack !== 'async') {
+      return deliveryQueue.deliver(destination, payload, { route });
+    }
+
+    deliveryQueue.deliver(destination, payload, { route, deadLetter: true }).catch(error => {
+      this.logger.error(`Batched ${destination} row for ${route} was not written`, error);
+    });
+    return { accepted: true };
+  }
+
+  /**
+   * Deliverer: standard Slack webhook, or the Web API in bot-token mode
+   * @param {Object} payload - `{ data, webhookUrl, channel, threadTs, updateTs }` webhook data,
+   *   optional webhook URL override, and the bot-token channel, thread or message to update
+   * @returns {Promise<Object>} Delivery result, with `channel`, `ts` and `threadTs` in bot-token mode
+   * @throws {Error} If Slack did not accept the message
+   * @private
+   */
+  async _sendSlackWebhook({ data, webhookUrl, channel, threadTs, updateTs }) {
+    const response = updateTs
+      ? await slack.updateMessage(data, { channel, ts: updateTs })
+      : await slack.sendWebHook(data, { webhookUrl, channel, threadTs });
+    if (!response) {
+      throw new Error('Failed to communicate with Slack API');
+    }
+    if (response.error) {
+      throw this._createSlackError(`Slack API error: ${response.error}`, response);
+    }
+    return {
+      ok: !!response.ok,
+      channel: response.channel,
+      ts: response.ts,
+      threadTs: response.threadTs
+    };
+  }
+
+  /**
+   * Build a delivery error for a failed Slack response, keeping its HTTP status
+   * and whether it is worth retrying, so that a missing webhook URL or bot token
+   * is not retried by the delivery queue
+   * @param {string} message - Error message
+   * @param {Object} response - `{ ok: false, error, status, retryable }` Slack connector response
+   * @returns {Error} Error with `status` and `retryable` when known
+   * @private
    */
-  constructor() {
-    super('Router');
-    this.router = express.Router();
-    this.jsonParser = express.json();
-    
+  _createSlackError(message, { status, retryable }) {
+    const error = new Error(message);
+    if (status !== undefined) {
+      error.status = status;
+    }
+    if (retryable === false) {
+      error.retryable = false;
+    }
+    return error;
+  }
+
+  /**
+   * Deliverer: AI-specific Slack webhook
+   * @param {Object} payload - `{ data, webhookUrl }` webhook data and optional webhook URL override
+   * @returns {Promise<Object>} Delivery result
+   * @throws {Error} If Slack did not accept the message
+   * @private
+   */
+  async _sendSlackAIWebhook({ data, webhookUrl }) {
+    const response = await slack.sendAIWebHook(data, { webhookUrl });
+    if (!response) {
+      throw new Error('Failed to communicate with Slack AI API');
+    }
+    if (response.error) {
+      throw this._createSlackError(`Slack AI API error: ${response.error}`, response);
+    }
+    return { ok: !!response.ok };
+  }
+
+  /**
+   * Deliverer: Fullstory custom event
+   * @param {Object} payload - `{ userId, sessionId, properties }`
+   * @returns {Promise<Object>} Delivery result
+   * @throws {Error} With `status` set when Fullstory returns a non-200 status
+   * @private
+   */
+  async _postFusionEvent({ userId, sessionId, properties }) {
+    const response = await Fullstory.postCustomEvent(userId, sessionId, properties);
+    if (response.status !== 200) {
+      const error = new Error(`Fullstory API returned status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return { userId, sessionId };
+  }
+
+  /**
+   * Deliverer: Google Sheets row write
+   * Records keyed by header name are written like `writeRecords`, rows in
+   * column order are appended as they are. With `provision`, a missing tab is created
+   * first with `headers` as its header row
+   * @param {Object} payload - `{ sheetsId, range, values }` or `{ sheetsId, range, records, upsertKey }`,
+   *   plus `provision` and `headers`
+   * @returns {Promise<Object>} Delivery result
+   * @throws {Error} If the tab could not be created or no cells were updated
+   * @private
+   */
+  async _writeSheetsRows({ sheetsId, range, values, records, upsertKey, provision, headers }) {
+    if (provision) {
+      const sheet = await googleCloud.workspace.ensureSheet(sheetsId, range, headers);
+      if (!sheet) {
+        throw new Error(`Failed to create Google Sheet tab ${range}`);
+      }
+    }
+
     try {
-      // Validate critical configuration on startup
-      this._validateCriticalConfig();
-      
-      // Configure all routes
-      this.configureRoutes();
-      
-      this.logger.info('WebhookRouter initialized successfully');
+      return await this._writeSheetsValues({ sheetsId, range, values, records, upsertKey });
     } catch (error) {
-      this.logger.error('Error initializing WebhookRouter', error);
-      throw new Error(`Failed to initialize WebhookRouter: ${error.message}`);
+      if (provision) {
+        // The tab may have been deleted since it was cached, so check again on retry
+        googleCloud.workspace.forgetSheets(sheetsId);
+      }
+      throw error;
     }
   }
 
   /**
-   * Validate critical configuration needed for webhook processing
+   * Write Google Sheets rows to an existing tab
+   * Rows are batched with those of other deliveries to the same range, see
+   * `WorkspaceConnector.bufferWrite`
+   * @param {Object} payload - `{ sheetsId, range, values }` or `{ sheetsId, range, records, upsertKey }`
+   * @returns {Promise<Object>} Delivery result with the outcome of each row
+   * @throws {Error} If a row was not written
    * @private
    */
-  _validateCriticalConfig() {
-    // List of critical configurations to check
-    // Amend as needed
-    const criticalConfigs = [
-      { key: 'fs_org_api_key', name: 'Fullstory API key' },
-      { key: 'fullstory_token', name: 'Fullstory token' },
-      { key: 'fullstory_org_id', name: 'Fullstory org ID' }
-    ];
-    
-    const missingConfigs = criticalConfigs
-      .filter(item => !config.get(item.key))
-      .map(item => item.name);
-    
-    if (missingConfigs.length > 0) {
-      throw new Error(`Missing critical configuration: ${missingConfigs.join(', ')}`);
+  async _writeSheetsValues({ sheetsId, range, values, records, upsertKey }) {
+    const rows = await googleCloud.workspace.bufferWrite(sheetsId, range, { values, records, upsertKey });
+
+    const failed = rows.find(row => row.status === 'failed');
+    if (failed) {
+      const error = new Error(`Failed to update Google Sheet: ${failed.error}`);
+      if (failed.retryable) {
+        error.status = 429;
+      } else if (failed.httpStatus) {
+        error.status = failed.httpStatus;
+      }
+      throw error;
     }
+
+    return {
+      range: rows[0].sheet,
+      rows: rows.length,
+      appended: rows.filter(row => row.status === 'appended').length,
+      updated: rows.filter(row => row.status === 'updated').length,
+      sheetRows: rows.map(row => row.row)
+    };
   }
 
   /**
-   * Configure routes for the router
+   * Deliverer: Jira ticket creation
+   * @param {Object} payload - `{ ticketData, dedupe, evidence }`, see `jiraTickets.create`
+   * @returns {Promise<Object>} Created ticket details, or the existing ticket with `duplicate: true`
    * @private
    */
-  configureRoutes() {
-    // Apply webhook rate limiting to all routes
-    const webhookRateLimit = middleware.createWebhookRateLimit();
+  async _createJiraTicket(payload) {
+    return jiraTickets.create(payload);
+  }
 
-    // Basic Slack webhook
-    this.router.post("/slackHook", 
-      this.jsonParser, 
-      webhookRateLimit,
-      this.handleSlackHook.bind(this)
-    );
+  /**
+   * Deliverer: generic HTTP request
+   * String bodies are sent as text, anything else as JSON
+   * @param {Object} payload - `{ url, method, headers, body }`
+   * @returns {Promise<Object>} Delivery result
+   * @throws {Error} With `status` set when the endpoint returns a non-2xx status
+   * @private
+   */
+  async _sendHttpRequest({ url, method, headers, body }) {
+    const isText = typeof body === 'string';
+    const hasBody = !['GET', 'HEAD'].includes(method.toUpperCase());
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': isText ? 'text/plain' : 'application/json',
+        ...headers
+      },
+      body: hasBody ? (isText ? body : JSON.stringify(body)) : undefined
+    });
 
-    // AI-specific Slack webhook
-    this.router.post("/slackHookAI", 
-      this.jsonParser, 
-      webhookRateLimit,
-      this.handleSlackHookAI.bind(this)
-    );
+    if (!response.ok) {
+      const error = new Error(`HTTP destination returned status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return { status: response.status };
+  }
 
-    // Google Sheets webhook
-    this.router.post("/googlesheets", 
-      this.jsonParser, 
-      webhookRateLimit,
-      middleware.validateJsonFields(['user']),
-      this.handleGoogleSheets.bind(this)
-    );
+  /**
+   * Deliverer: Snowflake insert
+   * @param {Object} payload - `{ sql, bindings }` generated insert statement,
+   *   or `{ table, row, batch }` row for a batched insert
+   * @returns {Promise<Object|undefined>} `{ batchSize }` for batched rows
+   * @throws {Error} If the insert, or the batch holding the row, was not written
+   * @private
+   */
+  async _executeSnowflakeInsert(payload) {
+    if (payload.row) {
+      return warehouseBatcher.add('snowflake', { table: payload.table }, payload.row, payload.batch);
+    }
 
-    // Jira ticket creation webhook
-    this.router.post("/makeJiraTicket", 
-      this.jsonParser,
-      webhookRateLimit,
-      middleware.validateJsonFields(['user', 'name']),
-      this.handleJiraTicket.bind(this)
-    );
+    const { sql, bindings } = payload;
+    await snowflake.executeStatement(sql, bindings);
+  }
 
-    // Fullstory Fusion webhook
-    this.router.post("/fusion", 
-      this.jsonParser,
-      webhookRateLimit,
-      middleware.validateJsonFields(['user']),
-      this.handleFusion.bind(this)
-    );
+  /**
+   * Deliverer: BigQuery insert
+   * @param {Object} payload - `{ sql, params, parameterTypes }` generated insert statement,
+   *   or `{ dataset, table, rows, insertIds, schema, partitionField, batch }` streaming insert
+   * @returns {Promise<Object|undefined>} `{ inserted, failed }` for streaming inserts,
+   *   `{ batchSize }` for batched rows
+   * @throws {Error} If the insert job failed or BigQuery rejected a streamed row
+   * @private
+   */
+  async _executeBigQueryInsert(payload) {
+    if (payload.rows) {
+      return this._streamBigQueryRows(payload);
+    }
 
-    // Snowflake data update webhook
-    this.router.post("/updateSnowflake",
-      this.jsonParser,
-      webhookRateLimit,
-      middleware.validateJsonFields(['user', 'properties']),
-      this.handleSnowflakeUpdate.bind(this)
-    );
+    const { sql, params, parameterTypes } = payload;
+    await googleCloud.bigQuery.executeStatement(sql, [], {
+      params,
+      parameterTypes
+    });
+  }
 
-    // BigQuery data update webhook
-    this.router.post("/updateBigQuery",
-      this.jsonParser,
-      webhookRateLimit,
-      middleware.validateJsonFields(['user', 'properties']),
-      this.handleBigQueryUpdate.bind(this)
-    );
-    
-    // Error handling middleware
-    this.router.use((err, req, res, next) => {
-      this.logger.error('Webhook router error', err);
-      res.status(500).json(this.errorHandler.handleError(err, 'Router middleware'));
+  /**
+   * Stream rows into BigQuery, creating the table when it is missing
+   * Batched rows are streamed with the other rows of their batch
+   * @param {Object} payload - `{ dataset, table, rows, insertIds, schema, partitionField, batch }`
+   * @returns {Promise<Object>} `{ inserted, failed }`, or `{ batchSize }` for batched rows
+   * @throws {Error} With `rowErrors` and status 400 if BigQuery rejected a row, since
+   *   sending the same row again fails the same way
+   * @private
+   */
+  async _streamBigQueryRows({ dataset, table, rows, insertIds, schema, partitionField, batch }) {
+    if (batch) {
+      return warehouseBatcher.add('bigQuery', { dataset, table, schema, partitionField }, rows[0], {
+        ...batch,
+        insertId: insertIds?.[0]
+      });
+    }
+
+    const result = await googleCloud.bigQuery.streamRows(dataset, table, rows, { schema, insertIds, partitionField });
+
+    if (result.failed.length > 0) {
+      throw this._createBigQueryRowError(result.failed, rows.length);
+    }
+    return result;
+  }
+
+  /**
+   * Error for rows BigQuery rejected
+   * @param {Array<Object>} failed - `{ index, insertId, errors }` of each rejected row
+   * @param {number} total - Rows sent
+   * @returns {Error} Error with `rowErrors` and status 400
+   * @private
+   */
+  _createBigQueryRowError(failed, total) {
+    const [first] = failed.flatMap(row => row.errors).filter(error => error.reason !== 'stopped');
+    const error = new Error(`BigQuery rejected ${failed.length} of ${total} rows: ${first?.message ?? 'insert failed'}`);
+    error.status = 400;
+    error.rowErrors = failed;
+    return error;
+  }
+
+  /**
+   * Batch writer: Snowflake multi-row insert on one connection
+   * @param {Object} target - `{ table }`
+   * @param {Array<Object>} rows - Rows keyed by column name
+   * @throws {Error} With status 400 if Snowflake rejected the statement or its
+   *   values, so the batcher retries the rows one by one
+   * @private
+   */
+  async _writeSnowflakeBatch({ table }, rows) {
+    try {
+      await snowflake.insertRows(table, rows);
+    } catch (error) {
+      if (SNOWFLAKE_PERMANENT_SQL_STATES.some(prefix => String(error.sqlState ?? '').startsWith(prefix))) {
+        error.status = 400;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Batch writer: BigQuery streaming insert
+   * Invalid rows are skipped, so one rejected row does not fail its batch
+   * @param {Object} target - `{ dataset, table, schema, partitionField }`
+   * @param {Array<Object>} rows - Rows keyed by column name
+   * @param {Object} meta - `{ insertIds }` of the rows
+   * @returns {Promise<Object>} `{ failed: [{ index, error }] }` for each rejected row
+   * @private
+   */
+  async _writeBigQueryBatch({ dataset, table, schema, partitionField }, rows, { insertIds }) {
+    const result = await googleCloud.bigQuery.streamRows(dataset, table, rows, {
+      schema,
+      insertIds,
+      partitionField,
+      skipInvalidRows: true
+    });
+
+    return {
+      failed: result.failed.map(row => ({
+        index: row.index,
+        error: this._createBigQueryRowError([{ ...row, index: 0 }], 1)
+      }))
+    };
+  }
+
+  /**
+   * Respond to a webhook whose row was added to a warehouse batch with `ack: 'async'`
+   * Answers 202 since the row is written after the response
+   * @param {Object} res - Express response
+   * @param {string} name - Webhook name
+   * @param {string} destination - Warehouse destination
+   * @param {Object} responseData - Response fields of the route
+   * @returns {Object} Express response
+   * @private
+   */
+  _sendAcceptedResponse(res, name, destination, responseData) {
+    this.logWebhookCompletion(name, { ...responseData, accepted: true });
+    return res.status(202).json(this.createSuccessResponse(
+      responseData,
+      `${name} row accepted for a batched ${destination} insert`
+    ));
+  }
+
+  /**
+   * Respond to a webhook whose delivery failed and was queued for retry
+   * Answers 202 so the sender does not redeliver a payload we already hold
+   * @param {Object} res - Express response
+   * @param {string} name - Webhook name
+   * @param {Object} outcome - Queued outcome from the delivery queue
+   * @returns {Object} Express response
+   * @private
+   */
+  _sendQueuedResponse(res, name, outcome) {
+    this.logWebhookCompletion(name, {
+      deliveryId: outcome.deliveryId,
+      queued: true
     });
+    return res.status(202).json(this.createSuccessResponse(
+      { deliveryId: outcome.deliveryId },
+      `${name} delivery failed and was queued for retry`
+    ));
   }
 
   /**
    * Handle basic Slack webhook
+   * Sends the common webhook data, or the route `template` when one is defined,
+   * or adds it to a periodic summary when the route sets `digest`
    * @param {Object} req - Express request
    * @param {Object} res - Express response
+   * @param {Object} [definition] - Route definition from the route registry
    */
-  async handleSlackHook(req, res) {
+  async handleSlackHook(req, res, definition = {}) {
     try {
       this.logWebhookStart('Slack', req);
       
       const data = this.extractCommonData(req.body);
       
+      if (await slack.isUserMuted(data.uid)) {
+        this._skipMutedUser({ route: 'Slack', data });
+        return res.status(200).json(this.createSuccessResponse(
+          { skipped: true, reason: 'user is muted' },
+          'Slack webhook skipped: user is muted'
+        ));
+      }
+      
+      if (this._shouldDigest(definition.options, data, req.body)) {
+        const { result } = this._addToDigest({ route: 'Slack', data, options: definition.options });
+        return res.status(200).json(this.createSuccessResponse(result, 'Slack webhook added to the Slack digest'));
+      }
+      
       this.logger.info('Sending Slack webhook', { 
         event: data.event_name, 
         user: data.email 
       });
       
-      const response = await slack.sendWebHook(data);
+      const message = this._renderTemplate(definition.options, data, req.body) ?? data;
+      const outcome = await deliveryQueue.deliver('slack', { data: message }, { route: 'Slack' });
       
-      if (!response) {
-        this.logger.error('Slack API returned undefined response');
-        return res.status(500).json(this.errorHandler.createApiError(
-          new Error('Failed to communicate with Slack API'),
-          'Slack'
-        ));
+      if (outcome.queued) {
+        return this._sendQueuedResponse(res, 'Slack', outcome);
       }
       
       // Log a warning if the response doesn't have 'ok' but don't treat it as an error
-      if (!response.ok) {
-        this.logger.warn('Slack API response missing "ok" property', response);
+      if (!outcome.result.ok) {
+        this.logger.warn('Slack API response missing "ok" property');
       }
       
       this.logWebhookCompletion('Slack', { 
@@ -173,6 +1918,11 @@ class WebhookRouter extends WebhookBase {
       
       return res.status(204).end();
     } catch (error) {
+      if (error.retryable === false) {
+        // A missing webhook URL or bot token is not fixed by retrying; report it once
+        this.logger.warn(`Slack webhook not sent: ${error.message}`);
+        return res.status(204).end();
+      }
       this.logger.error('Error in Slack webhook', error);
       return res.status(500).json(this.errorHandler.createApiError(error, 'Slack'));
     }
@@ -180,18 +1930,29 @@ class WebhookRouter extends WebhookBase {
 
   /**
    * Handle AI-specific Slack webhook
+   * Sends the common webhook data with AI properties, or the route `template`
+   * rendered against it when one is defined
    * @param {Object} req - Express request
    * @param {Object} res - Express response
+   * @param {Object} [definition] - Route definition from the route registry
    */
-  async handleSlackHookAI(req, res) {
+  async handleSlackHookAI(req, res, definition = {}) {
     try {
       this.logWebhookStart('SlackAI', req);
       
       const body = req.body;
       const baseData = this.extractCommonData(body);
 
+      if (await slack.isUserMuted(baseData.uid)) {
+        this._skipMutedUser({ route: 'SlackAI', data: baseData });
+        return res.status(200).json(this.createSuccessResponse(
+          { skipped: true, reason: 'user is muted' },
+          'SlackAI webhook skipped: user is muted'
+        ));
+      }
+
       let data = { ...baseData };
-      let response;
+      let destination = 'slack';
       
       // Add AI-specific properties if they exist
       if (body.properties) {
@@ -203,23 +1964,21 @@ class WebhookRouter extends WebhookBase {
           prediction: body.properties.prediction ?? "Undefined"
         };
         this.logger.info('Sending AI-specific Slack webhook');
-        response = await slack.sendAIWebHook(data);
+        destination = 'slackAI';
       } else {
         this.logger.info('No AI properties found, sending standard Slack webhook');
-        response = await slack.sendWebHook(data);
       }
       
-      if (!response) {
-        this.logger.error('Slack API returned undefined response');
-        return res.status(500).json(this.errorHandler.createApiError(
-          new Error('Failed to communicate with Slack AI API'),
-          'Slack AI'
-        ));
+      const message = this._renderTemplate(definition.options, data, body) ?? data;
+      const outcome = await deliveryQueue.deliver(destination, { data: message }, { route: 'SlackAI' });
+      
+      if (outcome.queued) {
+        return this._sendQueuedResponse(res, 'SlackAI', outcome);
       }
       
       // Log a warning if the response doesn't have 'ok' but don't treat it as an error
-      if (!response.ok) {
-        this.logger.warn('Slack AI API response missing "ok" property', response);
+      if (!outcome.result.ok) {
+        this.logger.warn('Slack AI API response missing "ok" property');
       }
       
       this.logWebhookCompletion('SlackAI', { 
@@ -230,6 +1989,11 @@ class WebhookRouter extends WebhookBase {
       
       return res.status(204).end();
     } catch (error) {
+      if (error.retryable === false) {
+        // A missing webhook URL or bot token is not fixed by retrying; report it once
+        this.logger.warn(`AI Slack webhook not sent: ${error.message}`);
+        return res.status(204).end();
+      }
       this.logger.error('Error in AI Slack webhook', error);
       return res.status(500).json(this.errorHandler.createApiError(error, 'Slack AI'));
     }
@@ -237,10 +2001,13 @@ class WebhookRouter extends WebhookBase {
 
   /**
    * Handle Google Sheets webhook
+   * Writes the default columns by header name, or the row rendered from the
+   * route `template`. With `upsertKey`, the row whose key matches is updated
    * @param {Object} req - Express request
    * @param {Object} res - Express response
+   * @param {Object} [definition] - Route definition from the route registry
    */
-  async handleGoogleSheets(req, res) {
+  async handleGoogleSheets(req, res, definition = {}) {
     try {
       this.logWebhookStart('GoogleSheets', req);
       
@@ -272,7 +2039,8 @@ class WebhookRouter extends WebhookBase {
       
       // Get Sheets configuration
       const sheetsId = googleCloud.workspace.config?.sheets_id;
-      const sheetsRange = config.get('google_sheets_range', 'Sheet1');
+      const tab = this._resolveSheetsTab(definition.options, data, req.body, definition.name ?? 'GoogleSheets');
+      const sheetsRange = tab ?? config.get('google_sheets_range', 'Sheet1');
       
       if (!sheetsId) {
         this.logger.error('Missing Google Sheets ID configuration');
@@ -286,46 +2054,36 @@ class WebhookRouter extends WebhookBase {
         range: sheetsRange 
       });
       
-      // Use the GoogleCloud workspace service with proper column order
-      const response = await googleCloud.workspace.appendSpreadsheetValues(
-        sheetsId,
-        sheetsRange,
-        [[
-          data.display_name,         // DisplayName
-          data.uid,                  // UserID
-          data.email,                // Email
-          fsData.replayURL,          // ReplayURL
-          fsData.sessionSummary,     // SessionSummary
-          data.session_id,           // SessionID
-          data.timestamp,            // TimeStamp
-          data.event_name,           // Webhookname
-          data.api_version,          // APIVersion
-          data.signal_version        // WebhookVersion
-        ]]
-      );
+      // Columns are matched by header name, so the sheet may be reordered
+      const rowData = {
+        ...data,
+        replay_url: fsData.replayURL,
+        session_summary: fsData.sessionSummary
+      };
+      const row = this._renderTemplate(definition.options, rowData, req.body) ?? this._buildSheetsRecord(rowData);
 
-      if (response.updates?.updatedCells) {
-        this.logger.info('Google Sheets update successful', {
-          range: response.updates.updatedRange,
-          rows: response.updates.updatedRows,
-          columns: response.updates.updatedColumns,
-          cells: response.updates.updatedCells
-        });
-        
-        this.logWebhookCompletion('GoogleSheets', {
-          user: data.email,
-          session: data.session_id,
-          updatedCells: response.updates.updatedCells
-        });
-        
-        return res.status(204).end();
-      } else {
-        this.logger.error('Google Sheets API returned unexpected response', response);
-        return res.status(500).json(this.errorHandler.createApiError(
-          new Error('Failed to update Google Sheet'),
-          'Google Sheets'
-        ));
+      const outcome = await deliveryQueue.deliver('googleSheets',
+        this._buildSheetsPayload(sheetsId, sheetsRange, row, definition.options, Boolean(tab)),
+        { route: 'GoogleSheets' });
+
+      if (outcome.queued) {
+        return this._sendQueuedResponse(res, 'GoogleSheets', outcome);
       }
+
+      this.logger.info('Google Sheets update successful', {
+        range: outcome.result.range,
+        rows: outcome.result.sheetRows,
+        appended: outcome.result.appended,
+        updated: outcome.result.updated
+      });
+      
+      this.logWebhookCompletion('GoogleSheets', {
+        user: data.email,
+        session: data.session_id,
+        rows: outcome.result.rows
+      });
+      
+      return res.status(204).end();
     } catch (error) {
       this.logger.error('Error in Google Sheets webhook', error);
       return res.status(500).json(this.errorHandler.createApiError(error, 'Google Sheets'));
@@ -334,10 +2092,13 @@ class WebhookRouter extends WebhookBase {
 
   /**
    * Handle Jira ticket creation webhook
+   * Fields rendered from the route `template` replace the default summary and description.
+   * With a duplicate check, a matching open issue gets a comment instead of a new ticket
    * @param {Object} req - Express request
    * @param {Object} res - Express response
+   * @param {Object} [definition] - Route definition from the route registry
    */
-  async handleJiraTicket(req, res) {
+  async handleJiraTicket(req, res, definition = {}) {
     try {
       this.logWebhookStart('Jira', req);
       
@@ -369,58 +2130,48 @@ class WebhookRouter extends WebhookBase {
       });
       const sessionLink = Fullstory.getSessionLink(body.user.id, sessionId);
 
-      // Get configuration values with proper error handling
-      const projectKey = config.get('jira_project_key');
-      const issueTypeId = config.get('jira_issue_type_id');
-      const customFieldId = config.get('jira_session_field_id', 'customfield_XXXXX');
-      
-      if (!projectKey || !issueTypeId) {
-        this.logger.error('Missing required Jira configuration', {
-          hasProjectKey: !!projectKey,
-          hasIssueTypeId: !!issueTypeId
-        });
-        throw new Error('Missing required Jira configuration: project key or issue type ID');
-      }
-
-      // Create ticket data
-      this.logger.debug('Preparing Jira ticket data');
-      const ticketData = {
-        fields: {
-          summary: `${body.name} - ${body.user.email ?? body.user.id}`,
-          description: rundown,
-          project: {
-            key: projectKey
-          },
-          issuetype: {
-            id: issueTypeId
-          }
-        }
-      };
+      // Pick the project, issue type and fields from the event's issue template or configuration
+      const data = { ...this.extractCommonData(body), rundown, session_link: sessionLink };
+      const issue = jiraTickets.resolveIssue(this._buildDataScope(data, body), definition.options);
+
+      // Create ticket data, with issue template fields, then route template fields, over the defaults
+      this.logger.debug('Preparing Jira ticket data', { template: issue.template });
+      const ticketData = jiraTickets.buildTicket(issue, {
+        summary: `${body.name} - ${body.user.email ?? body.user.id}`,
+        description: atlassian.usesAdf ? await konbini.eventFormatter.createRunDownAdf(body) : rundown,
+        sessionLink,
+        fields: this._renderTemplate(definition.options, data, body)
+      });
 
-      // Add session link to custom field if we have one
-      if (sessionLink) {
-        this.logger.debug('Adding session link to ticket data');
-        ticketData.fields[customFieldId] = sessionLink;
+      // Label the ticket so later occurrences comment on it instead of duplicating it
+      const dedupe = this._buildJiraDedupe(definition.options, data, body, issue.projectKey);
+      if (dedupe) {
+        ticketData.fields.labels = [...new Set([...(ticketData.fields.labels ?? []), dedupe.label])];
       }
 
+      // Attach the session events and timeline once the ticket exists
+      const evidence = this._buildJiraEvidence(definition.options, body.user.id, sessionId, sessionLink);
+
       // Create ticket with atlassian client
       this.logger.info('Creating Jira ticket', { 
         summary: ticketData.fields.summary 
       });
-      const ticket = await atlassian.createTicket(ticketData);
+      const outcome = await deliveryQueue.deliver('jira', { ticketData, dedupe, evidence }, { route: 'Jira' });
+
+      if (outcome.queued) {
+        return this._sendQueuedResponse(res, 'Jira', outcome);
+      }
 
       // Return ticket status with consistent response format
-      const responseData = {
-        ticketKey: ticket.key,
-        ticketId: ticket.id,
-        ticketUrl: `${atlassian.jira_base_url}/browse/${ticket.key}`,
-      };
+      const responseData = outcome.result;
       
       this.logWebhookCompletion('Jira', responseData);
       
       return res.status(200).json(this.createSuccessResponse(
         responseData, 
-        'Jira ticket created successfully'
+        responseData.duplicate
+          ? `Commented on existing Jira ticket ${responseData.ticketKey}`
+          : 'Jira ticket created successfully'
       ));
     } catch (error) {
       this.logger.error('Error creating Jira ticket', error);
@@ -476,45 +2227,89 @@ class WebhookRouter extends WebhookBase {
         propertyCount: Object.keys(data.properties).length
       });
       
-      const response = await Fullstory.postCustomEvent(
-        data.uid,
-        data.session_id,
-        data.properties
-      );
-
-      if (response.status === 200) {
-        this.logWebhookCompletion('Fusion', {
+      let outcome;
+      try {
+        outcome = await deliveryQueue.deliver('fusion', {
           userId: data.uid,
-          eventName: data.event_name,
-          success: true
-        });
-        return res.status(204).end();
-      } else {
+          sessionId: data.session_id,
+          properties: data.properties
+        }, { route: 'Fusion' });
+      } catch (apiError) {
+        if (!apiError.status) {
+          throw apiError;
+        }
         this.logger.error('Fullstory API returned non-200 status', {
-          status: response.status,
-          statusText: response.statusText
+          status: apiError.status
         });
-        
-        return res.status(response.status).json(this.errorHandler.createApiError(
-          new Error(`Fullstory API returned status: ${response.status}`),
-          'Fullstory'
-        ));
+        return res.status(apiError.status).json(this.errorHandler.createApiError(apiError, 'Fullstory'));
       }
+
+      if (outcome.queued) {
+        return this._sendQueuedResponse(res, 'Fusion', outcome);
+      }
+
+      this.logWebhookCompletion('Fusion', {
+        userId: data.uid,
+        eventName: data.event_name,
+        success: true
+      });
+      return res.status(204).end();
     } catch (error) {
       this.logger.error('Error in Fusion webhook', error);
       return res.status(500).json(this.errorHandler.createApiError(error, 'Fullstory Fusion'));
     }
   }
 
+  /**
+   * Map a webhook payload onto the data keys used by a warehouse route
+   * Raw properties are merged under the common webhook fields, and route
+   * defaults fill any keys that are still missing
+   * @param {Object} body - Webhook payload
+   * @param {Object} options - Warehouse route options
+   * @returns {Object} Data keyed for `col:dataKey` column mappings
+   * @private
+   */
+  _mapWarehouseData(body, options) {
+    const data = {
+      ...(body.properties ?? {}),
+      ...this.extractCommonData(body)
+    };
+
+    for (const [key, value] of Object.entries(options.defaults || {})) {
+      data[key] = data[key] ?? value;
+    }
+
+    return data;
+  }
+
+  /**
+   * Build the response payload for a warehouse route
+   * @param {Object} data - Mapped route data
+   * @param {Array<string>} fields - Response fields in `key:dataKey` format
+   * @returns {Object} Response data
+   * @private
+   */
+  _buildWarehouseResponse(data, fields = ['user_id:uid']) {
+    return Object.fromEntries(fields.map(field => {
+      const [key, dataKey] = field.includes(':') ? field.split(':') : [field, field];
+      return [key, data[dataKey]];
+    }));
+  }
+
   /**
    * Handle Snowflake data update webhook
+   * The target table, column mappings, required fields and defaults come from
+   * the route definition options
    * @param {Object} req - Express request
    * @param {Object} res - Express response
+   * @param {Object} [definition] - Route definition from the route registry
    */
-  async handleSnowflakeUpdate(req, res) {
+  async handleSnowflakeUpdate(req, res, definition = {}) {
     try {
       this.logWebhookStart('Snowflake', req);
       
+      const options = definition.options || {};
+      
       // Extract and validate data
       const { user, properties } = req.body;
       
@@ -528,26 +2323,19 @@ class WebhookRouter extends WebhookBase {
         return res.status(400).json(this.errorHandler.createValidationError('properties', 'Missing properties object in request payload'));
       }
       
-      // Use extractCommonData for consistent data extraction across routes
-      const data = this.extractCommonData(req.body);
-      
-      // Add Snowflake-specific fields
-      data.product_name = properties?.product_name ?? "Undefined";
-      data.product_size = properties?.product_size ?? "Undefined";
-      data.url = properties?.url ?? "Undefined";
+      // Map common data and properties onto the configured data keys
+      const data = this._mapWarehouseData(req.body, options);
 
       this.logger.debug('Processed webhook data', data);
 
       // Validate required data fields
-      const validationError = this.validateRequiredFields(
-        data, 
-        ['uid', 'product_name']
-      );
+      const requiredData = options.requiredData || ['uid'];
+      const validationError = this.validateRequiredFields(data, requiredData);
       
       if (validationError) {
         this.logger.warn('Validation error', { error: validationError.message });
         return res.status(400).json(this.errorHandler.createValidationError(
-          ['uid', 'product_name'], 
+          requiredData, 
           validationError.message
         ));
       }
@@ -565,66 +2353,58 @@ class WebhookRouter extends WebhookBase {
           sessionSummary: "Error retrieving session summary"
         };
       }
+      data.replay_url = fsData.replayURL;
+      data.session_summary = fsData.sessionSummary;
 
-      // Generate SQL with detailed error handling
-      this.logger.info('Generating SQL for Snowflake insertion');
-      let sqlResult;
-      try {
-        sqlResult = konbini.warehouse.generateSql({
-          databaseType: 'snowflake',
-          operation: 'insert',
-          table: 'STOCK_MANAGEMENT',
-          columns: [
-            'item_name:product_name',
-            'item_size:product_size',
-            'user_id:uid',
-            'session_id',
-            'url',
-            'replay_url',
-            'session_summary',
-            'email',
-            'session_time:time'
-          ],
-          data: {
-            product_name: data.product_name,
-            product_size: data.product_size,
-            uid: data.uid,
-            session_id: data.session_id,
-            url: data.url,
-            time: data.time,
-            email: data.email
-          },
-          customParams: {
-            replay_url: fsData.replayURL,
-            session_summary: fsData.sessionSummary
-          }
-        });
-      } catch (sqlError) {
-        this.logger.error('SQL generation failed', sqlError);
-        return res.status(400).json(this.errorHandler.createErrorResponse(
-          new Error(`SQL generation failed: ${sqlError.message}`)
-        ));
-      }
-
-      const { sql, bindings } = sqlResult;
+      let payload;
+      if (options.batch) {
+        // Batched rows are written with the other rows of the table in one multi-row insert
+        this.logger.info('Adding row to Snowflake batch', { table: options.table });
+        payload = this._buildSnowflakeBatchRow(options, data);
+      } else {
+        // Generate SQL with detailed error handling
+        this.logger.info('Generating SQL for Snowflake insertion', { table: options.table });
+        let sqlResult;
+        try {
+          sqlResult = konbini.warehouse.generateSql({
+            databaseType: 'snowflake',
+            operation: 'insert',
+            table: options.table,
+            columns: options.columns,
+            data
+          });
+        } catch (sqlError) {
+          this.logger.error('SQL generation failed', sqlError);
+          return res.status(400).json(this.errorHandler.createErrorResponse(
+            new Error(`SQL generation failed: ${sqlError.message}`)
+          ));
+        }
 
-      // Execute Snowflake operations with more robust error handling
-      try {
-        this.logger.info('Executing Snowflake query');
+        const { sql, bindings } = sqlResult;
         this.logger.debug('Snowflake query details', {
           sqlPreview: sql.substring(0, 200) + '...',
           bindingsCount: Object.keys(bindings).length
         });
+        payload = { sql, bindings };
+      }
+
+      // Execute Snowflake operations with more robust error handling
+      try {
+        this.logger.info('Executing Snowflake insert', { batched: Boolean(options.batch) });
         
-        await snowflake.withConnection(async (connector) => {
-          await connector.executeQuery(sql, bindings);
-        });
+        const outcome = await this._deliverWarehousePayload('snowflake', payload, definition.name ?? 'Snowflake');
+        if (outcome.queued) {
+          return this._sendQueuedResponse(res, 'Snowflake', outcome);
+        }
+        if (outcome.accepted) {
+          return this._sendAcceptedResponse(res, 'Snowflake', 'Snowflake', this._buildWarehouseResponse(data, options.responseFields));
+        }
         this.logger.info('Snowflake query executed successfully');
       } catch (dbError) {
         this.logger.error('Snowflake database operation failed', dbError);
         
         // Use the new helper to format the database operation more accurately
-        const formattedOperation = this.formatDatabaseOperation(sqlResult.operation, sqlResult.table);
+        const formattedOperation = await this.formatDatabaseOperation('insert', options.table);
         
         return res.status(500).json(this.errorHandler.createDatabaseError(
           dbError, 
@@ -633,11 +2413,7 @@ class WebhookRouter extends WebhookBase {
       }
 
       // Return consistent response format
-      const responseData = {
-        product_name: data.product_name,
-        product_size: data.product_size,
-        user_id: data.uid
-      };
+      const responseData = this._buildWarehouseResponse(data, options.responseFields);
       
       this.logWebhookCompletion('Snowflake', responseData);
       return res.status(200).json(this.createSuccessResponse(
@@ -653,13 +2429,18 @@ class WebhookRouter extends WebhookBase {
 
   /**
    * Handle BigQuery data update webhook
+   * The target table, column mappings, required fields and defaults come from
+   * the route definition options
    * @param {Object} req - Express request
    * @param {Object} res - Express response
+   * @param {Object} [definition] - Route definition from the route registry
    */
-  async handleBigQueryUpdate(req, res) {
+  async handleBigQueryUpdate(req, res, definition = {}) {
     try {
       this.logWebhookStart('BigQuery', req);
       
+      const options = definition.options || {};
+      
       // Extract and validate data
       const { user, properties } = req.body;
       
@@ -673,25 +2454,19 @@ class WebhookRouter extends WebhookBase {
         return res.status(400).json(this.errorHandler.createValidationError('properties', 'Missing properties object in request payload'));
       }
       
-      // Use extractCommonData for consistent data extraction across routes
-      const data = this.extractCommonData(req.body);
-      
-      // Add BigQuery-specific fields
-      data.form_field = properties?.form_field ?? "Undefined";
-      data.url = properties?.url ?? "Undefined";
+      // Map common data and properties onto the configured data keys
+      const data = this._mapWarehouseData(req.body, options);
 
       this.logger.debug('Processed webhook data', data);
 
       // Validate required data fields
-      const validationError = this.validateRequiredFields(
-        data, 
-        ['uid', 'form_field']
-      );
+      const requiredData = options.requiredData || ['uid'];
+      const validationError = this.validateRequiredFields(data, requiredData);
       
       if (validationError) {
         this.logger.warn('Validation error', { error: validationError.message });
         return res.status(400).json(this.errorHandler.createValidationError(
-          ['uid', 'form_field'], 
+          requiredData, 
           validationError.message
         ));
       }
@@ -709,71 +2484,70 @@ class WebhookRouter extends WebhookBase {
           sessionSummary: "Error retrieving session summary"
         };
       }
+      data.replay_url = fsData.replayURL;
+      data.session_summary = fsData.sessionSummary;
 
-      // Generate SQL with detailed error handling
-      this.logger.info('Generating SQL for BigQuery insertion');
-      let sqlResult;
-      try {
-        sqlResult = konbini.warehouse.generateSql({
-          databaseType: 'bigquery',
-          operation: 'insert',
-          table: 'fs_data_destinations.lead_info',
-          columns: [
-            'session_id',
-            'visitor_id',
-            'form_type:form_field',
-            'form_submission_time:time',
-            'session_summary'
-          ],
-          data: {
-            session_id: data.session_id,
-            visitor_id: data.uid,
-            form_field: data.form_field,
-            time: data.time,
-            session_summary: fsData.sessionSummary
-          }
-        });
-      } catch (sqlError) {
-        this.logger.error('SQL generation failed', sqlError);
-        return res.status(400).json(this.errorHandler.createErrorResponse(
-          new Error(`SQL generation failed: ${sqlError.message}`)
-        ));
-      }
-
-      const { sql, params, parameterTypes } = sqlResult;
+      let payload;
+      if (options.mode === 'streaming') {
+        // Streaming inserts skip the INSERT job and create the table when it is missing
+        this.logger.info('Streaming row into BigQuery', { table: options.table });
+        payload = this._buildBigQueryStream(options, data);
+      } else {
+        // Generate SQL with detailed error handling
+        this.logger.info('Generating SQL for BigQuery insertion', { table: options.table });
+        let sqlResult;
+        try {
+          sqlResult = konbini.warehouse.generateSql({
+            databaseType: 'bigquery',
+            operation: 'insert',
+            table: options.table,
+            columns: options.columns,
+            data
+          });
+        } catch (sqlError) {
+          this.logger.error('SQL generation failed', sqlError);
+          return res.status(400).json(this.errorHandler.createErrorResponse(
+            new Error(`SQL generation failed: ${sqlError.message}`)
+          ));
+        }
 
-      // Execute BigQuery operations with more robust error handling
-      try {
-        this.logger.info('Executing BigQuery query');
+        const { sql, params, parameterTypes } = sqlResult;
         this.logger.debug('BigQuery query details', {
           sqlPreview: sql.substring(0, 200) + '...',
           paramsCount: Object.keys(params).length,
           parameterTypesCount: Object.keys(parameterTypes || {}).length
         });
+        payload = { sql, params, parameterTypes };
+      }
+
+      // Execute BigQuery operations with more robust error handling
+      try {
+        this.logger.info('Executing BigQuery insert', { mode: options.mode ?? 'dml', batched: Boolean(options.batch) });
         
-        await googleCloud.bigQuery.createQueryJob(sql, [], {
-          params,
-          parameterTypes
-        });
+        const outcome = await this._deliverWarehousePayload('bigQuery', payload, definition.name ?? 'BigQuery');
+        if (outcome.queued) {
+          return this._sendQueuedResponse(res, 'BigQuery', outcome);
+        }
+        if (outcome.accepted) {
+          return this._sendAcceptedResponse(res, 'BigQuery', 'BigQuery', this._buildWarehouseResponse(data, options.responseFields));
+        }
         this.logger.info('BigQuery operation executed successfully');
       } catch (dbError) {
         this.logger.error('BigQuery database operation failed', dbError);
         
         // Use the new helper to format the database operation more accurately
-        const formattedOperation = this.formatDatabaseOperation(sqlResult.operation, sqlResult.table);
+        const formattedOperation = await this.formatDatabaseOperation('insert', options.table);
+        const errorResponse = this.errorHandler.createDatabaseError(dbError, formattedOperation);
         
-        return res.status(500).json(this.errorHandler.createDatabaseError(
-          dbError, 
-          formattedOperation
-        ));
+        // Rows BigQuery rejected fail the same way when resent, so report them to the sender
+        if (dbError.rowErrors) {
+          return res.status(400).json({ ...errorResponse, rowErrors: dbError.rowErrors });
+        }
+        return res.status(500).json(errorResponse);
       }
 
       // Return consistent response format
-      const responseData = {
-        form_completed: data.form_field,
-        session_id: data.session_id,
-        user_id: data.uid
-      };
+      const responseData = this._buildWarehouseResponse(data, options.responseFields);
       
       this.logWebhookCompletion('BigQuery', responseData);
       return res.status(200).json(this.createSuccessResponse(